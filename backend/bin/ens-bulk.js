@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+// ens-bulk: generate, verify and deploy campaigns from the command line (CI, scripts).
+// Lists go through the backend's own readers, validation, conflict policies and leaf
+// encoding, so roots, proofs and bundles match what the API produces for the same list.
+// Run `ens-bulk help` for the commands.
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const [command, ...argv] = process.argv.slice(2);
+// Options that don't take a value
+const FLAGS = ['clamp-expiry', 'json'];
+
+const arg = (name) => {
+  const i = argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : argv[i + 1];
+};
+const flag = (name) => argv.includes(`--${name}`);
+// The first argument that is neither an option nor an option's value
+const positional = () => {
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) return argv[i];
+    if (!FLAGS.includes(argv[i].slice(2))) i++;
+  }
+  return undefined;
+};
+
+// Chain settings are read when services/chain is loaded, and rejected-row files go to
+// REPORT_DIR as the report is written - set both before requiring the backend
+if (arg('rpc')) process.env.RPC_URL = arg('rpc');
+if (!process.env.REPORT_DIR) process.env.REPORT_DIR = path.join(os.tmpdir(), 'ens-bulk-reports');
+
+if (arg('private-key')) {
+  console.warn('⚠️ --private-key shows the key in the process list and shell history - prefer ENS_BULK_PRIVATE_KEY or --keystore');
+}
+
+const { ethers } = require('ethers');
+const chain = require('../src/services/chain');
+const rowReaders = require('../src/services/rowReaders');
+const bundleFiles = require('../src/services/bundleFiles');
+const { ValidationReport } = require('../src/services/reports');
+const { validateRows, conflictIssues } = require('../src/utils/validation');
+const { findConflicts, resolveConflicts, CONFLICT_POLICIES } = require('../src/utils/conflicts');
+const { hashLeaf, buildTree, TREE_FORMATS } = require('../src/utils/merkle');
+const { normalizeLabel } = require('../src/utils/labels');
+
+const USAGE = `Usage: ens-bulk <command> [options]
+
+  generate <list> --parent <domain> [--out <dir>] [--format legacy|standard]
+           [--conflicts ${CONFLICT_POLICIES.join('|')}] [--clamp-expiry] [--sheet <name>]
+           [--columns address=<header>,subdomain=<header>,expiry=<header>]
+           [--chain-id <id>] [--factory <address>]
+      Build the tree of a CSV, XLSX, JSON or NDJSON list and write a proof bundle
+      (manifest.json, proofs/) with report.json and rejected.csv to --out (default: the domain).
+
+  verify <list> [--root <0x...> | --bundle <dir> | --factory <address> --parent <domain>]
+      Recompute a list's root (same list options as generate) and compare it with the
+      given root, a bundle's manifest or the root configured on-chain.
+
+  proof <list|bundle dir> --address <0x...> [--subdomain <label>]
+        [--format legacy|standard] [--parent <domain>] [--conflicts ${CONFLICT_POLICIES.join('|')}]
+        [--clamp-expiry] [--sheet <name>] [--columns address=<header>,subdomain=<header>,expiry=<header>]
+      Print the leaf and proof of an address's allocations. A list needs the options it was
+      generated with - without --format its proofs are for a legacy tree. Bundles carry them.
+
+  deploy-config [--bundle <dir> | --parent <domain> --root <0x...> --total <n> --format legacy|standard]
+           --factory <address> (--private-key <0x...> | --keystore <file> [--password-file <file>]) [--fuses <n>]
+      Initialize the parent's configuration on the factory (initializeConfig, or
+      initializeConfigWithFormat for standard trees).
+
+  status --factory <address> (--parent <domain> | --bundle <dir>)
+      Read the configuration's getConfigStats and root from the factory.
+
+Chain access: --rpc or RPC_URL. Expiries are checked against the parent with ENS_NAME_WRAPPER
+set, ENS names in lists resolve through ENS_RPC_URL / RPC_URL. Keys can also come from
+ENS_BULK_PRIVATE_KEY (safer than --private-key, which shows in the process list), keystore
+passwords from ENS_BULK_KEYSTORE_PASSWORD. --json prints
+machine-readable output.`;
+
+const FACTORY_ABI = [
+  'function initializeConfig(bytes32 parentNode, string domain, bytes32 merkleRoot, uint32 fuses, uint256 totalSubdomains)',
+  'function initializeConfigWithFormat(bytes32 parentNode, string domain, bytes32 merkleRoot, uint32 fuses, uint256 totalSubdomains, uint8 leafFormat)',
+  'function getConfigStats(bytes32 parentNode) view returns (uint256 total, uint256 claimedTotal, string domain, address owner, bool active)',
+  'function configs(bytes32 parentNode) view returns (bytes32 merkleRoot, bytes32 parentNode, string parentDomain, address parentOwner, uint32 defaultFuses, bool active, uint64 totalSubdomains, uint64 claimedCount)',
+  'function leafFormats(bytes32 parentNode) view returns (uint8)',
+  'function paused() view returns (bool)',
+  'error ConfigAlreadyExists()',
+  'error InvalidParameters()',
+  'error NotAuthorized()'
+];
+// BulkSubdomainFactory.LeafFormat
+const LEAF_FORMATS = ['legacy', 'standard'];
+
+class CliError extends Error {}
+
+const fail = (message) => {
+  throw new CliError(message);
+};
+
+const required = (name) => arg(name) ?? fail(`--${name} is required`);
+
+const print = (text, json) => console.log(flag('json') ? JSON.stringify(json, null, 2) : text);
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const isBundle = (dir) => fs.existsSync(path.join(dir, 'manifest.json'));
+
+const readManifest = (dir) => {
+  if (!isBundle(dir)) fail(`${dir} is not a proof bundle (no manifest.json)`);
+  return readJson(path.join(dir, 'manifest.json'));
+};
+
+const treeFormat = (fallback = 'legacy') => {
+  const format = arg('format') || fallback;
+  if (!TREE_FORMATS[format]) fail(`--format must be one of ${Object.keys(TREE_FORMATS).join(', ')}`);
+  return format;
+};
+
+/**
+ * --columns address=Wallet,subdomain=Name -> { address: 'Wallet', subdomain: 'Name' }
+ */
+const columnMapping = () => {
+  const value = arg('columns');
+  if (!value) return undefined;
+  return Object.fromEntries(value.split(',').map(pair => pair.split('=').map(part => part.trim())));
+};
+
+const parentNodeOf = (domain) => {
+  try {
+    return ethers.namehash(ethers.ensNormalize(domain));
+  } catch (error) {
+    fail(`Invalid parent domain ${domain}: ${error.shortMessage || error.message}`);
+  }
+};
+
+/**
+ * NameWrapper expiry of the parent, or null (with a warning) without an RPC and ENS_NAME_WRAPPER
+ */
+const readParentExpiry = async (parentNode) => {
+  let parentExpiry;
+  try {
+    parentExpiry = await chain.getParentExpiry(parentNode);
+  } catch (error) {
+    fail(`Could not check expiries against the parent: ${error.shortMessage || error.message}`);
+  }
+  if (parentExpiry === null) {
+    console.warn('⚠️ No RPC_URL / ENS_NAME_WRAPPER configured - expiries not checked against the parent');
+  }
+  return parentExpiry;
+};
+
+/**
+ * Read and validate a list, apply the conflict policy and build its tree - the steps the
+ * generator takes, in memory. Returns { records, leaves, tree, validation, skippedRows, dropped }, with
+ * tree null when the list has no usable rows or conflicts under 'reject'.
+ */
+const buildList = async (file, { parentNode, format }) => {
+  if (!fs.existsSync(file)) fail(`${file} not found`);
+  const policy = arg('conflicts') || 'reject';
+  if (!CONFLICT_POLICIES.includes(policy)) fail(`--conflicts must be one of ${CONFLICT_POLICIES.join(', ')}`);
+
+  const parentExpiry = parentNode ? await readParentExpiry(parentNode) : null;
+  const validation = new ValidationReport({ parentExpiry });
+  const checks = { parentExpiry, clampExpiry: flag('clamp-expiry'), now: Math.floor(Date.now() / 1000) };
+
+  let records = [];
+  try {
+    const rows = rowReaders.readRows(file, { fileName: file, sheet: arg('sheet'), columns: columnMapping() });
+    for await (const { record } of validateRows(rows, validation, { checks, createNameResolver: chain.createNameResolver })) {
+      records.push(record);
+    }
+  } catch (error) {
+    fail(`Could not read ${file}: ${error.message}`);
+  }
+
+  const skippedRows = validation.rejectedRows;
+  let dropped = new Set();
+  const conflicts = findConflicts(records);
+  if (conflicts.length > 0) {
+    dropped = policy === 'reject' ? new Set() : resolveConflicts(records, policy);
+    const uploaded = new Map(records.map(r => [r.row, { address: r.address, subdomain: r.original, expiry: r.expiry }]));
+    validation.addConflicts(conflictIssues(conflicts, policy, dropped), uploaded);
+    if (policy === 'reject') {
+      return { records, tree: null, validation, skippedRows, dropped, error: `Found ${conflicts.length} conflict(s) between rows - fix them or use --conflicts keep_first / keep_last` };
+    }
+    records = records.filter(r => !dropped.has(r.row));
+  }
+  if (records.length === 0) {
+    return { records, tree: null, validation, skippedRows, dropped, error: 'No valid rows found in the list' };
+  }
+
+  const leaves = records.map(record => hashLeaf(record, format));
+  return { records, leaves, tree: buildTree(leaves, format), validation, skippedRows, dropped };
+};
+
+/**
+ * Finish a list's validation report and print its summary; returns the JSON report
+ */
+const finishReport = async (validation) => {
+  const report = await validation.finish();
+  const counts = Object.entries(report.summary).map(([code, { count }]) => `${code} ${count}`);
+  console.warn(`📋 ${report.totalRows} rows, ${report.rejectedRows} rejected, ${report.warningRows} with warnings${counts.length ? ` (${counts.join(', ')})` : ''}`);
+  for (const issue of report.issues.filter(i => i.severity === 'error').slice(0, 10)) {
+    console.warn(`   row ${issue.row}: ${issue.message}`);
+  }
+  return report;
+};
+
+const getFactory = (address, runner) => {
+  if (!address || !ethers.isAddress(address)) fail('--factory must be the factory address');
+  return new ethers.Contract(address, FACTORY_ABI, runner);
+};
+
+const getProvider = () => chain.getProvider() ?? fail('No RPC - pass --rpc or set RPC_URL');
+
+/**
+ * Signer from --private-key / ENS_BULK_PRIVATE_KEY, or an encrypted JSON keystore
+ */
+const getSigner = async (provider) => {
+  const keystore = arg('keystore');
+  if (keystore) {
+    const passwordFile = arg('password-file');
+    const password = passwordFile
+      ? fs.readFileSync(passwordFile, 'utf8').trim()
+      : process.env.ENS_BULK_KEYSTORE_PASSWORD ?? fail('Keystore password missing - pass --password-file or set ENS_BULK_KEYSTORE_PASSWORD');
+    try {
+      return (await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, 'utf8'), password)).connect(provider);
+    } catch (error) {
+      fail(`Could not decrypt ${keystore}: ${error.shortMessage || error.message}`);
+    }
+  }
+  const key = arg('private-key') || process.env.ENS_BULK_PRIVATE_KEY;
+  if (!key) fail('No key - pass --private-key or --keystore, or set ENS_BULK_PRIVATE_KEY');
+  try {
+    return new ethers.Wallet(key, provider);
+  } catch {
+    fail('Invalid private key');
+  }
+};
+
+const revertReason = (error, factory) => {
+  const data = error.data ?? error.info?.error?.data;
+  const parsed = data && factory.interface.parseError(data);
+  return parsed ? parsed.name : error.shortMessage || error.message;
+};
+
+/**
+ * generate <list>: tree, proof bundle and validation report in --out
+ */
+const generate = async () => {
+  const file = positional() ?? fail('Pass the list to generate from');
+  const parentDomain = required('parent');
+  const parentNode = parentNodeOf(parentDomain);
+  const format = treeFormat();
+  const out = path.resolve(arg('out') || parentDomain);
+  // The bundle replaces the directory - don't wipe one that holds anything else
+  if (fs.existsSync(out) && fs.readdirSync(out).length > 0 && !isBundle(out)) {
+    fail(`${out} is not empty - pass an empty or new --out directory`);
+  }
+
+  const { records, leaves, tree, validation, skippedRows, dropped, error } = await buildList(file, { parentNode, format });
+
+  if (tree) {
+    // Bundle rows in the export's order: by address, then upload order
+    const rows = records
+      .map((record, i) => ({ ...record, leaf: leaves[i] }))
+      .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : a.row - b.row));
+    const campaign = {
+      id: null,
+      parentDomain,
+      parentNode,
+      chainId: arg('chain-id') ? parseInt(arg('chain-id')) : null,
+      factoryAddress: arg('factory')?.toLowerCase() ?? null,
+      merkleRoot: tree.getHexRoot(),
+      totalClaims: records.length,
+      treeFormat: format,
+      createdAt: new Date().toISOString()
+    };
+    await bundleFiles.writeBundle(out, campaign, rows, tree);
+  } else {
+    await fs.promises.rm(out, { recursive: true, force: true });
+    await fs.promises.mkdir(out, { recursive: true });
+  }
+
+  const report = await finishReport(validation);
+  if (validation.file) {
+    await fs.promises.copyFile(validation.file, path.join(out, 'rejected.csv'));
+    await fs.promises.unlink(validation.file);
+  }
+  report.rejectedCsvUrl = null;
+  await fs.promises.writeFile(path.join(out, 'report.json'), JSON.stringify(report, null, 2));
+  if (error) fail(`${error} - see ${path.join(out, 'report.json')}`);
+
+  const merkleRoot = tree.getHexRoot();
+  print(
+    `✅ Generated Merkle tree for ${parentDomain}: ${records.length} leaves, root: ${merkleRoot}\n📦 Bundle and report in ${out}`,
+    { merkleRoot, parentDomain, parentNode, treeFormat: format, totalClaims: records.length, skippedRows, droppedRows: dropped.size, out }
+  );
+};
+
+/**
+ * verify <list>: recompute the root and compare it with --root, a bundle or the factory's config
+ */
+const verify = async () => {
+  const file = positional() ?? fail('Pass the list to verify');
+  let expected = null;
+  let parentDomain = arg('parent');
+  let format = arg('format');
+
+  if (arg('root')) {
+    expected = { root: arg('root').toLowerCase(), source: '--root' };
+  } else if (arg('bundle')) {
+    const manifest = readManifest(arg('bundle'));
+    expected = { root: manifest.merkleRoot, source: `${arg('bundle')}/manifest.json` };
+    parentDomain ??= manifest.parentDomain;
+    format ??= manifest.treeFormat;
+  } else if (arg('factory')) {
+    const factory = getFactory(arg('factory'), getProvider());
+    const parentNode = parentNodeOf(parentDomain ?? fail('--parent is required with --factory'));
+    const config = await factory.configs(parentNode);
+    if (!config.active) fail(`${parentDomain} has no active configuration on ${arg('factory')}`);
+    expected = { root: config.merkleRoot, source: `factory ${arg('factory')}` };
+    format ??= LEAF_FORMATS[Number(await factory.leafFormats(parentNode))];
+  }
+
+  format = treeFormat(format);
+  const parentNode = parentDomain ? parentNodeOf(parentDomain) : null;
+  const { records, tree, validation, error } = await buildList(file, { parentNode, format });
+  await finishReport(validation);
+  if (error) fail(error);
+
+  const merkleRoot = tree.getHexRoot();
+  const matches = expected ? merkleRoot === expected.root : null;
+  print(
+    expected
+      ? `${matches ? '✅' : '❌'} ${records.length} leaves (${format}), root ${merkleRoot} ${matches ? 'matches' : `does not match ${expected.root} from`} ${expected.source}`
+      : `🌳 ${records.length} leaves (${format}), root ${merkleRoot}`,
+    { merkleRoot, treeFormat: format, totalClaims: records.length, expectedRoot: expected?.root ?? null, matches }
+  );
+  if (matches === false) process.exitCode = 1;
+};
+
+/**
+ * proof <list|bundle>: an address's allocations with their proofs
+ */
+const proof = async () => {
+  const source = positional() ?? fail('Pass a list or a bundle directory');
+  const address = required('address').toLowerCase();
+  if (!ethers.isAddress(address)) fail('--address must be an ETH address');
+  // Allocations carry normalized labels - "Alice" finds "alice"
+  let subdomain;
+  if (arg('subdomain')) {
+    const normalized = normalizeLabel(arg('subdomain'));
+    if (normalized.error) fail(`--subdomain ${arg('subdomain')}: ${normalized.error}`);
+    subdomain = normalized.label;
+  }
+
+  let merkleRoot;
+  let allocations;
+  if (isBundle(source)) {
+    const manifest = readManifest(source);
+    merkleRoot = manifest.merkleRoot;
+    allocations = await bundleFiles.readAllocations(source, manifest, address);
+  } else {
+    const parentNode = arg('parent') ? parentNodeOf(arg('parent')) : null;
+    const { records, leaves, tree, validation, error } = await buildList(source, { parentNode, format: treeFormat() });
+    await finishReport(validation);
+    if (error) fail(error);
+    merkleRoot = tree.getHexRoot();
+    allocations = records
+      .map((record, i) => ({ record, leaf: leaves[i] }))
+      .filter(({ record }) => record.address === address)
+      .map(({ record, leaf }) => ({ subdomain: record.subdomain, expiry: record.expiry, leaf, proof: tree.getHexProof(leaf) }));
+  }
+
+  if (subdomain) allocations = allocations.filter(a => a.subdomain === subdomain);
+  if (allocations.length === 0) fail(`No allocation for ${address}${subdomain ? ` with ${subdomain}` : ''}`);
+  console.log(JSON.stringify({ address, merkleRoot, allocations }, null, 2));
+};
+
+/**
+ * deploy-config: initialize the parent's configuration from a bundle or --root / --total
+ */
+const deployConfig = async () => {
+  const manifest = arg('bundle') ? readManifest(arg('bundle')) : null;
+  const parentDomain = arg('parent') ?? manifest?.parentDomain ?? fail('Pass --bundle or --parent');
+  const merkleRoot = arg('root') ?? manifest?.merkleRoot ?? fail('Pass --bundle or --root');
+  const total = parseInt(arg('total') ?? manifest?.totalClaims);
+  const format = treeFormat(manifest?.treeFormat);
+  const fuses = parseInt(arg('fuses') ?? 0);
+  if (!ethers.isHexString(merkleRoot, 32)) fail('--root must be a 32-byte hex root');
+  if (!(total > 0)) fail('--total must be the number of claims');
+  const parentNode = parentNodeOf(parentDomain);
+
+  const provider = getProvider();
+  const { chainId } = await provider.getNetwork();
+  if (manifest?.chainId && BigInt(manifest.chainId) !== chainId) {
+    fail(`The bundle is for chain ${manifest.chainId}, the RPC is on chain ${chainId}`);
+  }
+  const signer = await getSigner(provider);
+  const factory = getFactory(arg('factory') ?? manifest?.factoryAddress, signer);
+
+  if ((await factory.configs(parentNode)).active) {
+    fail(`${parentDomain} already has an active configuration on ${await factory.getAddress()}`);
+  }
+  const args = [parentNode, parentDomain, merkleRoot, fuses, total];
+  const method = format === 'legacy' ? 'initializeConfig' : 'initializeConfigWithFormat';
+  if (format !== 'legacy') args.push(LEAF_FORMATS.indexOf(format));
+
+  let tx;
+  try {
+    // Surface reverts by name before paying for a transaction
+    await factory[method].staticCall(...args);
+    tx = await factory[method](...args);
+  } catch (error) {
+    fail(`${method} failed: ${revertReason(error, factory)}`);
+  }
+  console.warn(`⏳ ${method} for ${parentDomain} from ${signer.address}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  if (receipt.status !== 1) fail(`Transaction ${tx.hash} reverted`);
+
+  print(
+    `✅ Deployed ${parentDomain} (${format}, ${total} claims, root ${merkleRoot}) in block ${receipt.blockNumber}`,
+    { parentDomain, parentNode, merkleRoot, totalSubdomains: total, treeFormat: format, txHash: tx.hash, blockNumber: receipt.blockNumber }
+  );
+};
+
+/**
+ * status: the configuration's stats, root and leaf format on the factory
+ */
+const status = async () => {
+  const manifest = arg('bundle') ? readManifest(arg('bundle')) : null;
+  const parentDomain = arg('parent') ?? manifest?.parentDomain ?? fail('Pass --parent or --bundle');
+  const parentNode = parentNodeOf(parentDomain);
+  const factory = getFactory(arg('factory') ?? manifest?.factoryAddress, getProvider());
+
+  const [[total, claimed, domain, owner, active], config, leafFormat, paused] = await Promise.all([
+    factory.getConfigStats(parentNode),
+    factory.configs(parentNode),
+    factory.leafFormats(parentNode),
+    factory.paused()
+  ]);
+  const stats = {
+    parentDomain: domain || parentDomain,
+    parentNode,
+    active,
+    owner,
+    merkleRoot: config.merkleRoot,
+    treeFormat: LEAF_FORMATS[Number(leafFormat)],
+    totalSubdomains: Number(total),
+    claimed: Number(claimed),
+    paused
+  };
+
+  print(
+    active
+      ? [
+          `${paused ? '⏸️' : '✅'} ${stats.parentDomain}: ${stats.claimed}/${stats.totalSubdomains} claimed${paused ? ' (factory paused)' : ''}`,
+          `   root ${stats.merkleRoot} (${stats.treeFormat}), owner ${owner}`,
+          manifest && manifest.merkleRoot !== stats.merkleRoot ? `⚠️ The bundle's root ${manifest.merkleRoot} is not the deployed one` : null
+        ].filter(Boolean).join('\n')
+      : `❌ ${parentDomain} has no active configuration`,
+    stats
+  );
+  if (!active) process.exitCode = 1;
+};
+
+const COMMANDS = { generate, verify, proof, 'deploy-config': deployConfig, status };
+
+const run = COMMANDS[command];
+if (!run) {
+  const known = !command || command === 'help';
+  (known ? console.log : console.error)(USAGE);
+  process.exit(known ? 0 : 1);
+}
+
+run().catch((error) => {
+  console.error(`❌ ${error instanceof CliError ? error.message : error.stack}`);
+  process.exit(1);
+});
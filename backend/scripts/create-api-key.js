@@ -0,0 +1,21 @@
+// Create an API key from the command line - the first admin key of a new deployment.
+// Usage: node scripts/create-api-key.js --name "CI" [--role operator]
+require('dotenv').config();
+const auth = require('../src/services/auth');
+
+const arg = (name) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+};
+
+const name = arg('name');
+const role = arg('role') || 'admin';
+if (!name || !auth.ROLES.includes(role)) {
+  console.error(`Usage: node scripts/create-api-key.js --name <name> [--role ${auth.ROLES.join('|')}]`);
+  process.exit(1);
+}
+
+const created = auth.createApiKey({ name, role });
+console.log(`🔑 Created ${role} key "${name}" (${created.id})`);
+console.log(created.key);
+console.log('Store it now - only its hash is kept.');
@@ -0,0 +1,44 @@
+// Local webhook receiver for testing: checks each delivery's signature and prints the event.
+// Usage: node scripts/webhook-receiver.js --secret whsec_... [--port 4000] [--fail 3]
+// --fail answers the first N deliveries with a 500, to watch the retries.
+const http = require('http');
+const signature = require('../src/utils/webhookSignature');
+
+const arg = (name) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+};
+
+const secret = arg('secret');
+const port = parseInt(arg('port')) || 4000;
+let failures = parseInt(arg('fail')) || 0;
+if (!secret) {
+  console.error('Usage: node scripts/webhook-receiver.js --secret <whsec_...> [--port 4000] [--fail <n>]');
+  process.exit(1);
+}
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    // The signature covers the raw body - check it before parsing
+    const body = Buffer.concat(chunks).toString('utf8');
+    const invalid = signature.verify(secret, body, req.headers[signature.HEADER.toLowerCase()]);
+    if (invalid) {
+      console.log(`❌ ${req.headers['x-ensb-delivery']}: ${invalid}`);
+      res.writeHead(401).end(invalid);
+      return;
+    }
+    if (failures > 0) {
+      failures--;
+      console.log(`💥 ${req.headers['x-ensb-delivery']}: answering 500 (${failures} more)`);
+      res.writeHead(500).end('Failing on purpose');
+      return;
+    }
+
+    const { id, event, campaign, data } = JSON.parse(body);
+    console.log(`🪝 ${event} ${id}${campaign ? ` for ${campaign.parentDomain}` : ''} (delivery ${req.headers['x-ensb-delivery']})`);
+    console.log(JSON.stringify(data, null, 2));
+    res.writeHead(200).end('ok');
+  });
+}).listen(port, () => console.log(`Listening for webhooks on http://localhost:${port}`));
@@ -1,21 +1,88 @@
 const express = require('express');
 const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
 
 const app = express();
-app.use(cors());
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 hop) so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust) : trust === 'true' || trust);
+}
+const { requestId, notFound, errorHandler } = require('./middleware/errors');
+app.use(requestId);
+// Only the dashboard may call the API from a browser - FRONTEND_URL, comma-separated for several
+const FRONTEND_URLS = (process.env.FRONTEND_URL || 'http://localhost:3000').split(',').map(url => url.trim());
+app.use(cors({
+  origin: FRONTEND_URLS,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id']
+}));
 app.use(express.json());
 
 // Routes
-const merkleRoutes = require('./routes/merkle');
-app.use('/api/merkle', merkleRoutes);
+const routes = {
+  '/api/auth': require('./routes/auth'),
+  '/api/merkle': require('./routes/merkle'),
+  '/api/campaigns': require('./routes/campaigns'),
+  '/api/claims': require('./routes/claims'),
+  '/api/jobs': require('./routes/jobs'),
+  '/api/reports': require('./routes/reports'),
+  '/api/webhooks': require('./routes/webhooks')
+};
+app.use('/api', require('./middleware/rateLimit').api);
+for (const [path, router] of Object.entries(routes)) {
+  app.use(path, router);
+}
+
+// OpenAPI document for the routes above, and Swagger UI to try them
+const openapi = require('./openapi').buildDocument(routes);
+app.get('/api/openapi.json', (req, res) => res.json(openapi));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openapi));
+app.use('/api', notFound);
+
+// Static proof bundles - public from any origin, and can also be copied to any static file host
+const { BUNDLE_DIR } = require('./services/bundle');
+app.use('/bundles', cors(), express.static(BUNDLE_DIR));
 
 app.get('/', (req, res) => {
-  res.json({ message: 'ENS Bulk Subdomain Backend API', status: 'running' });
+  res.json({ message: 'ENS Bulk Subdomain Backend API', status: 'running', docs: '/api/docs' });
 });
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📡 API available at http://localhost:${PORT}`);
-});
+app.use(errorHandler);
+
+module.exports = app;
+
+// Started directly (npm start / npm run dev) - tests require the app without a server or background jobs
+if (require.main === module) {
+  // Rejected-row downloads don't survive a restart
+  require('./services/reports').clearReports();
+
+  // Dashboard accounts from ADMIN_ADDRESSES; expired sessions are dropped
+  const auth = require('./services/auth');
+  auth.seedAdmins();
+  auth.clearExpiredSessions();
+
+  const PORT = process.env.PORT || 3001;
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📡 API available at http://localhost:${PORT}`);
+  });
+
+  // Rebuild stored campaign trees in the background (worker threads)
+  const campaignStore = require('./services/campaignStore');
+  campaignStore.loadAll()
+    .then(loaded => console.log(`🌳 Loaded ${loaded} campaign tree(s) from storage`))
+    .catch(error => console.error('Failed to load campaign trees:', error));
+
+  // Follow factory events (claims, configs, pauses) from the RPC into the database
+  require('./services/indexer').start();
+
+  // Settle relayed claims that were still waiting to be mined when the server stopped
+  require('./services/relayer').recoverPending();
+
+  // Follow commit-reveal claim sessions and reveal the ones that are due
+  require('./services/claimSessions').start();
+
+  // Send queued webhook deliveries, and retry failed ones
+  require('./services/webhooks').start();
+}
@@ -0,0 +1,126 @@
+const auth = require('../services/auth');
+const siwe = require('../services/siwe');
+const { readToken } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Get a nonce (and the expected domain) for a Sign-In with Ethereum message
+ */
+exports.getNonce = async (req, res) => {
+  res.json(siwe.issueNonce());
+};
+
+/**
+ * Verify the signed EIP-4361 message in the body ({ message, signature }).
+ * On failure sends the error response and returns null.
+ */
+const readSignIn = async (req, res) => {
+  try {
+    return await siwe.verify(req.body);
+  } catch (error) {
+    sendError(res, 401, 'SIGN_IN_FAILED', error.message);
+    return null;
+  }
+};
+
+/**
+ * Sign in to the dashboard with a signed EIP-4361 message: { message, signature }.
+ * The wallet needs an account (see setAccount); returns a session token for the Authorization header.
+ */
+exports.signIn = async (req, res) => {
+  try {
+    const signer = await readSignIn(req, res);
+    if (!signer) return;
+
+    const account = auth.getAccount(signer.address);
+    if (!account) {
+      return sendError(res, 403, 'NO_DASHBOARD_ACCESS', `${signer.address} has no dashboard access`);
+    }
+
+    const session = auth.createSession(signer.address, signer);
+    console.log(`🔑 ${signer.address} signed in as ${account.role}`);
+    res.json({ success: true, ...session, address: signer.address, role: account.role });
+
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Sign-in failed: ' + error.message);
+  }
+};
+
+/**
+ * Sign in as a claimant with a signed EIP-4361 message: { message, signature }. Any wallet can;
+ * the session only proves the address, so private campaigns hand it that address's proofs.
+ */
+exports.signInClaimant = async (req, res) => {
+  try {
+    const signer = await readSignIn(req, res);
+    if (!signer) return;
+
+    const session = auth.createSession(signer.address, { ...signer, scope: 'claimant' });
+    res.json({ success: true, ...session, address: signer.address });
+
+  } catch (error) {
+    console.error('Claimant sign-in error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Sign-in failed: ' + error.message);
+  }
+};
+
+/**
+ * The authenticated caller: API key or session, with its role
+ */
+exports.getMe = async (req, res) => {
+  res.json({ auth: req.auth });
+};
+
+/**
+ * End the current dashboard or claimant session (API keys are revoked through deleteApiKey)
+ */
+exports.signOut = async (req, res) => {
+  if (!req.auth) {
+    return sendError(res, 401, 'UNAUTHENTICATED', 'Not signed in');
+  }
+  if (req.auth.type !== 'apiKey') {
+    auth.endSession(readToken(req));
+  }
+  res.json({ success: true });
+};
+
+exports.listApiKeys = async (req, res) => {
+  res.json({ keys: auth.listApiKeys() });
+};
+
+/**
+ * Create an API key: { name, role }. The key is only shown in this response.
+ */
+exports.createApiKey = async (req, res) => {
+  const { name, role } = req.body;
+  const key = auth.createApiKey({ name, role });
+  console.log(`🔑 Created ${role} API key "${name}" (${key.prefix}…)`);
+  res.status(201).json({ success: true, ...key });
+};
+
+exports.deleteApiKey = async (req, res) => {
+  const key = auth.revokeApiKey(req.params.id);
+  if (!key) {
+    return sendError(res, 404, 'API_KEY_NOT_FOUND', 'API key not found');
+  }
+  res.json({ success: true, key });
+};
+
+exports.listAccounts = async (req, res) => {
+  res.json({ accounts: auth.listAccounts() });
+};
+
+/**
+ * Give a wallet dashboard access, or change its role: { role }
+ */
+exports.setAccount = async (req, res) => {
+  res.json({ success: true, account: auth.setAccount(req.params.address, req.body.role) });
+};
+
+exports.deleteAccount = async (req, res) => {
+  if (!auth.removeAccount(req.params.address)) {
+    return sendError(res, 404, 'ACCOUNT_NOT_FOUND', 'Account not found');
+  }
+  res.json({ success: true });
+};
@@ -0,0 +1,391 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const campaignStore = require('../services/campaignStore');
+const auth = require('../services/auth');
+const claimStatus = require('../services/claimStatus');
+const bundle = require('../services/bundle');
+const generator = require('../services/generator');
+const jobs = require('../services/jobs');
+const standardTree = require('../services/standardTree');
+const { hashLeaf } = require('../utils/merkle');
+const { checkProofAccess } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID || '11155111');
+const DEFAULT_FACTORY_ADDRESS = process.env.FACTORY_ADDRESS || null;
+
+/**
+ * Read the campaign fields shared by CSV uploads and tree imports (checked by schemas/campaigns).
+ * When the parent node already has a live campaign, sends a 409, removes the upload and returns null.
+ */
+const readCampaignFields = (req, res) => {
+  const { parentDomain, sheet, columns, treeFormat, conflictPolicy, privateProofs, exportBundle, clampExpiry } = req.body;
+  const chainId = req.body.chainId ?? DEFAULT_CHAIN_ID;
+  const factoryAddress = req.body.factoryAddress || DEFAULT_FACTORY_ADDRESS;
+
+  // The contract keys configs by parent node - only one live campaign per node
+  const existing = campaignStore.findActiveCampaign({
+    parentNode: ethers.namehash(parentDomain),
+    chainId,
+    factoryAddress
+  });
+  if (existing) {
+    fs.unlinkSync(req.file.path);
+    sendError(res, 409, 'CAMPAIGN_EXISTS', `An active campaign already exists for ${parentDomain}. Archive it first.`, {
+      campaignId: existing.id
+    });
+    return null;
+  }
+
+  return {
+    filePath: req.file.path,
+    fileName: req.file.originalname,
+    sheet,
+    columns,
+    parentDomain,
+    chainId,
+    factoryAddress,
+    treeFormat,
+    conflictPolicy,
+    privateProofs,
+    exportBundle,
+    clampExpiry
+  };
+};
+
+/**
+ * Create a campaign: start generating its Merkle tree from the uploaded allowlist
+ * Columns: address,subdomain,expiry - as CSV (, ; or tab), XLSX, a JSON array or NDJSON
+ * Body fields: parentDomain, chainId (optional), factoryAddress (optional), sheet (XLSX sheet name or number),
+ *   columns (JSON {"address":"wallet",...} - recognized header names are used otherwise),
+ *   treeFormat=legacy|standard (optional), exportBundle=true to also write a static proof bundle,
+ *   privateProofs=true to only hand proofs to their signed-in claimant (see checkProofAccess),
+ *   conflictPolicy=reject|keep_first|keep_last for rows sharing an address or label (default reject),
+ *   clampExpiry=true to lower expiries past the parent's NameWrapper expiry instead of rejecting those rows
+ */
+exports.createCampaign = async (req, res) => {
+  try {
+    const fields = readCampaignFields(req, res);
+    if (!fields) return;
+
+    // Generation runs in the background - poll GET /api/jobs/:jobId for progress.
+    // It keeps the upload slot until it's done.
+    const release = req.uploadSlot.keep();
+    const job = jobs.startJob('generateCampaign', async (report) => {
+      try {
+        return await generator.generateCampaign(fields, report);
+      } finally {
+        release();
+      }
+    });
+
+    console.log(`⏳ Generating ${fields.treeFormat} Merkle tree for ${fields.parentDomain} (job ${job.id})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: `Generating Merkle tree for ${fields.parentDomain}`
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    // Clean up file if it exists
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    sendError(res, 500, 'INTERNAL_ERROR', 'Upload failed: ' + error.message);
+  }
+};
+
+/**
+ * Create a standard-format campaign from an uploaded OpenZeppelin StandardMerkleTree
+ * JSON dump. Same body fields as createCampaign; the rebuilt root must match the dump.
+ */
+exports.importCampaign = async (req, res) => {
+  try {
+    const fields = readCampaignFields(req, res);
+    if (!fields) return;
+
+    const release = req.uploadSlot.keep();
+    const job = jobs.startJob('importCampaign', async (report) => {
+      try {
+        return await generator.importCampaign(fields, report);
+      } finally {
+        release();
+      }
+    });
+
+    console.log(`⏳ Importing StandardMerkleTree dump for ${fields.parentDomain} (job ${job.id})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: `Importing Merkle tree for ${fields.parentDomain}`
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    sendError(res, 500, 'INTERNAL_ERROR', 'Import failed: ' + error.message);
+  }
+};
+
+/**
+ * Download a standard-format campaign as a StandardMerkleTree JSON dump
+ */
+exports.exportTree = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status === 'generating') {
+      return sendError(res, 409, 'CAMPAIGN_GENERATING', 'Campaign is still being generated');
+    }
+    if (!checkProofAccess(campaign, null, req, res)) return;
+    if (campaign.treeFormat !== 'standard') {
+      return sendError(res, 400, 'WRONG_TREE_FORMAT',
+        `Campaign uses the ${campaign.treeFormat} tree format - only standard trees can be exported as StandardMerkleTree JSON`);
+    }
+
+    const tree = await campaignStore.getTree(campaign.id);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${campaign.parentDomain}-tree.json"`);
+    await standardTree.writeDump(campaign, tree, res);
+
+  } catch (error) {
+    console.error('Tree export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      sendError(res, 500, 'INTERNAL_ERROR', 'Tree export failed: ' + error.message);
+    }
+  }
+};
+
+/**
+ * Get Merkle proof for specific claim
+ */
+exports.getProof = async (req, res) => {
+  try {
+    const { id, address, subdomain, expiry } = req.params;
+    const campaign = campaignStore.getCampaign(id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status === 'generating') {
+      return sendError(res, 409, 'CAMPAIGN_GENERATING', 'Campaign is still being generated');
+    }
+
+    const cleanAddress = address.toLowerCase();
+    if (!checkProofAccess(campaign, cleanAddress, req, res)) return;
+
+    console.log(`🔍 Looking for proof in ${campaign.parentDomain}: ${cleanAddress}, ${subdomain}, ${expiry}`);
+    console.log(`📊 Available records: ${campaign.totalClaims}`);
+
+    // Generate leaf hash (same as contract)
+    const leaf = hashLeaf({ address: cleanAddress, subdomain, expiry }, campaign.treeFormat);
+
+    // CHECK if leaf exists in tree
+    if (!campaignStore.hasLeaf(campaign.id, leaf)) {
+      console.log(`❌ Leaf not found in tree`);
+      // Nothing about the address's other allocations - that would let anyone enumerate them
+      return sendError(res, 404, 'CLAIM_NOT_FOUND', 'Claim not found in Merkle tree');
+    }
+
+    // Get proof
+    const tree = await campaignStore.getTree(campaign.id);
+    const proof = tree.getHexProof(leaf);
+    const [status] = await claimStatus.getStatus(campaign, [{ address: cleanAddress, subdomain, leaf }]);
+
+    console.log(`✅ Proof generated: ${proof.length} elements`);
+
+    res.json({
+      success: true,
+      address: cleanAddress,
+      subdomain,
+      expiry,
+      leaf,
+      proof,
+      campaignId: campaign.id,
+      merkleRoot: campaign.merkleRoot,
+      // null when the chain can't be read
+      ...status
+    });
+
+  } catch (error) {
+    console.error('Proof generation error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to generate proof: ' + error.message);
+  }
+};
+
+/**
+ * Export (or re-export) the static proof bundle for a campaign
+ */
+exports.exportBundle = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status === 'generating') {
+      return sendError(res, 409, 'CAMPAIGN_GENERATING', 'Campaign is still being generated');
+    }
+    if (campaign.privateProofs) {
+      return sendError(res, 409, 'BUNDLE_NOT_ALLOWED', 'Proofs for this campaign are private - a static bundle would publish them');
+    }
+
+    const { manifest } = await bundle.exportBundle(campaign);
+    res.json({
+      success: true,
+      url: `/bundles/${campaign.id}`,
+      manifest
+    });
+
+  } catch (error) {
+    console.error('Bundle export error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Bundle export failed: ' + error.message);
+  }
+};
+
+/**
+ * Get every allocation for an address, with proofs and on-chain claimed status
+ */
+exports.getAllocations = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status === 'generating') {
+      return sendError(res, 409, 'CAMPAIGN_GENERATING', 'Campaign is still being generated');
+    }
+
+    const cleanAddress = req.params.address.toLowerCase();
+    if (!checkProofAccess(campaign, cleanAddress, req, res)) return;
+
+    const allocations = campaignStore.getAllocations(campaign.id, cleanAddress);
+    const tree = await campaignStore.getTree(campaign.id);
+    const status = await claimStatus.getStatus(campaign, allocations);
+
+    console.log(`🔍 Found ${allocations.length} allocation(s) for ${cleanAddress} in ${campaign.parentDomain}`);
+
+    res.json({
+      success: true,
+      address: cleanAddress,
+      campaignId: campaign.id,
+      parentDomain: campaign.parentDomain,
+      merkleRoot: campaign.merkleRoot,
+      allocations: allocations.map((allocation, i) => ({
+        subdomain: allocation.subdomain,
+        expiry: allocation.expiry,
+        leaf: allocation.leaf,
+        proof: tree.getHexProof(allocation.leaf),
+        ...status[i],
+        // Set when the allowlist named this recipient by ENS name
+        ensName: allocation.ensName,
+        resolvedBlock: allocation.resolvedBlock
+      }))
+    });
+
+  } catch (error) {
+    console.error('Allocation lookup error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to look up allocations: ' + error.message);
+  }
+};
+
+/**
+ * Get tree statistics for a campaign
+ */
+exports.getStats = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+
+  res.json({
+    hasTree: true,
+    campaignId: campaign.id,
+    parentDomain: campaign.parentDomain,
+    parentNode: campaign.parentNode,
+    status: campaign.status,
+    merkleRoot: campaign.merkleRoot,
+    treeFormat: campaign.treeFormat,
+    totalClaims: campaign.totalClaims,
+    privateProofs: campaign.privateProofs,
+    createdAt: campaign.createdAt,
+    // Allocations claimed on-chain so far (null without an RPC and factory)
+    claimStatus: await claimStatus.getSummary(campaign),
+    // First 5 for preview - private campaigns only show them to viewers and up
+    sampleClaims: !campaign.privateProofs || auth.hasRole(req.auth?.role, 'viewer')
+      ? campaignStore.getRecords(campaign.id, 5)
+      : []
+  });
+};
+
+/**
+ * List campaigns, optionally filtered by status or parent node
+ */
+exports.listCampaigns = async (req, res) => {
+  const { status, parentNode } = req.query;
+  res.json({ campaigns: campaignStore.listCampaigns({ status, parentNode }) });
+};
+
+/**
+ * Get a single campaign
+ */
+exports.getCampaign = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  res.json({ campaign });
+};
+
+/**
+ * Make a campaign's proofs private or public again: { privateProofs: true|false }.
+ * Going private deletes its static bundle, since anyone could read proofs from it.
+ */
+exports.setPrivacy = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    const { privateProofs } = req.body;
+
+    const updated = campaignStore.setPrivateProofs(campaign.id, privateProofs);
+    const removedBundle = privateProofs && bundle.hasBundle(campaign.id);
+    if (removedBundle) {
+      await bundle.removeBundle(campaign.id);
+    }
+    console.log(`🔒 Proofs for ${campaign.parentDomain} are now ${privateProofs ? 'private' : 'public'}`);
+    res.json({ success: true, campaign: updated, removedBundle });
+
+  } catch (error) {
+    console.error('Privacy update error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Privacy update failed: ' + error.message);
+  }
+};
+
+/**
+ * Archive a campaign - proofs stay available, but the parent node is freed
+ */
+exports.archiveCampaign = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  if (campaign.status !== 'active') {
+    return sendError(res, 409, 'CAMPAIGN_NOT_ACTIVE', `Campaign is ${campaign.status}`);
+  }
+
+  const archived = campaignStore.archiveCampaign(campaign.id);
+  await bundle.writeIndex();
+  console.log(`📦 Archived campaign ${campaign.id} (${campaign.parentDomain})`);
+  res.json({ success: true, campaign: archived });
+};
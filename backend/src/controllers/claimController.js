@@ -0,0 +1,42 @@
+const campaignStore = require('../services/campaignStore');
+const eventStore = require('../services/eventStore');
+const { sendError } = require('../utils/errors');
+
+// A page of claims in the shared list shape
+const page = ({ claims, total }, offset) => ({
+  claims,
+  total,
+  offset,
+  nextOffset: offset + claims.length < total ? offset + claims.length : null
+});
+
+/**
+ * List indexed claims across factories (filters in schemas/claims)
+ */
+exports.listClaims = async (req, res) => {
+  const { offset, limit, ...filters } = req.query;
+  res.json(page(eventStore.listClaims(filters, { offset, limit }), offset));
+};
+
+/**
+ * List indexed claims of a campaign's parent node, on its chain and factory
+ */
+exports.listCampaignClaims = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  const { offset, limit, ...filters } = req.query;
+  const { chainId, factoryAddress, parentNode } = campaign;
+  // Without a recorded factory there is no contract to read claims from
+  const indexed = Boolean(chainId && factoryAddress);
+
+  res.json({
+    campaignId: campaign.id,
+    // Claims after this block haven't been read yet (null: the factory isn't indexed)
+    indexedBlock: indexed ? eventStore.getIndexedBlock(chainId, factoryAddress) : null,
+    ...page(indexed
+      ? eventStore.listClaims({ ...filters, chainId, factoryAddress, parentNode }, { offset, limit })
+      : { claims: [], total: 0 }, offset)
+  });
+};
@@ -0,0 +1,13 @@
+const jobs = require('../services/jobs');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Get status and progress of a background job
+ */
+exports.getJob = async (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+  }
+  res.json({ job });
+};
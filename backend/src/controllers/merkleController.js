@@ -1,240 +1,155 @@
 const fs = require('fs');
-const csv = require('csv-parser');
-const { MerkleTree } = require('merkletreejs');
 const { ethers } = require('ethers');
-
-// Store merkle data in memory (for demo - use Redis/DB in production)
-let merkleData = {
-  tree: null,
-  leaves: [],
-  records: [],
-  root: null
-};
+const campaignStore = require('../services/campaignStore');
+const chain = require('../services/chain');
+const diff = require('../services/diff');
+const versions = require('../services/versions');
+const rowReaders = require('../services/rowReaders');
+const { ValidationReport } = require('../services/reports');
+const { validateRows, conflictIssues } = require('../utils/validation');
+const { findConflicts, resolveConflicts } = require('../utils/conflicts');
+const { sendError } = require('../utils/errors');
 
 /**
- * Generate Merkle tree from uploaded CSV
- * CSV format: address,subdomain,expiry
+ * Detect an uploaded allowlist's headers and suggest which column holds each field.
+ * Returns { format, headers, suggested: { address, subdomain, expiry }, sample (first rows) }
  */
-exports.generateTree = async (req, res) => {
+exports.detectColumns = async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No CSV file uploaded' });
-    }
-
-    const rows = [];
-    
-    // Create a promise to handle async CSV reading properly
-    const processCSV = new Promise((resolve, reject) => {
-      const stream = fs.createReadStream(req.file.path)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Validate row format - ADD BETTER VALIDATION
-          if (row.address && row.subdomain && row.expiry) {
-            // Clean and validate address
-            const cleanAddress = row.address.toLowerCase().trim();
-            if (ethers.isAddress(cleanAddress)) {
-              rows.push({
-                address: cleanAddress,
-                subdomain: row.subdomain.trim(),
-                expiry: parseInt(row.expiry)
-              });
-            } else {
-              console.warn(`Invalid address: ${row.address}`);
-            }
-          }
-        })
-        .on('end', () => {
-          resolve(rows);
-        })
-        .on('error', (error) => {
-          reject(error);
-        });
-    });
-
-    // Wait for CSV processing to complete
-    const processedRows = await processCSV;
-    
-    // CHECK IF WE HAVE VALID ROWS
-    if (processedRows.length === 0) {
-      fs.unlinkSync(req.file.path);
-      return res.status(400).json({ error: 'No valid rows found in CSV' });
-    }
-
-    // Generate leaves using same encoding as Solidity contract
-    const leaves = processedRows.map(row => {
-      return ethers.solidityPackedKeccak256(
-        ['address', 'string', 'uint64'],
-        [row.address, row.subdomain, row.expiry]
-      );
-    });
-
-    // Create Merkle tree
-    const tree = new MerkleTree(leaves, ethers.keccak256, { 
-      sortPairs: true,
-      sortLeaves: true 
-    });
-
-    const root = tree.getHexRoot();
-
-    // Store in memory
-    merkleData = {
-      tree,
-      leaves,
-      records: processedRows,
-      root
-    };
-
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-
-    console.log(`✅ Generated Merkle tree: ${leaves.length} leaves, root: ${root}`);
-
-    res.json({
-      success: true,
-      merkleRoot: root,
-      totalClaims: leaves.length,
-      message: `Generated Merkle tree for ${leaves.length} claims`
-    });
-
+    const columns = await rowReaders.inspectColumns(req.file.path, { fileName: req.file.originalname, sheet: req.body.sheet });
+    res.json({ success: true, ...columns });
   } catch (error) {
-    console.error('Upload error:', error);
-    // Clean up file if it exists
-    if (req.file?.path && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    res.status(500).json({ error: 'Upload failed: ' + error.message });
+    sendError(res, 400, 'INVALID_FILE', 'Failed to parse file: ' + error.message);
+  } finally {
+    fs.unlink(req.file.path, () => {});
   }
 };
 
 /**
- * Get Merkle proof for specific claim
+ * Validate an allowlist (CSV, XLSX, JSON or NDJSON) without storing anything.
+ * Body fields: conflictPolicy, parentDomain (enables the parent expiry check and inherit-parent),
+ *   clampExpiry, sheet (XLSX), columns (JSON field -> header mapping)
  */
-exports.getProof = async (req, res) => {
+exports.validateCSV = async (req, res) => {
   try {
-    if (!merkleData.tree) {
-      return res.status(400).json({ error: 'No Merkle tree generated. Upload CSV first.' });
+    const records = []; // valid rows, checked against each other once all are read
+    const uploaded = new Map(); // row -> values as uploaded, for rows rejected by a conflict
+    const { conflictPolicy, parentDomain, clampExpiry, sheet, columns } = req.body;
+
+    // With a parent domain, expiries are also checked against its NameWrapper expiry
+    let parentExpiry = null;
+    if (parentDomain) {
+      try {
+        parentExpiry = await chain.getParentExpiry(ethers.namehash(parentDomain));
+      } catch (error) {
+        fs.unlinkSync(req.file.path);
+        return sendError(res, 400, 'PARENT_EXPIRY_UNAVAILABLE', `Could not check expiries against the parent: ${error.shortMessage || error.message}`);
+      }
+    }
+    const checks = { parentExpiry, clampExpiry, now: Math.floor(Date.now() / 1000) };
+    const report = new ValidationReport({ parentExpiry });
+
+    try {
+      const entries = rowReaders.readRows(req.file.path, { fileName: req.file.originalname, sheet, columns });
+      for await (const { record, values } of validateRows(entries, report, { checks, createNameResolver: chain.createNameResolver })) {
+        records.push(record);
+        uploaded.set(record.row, { address: values.address, subdomain: values.subdomain, expiry: values.expiry });
+      }
+    } catch (error) {
+      return sendError(res, 400, 'INVALID_FILE', 'Failed to parse file: ' + error.message);
+    } finally {
+      // Clean up file
+      fs.unlinkSync(req.file.path);
     }
 
-    const { address, subdomain, expiry } = req.params;
-    const cleanAddress = address.toLowerCase().trim();
-
-    console.log(`🔍 Looking for proof: ${cleanAddress}, ${subdomain}, ${expiry}`);
-    console.log(`📊 Available records: ${merkleData.records.length}`);
-
-    // Generate leaf hash (same as contract)
-    const leaf = ethers.solidityPackedKeccak256(
-      ['address', 'string', 'uint64'],
-      [cleanAddress, subdomain, parseInt(expiry)]
-    );
-
-    // CHECK if leaf exists in tree
-    const leafIndex = merkleData.leaves.indexOf(leaf);
-    if (leafIndex === -1) {
-      console.log(`❌ Leaf not found in tree`);
-      console.log(`🔍 Searching in records for: ${cleanAddress}`);
-      
-      // Debug: show available records
-      const matchingRecords = merkleData.records.filter(r => r.address === cleanAddress);
-      console.log(`📝 Found ${matchingRecords.length} matching records for address`);
-      
-      return res.status(404).json({ 
-        error: 'Claim not found in Merkle tree',
-        debug: {
-          searchedFor: { address: cleanAddress, subdomain, expiry: parseInt(expiry) },
-          availableRecords: matchingRecords,
-          totalRecords: merkleData.records.length
-        }
+    // Rows sharing an address or label - fatal unless a keep policy resolves them
+    const invalidRows = report.rejectedRows;
+    const conflicts = findConflicts(records);
+    const dropped = conflictPolicy === 'reject' ? new Set() : resolveConflicts(records, conflictPolicy);
+    report.addConflicts(conflictIssues(conflicts, conflictPolicy, dropped), uploaded);
+
+    const result = await report.finish();
+    // Rows dropped by a keep policy are listed as rejected but don't make the upload invalid
+    const valid = invalidRows === 0 && (conflicts.length === 0 || conflictPolicy !== 'reject');
+    if (!valid) {
+      return sendError(res, 400, 'INVALID_ALLOWLIST', `${result.rejectedRows} row(s) rejected - see the report`, {
+        valid,
+        conflictPolicy,
+        totalRows: result.totalRows,
+        report: result
       });
     }
-
-    // Get proof
-    const proof = merkleData.tree.getHexProof(leaf);
-
-    console.log(`✅ Proof generated: ${proof.length} elements`);
-
     res.json({
-      success: true,
-      address: cleanAddress,
-      subdomain,
-      expiry: parseInt(expiry),
-      leaf,
-      proof,
-      merkleRoot: merkleData.root
+      valid,
+      conflictPolicy,
+      totalRows: result.totalRows,
+      report: result,
+      message: 'Allowlist is valid'
     });
 
   } catch (error) {
-    console.error('Proof generation error:', error);
-    res.status(500).json({ error: 'Failed to generate proof: ' + error.message });
+    console.error('Validation error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Validation failed');
   }
 };
 
 /**
- * Get current tree statistics
+ * Diff two allowlists before pushing a new root: added, removed and modified allocations
+ * and labels whose ownership moved, with both roots recomputed from the records.
+ * Each side is a root (from, to - any version's root, or a campaign id for its current one)
+ * or an uploaded allowlist (fromFile, toFile).
+ * Body fields: treeFormat (leaf format for uploaded lists), conflictPolicy (for uploaded lists)
  */
-exports.getStats = async (req, res) => {
-  res.json({
-    hasTree: !!merkleData.tree,
-    merkleRoot: merkleData.root,
-    totalClaims: merkleData.records.length,
-    sampleClaims: merkleData.records.slice(0, 5) // First 5 for preview
-  });
-};
+exports.diffRoots = async (req, res) => {
+  const files = Object.values(req.files || {}).flat();
 
-// Keep your existing validateCSV function unchanged
-exports.validateCSV = async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const { treeFormat, conflictPolicy } = req.body;
+
+    const sides = {};
+    for (const name of ['from', 'to']) {
+      const key = req.body[name];
+      const file = req.files?.[`${name}File`]?.[0];
+      if (!!key === !!file) {
+        const message = `Give ${name} as a root or campaign id, or upload ${name}File - exactly one`;
+        return sendError(res, 400, 'INVALID_REQUEST', message, { issues: [{ in: 'body', path: name, message }] });
+      }
+      if (file) {
+        sides[name] = { file };
+        continue;
+      }
+      const root = campaignStore.findRootVersion(key);
+      if (!root) {
+        return sendError(res, 404, 'ROOT_NOT_FOUND', `No campaign version has root ${key}`);
+      }
+      if (versions.isUpdating(root.campaign.id)) {
+        return sendError(res, 409, 'CAMPAIGN_BUSY', `Campaign for ${root.campaign.parentDomain} is being updated - try again when it's done`);
+      }
+      sides[name] = { root };
     }
 
-    const rows = [];
-    const errors = [];
-
-    fs.createReadStream(req.file.path)
-      .pipe(csv())
-      .on('data', (row, index) => {
-        const rowNum = index + 2; // +2 because CSV has header + 0-indexed
-
-        // Validate address
-        if (!row.address || !ethers.isAddress(row.address)) {
-          errors.push(`Row ${rowNum}: Invalid Ethereum address`);
-        }
-
-        // Validate subdomain
-        if (!row.subdomain || row.subdomain.trim().length === 0) {
-          errors.push(`Row ${rowNum}: Missing subdomain`);
-        }
-
-        // Validate expiry
-        if (!row.expiry || isNaN(parseInt(row.expiry))) {
-          errors.push(`Row ${rowNum}: Invalid expiry timestamp`);
-        }
-
-        rows.push(row);
-      })
-      .on('end', () => {
-        // Clean up file
-        fs.unlinkSync(req.file.path);
+    let result;
+    try {
+      result = await diff.diffRoots(sides, { treeFormat, conflictPolicy });
+    } catch (error) {
+      if (!error.details) throw error;
+      return sendError(res, 400, 'INVALID_ALLOWLIST', error.message, { side: error.side, report: error.details.report });
+    }
 
-        if (errors.length > 0) {
-          return res.status(400).json({
-            valid: false,
-            errors,
-            totalRows: rows.length
-          });
-        }
-
-        res.json({
-          valid: true,
-          totalRows: rows.length,
-          message: 'CSV format is valid'
-        });
-      })
-      .on('error', (error) => {
-        res.status(400).json({ error: 'Failed to parse CSV' });
-      });
+    console.log(`🔀 Diffed ${result.from.merkleRoot} -> ${result.to.merkleRoot}: +${result.summary.added} -${result.summary.removed} ~${result.summary.modified}`);
+    res.json({ success: true, ...result });
 
   } catch (error) {
-    res.status(500).json({ error: 'Validation failed' });
+    console.error('Diff error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Diff failed: ' + error.message);
+  } finally {
+    files.forEach(file => fs.unlink(file.path, () => {}));
   }
 };
+
+/**
+ * Answer a route removed with the single global tree: 410 with the campaign route that replaced it
+ */
+exports.removed = (replacement) => (req, res) => {
+  sendError(res, 410, 'ROUTE_REMOVED', `${req.method} ${req.baseUrl}${req.path} was removed - use ${replacement}`, { replacement });
+};
@@ -0,0 +1,98 @@
+const { ethers } = require('ethers');
+const campaignStore = require('../services/campaignStore');
+const relayStore = require('../services/relayStore');
+const relayer = require('../services/relayer');
+const limit = require('../middleware/rateLimit');
+const { sendError } = require('../utils/errors');
+
+// HTTP status for each error code the relayer throws
+const RELAY_ERRORS = {
+  CLAIM_NOT_FOUND: 404,
+  INTENT_EXPIRED: 400,
+  INVALID_SIGNATURE: 400,
+  RELAY_DISABLED: 409,
+  RELAY_PENDING: 409,
+  RELAY_REJECTED: 409,
+  RELAY_BUDGET_EXHAUSTED: 409
+};
+
+/**
+ * Relayer status of a campaign and the EIP-712 domain and types to sign a claim intent with.
+ * Query: address (optional) to also get its next factory nonce.
+ */
+exports.getRelayInfo = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    res.json({ success: true, campaignId: campaign.id, ...await relayer.getInfo(campaign, req.query.address) });
+  } catch (error) {
+    console.error('Relay info error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to read relayer status: ' + error.message);
+  }
+};
+
+/**
+ * Submit a signed claim intent; the relayer pays the gas.
+ * Body: claimer, subdomain, expiry, nonce, deadline, signature
+ */
+exports.relayClaim = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status !== 'active') {
+      return sendError(res, 409, 'CAMPAIGN_NOT_ACTIVE', `Campaign is ${campaign.status} - only active campaigns relay claims`);
+    }
+
+    const { claimer, ...intent } = req.body;
+    const checked = await relayer.checkIntent(campaign, { ...intent, claimer: claimer.toLowerCase() });
+    // Per claimer only once the claimer signed it - unsigned posts can't spend someone else's bucket
+    if (!await limit.consume(req, res, [{ name: 'relayPerAddress', key: checked.intent.claimer }])) return;
+
+    const relay = await relayer.relayClaim(campaign, checked);
+    res.status(202).json({ success: true, relay });
+
+  } catch (error) {
+    if (RELAY_ERRORS[error.code]) {
+      return sendError(res, RELAY_ERRORS[error.code], error.code, error.message, error.details);
+    }
+    console.error('Relay error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to relay claim: ' + (error.shortMessage || error.message));
+  }
+};
+
+/**
+ * Set a campaign's relayer gas budget. Body: budget (ETH, as a decimal string)
+ */
+exports.setBudget = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  const budget = relayStore.setBudget(campaign.id, ethers.parseEther(req.body.budget));
+  console.log(`⛽ Relayer budget for ${campaign.parentDomain} set to ${req.body.budget} ETH`);
+  res.json({ success: true, campaignId: campaign.id, budget });
+};
+
+/**
+ * A campaign's relayed claims, newest first (?status, offset, limit)
+ */
+exports.listRelays = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  const { offset } = req.query;
+  const { relays, total } = relayStore.listRelays(campaign.id, req.query);
+  res.json({
+    campaignId: campaign.id,
+    budget: relayStore.getBudget(campaign.id),
+    relays,
+    total,
+    offset,
+    nextOffset: offset + relays.length < total ? offset + relays.length : null
+  });
+};
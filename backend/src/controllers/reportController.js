@@ -0,0 +1,13 @@
+const reports = require('../services/reports');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Download a validation report's rejected rows as CSV
+ */
+exports.getRejectedRows = async (req, res) => {
+  const file = reports.getRejectedFile(req.params.id);
+  if (!file) {
+    return sendError(res, 404, 'REPORT_NOT_FOUND', 'Report not found or expired');
+  }
+  res.download(file, 'rejected-rows.csv');
+};
@@ -0,0 +1,110 @@
+const campaignStore = require('../services/campaignStore');
+const claimSessions = require('../services/claimSessions');
+const sessionStore = require('../services/sessionStore');
+const { checkClaimant } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+// HTTP status for each error code the session service throws
+const SESSION_ERRORS = {
+  CLAIM_NOT_FOUND: 404,
+  INVALID_COMMIT_TX: 400,
+  CLAIM_SESSIONS_DISABLED: 409
+};
+
+/**
+ * Start (or resume) a commit-reveal claim: the backend keeps the nonce and returns the
+ * commitment to send to commitClaim. Body: claimer, subdomain, expiry. Only for the claimer
+ * signed in with Ethereum (or viewers) - a resumed session is theirs alone
+ */
+exports.createSession = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status !== 'active') {
+      return sendError(res, 409, 'CAMPAIGN_NOT_ACTIVE', `Campaign is ${campaign.status} - only active campaigns take claims`);
+    }
+    const claimer = req.body.claimer.toLowerCase();
+    if (!checkClaimant(claimer, req, res)) return;
+
+    const session = claimSessions.createSession(campaign, { ...req.body, claimer });
+    res.status(201).json({ success: true, session: await claimSessions.present(campaign, session) });
+
+  } catch (error) {
+    if (SESSION_ERRORS[error.code]) {
+      return sendError(res, SESSION_ERRORS[error.code], error.code, error.message);
+    }
+    console.error('Claim session error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to start claim session: ' + error.message);
+  }
+};
+
+/**
+ * Record the commitClaim transaction of a session. Body: txHash - checked on-chain, so
+ * nobody but the claimer's own commit can be attached
+ */
+exports.recordCommit = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    const session = sessionStore.getSession(campaign.id, req.params.sessionId);
+    if (!session) {
+      return sendError(res, 404, 'SESSION_NOT_FOUND', 'Claim session not found');
+    }
+    const updated = await claimSessions.recordCommit(campaign, session, req.body.txHash);
+    res.json({ success: true, session: await claimSessions.present(campaign, updated) });
+
+  } catch (error) {
+    if (SESSION_ERRORS[error.code]) {
+      return sendError(res, SESSION_ERRORS[error.code], error.code, error.message);
+    }
+    console.error('Claim session error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to record commit: ' + error.message);
+  }
+};
+
+/**
+ * One session - with the nonce and proof once the claimer has to reveal it themselves.
+ * Only for its claimer signed in with Ethereum (or viewers), even when proofs are public
+ */
+exports.getSession = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    const session = sessionStore.getSession(campaign.id, req.params.sessionId);
+    if (!session) {
+      return sendError(res, 404, 'SESSION_NOT_FOUND', 'Claim session not found');
+    }
+    if (!checkClaimant(session.claimer, req, res)) return;
+    res.json({ success: true, session: await claimSessions.present(campaign, session, { withReveal: true }) });
+  } catch (error) {
+    console.error('Claim session error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to read claim session: ' + error.message);
+  }
+};
+
+/**
+ * A claimer's sessions in a campaign, newest first (?claimer) - only for the claimer
+ * signed in with Ethereum (or viewers), even when the campaign's proofs are public
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    const claimer = req.query.claimer.toLowerCase();
+    if (!checkClaimant(claimer, req, res)) return;
+    // Listings never carry the nonce - that's GET /sessions/:sessionId
+    const sessions = sessionStore.listSessions(campaign.id, claimer).map(claimSessions.withoutNonce);
+    res.json({ campaignId: campaign.id, sessions });
+  } catch (error) {
+    console.error('Claim session error:', error);
+    sendError(res, 500, 'INTERNAL_ERROR', 'Failed to list claim sessions: ' + error.message);
+  }
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const campaignStore = require('../services/campaignStore');
+const jobs = require('../services/jobs');
+const rowReaders = require('../services/rowReaders');
+const versions = require('../services/versions');
+const { sendError } = require('../utils/errors');
+
+const MAX_CHANGES_PAGE = 1000;
+
+// Thrown for change sets the schema can't rule out
+const invalidChanges = (message) => Object.assign(new Error(message), { code: 'INVALID_CHANGES' });
+
+/**
+ * Read the change set from the body (checked by schemas/versions): added rows come from the
+ * uploaded file or an `add` array of { address, subdomain, expiry }; remove and edit select rows.
+ */
+const readChangeSet = (req) => {
+  const { add, remove, edit, clampExpiry, note, sheet, columns } = req.body;
+  if (add && req.file) throw invalidChanges('Send added rows either as a file or as add, not both');
+
+  const changes = {
+    remove,
+    edit: edit.map(({ set, ...selector }) => ({
+      ...selector,
+      set: Object.fromEntries(Object.entries(set).map(([field, value]) => [field, String(value)]))
+    })),
+    clampExpiry,
+    note
+  };
+
+  if (req.file) {
+    changes.rows = rowReaders.readRows(req.file.path, { fileName: req.file.originalname, sheet, columns });
+  } else if (add) {
+    changes.rows = add.map(item => item && typeof item === 'object' && !Array.isArray(item)
+      ? { values: { address: String(item.address ?? ''), subdomain: String(item.subdomain ?? ''), expiry: String(item.expiry ?? '') } }
+      : { values: {}, error: 'Entry is not an object' });
+  }
+  if (!changes.rows && changes.remove.length === 0 && changes.edit.length === 0) {
+    throw invalidChanges('Nothing to change - send add (or a file), remove or edit');
+  }
+  return changes;
+};
+
+/**
+ * Append, remove or edit rows of an active campaign, producing a new root version.
+ * Body: add ([{ address, subdomain, expiry }]) or an allowlist file (with sheet / columns as on upload),
+ *   remove ([{ row | subdomain | address }]), edit ([{ row | subdomain | address, set: { address?, subdomain?, expiry? } }]),
+ *   clampExpiry=true, note (shown in the version history)
+ */
+exports.updateRows = async (req, res) => {
+  const cleanup = () => {
+    if (req.file?.path) fs.unlink(req.file.path, () => {});
+  };
+
+  try {
+    const campaign = campaignStore.getCampaign(req.params.id);
+    if (!campaign) {
+      cleanup();
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    if (campaign.status !== 'active') {
+      cleanup();
+      return sendError(res, 409, 'CAMPAIGN_NOT_ACTIVE', `Campaign is ${campaign.status} - only active campaigns can be changed`);
+    }
+
+    let changes;
+    try {
+      changes = readChangeSet(req);
+    } catch (error) {
+      if (error.code !== 'INVALID_CHANGES') throw error;
+      cleanup();
+      return sendError(res, 400, error.code, error.message);
+    }
+
+    if (!versions.reserve(campaign.id)) {
+      cleanup();
+      return sendError(res, 409, 'CAMPAIGN_BUSY', 'Another change to this campaign is still being applied');
+    }
+
+    const release = req.uploadSlot.keep();
+    const job = jobs.startJob('updateRows', async (report) => {
+      try {
+        return await versions.updateRows(campaign, changes, report);
+      } finally {
+        cleanup();
+        release();
+      }
+    });
+
+    console.log(`⏳ Applying row changes to ${campaign.parentDomain} (job ${job.id})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      message: `Updating rows of ${campaign.parentDomain}`
+    });
+
+  } catch (error) {
+    console.error('Row update error:', error);
+    cleanup();
+    sendError(res, 500, 'INTERNAL_ERROR', 'Row update failed: ' + error.message);
+  }
+};
+
+/**
+ * List a campaign's root versions, oldest first
+ */
+exports.listVersions = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  res.json({
+    campaignId: campaign.id,
+    merkleRoot: campaign.merkleRoot,
+    versions: campaignStore.listVersions(campaign.id)
+  });
+};
+
+/**
+ * Get one root version with its row-level diff (?offset= pages through large diffs)
+ */
+exports.getVersion = async (req, res) => {
+  const campaign = campaignStore.getCampaign(req.params.id);
+  if (!campaign) {
+    return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+  }
+  const { offset } = req.query;
+  const version = campaignStore.getVersion(campaign.id, req.params.version, { offset, limit: MAX_CHANGES_PAGE });
+  if (!version) {
+    return sendError(res, 404, 'VERSION_NOT_FOUND', 'Version not found');
+  }
+
+  const total = version.added + version.removed + version.changed;
+  res.json({
+    campaignId: campaign.id,
+    ...version,
+    offset,
+    // Version 1 is the generated tree - its rows are the upload, not a diff
+    nextOffset: version.version > 1 && offset + version.changes.length < total ? offset + version.changes.length : null
+  });
+};
@@ -0,0 +1,115 @@
+const campaignStore = require('../services/campaignStore');
+const webhookStore = require('../services/webhookStore');
+const webhooks = require('../services/webhooks');
+const { sendError } = require('../utils/errors');
+
+/**
+ * The webhook of req.params.id; on a miss sends the 404 and returns null
+ */
+const findWebhook = (req, res) => {
+  const webhook = webhookStore.getWebhook(req.params.id);
+  if (!webhook) {
+    sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+  return webhook;
+};
+
+/**
+ * Webhooks, oldest first (?campaign for the ones receiving a campaign's events)
+ */
+exports.listWebhooks = async (req, res) => {
+  let campaignId;
+  if (req.query.campaign) {
+    const campaign = campaignStore.getCampaign(req.query.campaign);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+    campaignId = campaign.id;
+  }
+  res.json({ webhooks: webhookStore.listWebhooks({ campaignId }) });
+};
+
+/**
+ * Subscribe a URL: { url, campaign?, events?, description? }. The signing secret is only shown here.
+ */
+exports.createWebhook = async (req, res) => {
+  const { campaign: key, ...fields } = req.body;
+  let campaign = null;
+  if (key) {
+    campaign = campaignStore.getCampaign(key);
+    if (!campaign) {
+      return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+    }
+  }
+  const webhook = webhookStore.createWebhook({ ...fields, campaignId: campaign?.id ?? null });
+  console.log(`🪝 Webhook ${webhook.url} for ${campaign ? campaign.parentDomain : 'every campaign'}: ${webhook.events.join(', ')}`);
+  res.status(201).json({ success: true, webhook });
+};
+
+exports.getWebhook = async (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  res.json({ success: true, webhook });
+};
+
+/**
+ * Change a webhook: { url?, events?, description?, active? }
+ */
+exports.updateWebhook = async (req, res) => {
+  if (!findWebhook(req, res)) return;
+  res.json({ success: true, webhook: webhookStore.updateWebhook(req.params.id, req.body) });
+};
+
+exports.deleteWebhook = async (req, res) => {
+  if (!webhookStore.deleteWebhook(req.params.id)) {
+    return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+  res.json({ success: true });
+};
+
+exports.pingWebhook = async (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  res.status(202).json({ success: true, delivery: webhooks.ping(webhook) });
+};
+
+/**
+ * A webhook's deliveries, newest first (?status, event, offset, limit)
+ */
+exports.listDeliveries = async (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  const { offset } = req.query;
+  const { deliveries, total } = webhookStore.listDeliveries(webhook.id, req.query);
+  res.json({
+    webhookId: webhook.id,
+    deliveries,
+    total,
+    offset,
+    nextOffset: offset + deliveries.length < total ? offset + deliveries.length : null
+  });
+};
+
+exports.getDelivery = async (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  const delivery = webhookStore.getDelivery(webhook.id, req.params.deliveryId, { withLog: true });
+  if (!delivery) {
+    return sendError(res, 404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+  }
+  res.json({ success: true, delivery });
+};
+
+/**
+ * Queue a delivery's event again for its webhook
+ */
+exports.replayDelivery = async (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) return;
+  const delivery = webhooks.replay(webhook, req.params.deliveryId);
+  if (!delivery) {
+    return sendError(res, 404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+  }
+  console.log(`🪝 Replaying ${delivery.event} ${delivery.eventId} to ${webhook.url}`);
+  res.status(202).json({ success: true, delivery });
+};
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '../../data/ens-bulk.db');
+
+// Schema migrations - append only, applied in order using PRAGMA user_version.
+// Entries are SQL strings or functions receiving the database handle.
+const migrations = [
+  `
+  CREATE TABLE campaigns (
+    id TEXT PRIMARY KEY,
+    parent_domain TEXT NOT NULL,
+    merkle_root TEXT NOT NULL,
+    total_claims INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_campaigns_root ON campaigns(merkle_root);
+
+  CREATE TABLE allocations (
+    campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    idx INTEGER NOT NULL,
+    address TEXT NOT NULL,
+    subdomain TEXT NOT NULL,
+    expiry INTEGER NOT NULL,
+    leaf TEXT NOT NULL,
+    PRIMARY KEY (campaign_id, idx)
+  );
+  CREATE INDEX idx_allocations_leaf ON allocations(campaign_id, leaf);
+  CREATE INDEX idx_allocations_address ON allocations(campaign_id, address);
+  `,
+  (db) => {
+    db.exec(`
+      ALTER TABLE campaigns ADD COLUMN parent_node TEXT;
+      ALTER TABLE campaigns ADD COLUMN chain_id INTEGER;
+      ALTER TABLE campaigns ADD COLUMN factory_address TEXT;
+      ALTER TABLE campaigns ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+      ALTER TABLE campaigns ADD COLUMN archived_at TEXT;
+    `);
+    // Backfill parent nodes and keep only the newest campaign per parent domain active
+    const rows = db.prepare('SELECT id, parent_domain FROM campaigns ORDER BY created_at DESC').all();
+    const seen = new Set();
+    for (const row of rows) {
+      const parentNode = ethers.namehash(row.parent_domain);
+      const status = seen.has(parentNode) ? 'archived' : 'active';
+      seen.add(parentNode);
+      db.prepare('UPDATE campaigns SET parent_node = ?, status = ? WHERE id = ?').run(parentNode, status, row.id);
+    }
+    db.exec(`
+      CREATE INDEX idx_campaigns_parent_node ON campaigns(parent_node);
+      CREATE UNIQUE INDEX idx_campaigns_active_parent
+        ON campaigns(parent_node, IFNULL(chain_id, 0), IFNULL(factory_address, ''))
+        WHERE status = 'active';
+    `);
+  },
+  `
+  ALTER TABLE campaigns ADD COLUMN tree_format TEXT NOT NULL DEFAULT 'legacy';
+  `,
+  `
+  ALTER TABLE allocations ADD COLUMN raw_subdomain TEXT;
+  CREATE INDEX idx_allocations_subdomain ON allocations(campaign_id, subdomain);
+  `,
+  `
+  ALTER TABLE allocations ADD COLUMN ens_name TEXT;
+  ALTER TABLE allocations ADD COLUMN resolved_block INTEGER;
+  `,
+  `
+  CREATE TABLE root_versions (
+    campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    merkle_root TEXT NOT NULL,
+    total_claims INTEGER NOT NULL,
+    added INTEGER NOT NULL,
+    removed INTEGER NOT NULL,
+    changed INTEGER NOT NULL,
+    note TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (campaign_id, version)
+  );
+
+  -- Row-level diff of each version against the one before; prev_* hold the row as it was
+  CREATE TABLE root_changes (
+    campaign_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    idx INTEGER NOT NULL,
+    change TEXT NOT NULL,
+    address TEXT,
+    subdomain TEXT,
+    expiry INTEGER,
+    leaf TEXT,
+    prev_address TEXT,
+    prev_subdomain TEXT,
+    prev_expiry INTEGER,
+    prev_leaf TEXT,
+    claimed INTEGER,
+    FOREIGN KEY (campaign_id, version) REFERENCES root_versions(campaign_id, version) ON DELETE CASCADE
+  );
+  CREATE INDEX idx_root_changes_version ON root_changes(campaign_id, version, idx);
+
+  -- Existing campaigns start their history at version 1, their generated root
+  INSERT INTO root_versions (campaign_id, version, merkle_root, total_claims, added, removed, changed, created_at)
+    SELECT id, 1, merkle_root, total_claims, total_claims, 0, 0, created_at
+    FROM campaigns WHERE status != 'generating';
+  `,
+  `
+  -- Only hashes of API keys and session tokens are stored
+  CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+
+  -- Wallets allowed to sign in to the dashboard with Sign-In with Ethereum
+  CREATE TABLE admin_accounts (
+    address TEXT PRIMARY KEY,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  `,
+  `
+  -- Private campaigns only hand proofs to the signed-in claimant (or viewers and up)
+  ALTER TABLE campaigns ADD COLUMN private_proofs INTEGER NOT NULL DEFAULT 0;
+
+  -- 'dashboard' sessions carry an account's role; 'claimant' sessions only prove an address
+  ALTER TABLE sessions ADD COLUMN scope TEXT NOT NULL DEFAULT 'dashboard';
+  `,
+  `
+  -- Rate limit token buckets when RATE_LIMIT_STORE=sqlite (see services/rateLimit)
+  CREATE TABLE rate_limits (
+    key TEXT PRIMARY KEY,
+    tokens REAL NOT NULL,
+    updated_at INTEGER NOT NULL,
+    full_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_rate_limits_full ON rate_limits(full_at);
+  `,
+  `
+  -- Factory events followed by the indexer (see services/indexer); unconfirmed ones can still be rolled back by a reorg
+  CREATE TABLE chain_events (
+    chain_id INTEGER NOT NULL,
+    factory_address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_time INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    event TEXT NOT NULL,
+    parent_node TEXT,
+    node TEXT,
+    account TEXT,
+    subdomain TEXT,
+    domain TEXT,
+    commitment TEXT,
+    total_subdomains TEXT,
+    paused INTEGER,
+    confirmed INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (chain_id, block_number, log_index)
+  );
+  CREATE INDEX idx_chain_events_parent ON chain_events(event, parent_node, block_number);
+  CREATE INDEX idx_chain_events_account ON chain_events(event, account, block_number);
+  CREATE INDEX idx_chain_events_factory ON chain_events(chain_id, factory_address, block_number);
+
+  -- Hashes of the last block of each scan, to find where a reorg forked; the newest is the cursor
+  CREATE TABLE indexer_blocks (
+    chain_id INTEGER NOT NULL,
+    factory_address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    PRIMARY KEY (chain_id, factory_address, block_number)
+  );
+  `,
+  `
+  -- Gas the relayer may spend submitting signed claims for a campaign (wei, as decimal strings)
+  CREATE TABLE relay_budgets (
+    campaign_id TEXT PRIMARY KEY REFERENCES campaigns(id),
+    budget_wei TEXT NOT NULL,
+    spent_wei TEXT NOT NULL DEFAULT '0',
+    updated_at TEXT NOT NULL
+  );
+
+  -- Claim intents the relayer submitted; pending ones hold reserved_wei of the budget until mined
+  CREATE TABLE relayed_claims (
+    id TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL REFERENCES campaigns(id),
+    claimer TEXT NOT NULL,
+    subdomain TEXT NOT NULL,
+    expiry INTEGER NOT NULL,
+    nonce TEXT NOT NULL,
+    status TEXT NOT NULL,
+    tx_hash TEXT,
+    reserved_wei TEXT NOT NULL,
+    cost_wei TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+  CREATE INDEX idx_relayed_claims_claimer ON relayed_claims(campaign_id, claimer);
+  CREATE INDEX idx_relayed_claims_status ON relayed_claims(status);
+  `,
+  `
+  -- Commit-reveal claims the backend follows: it keeps the nonce (encrypted) until the reveal
+  CREATE TABLE claim_sessions (
+    id TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    claimer TEXT NOT NULL,
+    subdomain TEXT NOT NULL,
+    expiry INTEGER NOT NULL,
+    leaf TEXT NOT NULL,
+    commitment TEXT NOT NULL UNIQUE,
+    nonce_enc TEXT NOT NULL,
+    status TEXT NOT NULL,
+    commit_tx TEXT,
+    committed_at TEXT,
+    revealable_at TEXT,
+    relay_id TEXT,
+    reveal_tx TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_claim_sessions_claimer ON claim_sessions(campaign_id, claimer);
+  CREATE INDEX idx_claim_sessions_status ON claim_sessions(status);
+  `,
+  `
+  -- Outbound webhook subscriptions (see services/webhooks); no campaign_id means every campaign.
+  -- The secret signs deliveries, so it is kept as is - it is only shown when created.
+  CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY,
+    campaign_id TEXT REFERENCES campaigns(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    events TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    description TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhooks_campaign ON webhooks(campaign_id);
+
+  -- One event sent to one webhook; a replay is a new delivery of the same event_id
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    replay_of TEXT,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT
+  );
+  CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+  CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+  -- Every attempt at a delivery, with what the receiver answered
+  CREATE TABLE webhook_attempts (
+    delivery_id TEXT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER NOT NULL,
+    attempted_at TEXT NOT NULL,
+    PRIMARY KEY (delivery_id, attempt)
+  );
+  `
+];
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let version = current; version < migrations.length; version++) {
+    db.transaction(() => {
+      const migration = migrations[version];
+      if (typeof migration === 'function') {
+        migration(db);
+      } else {
+        db.exec(migration);
+      }
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+if (DB_PATH !== ':memory:') {
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+migrate(db);
+
+module.exports = db;
@@ -0,0 +1,75 @@
+const auth = require('../services/auth');
+const { sendError } = require('../utils/errors');
+
+// API keys and session tokens are sent as "Authorization: Bearer <token>" (or X-API-Key)
+const readToken = (req) => {
+  const header = req.get('authorization');
+  if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('x-api-key')?.trim() || null;
+};
+
+/**
+ * Let through callers with at least `role` (see services/auth ROLES) and set req.auth.
+ * Mount before upload middleware so anonymous uploads never reach the disk.
+ */
+exports.requireRole = (role) => {
+  const middleware = (req, res, next) => {
+    const caller = auth.authenticate(readToken(req));
+    if (!caller) {
+      return sendError(res, 401, 'UNAUTHENTICATED', 'Authentication required - send an API key or sign in with Ethereum');
+    }
+    if (!auth.hasRole(caller.role, role)) {
+      return sendError(res, 403, 'FORBIDDEN', `Requires the ${role} role (signed in as ${caller.role || caller.type})`);
+    }
+    req.auth = caller;
+    next();
+  };
+  // Read by the OpenAPI document
+  middleware.role = role;
+  return middleware;
+};
+
+/**
+ * Set req.auth when the request carries a valid key or session, without requiring one -
+ * for public routes that show more to signed-in callers
+ */
+exports.optionalAuth = (req, res, next) => {
+  req.auth = auth.authenticate(readToken(req));
+  next();
+};
+
+/**
+ * Private campaigns only hand out an address's proofs to that address signed in with Ethereum
+ * (a claimant or dashboard session), or to viewers and up. Without an address, viewers only.
+ * Sends 401 / 403 and returns false when the caller may not see them.
+ */
+exports.checkProofAccess = (campaign, address, req, res) => {
+  if (!campaign.privateProofs) return true;
+  if (!req.auth) {
+    sendError(res, 401, 'PROOFS_PRIVATE', 'Proofs for this campaign are private - sign in with Ethereum as the claimant');
+    return false;
+  }
+  if ((!address || req.auth.address !== address) && !auth.hasRole(req.auth.role, 'viewer')) {
+    sendError(res, 403, 'NOT_CLAIMANT', 'Proofs for this campaign are only available to the signed-in claimant');
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Only the address itself signed in with Ethereum, or viewers and up - whether or not the
+ * campaign's proofs are private. Sends 401 / 403 and returns false for anyone else.
+ */
+exports.checkClaimant = (address, req, res) => {
+  if (!req.auth) {
+    sendError(res, 401, 'UNAUTHENTICATED', 'Sign in with Ethereum as the claimant');
+    return false;
+  }
+  if (req.auth.address !== address && !auth.hasRole(req.auth.role, 'viewer')) {
+    sendError(res, 403, 'NOT_CLAIMANT', 'Only available to the signed-in claimant');
+    return false;
+  }
+  return true;
+};
+
+exports.readToken = readToken;
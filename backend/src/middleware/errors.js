@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const { sendError } = require('../utils/errors');
+
+// Request IDs from the caller (or a proxy) are kept if they look like one
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id - the caller's X-Request-Id or a new one - and echo it back
+ */
+exports.requestId = (req, res, next) => {
+  const given = req.get('x-request-id');
+  req.id = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+/**
+ * 404 for API routes that don't exist. Mounted under /api, so req.path alone would drop
+ * the prefix - the message names the full path
+ */
+exports.notFound = (req, res) => {
+  sendError(res, 404, 'ROUTE_NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+};
+
+/**
+ * Errors thrown or passed to next(): upload and body parsing errors, errors carrying
+ * { status, code }, and anything else as a 500. Keeps all four arguments - that's how
+ * Express tells error handlers apart.
+ */
+exports.errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  if (error instanceof multer.MulterError) {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? sendError(res, 413, 'FILE_TOO_LARGE', 'File is larger than the upload limit')
+      : sendError(res, 400, 'INVALID_REQUEST', `Upload rejected: ${error.message}${error.field ? ` (${error.field})` : ''}`);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (error.status && error.code) {
+    return sendError(res, error.status, error.code, error.message, error.details);
+  }
+
+  console.error(`❌ Unhandled error (request ${req.id}):`, error);
+  sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+};
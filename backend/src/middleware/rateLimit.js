@@ -0,0 +1,134 @@
+const rateLimit = require('../services/rateLimit');
+const { sendError } = require('../utils/errors');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests allowed per window (the whole amount can come in a burst); 0 turns a limit off
+const readLimit = (name, fallback, windowMs) => {
+  const capacity = parseInt(process.env[name]);
+  return { capacity: isNaN(capacity) ? fallback : capacity, windowMs };
+};
+
+const LIMITS = {
+  api: readLimit('RATE_LIMIT_API', 300, MINUTE),
+  proofs: readLimit('RATE_LIMIT_PROOFS', 60, MINUTE),
+  proofsPerAddress: readLimit('RATE_LIMIT_PROOFS_PER_ADDRESS', 20, MINUTE),
+  uploads: readLimit('RATE_LIMIT_UPLOADS', 30, HOUR),
+  signIn: readLimit('RATE_LIMIT_SIGN_IN', 20, MINUTE),
+  relay: readLimit('RATE_LIMIT_RELAY', 10, MINUTE),
+  relayPerAddress: readLimit('RATE_LIMIT_RELAY_PER_ADDRESS', 3, MINUTE),
+  claimSessions: readLimit('RATE_LIMIT_CLAIM_SESSIONS', 20, MINUTE)
+};
+
+// Uploads parsed, hashed and built at the same time - each can hold a large file's rows in memory
+const MAX_CONCURRENT_UPLOADS = parseInt(process.env.MAX_CONCURRENT_UPLOADS) || 2;
+
+const seconds = (ms) => Math.ceil(ms / 1000);
+
+/**
+ * Take a token from each of `buckets` ([{ name, key }], one per LIMITS entry - a null key skips it)
+ * for a request. Sets RateLimit-Limit / -Remaining / -Reset / -Policy for the tightest bucket seen
+ * so far on this request. Answers 429 with Retry-After and returns false once one is empty.
+ */
+const consume = async (req, res, buckets) => {
+  const selected = buckets
+    .filter(({ name, key }) => key && LIMITS[name].capacity > 0)
+    .map(({ name, key }) => ({ key: `${name}:${key}`, ...LIMITS[name] }));
+  if (selected.length === 0) return true;
+
+  let result;
+  try {
+    result = await rateLimit.consume(selected);
+  } catch (error) {
+    // A failing store shouldn't take the API down with it
+    console.error('Rate limit store error:', error);
+    return true;
+  }
+
+  const previous = res.locals.rateLimit;
+  if (!previous || !result.allowed || result.remaining < previous.remaining) {
+    res.locals.rateLimit = result;
+    res.set({
+      'RateLimit-Limit': String(result.capacity),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(seconds(result.resetMs)),
+      'RateLimit-Policy': `${result.capacity};w=${seconds(result.windowMs)}`
+    });
+  }
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(seconds(result.retryMs)));
+    sendError(res, 429, 'RATE_LIMITED', `Too many requests - try again in ${seconds(result.retryMs)}s`, {
+      retryAfter: seconds(result.retryMs)
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Rate limit middleware: `buckets` maps a request to the buckets it takes a token from (see consume)
+ */
+const limiter = (buckets) => async (req, res, next) => {
+  if (await consume(req, res, buckets(req))) next();
+};
+
+// Every API request, per IP
+exports.api = limiter(req => [{ name: 'api', key: req.ip }]);
+
+// Proof and allocation lookups, per IP
+exports.proofs = limiter(req => [{ name: 'proofs', key: req.ip }]);
+
+// ...and per signed-in address (from any IP), mounted after optionalAuth. Not per looked-up
+// address - anyone could spend that bucket and lock the claimant out.
+exports.proofsPerAddress = limiter(req => [{ name: 'proofsPerAddress', key: req.auth?.address }]);
+
+// Allowlist and tree uploads, per IP
+exports.uploads = limiter(req => [{ name: 'uploads', key: req.ip }]);
+
+// Nonces and sign-ins, per IP
+exports.signIn = limiter(req => [{ name: 'signIn', key: req.ip }]);
+
+// Claim sessions started or updated, per IP
+exports.claimSessions = limiter(req => [{ name: 'claimSessions', key: req.ip }]);
+
+// Relayed claims, per IP. The per-claimer bucket (relayPerAddress) is taken by the relay
+// controller once the intent's signature has been checked, so only the claimer can spend it.
+exports.relay = limiter(req => [{ name: 'relay', key: req.ip }]);
+
+let activeUploads = 0;
+
+/**
+ * Cap the uploads being processed at once (MAX_CONCURRENT_UPLOADS); others get a 503 to retry.
+ * The slot is freed when the response ends, unless the handler keeps it for a background job:
+ * `const release = req.uploadSlot.keep()`, then release() when the job is done.
+ */
+exports.uploadSlot = (req, res, next) => {
+  if (activeUploads >= MAX_CONCURRENT_UPLOADS) {
+    res.set('Retry-After', '30');
+    return sendError(res, 503, 'UPLOADS_BUSY', `All ${MAX_CONCURRENT_UPLOADS} upload slots are busy processing other files - try again shortly`);
+  }
+
+  activeUploads++;
+  let released = false;
+  let kept = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    activeUploads--;
+  };
+  req.uploadSlot = {
+    keep: () => {
+      kept = true;
+      return release;
+    }
+  };
+  res.on('close', () => {
+    if (!kept) release();
+  });
+  next();
+};
+
+exports.consume = consume;
+exports.LIMITS = LIMITS;
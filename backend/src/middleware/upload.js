@@ -0,0 +1,38 @@
+const multer = require('multer');
+const path = require('path');
+const { EXTENSIONS } = require('../services/rowReaders');
+
+// Handled by middleware/errors like the other upload errors
+const unsupported = (message) => Object.assign(new Error(message), { status: 400, code: 'UNSUPPORTED_FILE_TYPE' });
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB ~ 1M+ rows
+// Where uploads are kept while they're processed, relative to the working directory
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'src/uploads/';
+
+// Configure multer for allowlist uploads (CSV, XLSX, JSON, NDJSON - see services/rowReaders)
+const upload = multer({ 
+  dest: UPLOAD_DIR,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(unsupported(`Only ${EXTENSIONS.join(', ')} files allowed`), false);
+    }
+  }
+});
+
+// StandardMerkleTree JSON dumps
+upload.json = multer({
+  dest: UPLOAD_DIR,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(unsupported('Only JSON files allowed'), false);
+    }
+  }
+});
+
+module.exports = upload;
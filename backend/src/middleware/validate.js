@@ -0,0 +1,54 @@
+const fs = require('fs');
+const { sendError } = require('../utils/errors');
+
+const OPTIONS = {
+  abortEarly: false,
+  errors: { wrap: { label: false } }
+};
+
+// Uploaded files as a flat list, from upload.single or upload.fields
+const uploadedFiles = (req) => [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+
+/**
+ * Check a request against its schema (see src/schemas): required files, then params, query and
+ * body, which are replaced by their converted values. Mount after the upload middleware so
+ * multipart fields are parsed. Answers 400 INVALID_REQUEST with every issue in details.issues
+ * and removes the uploads. The schema is kept on the middleware for the OpenAPI document.
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const issues = [];
+
+    for (const [field, presence] of Object.entries(schema.files || {})) {
+      const uploaded = req.file?.fieldname === field || req.files?.[field]?.length > 0;
+      if (presence === 'required' && !uploaded) {
+        issues.push({ in: 'file', path: field, message: `${field} is required - upload a file` });
+      }
+    }
+
+    const values = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+      const { value, error } = schema[part].validate(req[part] || {}, OPTIONS);
+      if (error) {
+        issues.push(...error.details.map(detail => ({ in: part, path: detail.path.join('.'), message: detail.message })));
+      }
+      values[part] = value;
+    }
+
+    if (issues.length > 0) {
+      uploadedFiles(req).forEach(file => fs.unlink(file.path, () => {}));
+      return sendError(res, 400, 'INVALID_REQUEST', issues.map(issue => issue.message).join('; '), { issues });
+    }
+
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    // req.query is a getter in Express 5
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true });
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = validate;
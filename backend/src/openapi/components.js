@@ -0,0 +1,367 @@
+const { ERROR_CODES } = require('../utils/errors');
+const { ROLES } = require('../services/auth');
+const { EVENTS } = require('../services/webhooks');
+
+// Response bodies referenced by the route schemas (src/schemas) as `schema: 'Name'`.
+// They list the fields clients rely on; responses may carry more.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (description) => ({ type: 'string', ...(description && { description }) });
+const integer = (description) => ({ type: 'integer', ...(description && { description }) });
+const boolean = (description) => ({ type: 'boolean', ...(description && { description }) });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (properties, required) => ({ type: 'object', properties, ...(required && { required }) });
+const array = (items) => ({ type: 'array', items });
+const hex = (description) => ({ type: 'string', pattern: '^0x[0-9a-fA-F]*$', ...(description && { description }) });
+const dateTime = () => ({ type: 'string', format: 'date-time' });
+const success = (properties) => object({ success: { type: 'boolean', enum: [true] }, ...properties });
+
+const Claim = object({
+  chainId: integer(),
+  factoryAddress: hex(),
+  event: string('SubdomainClaimed'),
+  blockNumber: integer(),
+  blockHash: hex(),
+  logIndex: integer(),
+  txHash: hex(),
+  timestamp: dateTime(),
+  confirmed: boolean('Has INDEXER_CONFIRMATIONS blocks on top - unconfirmed claims can be dropped by a reorg'),
+  parentNode: hex(),
+  subdomain: string('Label as sent to the contract'),
+  node: hex(),
+  claimer: hex()
+});
+const claimPage = {
+  claims: array(Claim),
+  total: integer(),
+  offset: integer(),
+  nextOffset: nullable(integer('Pass as ?offset= for the next page'))
+};
+
+// On-chain claim status of a leaf, through the backend's Multicall3 cache
+const claimStatus = {
+  claimed: nullable(boolean('null when the chain could not be read')),
+  claimedAt: nullable(dateTime()),
+  claimTx: nullable(hex('Set once the indexer has seen the claim'))
+};
+
+// Amounts of wei, as decimal strings
+const wei = (description) => ({ type: 'string', pattern: '^[0-9]+$', ...(description && { description }) });
+
+const RelayBudget = nullable(object({
+  budgetWei: wei(),
+  spentWei: wei('Gas paid by confirmed and reverted relayed claims'),
+  reservedWei: wei('Held for claims still waiting to be mined'),
+  remainingWei: wei(),
+  updatedAt: dateTime()
+}));
+
+const Relay = object({
+  id: { type: 'string', format: 'uuid' },
+  campaignId: string(),
+  claimer: hex(),
+  subdomain: string(),
+  expiry: integer(),
+  nonce: string(),
+  status: { type: 'string', enum: ['pending', 'confirmed', 'failed'] },
+  txHash: nullable(hex()),
+  reservedWei: wei(),
+  costWei: nullable(wei('Gas paid, once mined')),
+  error: nullable(string()),
+  createdAt: dateTime(),
+  finishedAt: nullable(dateTime())
+});
+
+const ClaimSession = object({
+  id: { type: 'string', format: 'uuid' },
+  campaignId: string(),
+  claimer: hex(),
+  subdomain: string(),
+  expiry: integer(),
+  leaf: hex(),
+  commitment: hex('Send to commitClaim'),
+  status: {
+    type: 'string',
+    enum: ['created', 'committed', 'revealable', 'revealing', 'claimed', 'expired'],
+    description: 'created: waiting for the commitment on-chain; revealable: the claimer reveals it themselves'
+  },
+  commitTx: nullable(hex()),
+  committedAt: nullable(dateTime()),
+  revealableAt: nullable(dateTime()),
+  relayId: nullable(string('Relayed claim that reveals it')),
+  revealTx: nullable(hex()),
+  error: nullable(string()),
+  createdAt: dateTime(),
+  updatedAt: dateTime(),
+  nonce: string('Only while revealable'),
+  proof: { ...array(hex()), description: 'Only while revealable' }
+});
+
+const Allocation = object({
+  row: integer(),
+  address: hex(),
+  subdomain: string('Normalized label'),
+  expiry: integer('Unix timestamp'),
+  leaf: hex()
+});
+
+const Webhook = object({
+  id: { type: 'string', format: 'uuid' },
+  campaignId: nullable(string('null: every campaign')),
+  url: string(),
+  events: array({ type: 'string', enum: EVENTS }),
+  secretPrefix: string('First characters of the signing secret, to recognize it'),
+  description: nullable(string()),
+  active: boolean(),
+  createdAt: dateTime(),
+  updatedAt: dateTime()
+});
+
+const WebhookDelivery = object({
+  id: { type: 'string', format: 'uuid' },
+  webhookId: string(),
+  eventId: string('The body\'s id - the same for replays of an event'),
+  event: { type: 'string', enum: [...EVENTS, 'ping'] },
+  status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+  attempts: integer(),
+  nextAttemptAt: nullable(dateTime()),
+  replayOf: nullable(string('Delivery this one sends again')),
+  createdAt: dateTime(),
+  deliveredAt: nullable(dateTime()),
+  payload: { type: 'object', description: 'The body sent - single deliveries only' },
+  log: {
+    ...array(object({
+      attempt: integer(),
+      responseStatus: nullable(integer()),
+      responseBody: nullable(string('Up to 1000 characters')),
+      error: nullable(string()),
+      durationMs: integer(),
+      attemptedAt: dateTime()
+    })),
+    description: 'Every attempt, oldest first - single deliveries only'
+  }
+});
+
+module.exports = {
+  Error: object({
+    error: string('Readable message'),
+    code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code' },
+    requestId: string('The X-Request-Id response header'),
+    details: { type: 'object', description: 'Structured context, e.g. issues for INVALID_REQUEST or report for INVALID_ALLOWLIST' }
+  }, ['error', 'code', 'requestId']),
+  Success: success({}),
+
+  Nonce: object({ nonce: string(), domain: string('Domain the SIWE message must name'), expiresAt: dateTime() }),
+  Session: success({
+    token: string('Send as "Authorization: Bearer <token>"'),
+    expiresAt: dateTime(),
+    address: hex(),
+    role: { type: 'string', enum: ROLES, description: 'Dashboard sessions only' }
+  }),
+  Me: object({
+    auth: object({
+      type: { type: 'string', enum: ['apiKey', 'session'] },
+      role: { type: 'string', enum: ROLES },
+      address: hex('Sessions'),
+      name: string('API keys')
+    })
+  }),
+  ApiKey: object({
+    id: { type: 'string', format: 'uuid' },
+    name: string(),
+    role: { type: 'string', enum: ROLES },
+    prefix: string('First characters of the key, to recognize it'),
+    createdAt: dateTime(),
+    lastUsedAt: nullable(dateTime()),
+    revokedAt: nullable(dateTime())
+  }),
+  ApiKeyList: object({ keys: array(ref('ApiKey')) }),
+  NewApiKey: { allOf: [ref('ApiKey'), success({ key: string('The API key - only shown once') })] },
+  RevokedApiKey: success({ key: ref('ApiKey') }),
+  Account: object({ address: hex(), role: { type: 'string', enum: ROLES }, createdAt: dateTime() }),
+  AccountList: object({ accounts: array(ref('Account')) }),
+  AccountResponse: success({ account: ref('Account') }),
+
+  Campaign: object({
+    id: { type: 'string', format: 'uuid' },
+    parentDomain: string(),
+    parentNode: hex(),
+    chainId: integer(),
+    factoryAddress: nullable(hex()),
+    merkleRoot: nullable(hex()),
+    treeFormat: { type: 'string', enum: ['legacy', 'standard'] },
+    totalClaims: integer(),
+    privateProofs: boolean(),
+    status: { type: 'string', enum: ['generating', 'active', 'archived'] },
+    createdAt: dateTime(),
+    archivedAt: nullable(dateTime())
+  }),
+  CampaignList: object({ campaigns: array(ref('Campaign')) }),
+  CampaignResponse: object({ campaign: ref('Campaign') }),
+  PrivacyResponse: success({ campaign: ref('Campaign'), removedBundle: boolean('Whether the static bundle was deleted') }),
+  BundleResponse: success({ url: string('Bundle path, e.g. /bundles/{campaignId}'), manifest: { type: 'object' } }),
+  TreeDump: object({
+    format: string('standard-v1'),
+    leafEncoding: array(string()),
+    tree: array(hex()),
+    values: array(object({ value: array({}), treeIndex: integer() }))
+  }),
+  Stats: object({
+    hasTree: boolean(),
+    campaignId: string(),
+    parentDomain: string(),
+    parentNode: hex(),
+    status: string(),
+    merkleRoot: nullable(hex()),
+    treeFormat: string(),
+    totalClaims: integer(),
+    privateProofs: boolean(),
+    createdAt: dateTime(),
+    claimStatus: nullable(object({
+      claimed: integer(),
+      unclaimed: integer(),
+      unknown: integer('Allocations whose read failed'),
+      checkedAt: dateTime()
+    })),
+    sampleClaims: array(object({ address: hex(), subdomain: string(), expiry: integer() }))
+  }),
+
+  ClaimList: object(claimPage),
+  CampaignClaimList: object({
+    campaignId: string(),
+    indexedBlock: nullable(integer('Last block read for the campaign factory')),
+    ...claimPage
+  }),
+
+  RelayInfo: success({
+    campaignId: string(),
+    enabled: boolean(),
+    reason: nullable(string('Why claims cannot be relayed')),
+    relayer: nullable(hex('Account that sends relayed claims')),
+    budget: RelayBudget,
+    domain: nullable(object({ name: string(), version: string(), chainId: integer(), verifyingContract: hex() })),
+    types: { type: 'object', description: 'EIP-712 types: ClaimIntent' },
+    nonce: nullable(string('Next factory nonce of ?address'))
+  }),
+  RelayAccepted: success({ relay: Relay }),
+  RelayBudgetResponse: success({ campaignId: string(), budget: RelayBudget }),
+  RelayList: object({
+    campaignId: string(),
+    budget: RelayBudget,
+    relays: array(Relay),
+    total: integer(),
+    offset: integer(),
+    nextOffset: nullable(integer('Pass as ?offset= for the next page'))
+  }),
+
+  WebhookList: object({ webhooks: array(Webhook) }),
+  WebhookResponse: success({ webhook: Webhook }),
+  NewWebhook: success({ webhook: { allOf: [Webhook, object({ secret: string('Signing secret - only shown once') })] } }),
+  WebhookDeliveryResponse: success({ delivery: WebhookDelivery }),
+  WebhookDeliveryList: object({
+    webhookId: string(),
+    deliveries: array(WebhookDelivery),
+    total: integer(),
+    offset: integer(),
+    nextOffset: nullable(integer('Pass as ?offset= for the next page'))
+  }),
+
+  ClaimSessionResponse: success({ session: ClaimSession }),
+  ClaimSessionList: object({ campaignId: string(), sessions: array(ClaimSession) }),
+
+  Proof: success({
+    address: hex(),
+    subdomain: string(),
+    expiry: integer(),
+    leaf: hex(),
+    proof: array(hex()),
+    campaignId: string(),
+    merkleRoot: hex(),
+    ...claimStatus
+  }),
+  Allocations: success({
+    address: hex(),
+    campaignId: string(),
+    parentDomain: string(),
+    merkleRoot: hex(),
+    allocations: array(object({
+      subdomain: string(),
+      expiry: integer(),
+      leaf: hex(),
+      proof: array(hex()),
+      ...claimStatus,
+      ensName: nullable(string('Set when the allowlist named the recipient by ENS name')),
+      resolvedBlock: nullable(integer())
+    }))
+  }),
+
+  Job: object({
+    id: { type: 'string', format: 'uuid' },
+    type: string(),
+    status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+    progress: { type: 'object' },
+    result: nullable({ type: 'object', description: 'Set once completed, e.g. the campaign and its validation report' }),
+    error: nullable(string()),
+    details: nullable({ type: 'object' }),
+    createdAt: dateTime(),
+    finishedAt: nullable(dateTime())
+  }),
+  JobResponse: object({ job: ref('Job') }),
+  JobAccepted: success({ jobId: { type: 'string', format: 'uuid' }, statusUrl: string('Poll for progress'), message: string() }),
+
+  RootVersion: object({
+    version: integer(),
+    merkleRoot: hex(),
+    totalClaims: integer(),
+    added: integer(),
+    removed: integer(),
+    changed: integer(),
+    note: nullable(string()),
+    createdAt: dateTime()
+  }),
+  VersionList: object({ campaignId: string(), merkleRoot: hex(), versions: array(ref('RootVersion')) }),
+  Version: {
+    allOf: [ref('RootVersion'), object({
+      campaignId: string(),
+      changes: array({ allOf: [Allocation, object({ change: string(), previous: nullable(Allocation), claimed: nullable(boolean()) })] }),
+      offset: integer(),
+      nextOffset: nullable(integer('Pass as ?offset= for the next page'))
+    })]
+  },
+
+  Columns: success({
+    format: string(),
+    headers: array(string()),
+    suggested: object({ address: nullable(string()), subdomain: nullable(string()), expiry: nullable(string()) }),
+    sample: array({ type: 'object' })
+  }),
+  ValidationReport: object({
+    id: string(),
+    totalRows: integer(),
+    acceptedRows: integer(),
+    rejectedRows: integer(),
+    warningRows: integer(),
+    parentExpiry: nullable(integer()),
+    summary: { type: 'object', description: 'Severity and count by issue code' },
+    issues: array(object({ row: integer(), code: string(), severity: { type: 'string', enum: ['error', 'warning'] }, message: string() })),
+    truncated: boolean(),
+    rejectedCsvUrl: nullable(string())
+  }),
+  Validation: object({
+    valid: boolean(),
+    conflictPolicy: string(),
+    totalRows: integer(),
+    report: ref('ValidationReport'),
+    message: string()
+  }),
+  Diff: success({
+    from: { type: 'object', description: 'Side summary with its stored and recomputed root' },
+    to: { type: 'object' },
+    identical: boolean(),
+    summary: object({ added: integer(), removed: integer(), modified: integer(), ownershipMoved: integer(), unchanged: integer() }),
+    added: array(Allocation),
+    removed: array(Allocation),
+    modified: array({ type: 'object' }),
+    ownershipMoved: array({ type: 'object' })
+  })
+};
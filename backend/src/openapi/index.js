@@ -0,0 +1,179 @@
+const { version } = require('../../package.json');
+const { ERROR_CODES } = require('../utils/errors');
+const { optionalAuth } = require('../middleware/auth');
+const components = require('./components');
+
+// The OpenAPI 3 document is built from the mounted routers: each route's validate() middleware
+// carries its schema (src/schemas) and requireRole() its role, so the document can't drift
+// from what the server accepts.
+
+/**
+ * Convert a joi description (schema.describe()) to an OpenAPI schema object
+ */
+const toSchema = (description) => {
+  const { type, flags = {}, rules = [], allow = [] } = description;
+  const schema = {};
+
+  if (type === 'alternatives') {
+    schema.oneOf = description.matches.map(match => toSchema(match.schema));
+  } else if (type === 'any') {
+    // anything
+  } else if (type === 'object') {
+    schema.type = 'object';
+    const keys = Object.entries(description.keys || {});
+    if (keys.length > 0) {
+      schema.properties = Object.fromEntries(keys.map(([key, value]) => [key, toSchema(value)]));
+      schema.additionalProperties = false;
+      const required = keys.filter(([, value]) => value.flags?.presence === 'required').map(([key]) => key);
+      if (required.length > 0) schema.required = required;
+    }
+  } else if (type === 'array') {
+    schema.type = 'array';
+    schema.items = description.items?.[0] ? toSchema(description.items[0]) : {};
+  } else {
+    schema.type = type;
+  }
+
+  for (const { name, args } of rules) {
+    if (name === 'integer') schema.type = 'integer';
+    if (name === 'guid') schema.format = 'uuid';
+    if (name === 'pattern') schema.pattern = args.regex.slice(1, args.regex.lastIndexOf('/'));
+    if (name === 'sign' && args.sign === 'positive') schema.minimum = 1;
+    const limit = { min: 'minimum', max: 'maximum' }[name];
+    if (limit && type === 'number') schema[limit] = args.limit;
+    if (limit && type === 'string') schema[`${name}Length`] = args.limit;
+    if (limit && type === 'array') schema[`${name}Items`] = args.limit;
+  }
+
+  const only = allow.filter(value => value !== '');
+  if (flags.only && only.length > 0) schema.enum = only;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+  return schema;
+};
+
+const ERROR_RESPONSE = (codes) => ({
+  description: codes.map(code => `${code} - ${ERROR_CODES[code]}`).join('\n\n'),
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+/**
+ * One operation from a route's schema and role
+ */
+const toOperation = ({ schema, role, signedIn, tag }) => {
+  const operation = { tags: [tag], summary: schema.summary };
+  if (schema.description) operation.description = schema.description;
+  if (schema.deprecated) operation.deprecated = true;
+
+  const parameters = [];
+  for (const [part, location] of [['params', 'path'], ['query', 'query']]) {
+    if (!schema[part]) continue;
+    for (const [name, value] of Object.entries(schema[part].describe().keys)) {
+      parameters.push({
+        name,
+        in: location,
+        required: location === 'path' || value.flags?.presence === 'required',
+        schema: toSchema(value),
+        ...(value.flags?.description && { description: value.flags.description })
+      });
+    }
+  }
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (schema.body || schema.files) {
+    const body = schema.body ? toSchema(schema.body.describe()) : { type: 'object', properties: {} };
+    if (schema.files) {
+      // Uploads are multipart: files as binary fields, JSON fields as JSON strings
+      for (const [field, presence] of Object.entries(schema.files)) {
+        body.properties[field] = { type: 'string', format: 'binary' };
+        if (presence === 'required') body.required = [...(body.required || []), field];
+      }
+    }
+    operation.requestBody = {
+      required: Boolean(schema.files ? Object.values(schema.files).includes('required') : body.required),
+      content: { [schema.files ? 'multipart/form-data' : 'application/json']: { schema: body } }
+    };
+  }
+
+  if (role) {
+    operation.security = [{ bearer: [] }, { apiKey: [] }];
+    operation.description = [operation.description, `Requires the ${role} role.`].filter(Boolean).join('\n\n');
+  }
+  // Public, but shows more to signed-in callers
+  if (signedIn) operation.security = [{}, { bearer: [] }];
+
+  operation.responses = {};
+  for (const [status, response] of Object.entries(schema.responses)) {
+    const content = response.content
+      ? { [response.content]: { schema: { type: 'string' } } }
+      : { 'application/json': { schema: { $ref: `#/components/schemas/${response.schema}` } } };
+    operation.responses[status] = { description: response.description, content };
+  }
+
+  // Errors the route itself answers, plus those of validation, auth and rate limiting
+  const errors = {};
+  const add = (status, code) => {
+    errors[status] = [...new Set([...(errors[status] || []), code])];
+  };
+  if (schema.params || schema.query || schema.body || schema.files) add(400, 'INVALID_REQUEST');
+  if (schema.files) {
+    add(400, 'UNSUPPORTED_FILE_TYPE');
+    add(413, 'FILE_TOO_LARGE');
+    add(503, 'UPLOADS_BUSY');
+  }
+  if (role) {
+    add(401, 'UNAUTHENTICATED');
+    add(403, 'FORBIDDEN');
+  }
+  for (const [status, codes] of Object.entries(schema.errors || {})) codes.forEach(code => add(status, code));
+  add(429, 'RATE_LIMITED');
+  add(500, 'INTERNAL_ERROR');
+  for (const [status, codes] of Object.entries(errors)) operation.responses[status] = ERROR_RESPONSE(codes);
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document for routers mounted at { prefix: router }
+ */
+exports.buildDocument = (mounts) => {
+  const paths = {};
+  for (const [prefix, router] of Object.entries(mounts)) {
+    const tag = prefix.split('/').pop();
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const handlers = layer.route.stack.map(entry => entry.handle);
+      const validator = handlers.find(handle => handle.schema);
+      if (!validator) {
+        throw new Error(`${prefix}${layer.route.path} has no validate() schema`);
+      }
+      const path = (prefix + layer.route.path).replace(/\/$/, '').replace(/:(\w+)/g, '{$1}');
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = toOperation({
+          schema: validator.schema,
+          role: handlers.find(handle => handle.role)?.role,
+          signedIn: handlers.includes(optionalAuth),
+          tag
+        });
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'ENS Bulk Subdomain API',
+      version,
+      description: 'Every error answers { error, code, requestId, details? } - `code` is stable, `requestId` matches the X-Request-Id header.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'API key (ensb_...) or Sign-In with Ethereum session token (enss_...)' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: components
+    }
+  };
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole, optionalAuth } = require('../middleware/auth');
+const limit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+
+const authController = require('../controllers/authController');
+const schemas = require('../schemas/auth');
+
+// Sign-In with Ethereum for the dashboard: get a nonce, then post the signed message
+router.get('/nonce', limit.signIn, validate(schemas.getNonce), authController.getNonce);
+router.post('/siwe', limit.signIn, validate(schemas.signIn), authController.signIn);
+// Claimants of private campaigns sign in the same way to read their own proofs
+router.post('/claimant', limit.signIn, validate(schemas.signInClaimant), authController.signInClaimant);
+
+router.get('/me', requireRole('viewer'), validate(schemas.getMe), authController.getMe);
+router.post('/logout', optionalAuth, validate(schemas.signOut), authController.signOut);
+
+// API keys - the key is only returned when created
+router.get('/keys', requireRole('admin'), validate(schemas.listApiKeys), authController.listApiKeys);
+router.post('/keys', requireRole('admin'), validate(schemas.createApiKey), authController.createApiKey);
+router.delete('/keys/:id', requireRole('admin'), validate(schemas.deleteApiKey), authController.deleteApiKey);
+
+// Wallets allowed to sign in, with their role
+router.get('/accounts', requireRole('admin'), validate(schemas.listAccounts), authController.listAccounts);
+router.put('/accounts/:address', requireRole('admin'), validate(schemas.setAccount), authController.setAccount);
+router.delete('/accounts/:address', requireRole('admin'), validate(schemas.deleteAccount), authController.deleteAccount);
+
+module.exports = router;
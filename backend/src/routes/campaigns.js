@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../middleware/upload');
+const { requireRole, optionalAuth } = require('../middleware/auth');
+const limit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+
+const campaignController = require('../controllers/campaignController');
+const versionController = require('../controllers/versionController');
+const claimController = require('../controllers/claimController');
+const relayController = require('../controllers/relayController');
+const sessionController = require('../controllers/sessionController');
+const schemas = require('../schemas/campaigns');
+const versionSchemas = require('../schemas/versions');
+const claimSchemas = require('../schemas/claims');
+const relaySchemas = require('../schemas/relay');
+const sessionSchemas = require('../schemas/sessions');
+
+// Create a campaign from an uploaded allowlist (CSV, XLSX, JSON or NDJSON)
+router.post('/', requireRole('operator'), limit.uploads, limit.uploadSlot, upload.single('file'), validate(schemas.createCampaign), campaignController.createCampaign);
+
+// Create a standard-format campaign from an OpenZeppelin StandardMerkleTree JSON dump
+router.post('/import', requireRole('operator'), limit.uploads, limit.uploadSlot, upload.json.single('file'), validate(schemas.importCampaign), campaignController.importCampaign);
+
+// List campaigns (?status=active|archived&parentNode=0x...)
+router.get('/', validate(schemas.listCampaigns), campaignController.listCampaigns);
+
+// :id may be the campaign id, its Merkle root or its parent node
+router.get('/:id', validate(schemas.getCampaign), campaignController.getCampaign);
+
+// Archive a campaign (read-only afterwards, frees the parent node for a new campaign)
+router.post('/:id/archive', requireRole('admin'), validate(schemas.archiveCampaign), campaignController.archiveCampaign);
+
+// Make proofs private to their signed-in claimant, or public again
+router.post('/:id/privacy', requireRole('operator'), validate(schemas.setPrivacy), campaignController.setPrivacy);
+
+// Append, remove or edit rows - each change becomes a new root version (JSON body or allowlist file)
+router.post('/:id/versions', requireRole('operator'), limit.uploads, limit.uploadSlot, upload.single('file'), validate(versionSchemas.updateRows), versionController.updateRows);
+
+// Root version history, and one version's row-level diff
+router.get('/:id/versions', requireRole('viewer'), validate(versionSchemas.listVersions), versionController.listVersions);
+router.get('/:id/versions/:version', requireRole('viewer'), validate(versionSchemas.getVersion), versionController.getVersion);
+
+// Export a static proof bundle (served from /bundles/:id)
+router.post('/:id/bundle', requireRole('operator'), validate(schemas.exportBundle), campaignController.exportBundle);
+
+// Download a standard-format tree as StandardMerkleTree JSON
+router.get('/:id/tree', optionalAuth, validate(schemas.exportTree), campaignController.exportTree);
+
+// Get proof for specific claim
+router.get('/:id/proof/:address/:subdomain/:expiry', limit.proofs, optionalAuth, validate(schemas.getProof), limit.proofsPerAddress, campaignController.getProof);
+
+// Get all allocations (label, expiry, proof, claimed status) for an address
+router.get('/:id/allocations/:address', limit.proofs, optionalAuth, validate(schemas.getAllocations), limit.proofsPerAddress, campaignController.getAllocations);
+
+// On-chain claims of the campaign read by the indexer (same filters as /api/claims)
+router.get('/:id/claims', validate(claimSchemas.listCampaignClaims), claimController.listCampaignClaims);
+
+// Gasless claims: relayer status and EIP-712 intent (?address for its nonce), and submitting a signed intent
+router.get('/:id/relay', validate(relaySchemas.getRelayInfo), relayController.getRelayInfo);
+router.post('/:id/relay', limit.relay, validate(relaySchemas.relayClaim), relayController.relayClaim);
+
+// Relayer gas budget and the claims relayed against it
+router.put('/:id/relay/budget', requireRole('admin'), validate(relaySchemas.setBudget), relayController.setBudget);
+router.get('/:id/relay/claims', requireRole('viewer'), validate(relaySchemas.listRelays), relayController.listRelays);
+
+// Commit-reveal claims followed by the backend: it keeps the nonce and reveals (or says when to)
+router.post('/:id/sessions', limit.claimSessions, optionalAuth, validate(sessionSchemas.createSession), sessionController.createSession);
+router.get('/:id/sessions', optionalAuth, validate(sessionSchemas.listSessions), sessionController.listSessions);
+router.get('/:id/sessions/:sessionId', optionalAuth, validate(sessionSchemas.getSession), sessionController.getSession);
+router.post('/:id/sessions/:sessionId/commit', limit.claimSessions, validate(sessionSchemas.recordCommit), sessionController.recordCommit);
+
+// Get tree stats
+router.get('/:id/stats', optionalAuth, validate(schemas.getStats), campaignController.getStats);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const validate = require('../middleware/validate');
+
+const claimController = require('../controllers/claimController');
+const schemas = require('../schemas/claims');
+
+// On-chain claims read by the indexer (?claimer=&subdomain=&parentNode=&fromBlock=&confirmed=&offset=&limit=...)
+router.get('/', validate(schemas.listClaims), claimController.listClaims);
+
+module.exports = router;
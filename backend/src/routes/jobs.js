@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const jobController = require('../controllers/jobController');
+const schemas = require('../schemas/jobs');
+
+// Poll background job progress (e.g. campaign generation)
+router.get('/:id', requireRole('viewer'), validate(schemas.getJob), jobController.getJob);
+
+module.exports = router;
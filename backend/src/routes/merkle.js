@@ -1,32 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-
-// Configure multer for file uploads
-const upload = multer({ 
-  dest: 'src/uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 }, // INCREASE TO 10MB
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only CSV files allowed'), false);
-    }
-  }
-});
+const upload = require('../middleware/upload');
+const { requireRole } = require('../middleware/auth');
+const limit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
 
 const merkleController = require('../controllers/merkleController');
+const schemas = require('../schemas/merkle');
 
-// Generate Merkle tree from CSV
-router.post('/generate', upload.single('file'), merkleController.generateTree);
+// Detect an allowlist's headers and suggest a column mapping (only reads the first rows, so not rate limited)
+router.post('/columns', requireRole('viewer'), limit.uploadSlot, upload.single('file'), validate(schemas.detectColumns), merkleController.detectColumns);
 
-// Get proof for specific claim
-router.get('/proof/:address/:subdomain/:expiry', merkleController.getProof);
+// Validate an allowlist file (CSV, XLSX, JSON or NDJSON)
+router.post('/validate', requireRole('viewer'), limit.uploads, limit.uploadSlot, upload.single('file'), validate(schemas.validateCSV), merkleController.validateCSV);
 
-// Validate CSV format
-router.post('/validate', upload.single('file'), merkleController.validateCSV);
+// Diff two roots or two uploaded allowlists, recomputing both roots
+router.post('/diff', requireRole('viewer'), limit.uploads, limit.uploadSlot, upload.fields([{ name: 'fromFile', maxCount: 1 }, { name: 'toFile', maxCount: 1 }]), validate(schemas.diffRoots), merkleController.diffRoots);
 
-// Get tree stats
-router.get('/stats', merkleController.getStats);
+// Removed with the single global tree (every list is a campaign now) - 410 with the replacement route
+router.post('/generate', validate(schemas.generateTree), merkleController.removed('POST /api/campaigns'));
+router.get('/proof/:address/:subdomain/:expiry', validate(schemas.getProof), merkleController.removed('GET /api/campaigns/:id/proof/:address/:subdomain/:expiry'));
+router.get('/stats', validate(schemas.getStats), merkleController.removed('GET /api/campaigns/:id/stats'));
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const reportController = require('../controllers/reportController');
+const schemas = require('../schemas/reports');
+
+// Download the rows rejected by a validation or generation run
+router.get('/:id/rejected.csv', requireRole('viewer'), validate(schemas.getRejectedRows), reportController.getRejectedRows);
+
+module.exports = router;
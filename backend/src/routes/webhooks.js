@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+const webhookController = require('../controllers/webhookController');
+const schemas = require('../schemas/webhooks');
+
+// Webhook subscriptions - for one campaign or all of them. The secret is only returned when created.
+router.get('/', requireRole('viewer'), validate(schemas.listWebhooks), webhookController.listWebhooks);
+router.post('/', requireRole('admin'), validate(schemas.createWebhook), webhookController.createWebhook);
+router.get('/:id', requireRole('viewer'), validate(schemas.getWebhook), webhookController.getWebhook);
+router.patch('/:id', requireRole('admin'), validate(schemas.updateWebhook), webhookController.updateWebhook);
+router.delete('/:id', requireRole('admin'), validate(schemas.deleteWebhook), webhookController.deleteWebhook);
+
+// Send a test event
+router.post('/:id/ping', requireRole('admin'), validate(schemas.pingWebhook), webhookController.pingWebhook);
+
+// Delivery log, and sending an event again
+router.get('/:id/deliveries', requireRole('viewer'), validate(schemas.listDeliveries), webhookController.listDeliveries);
+router.get('/:id/deliveries/:deliveryId', requireRole('viewer'), validate(schemas.getDelivery), webhookController.getDelivery);
+router.post('/:id/deliveries/:deliveryId/replay', requireRole('admin'), validate(schemas.replayDelivery), webhookController.replayDelivery);
+
+module.exports = router;
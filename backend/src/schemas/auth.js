@@ -0,0 +1,80 @@
+const { Joi, address, uuid } = require('./common');
+const { ROLES } = require('../services/auth');
+
+const signedMessage = Joi.object({
+  message: Joi.string().max(4096).required().description('EIP-4361 message'),
+  signature: Joi.string().pattern(/^0x[0-9a-fA-F]+$/, 'hex').required()
+});
+
+exports.getNonce = {
+  summary: 'Get a nonce for a Sign-In with Ethereum message',
+  responses: { 200: { description: 'Nonce and the domain the message must name', schema: 'Nonce' } }
+};
+
+exports.signIn = {
+  summary: 'Sign in to the dashboard with a signed EIP-4361 message',
+  description: 'The wallet needs a dashboard account. Send the returned token as "Authorization: Bearer <token>".',
+  body: signedMessage,
+  responses: { 200: { description: 'Dashboard session', schema: 'Session' } },
+  errors: { 401: ['SIGN_IN_FAILED'], 403: ['NO_DASHBOARD_ACCESS'] }
+};
+
+exports.signInClaimant = {
+  summary: 'Sign in as a claimant to read your own private proofs',
+  description: 'Any wallet can sign in; the session only proves the address.',
+  body: signedMessage,
+  responses: { 200: { description: 'Claimant session', schema: 'Session' } },
+  errors: { 401: ['SIGN_IN_FAILED'] }
+};
+
+exports.getMe = {
+  summary: 'The authenticated caller and its role',
+  responses: { 200: { description: 'API key or session', schema: 'Me' } }
+};
+
+exports.signOut = {
+  summary: 'End the current session',
+  responses: { 200: { description: 'Signed out', schema: 'Success' } },
+  errors: { 401: ['UNAUTHENTICATED'] }
+};
+
+exports.listApiKeys = {
+  summary: 'List API keys',
+  responses: { 200: { description: 'API keys (without the keys themselves)', schema: 'ApiKeyList' } }
+};
+
+exports.createApiKey = {
+  summary: 'Create an API key',
+  description: 'The key is only returned in this response - the server keeps its hash.',
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    role: Joi.string().valid(...ROLES).default('operator')
+  }),
+  responses: { 201: { description: 'The new key', schema: 'NewApiKey' } }
+};
+
+exports.deleteApiKey = {
+  summary: 'Revoke an API key',
+  params: Joi.object({ id: uuid().required() }),
+  responses: { 200: { description: 'The revoked key', schema: 'RevokedApiKey' } },
+  errors: { 404: ['API_KEY_NOT_FOUND'] }
+};
+
+exports.listAccounts = {
+  summary: 'List wallets allowed to sign in to the dashboard',
+  responses: { 200: { description: 'Dashboard accounts', schema: 'AccountList' } }
+};
+
+exports.setAccount = {
+  summary: "Give a wallet dashboard access, or change its role",
+  params: Joi.object({ address: address().required() }),
+  body: Joi.object({ role: Joi.string().valid(...ROLES).required() }),
+  responses: { 200: { description: 'The account', schema: 'AccountResponse' } }
+};
+
+exports.deleteAccount = {
+  summary: "Remove a wallet's dashboard access and end its sessions",
+  params: Joi.object({ address: address().required() }),
+  responses: { 200: { description: 'Removed', schema: 'Success' } },
+  errors: { 404: ['ACCOUNT_NOT_FOUND'] }
+};
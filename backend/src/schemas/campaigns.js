@@ -0,0 +1,139 @@
+const { Joi, address, bytes32, campaignKey, label, ensName, flag, treeFormat, conflictPolicy, columns, sheet } = require('./common');
+
+const byId = Joi.object({ id: campaignKey().required() });
+
+const CAMPAIGN_NOT_FOUND = ['CAMPAIGN_NOT_FOUND'];
+
+// Body fields shared by allowlist uploads and tree imports (multipart, so every value is a string)
+const campaignFields = {
+  parentDomain: ensName().required().description('Parent ENS name, e.g. myproject.eth'),
+  chainId: Joi.number().integer().positive().empty('').description('Defaults to CHAIN_ID'),
+  factoryAddress: address().empty('').description('Defaults to FACTORY_ADDRESS'),
+  conflictPolicy: conflictPolicy().empty('').description('What to do with rows sharing an address or label'),
+  clampExpiry: flag().description("Lower expiries past the parent's NameWrapper expiry instead of rejecting those rows"),
+  privateProofs: flag().description('Only hand proofs to their signed-in claimant'),
+  exportBundle: flag()
+    .when('privateProofs', { is: true, then: Joi.valid(false).messages({ 'any.only': '{{#label}} cannot be used with privateProofs - a static proof bundle is public' }) })
+    .description('Also write a static proof bundle')
+};
+
+exports.createCampaign = {
+  summary: 'Create a campaign from an allowlist',
+  description: 'Columns address, subdomain and expiry - as CSV (, ; or tab), XLSX, a JSON array or NDJSON. '
+    + 'The Merkle tree is generated in the background: poll the returned job.',
+  files: { file: 'required' },
+  body: Joi.object({
+    ...campaignFields,
+    treeFormat: treeFormat().empty('').default('legacy'),
+    sheet: sheet().empty(''),
+    columns: columns()
+  }),
+  responses: { 202: { description: 'Generation started', schema: 'JobAccepted' } },
+  errors: { 409: ['CAMPAIGN_EXISTS'] }
+};
+
+exports.importCampaign = {
+  summary: 'Create a standard-format campaign from a StandardMerkleTree JSON dump',
+  description: 'The rebuilt root must match the dump. Imported in the background: poll the returned job.',
+  files: { file: 'required' },
+  body: Joi.object({
+    ...campaignFields,
+    treeFormat: Joi.string().valid('standard').empty('').default('standard')
+  }),
+  responses: { 202: { description: 'Import started', schema: 'JobAccepted' } },
+  errors: { 409: ['CAMPAIGN_EXISTS'] }
+};
+
+exports.listCampaigns = {
+  summary: 'List campaigns',
+  query: Joi.object({
+    status: Joi.string().valid('generating', 'active', 'archived'),
+    parentNode: bytes32()
+  }),
+  responses: { 200: { description: 'Campaigns, newest first', schema: 'CampaignList' } }
+};
+
+exports.getCampaign = {
+  summary: 'Get a campaign',
+  params: byId,
+  responses: { 200: { description: 'The campaign', schema: 'CampaignResponse' } },
+  errors: { 404: CAMPAIGN_NOT_FOUND }
+};
+
+exports.archiveCampaign = {
+  summary: 'Archive a campaign',
+  description: 'Proofs stay available, but the parent node is freed for a new campaign.',
+  params: byId,
+  responses: { 200: { description: 'The archived campaign', schema: 'CampaignResponse' } },
+  errors: { 404: CAMPAIGN_NOT_FOUND, 409: ['CAMPAIGN_NOT_ACTIVE'] }
+};
+
+exports.setPrivacy = {
+  summary: "Make a campaign's proofs private to their claimant, or public again",
+  description: 'Going private deletes the static proof bundle.',
+  params: byId,
+  body: Joi.object({ privateProofs: Joi.boolean().required() }),
+  responses: { 200: { description: 'The updated campaign', schema: 'PrivacyResponse' } },
+  errors: { 404: CAMPAIGN_NOT_FOUND }
+};
+
+exports.exportBundle = {
+  summary: 'Export (or re-export) the static proof bundle',
+  description: 'Served from /bundles/{campaignId}.',
+  params: byId,
+  responses: { 200: { description: 'Bundle location and manifest', schema: 'BundleResponse' } },
+  errors: { 404: CAMPAIGN_NOT_FOUND, 409: ['CAMPAIGN_GENERATING', 'BUNDLE_NOT_ALLOWED'] }
+};
+
+exports.exportTree = {
+  summary: 'Download a standard-format campaign as StandardMerkleTree JSON',
+  params: byId,
+  responses: { 200: { description: 'StandardMerkleTree dump', schema: 'TreeDump' } },
+  errors: {
+    400: ['WRONG_TREE_FORMAT'],
+    401: ['PROOFS_PRIVATE'],
+    403: ['NOT_CLAIMANT'],
+    404: CAMPAIGN_NOT_FOUND,
+    409: ['CAMPAIGN_GENERATING']
+  }
+};
+
+exports.getProof = {
+  summary: 'Get the Merkle proof for a claim, with its on-chain claimed status',
+  description: 'Private campaigns only answer the claimant signed in with Ethereum, or viewers and up.',
+  params: Joi.object({
+    id: campaignKey().required(),
+    address: address().required(),
+    subdomain: label().required(),
+    expiry: Joi.number().integer().min(0).required().description('Unix timestamp from the allowlist')
+  }),
+  responses: { 200: { description: 'The leaf and its proof', schema: 'Proof' } },
+  errors: {
+    401: ['PROOFS_PRIVATE'],
+    403: ['NOT_CLAIMANT'],
+    404: ['CAMPAIGN_NOT_FOUND', 'CLAIM_NOT_FOUND'],
+    409: ['CAMPAIGN_GENERATING']
+  }
+};
+
+exports.getAllocations = {
+  summary: "Get an address's allocations with proofs and on-chain claimed status",
+  params: Joi.object({
+    id: campaignKey().required(),
+    address: address().required()
+  }),
+  responses: { 200: { description: 'Allocations for the address', schema: 'Allocations' } },
+  errors: {
+    401: ['PROOFS_PRIVATE'],
+    403: ['NOT_CLAIMANT'],
+    404: CAMPAIGN_NOT_FOUND,
+    409: ['CAMPAIGN_GENERATING']
+  }
+};
+
+exports.getStats = {
+  summary: 'Get tree statistics and how many allocations are claimed',
+  params: byId,
+  responses: { 200: { description: 'Statistics and a few sample claims', schema: 'Stats' } },
+  errors: { 404: CAMPAIGN_NOT_FOUND }
+};
@@ -0,0 +1,34 @@
+const { Joi, address, bytes32, campaignKey, label } = require('./common');
+
+// Filters and paging shared by both claim listings
+const claimQuery = {
+  claimer: address(),
+  subdomain: label(),
+  fromBlock: Joi.number().integer().min(0),
+  toBlock: Joi.number().integer().min(Joi.ref('fromBlock')),
+  confirmed: Joi.boolean().description('Only claims with (true) or without (false) enough confirmations'),
+  offset: Joi.number().integer().min(0).default(0).description('Use nextOffset for the next page'),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+};
+
+exports.listClaims = {
+  summary: 'List indexed on-chain claims',
+  description: 'SubdomainClaimed events read by the indexer from every followed factory, newest first. '
+    + 'Unconfirmed claims can still be dropped by a reorg.',
+  query: Joi.object({
+    ...claimQuery,
+    chainId: Joi.number().integer().positive(),
+    factoryAddress: address(),
+    parentNode: bytes32()
+  }),
+  responses: { 200: { description: 'A page of claims', schema: 'ClaimList' } }
+};
+
+exports.listCampaignClaims = {
+  summary: "List a campaign's indexed on-chain claims",
+  description: "SubdomainClaimed events for the campaign's parent node on its chain and factory, newest first.",
+  params: Joi.object({ id: campaignKey().required() }),
+  query: Joi.object(claimQuery),
+  responses: { 200: { description: 'A page of claims and how far the factory is indexed', schema: 'CampaignClaimList' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
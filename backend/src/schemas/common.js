@@ -0,0 +1,81 @@
+const BaseJoi = require('joi');
+const { ethers } = require('ethers');
+const { normalizeLabel } = require('../utils/labels');
+const { CONFLICT_POLICIES } = require('../utils/conflicts');
+const { TREE_FORMATS } = require('../utils/merkle');
+
+// Multipart bodies carry arrays and objects as JSON strings - parse them before validating
+const parseJson = (value, helpers) => {
+  try {
+    return { value: JSON.parse(value) };
+  } catch {
+    return { errors: [helpers.error('json.invalid')] };
+  }
+};
+
+const Joi = BaseJoi.extend(
+  (joi) => ({ type: 'array', base: joi.array(), coerce: { from: 'string', method: parseJson }, messages: { 'json.invalid': '{{#label}} must be a JSON array' } }),
+  (joi) => ({ type: 'object', base: joi.object(), coerce: { from: 'string', method: parseJson }, messages: { 'json.invalid': '{{#label}} must be a JSON object' } })
+);
+
+const HEX_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const HEX_32 = /^0x[0-9a-fA-F]{64}$/;
+
+const address = () => Joi.string().trim().pattern(HEX_ADDRESS, 'address')
+  .messages({ 'string.pattern.name': '{{#label}} must be a 0x-prefixed Ethereum address' });
+
+const bytes32 = () => Joi.string().trim().pattern(HEX_32, 'bytes32')
+  .messages({ 'string.pattern.name': '{{#label}} must be 0x-prefixed 32 bytes of hex' });
+
+const uuid = () => Joi.string().guid();
+
+// Campaigns are looked up by id, by their (or an earlier version's) Merkle root, or by parent node
+const campaignKey = () => Joi.alternatives(uuid(), bytes32())
+  .description('Campaign id, Merkle root or parent node')
+  .messages({ 'alternatives.match': '{{#label}} must be a campaign id, Merkle root or parent node' });
+
+// A subdomain label, ENSIP-15 normalized (see utils/labels)
+const label = () => Joi.string().custom((value, helpers) => {
+  const { label: normalized, error } = normalizeLabel(value);
+  return error ? helpers.message(`{{#label}}: ${error}`) : normalized;
+}, 'ENSIP-15 normalization');
+
+// A full ENS name, normalized
+const ensName = () => Joi.string().trim().custom((value, helpers) => {
+  try {
+    return ethers.ensNormalize(value);
+  } catch (error) {
+    return helpers.message(`{{#label}} is not a valid ENS name: ${error.shortMessage || error.message}`);
+  }
+}, 'ENS normalization');
+
+// Multipart booleans arrive as 'true' / 'false'
+const flag = () => Joi.boolean().default(false);
+
+const treeFormat = () => Joi.string().valid(...Object.keys(TREE_FORMATS));
+const conflictPolicy = () => Joi.string().valid(...CONFLICT_POLICIES).default('reject');
+
+// Allowlist mapping from fields to header names, e.g. {"address":"wallet"}
+const columns = () => Joi.object({
+  address: Joi.string().trim().min(1),
+  subdomain: Joi.string().trim().min(1),
+  expiry: Joi.string().trim().min(1)
+}).description('Header name for each field, as JSON in multipart bodies');
+
+// XLSX sheet name or 1-based number
+const sheet = () => Joi.string().trim().max(100).description('XLSX sheet name or 1-based number');
+
+module.exports = {
+  Joi,
+  address,
+  bytes32,
+  uuid,
+  campaignKey,
+  label,
+  ensName,
+  flag,
+  treeFormat,
+  conflictPolicy,
+  columns,
+  sheet
+};
@@ -0,0 +1,9 @@
+const { Joi, uuid } = require('./common');
+
+exports.getJob = {
+  summary: 'Poll a background job',
+  description: 'Finished jobs are kept for an hour.',
+  params: Joi.object({ id: uuid().required() }),
+  responses: { 200: { description: 'Status, progress and result', schema: 'JobResponse' } },
+  errors: { 404: ['JOB_NOT_FOUND'] }
+};
@@ -0,0 +1,55 @@
+const { Joi, bytes32, uuid, ensName, flag, treeFormat, conflictPolicy, columns, sheet } = require('./common');
+
+// A diff side given as a root (any version's) or a campaign id for its current root
+const side = () => Joi.alternatives(uuid(), bytes32()).empty('')
+  .messages({ 'alternatives.match': '{{#label}} must be a Merkle root or campaign id' });
+
+exports.detectColumns = {
+  summary: "Detect an allowlist's headers and suggest a column for each field",
+  files: { file: 'required' },
+  body: Joi.object({ sheet: sheet().empty('') }),
+  responses: { 200: { description: 'Headers, suggested mapping and the first rows', schema: 'Columns' } },
+  errors: { 400: ['INVALID_FILE'] }
+};
+
+exports.validateCSV = {
+  summary: 'Validate an allowlist without storing anything',
+  description: 'Rejected rows answer 400 INVALID_ALLOWLIST, with the row-level report in details.',
+  files: { file: 'required' },
+  body: Joi.object({
+    conflictPolicy: conflictPolicy().empty(''),
+    parentDomain: ensName().empty('').description("Also check expiries against the parent's NameWrapper expiry"),
+    clampExpiry: flag(),
+    sheet: sheet().empty(''),
+    columns: columns()
+  }),
+  responses: { 200: { description: 'The allowlist is valid', schema: 'Validation' } },
+  errors: { 400: ['INVALID_ALLOWLIST', 'INVALID_FILE', 'PARENT_EXPIRY_UNAVAILABLE'] }
+};
+
+exports.diffRoots = {
+  summary: 'Diff two roots or two uploaded allowlists, recomputing both roots',
+  description: 'Give each side as a root or campaign id (from, to) or upload it (fromFile, toFile) - exactly one per side. '
+    + 'An uploaded list with rejected rows answers 400 INVALID_ALLOWLIST with { side, report } in details.',
+  files: { fromFile: 'optional', toFile: 'optional' },
+  body: Joi.object({
+    from: side(),
+    to: side(),
+    treeFormat: treeFormat().empty('').description('Leaf format for uploaded lists'),
+    conflictPolicy: conflictPolicy().empty('').description('For uploaded lists')
+  }),
+  responses: { 200: { description: 'Added, removed and modified allocations', schema: 'Diff' } },
+  errors: { 400: ['INVALID_ALLOWLIST'], 404: ['ROOT_NOT_FOUND'], 409: ['CAMPAIGN_BUSY'] }
+};
+
+// The single-tree routes from before campaigns - they only answer 410 with their replacement
+const removed = (replacement) => ({
+  summary: `Removed - use ${replacement}`,
+  deprecated: true,
+  responses: {},
+  errors: { 410: ['ROUTE_REMOVED'] }
+});
+
+exports.generateTree = removed('POST /api/campaigns');
+exports.getProof = removed('GET /api/campaigns/{id}/proof/{address}/{subdomain}/{expiry}');
+exports.getStats = removed('GET /api/campaigns/{id}/stats');
@@ -0,0 +1,71 @@
+const { Joi, address, campaignKey, label } = require('./common');
+
+const byId = Joi.object({ id: campaignKey().required() });
+
+// ECDSA signatures are 65 bytes; contract wallet (ERC-1271) ones carry owner lists or passkey data
+const MAX_SIGNATURE_BYTES = 4096;
+
+const uint = () => Joi.alternatives(
+  Joi.string().trim().pattern(/^\d{1,78}$/, 'uint256'),
+  Joi.number().integer().min(0).cast('string')
+).messages({ 'alternatives.match': '{{#label}} must be a non-negative integer' });
+
+exports.getRelayInfo = {
+  summary: "Get a campaign's relayer status and the EIP-712 claim intent to sign",
+  description: 'Sign ClaimIntent { claimer, parentNode, subdomain, expiry, nonce, deadline } under the returned domain, '
+    + 'then POST it to the same path. Pass address to get its next factory nonce.',
+  params: byId,
+  query: Joi.object({ address: address() }),
+  responses: { 200: { description: 'Relayer status, domain, types and nonce', schema: 'RelayInfo' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
+
+exports.relayClaim = {
+  summary: 'Claim without gas: submit a signed claim intent for the relayer to send',
+  description: 'The intent is checked, simulated and sent from the relayer account, paid from the campaign\'s '
+    + 'gas budget. Poll the transaction hash for the result. One relayed claim per address and campaign.',
+  params: byId,
+  body: Joi.object({
+    claimer: address().required(),
+    subdomain: label().required(),
+    expiry: Joi.number().integer().min(0).required().description('Unix timestamp from the allowlist'),
+    nonce: uint().required().description('Factory nonce of the claimer (see GET)'),
+    deadline: Joi.number().integer().min(0).required().description('Unix timestamp after which the intent is void'),
+    signature: Joi.string().trim().max(2 + MAX_SIGNATURE_BYTES * 2).pattern(/^0x(?:[0-9a-fA-F]{2})+$/, 'signature').required()
+      .description('ECDSA signature, or any ERC-1271 signature for a contract wallet')
+      .messages({
+        'string.pattern.name': '{{#label}} must be 0x-prefixed hex bytes',
+        'string.max': `{{#label}} must be at most ${MAX_SIGNATURE_BYTES} bytes`
+      })
+  }),
+  responses: { 202: { description: 'Transaction sent', schema: 'RelayAccepted' } },
+  errors: {
+    400: ['INVALID_SIGNATURE', 'INTENT_EXPIRED'],
+    404: ['CAMPAIGN_NOT_FOUND', 'CLAIM_NOT_FOUND'],
+    409: ['CAMPAIGN_NOT_ACTIVE', 'RELAY_DISABLED', 'RELAY_PENDING', 'RELAY_REJECTED', 'RELAY_BUDGET_EXHAUSTED']
+  }
+};
+
+exports.setBudget = {
+  summary: "Set a campaign's relayer gas budget",
+  description: 'The total relayed claims may spend, in ETH - what was already spent counts against it. 0 stops relaying.',
+  params: byId,
+  body: Joi.object({
+    budget: Joi.string().trim().pattern(/^\d+(\.\d{1,18})?$/, 'ether').required()
+      .messages({ 'string.pattern.name': '{{#label}} must be an amount of ETH, e.g. "0.5"' })
+  }),
+  responses: { 200: { description: 'The budget', schema: 'RelayBudgetResponse' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
+
+exports.listRelays = {
+  summary: "List a campaign's relayed claims",
+  params: byId,
+  query: Joi.object({
+    status: Joi.string().valid('pending', 'confirmed', 'failed'),
+    offset: Joi.number().integer().min(0).default(0).description('Use nextOffset for the next page'),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+  }),
+  responses: { 200: { description: 'A page of relayed claims, newest first, and the budget', schema: 'RelayList' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
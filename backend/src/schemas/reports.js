@@ -0,0 +1,9 @@
+const { Joi, uuid } = require('./common');
+
+exports.getRejectedRows = {
+  summary: 'Download the rows rejected by a validation or generation run',
+  description: 'Rejected-row files are kept for an hour.',
+  params: Joi.object({ id: uuid().required() }),
+  responses: { 200: { description: 'Rejected rows with their reasons', content: 'text/csv' } },
+  errors: { 404: ['REPORT_NOT_FOUND'] }
+};
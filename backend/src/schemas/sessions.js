@@ -0,0 +1,50 @@
+const { Joi, address, bytes32, campaignKey, uuid, label } = require('./common');
+
+const bySession = Joi.object({ id: campaignKey().required(), sessionId: uuid().required() });
+
+exports.createSession = {
+  summary: 'Start a commit-reveal claim the backend follows',
+  description: 'The backend picks the nonce and keeps it (encrypted). Send the returned commitment to commitClaim; '
+    + 'once REVEAL_DELAY has passed the relayer reveals it, or the session turns revealable for the claimer to reveal. '
+    + 'An allocation with an open session gets that session back.',
+  params: Joi.object({ id: campaignKey().required() }),
+  body: Joi.object({
+    claimer: address().required(),
+    subdomain: label().required(),
+    expiry: Joi.number().integer().min(0).required().description('Unix timestamp from the allowlist')
+  }),
+  responses: { 201: { description: 'The session', schema: 'ClaimSessionResponse' } },
+  errors: {
+    401: ['PROOFS_PRIVATE'],
+    403: ['NOT_CLAIMANT'],
+    404: ['CAMPAIGN_NOT_FOUND', 'CLAIM_NOT_FOUND'],
+    409: ['CAMPAIGN_NOT_ACTIVE', 'CLAIM_SESSIONS_DISABLED']
+  }
+};
+
+exports.recordCommit = {
+  summary: "Record a claim session's commit transaction",
+  description: 'The transaction must be mined and emit CommitmentMade for the session\'s commitment from its claimer. '
+    + 'Once recorded it is kept.',
+  params: bySession,
+  body: Joi.object({ txHash: bytes32().required() }),
+  responses: { 200: { description: 'The session', schema: 'ClaimSessionResponse' } },
+  errors: { 400: ['INVALID_COMMIT_TX'], 404: ['CAMPAIGN_NOT_FOUND', 'SESSION_NOT_FOUND'] }
+};
+
+exports.getSession = {
+  summary: 'Get a claim session',
+  description: 'Revealable sessions also carry the nonce and Merkle proof to call claimSubdomain with.',
+  params: bySession,
+  responses: { 200: { description: 'The session', schema: 'ClaimSessionResponse' } },
+  errors: { 401: ['PROOFS_PRIVATE'], 403: ['NOT_CLAIMANT'], 404: ['CAMPAIGN_NOT_FOUND', 'SESSION_NOT_FOUND'] }
+};
+
+exports.listSessions = {
+  summary: "List a claimer's claim sessions",
+  description: 'Only for the claimer signed in with Ethereum (or viewers), whether or not proofs are private.',
+  params: Joi.object({ id: campaignKey().required() }),
+  query: Joi.object({ claimer: address().required() }),
+  responses: { 200: { description: 'Sessions, newest first', schema: 'ClaimSessionList' } },
+  errors: { 401: ['UNAUTHENTICATED'], 403: ['NOT_CLAIMANT'], 404: ['CAMPAIGN_NOT_FOUND'] }
+};
@@ -0,0 +1,58 @@
+const { Joi, address, campaignKey, label, flag, columns, sheet } = require('./common');
+
+// A stored row, by exactly one of its row number, label or address
+const selector = {
+  row: Joi.number().integer(),
+  subdomain: label(),
+  address: address().lowercase()
+};
+
+// Edited values go through the same checks as uploaded rows
+const value = () => Joi.alternatives(Joi.string(), Joi.number());
+
+exports.updateRows = {
+  summary: 'Append, remove or edit rows',
+  description: 'Each change set becomes a new root version, applied in the background: poll the returned job. '
+    + 'Added rows come from an allowlist file or `add`; JSON fields are JSON strings in multipart bodies.',
+  files: { file: 'optional' },
+  params: Joi.object({ id: campaignKey().required() }),
+  body: Joi.object({
+    add: Joi.array().description('Rows to append: [{ address, subdomain, expiry }], checked like uploaded rows'),
+    remove: Joi.array().items(Joi.object(selector).xor('row', 'subdomain', 'address')).default([]),
+    edit: Joi.array().items(Joi.object({
+      ...selector,
+      set: Joi.object({ address: value(), subdomain: value(), expiry: value() })
+        .or('address', 'subdomain', 'expiry').required()
+    }).xor('row', 'subdomain', 'address')).default([]),
+    clampExpiry: flag(),
+    note: Joi.string().trim().max(500).empty('').description('Shown in the version history'),
+    sheet: sheet().empty(''),
+    columns: columns()
+  }),
+  responses: { 202: { description: 'Update started', schema: 'JobAccepted' } },
+  errors: {
+    400: ['INVALID_CHANGES'],
+    404: ['CAMPAIGN_NOT_FOUND'],
+    409: ['CAMPAIGN_NOT_ACTIVE', 'CAMPAIGN_BUSY']
+  }
+};
+
+exports.listVersions = {
+  summary: "List a campaign's root versions, oldest first",
+  params: Joi.object({ id: campaignKey().required() }),
+  responses: { 200: { description: 'Root versions', schema: 'VersionList' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
+
+exports.getVersion = {
+  summary: 'Get one root version with its row-level diff',
+  params: Joi.object({
+    id: campaignKey().required(),
+    version: Joi.number().integer().min(1).required()
+  }),
+  query: Joi.object({
+    offset: Joi.number().integer().min(0).default(0).description('Pages through large diffs - use nextOffset')
+  }),
+  responses: { 200: { description: 'The version and a page of its changes', schema: 'Version' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND', 'VERSION_NOT_FOUND'] }
+};
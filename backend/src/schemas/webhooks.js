@@ -0,0 +1,98 @@
+const { Joi, campaignKey, uuid } = require('./common');
+const { EVENTS } = require('../services/webhooks');
+
+const byId = Joi.object({ id: uuid().required() });
+const byDelivery = Joi.object({ id: uuid().required(), deliveryId: uuid().required() });
+
+const url = () => Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000)
+  .messages({ 'string.uriCustomScheme': '{{#label}} must be an http(s) URL' });
+const events = () => Joi.array().items(Joi.string().valid(...EVENTS)).min(1).unique()
+  .description(`Any of ${EVENTS.join(', ')}`);
+
+exports.listWebhooks = {
+  summary: 'List webhooks',
+  description: 'Pass campaign to only get the webhooks that receive its events (including those for every campaign).',
+  query: Joi.object({ campaign: campaignKey() }),
+  responses: { 200: { description: 'Webhooks, without their secrets', schema: 'WebhookList' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
+
+exports.createWebhook = {
+  summary: 'Subscribe a URL to campaign events',
+  description: 'Events are POSTed as JSON { id, event, createdAt, campaign, data }, signed in the X-ENSB-Signature header '
+    + '(t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>"> with the secret). Anything but a 2xx answer is retried '
+    + 'with exponential backoff. On-chain events are sent once the indexer confirms them. Without campaign the webhook '
+    + 'gets the events of every campaign. The secret is only returned in this response.',
+  body: Joi.object({
+    url: url().required(),
+    campaign: campaignKey(),
+    events: events().default(EVENTS),
+    description: Joi.string().trim().max(200)
+  }),
+  responses: { 201: { description: 'The webhook, with its signing secret', schema: 'NewWebhook' } },
+  errors: { 404: ['CAMPAIGN_NOT_FOUND'] }
+};
+
+exports.getWebhook = {
+  summary: 'Get a webhook',
+  params: byId,
+  responses: { 200: { description: 'The webhook', schema: 'WebhookResponse' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND'] }
+};
+
+exports.updateWebhook = {
+  summary: "Change a webhook's URL or events, or turn it off and on",
+  description: 'Deliveries of a webhook that is off wait until it is turned on again.',
+  params: byId,
+  body: Joi.object({
+    url: url(),
+    events: events(),
+    description: Joi.string().trim().max(200),
+    active: Joi.boolean()
+  }).min(1),
+  responses: { 200: { description: 'The webhook', schema: 'WebhookResponse' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND'] }
+};
+
+exports.deleteWebhook = {
+  summary: 'Delete a webhook and its delivery log',
+  params: byId,
+  responses: { 200: { description: 'Deleted', schema: 'Success' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND'] }
+};
+
+exports.pingWebhook = {
+  summary: 'Send a ping event to a webhook',
+  description: 'Check a receiver and its signature check - the delivery is logged like any other.',
+  params: byId,
+  responses: { 202: { description: 'The queued delivery', schema: 'WebhookDeliveryResponse' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND'] }
+};
+
+exports.listDeliveries = {
+  summary: "List a webhook's deliveries",
+  params: byId,
+  query: Joi.object({
+    status: Joi.string().valid('pending', 'delivered', 'failed'),
+    event: Joi.string().valid(...EVENTS, 'ping'),
+    offset: Joi.number().integer().min(0).default(0).description('Use nextOffset for the next page'),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+  }),
+  responses: { 200: { description: 'A page of deliveries, newest first', schema: 'WebhookDeliveryList' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND'] }
+};
+
+exports.getDelivery = {
+  summary: 'Get a delivery with its body and every attempt at sending it',
+  params: byDelivery,
+  responses: { 200: { description: 'The delivery and its log', schema: 'WebhookDeliveryResponse' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND', 'DELIVERY_NOT_FOUND'] }
+};
+
+exports.replayDelivery = {
+  summary: 'Send a delivered or failed event again',
+  description: 'Queues a new delivery of the same event (same id in the body), signed afresh.',
+  params: byDelivery,
+  responses: { 202: { description: 'The queued delivery', schema: 'WebhookDeliveryResponse' } },
+  errors: { 404: ['WEBHOOK_NOT_FOUND', 'DELIVERY_NOT_FOUND'] }
+};
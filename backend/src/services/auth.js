@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../db');
+
+// Each role can do everything the ones before it can:
+// viewer - validate, diff, read jobs, reports and version history
+// operator - create, import, update and bundle campaigns
+// admin - archive campaigns, manage API keys, dashboard accounts and webhooks
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+const API_KEY_PREFIX = 'ensb_';
+const SESSION_PREFIX = 'enss_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = (prefix) => prefix + crypto.randomBytes(32).toString('base64url');
+
+exports.ROLES = ROLES;
+
+exports.hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+const toApiKey = (row) => row && {
+  id: row.id,
+  name: row.name,
+  role: row.role,
+  prefix: row.prefix,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at
+};
+
+/**
+ * Create an API key. The key itself is only returned here - the database keeps its hash.
+ */
+exports.createApiKey = ({ name, role }) => {
+  const key = newToken(API_KEY_PREFIX);
+  const row = {
+    id: crypto.randomUUID(),
+    name,
+    role,
+    key_hash: hashToken(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    created_at: new Date().toISOString()
+  };
+  db.prepare(`
+    INSERT INTO api_keys (id, name, role, key_hash, prefix, created_at)
+    VALUES (@id, @name, @role, @key_hash, @prefix, @created_at)
+  `).run(row);
+  return { ...toApiKey(row), key };
+};
+
+exports.listApiKeys = () => {
+  return db.prepare('SELECT * FROM api_keys ORDER BY created_at').all().map(toApiKey);
+};
+
+exports.revokeApiKey = (id) => {
+  db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(new Date().toISOString(), id);
+  return toApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id));
+};
+
+const toAccount = (row) => row && { address: row.address, role: row.role, createdAt: row.created_at };
+
+exports.listAccounts = () => {
+  return db.prepare('SELECT * FROM admin_accounts ORDER BY created_at').all().map(toAccount);
+};
+
+exports.getAccount = (address) => {
+  return toAccount(db.prepare('SELECT * FROM admin_accounts WHERE address = ?').get(address.toLowerCase()));
+};
+
+/**
+ * Allow a wallet to sign in to the dashboard with a role (or change its role)
+ */
+exports.setAccount = (address, role) => {
+  db.prepare(`
+    INSERT INTO admin_accounts (address, role, created_at) VALUES (?, ?, ?)
+    ON CONFLICT (address) DO UPDATE SET role = excluded.role
+  `).run(address.toLowerCase(), role, new Date().toISOString());
+  return exports.getAccount(address);
+};
+
+/**
+ * Remove a wallet's dashboard access and end its sessions
+ */
+exports.removeAccount = db.transaction((address) => {
+  const removed = db.prepare('DELETE FROM admin_accounts WHERE address = ?').run(address.toLowerCase()).changes > 0;
+  db.prepare("DELETE FROM sessions WHERE address = ? AND scope = 'dashboard'").run(address.toLowerCase());
+  return removed;
+});
+
+/**
+ * Give the wallets in ADMIN_ADDRESSES the admin role - called once on startup
+ */
+exports.seedAdmins = () => {
+  const addresses = (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim()).filter(Boolean);
+  for (const address of addresses) {
+    if (!ethers.isAddress(address)) {
+      console.warn(`⚠️ Ignoring invalid address in ADMIN_ADDRESSES: ${address}`);
+      continue;
+    }
+    exports.setAccount(address, 'admin');
+  }
+  return addresses.length;
+};
+
+/**
+ * Start a session for a signed-in wallet: { token, expiresAt }. scope is 'dashboard' (the
+ * wallet's account role applies) or 'claimant' (no role - it only proves the address, for private proofs).
+ * Sessions end at SESSION_TTL_HOURS, or earlier if the SIWE message expires sooner.
+ */
+exports.createSession = (address, { expirationTime, scope = 'dashboard' } = {}) => {
+  const token = newToken(SESSION_PREFIX);
+  const expiresAt = new Date(Math.min(
+    Date.now() + SESSION_TTL_MS,
+    expirationTime ? Date.parse(expirationTime) : Infinity
+  )).toISOString();
+  db.prepare('INSERT INTO sessions (token_hash, address, scope, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+    .run(hashToken(token), address.toLowerCase(), scope, new Date().toISOString(), expiresAt);
+  return { token, expiresAt };
+};
+
+exports.endSession = (token) => {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+};
+
+/**
+ * Look up the caller behind an API key or session token: { type: 'apiKey', id, name, role },
+ * { type: 'session', address, role, expiresAt }, { type: 'claimant', address, role: null, expiresAt }, or null.
+ * A session's role is read from its account, so role changes apply immediately.
+ */
+exports.authenticate = (token) => {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const key = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(tokenHash);
+    if (!key) return null;
+    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), key.id);
+    return { type: 'apiKey', id: key.id, name: key.name, role: key.role };
+  }
+
+  if (token.startsWith(SESSION_PREFIX)) {
+    const session = db.prepare(`
+      SELECT s.address, s.scope, s.expires_at, a.role FROM sessions s
+      LEFT JOIN admin_accounts a ON a.address = s.address
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `).get(tokenHash, new Date().toISOString());
+    if (!session) return null;
+    if (session.scope === 'claimant') {
+      return { type: 'claimant', address: session.address, role: null, expiresAt: session.expires_at };
+    }
+    if (!session.role) return null;
+    return { type: 'session', address: session.address, role: session.role, expiresAt: session.expires_at };
+  }
+  return null;
+};
+
+/**
+ * Drop expired sessions - called on startup
+ */
+exports.clearExpiredSessions = () => {
+  return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString()).changes;
+};
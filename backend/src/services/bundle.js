@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const campaignStore = require('./campaignStore');
+const bundleFiles = require('./bundleFiles');
+
+const BUNDLE_DIR = process.env.BUNDLE_DIR || path.join(__dirname, '../../data/bundles');
+exports.BUNDLE_DIR = BUNDLE_DIR;
+exports.shardKey = bundleFiles.shardKey;
+
+/**
+ * Write a self-contained proof bundle for a campaign:
+ *   <BUNDLE_DIR>/<campaignId>/manifest.json
+ *   <BUNDLE_DIR>/<campaignId>/proofs/<address prefix>.json
+ * and refresh <BUNDLE_DIR>/index.json so static hosts can list campaigns.
+ */
+exports.exportBundle = async (campaign) => {
+  const dir = path.join(BUNDLE_DIR, campaign.id);
+  const tree = await campaignStore.getTree(campaign.id);
+  const rows = db.prepare(`
+    SELECT address, subdomain, expiry, leaf FROM allocations
+    WHERE campaign_id = ? ORDER BY address, idx
+  `).iterate(campaign.id);
+
+  const manifest = await bundleFiles.writeBundle(dir, campaign, rows, tree);
+  await exports.writeIndex();
+
+  console.log(`📦 Exported proof bundle for ${campaign.parentDomain}: ${manifest.shards.length} shards`);
+  return { path: dir, manifest };
+};
+
+exports.hasBundle = (campaignId) => fs.existsSync(path.join(BUNDLE_DIR, campaignId, 'manifest.json'));
+
+/**
+ * Delete a campaign's bundle (when its proofs become private) and drop it from index.json
+ */
+exports.removeBundle = async (campaignId) => {
+  await fs.promises.rm(path.join(BUNDLE_DIR, campaignId), { recursive: true, force: true });
+  await exports.writeIndex();
+};
+
+/**
+ * Rewrite index.json with every campaign that has a bundle on disk
+ */
+exports.writeIndex = async () => {
+  const campaigns = campaignStore.listCampaigns()
+    .filter(c => exports.hasBundle(c.id))
+    .map(c => ({
+      id: c.id,
+      parentDomain: c.parentDomain,
+      parentNode: c.parentNode,
+      merkleRoot: c.merkleRoot,
+      totalClaims: c.totalClaims,
+      status: c.status,
+      createdAt: c.createdAt
+    }));
+
+  await fs.promises.mkdir(BUNDLE_DIR, { recursive: true });
+  await fs.promises.writeFile(
+    path.join(BUNDLE_DIR, 'index.json'),
+    JSON.stringify({ version: bundleFiles.BUNDLE_VERSION, campaigns }, null, 2)
+  );
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { TREE_FORMATS } = require('../utils/merkle');
+
+// Proof bundle layout, kept free of the database so the ens-bulk CLI writes the same files
+const BUNDLE_VERSION = 1;
+const TARGET_SHARD_SIZE = 256; // addresses per shard file, roughly
+
+exports.BUNDLE_VERSION = BUNDLE_VERSION;
+
+/**
+ * Number of hex characters of the address used as shard key,
+ * chosen so each shard holds about TARGET_SHARD_SIZE addresses
+ */
+const shardPrefixLength = (totalClaims) => {
+  const length = Math.ceil(Math.log(totalClaims / TARGET_SHARD_SIZE) / Math.log(16));
+  return Math.min(Math.max(length, 1), 4);
+};
+
+exports.shardKey = (address, prefixLength) => address.toLowerCase().slice(2, 2 + prefixLength);
+
+/**
+ * Write a proof bundle into dir (manifest.json and proofs/<address prefix>.json), replacing
+ * what was there. rows: { address, subdomain, expiry, leaf } ordered by address, then upload
+ * order; campaign: the campaign fields of the manifest (id is null outside the API).
+ */
+exports.writeBundle = async (dir, campaign, rows, tree) => {
+  const proofsDir = path.join(dir, 'proofs');
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.mkdir(proofsDir, { recursive: true });
+
+  const prefixLength = shardPrefixLength(campaign.totalClaims);
+
+  // Rows are ordered by address, so each shard is complete before the next begins
+  const shards = [];
+  let currentKey = null;
+  let current = {};
+  const flush = async () => {
+    if (currentKey === null) return;
+    await fs.promises.writeFile(path.join(proofsDir, `${currentKey}.json`), JSON.stringify(current));
+    shards.push(currentKey);
+  };
+
+  for (const row of rows) {
+    const key = exports.shardKey(row.address, prefixLength);
+    if (key !== currentKey) {
+      await flush();
+      currentKey = key;
+      current = {};
+    }
+    (current[row.address] ||= []).push({
+      subdomain: row.subdomain,
+      expiry: row.expiry,
+      leaf: row.leaf,
+      proof: tree.getHexProof(row.leaf)
+    });
+  }
+  await flush();
+
+  const manifest = {
+    version: BUNDLE_VERSION,
+    campaignId: campaign.id,
+    parentDomain: campaign.parentDomain,
+    parentNode: campaign.parentNode,
+    chainId: campaign.chainId,
+    factoryAddress: campaign.factoryAddress,
+    merkleRoot: campaign.merkleRoot,
+    totalClaims: campaign.totalClaims,
+    treeFormat: campaign.treeFormat,
+    leafEncoding: TREE_FORMATS[campaign.treeFormat].leafEncoding,
+    shardPrefixLength: prefixLength,
+    shards,
+    createdAt: campaign.createdAt,
+    exportedAt: new Date().toISOString()
+  };
+  await fs.promises.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return manifest;
+};
+
+/**
+ * Read the allocations of one address from a bundle directory: [{ subdomain, expiry, leaf, proof }]
+ */
+exports.readAllocations = async (dir, manifest, address) => {
+  const key = exports.shardKey(address, manifest.shardPrefixLength);
+  if (!manifest.shards.includes(key)) return [];
+  const shard = JSON.parse(await fs.promises.readFile(path.join(dir, 'proofs', `${key}.json`), 'utf8'));
+  return shard[address.toLowerCase()] || [];
+};
@@ -0,0 +1,501 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../db');
+const pool = require('../workers/pool');
+const { createTree, NODE_SIZE } = require('../utils/merkle');
+
+// Rebuilt Merkle trees, keyed by campaign id. The database is the source of truth,
+// so this is a small LRU cache - a million-leaf tree takes about 64MB.
+const TREE_CACHE_SIZE = parseInt(process.env.TREE_CACHE_SIZE) || 16;
+const trees = new Map();
+const LEAF_PAGE_SIZE = 50000;
+
+const toCampaign = (row) => row && {
+  id: row.id,
+  parentDomain: row.parent_domain,
+  parentNode: row.parent_node,
+  chainId: row.chain_id,
+  factoryAddress: row.factory_address,
+  merkleRoot: row.merkle_root,
+  treeFormat: row.tree_format,
+  totalClaims: row.total_claims,
+  privateProofs: row.private_proofs === 1,
+  status: row.status,
+  createdAt: row.created_at,
+  archivedAt: row.archived_at
+};
+
+const toRecord = (row) => ({
+  address: row.address,
+  subdomain: row.subdomain,
+  expiry: row.expiry
+});
+
+const insertCampaign = db.prepare(`
+  INSERT INTO campaigns (
+    id, parent_domain, parent_node, chain_id, factory_address,
+    merkle_root, tree_format, total_claims, private_proofs, status, created_at
+  )
+  VALUES (
+    @id, @parentDomain, @parentNode, @chainId, @factoryAddress,
+    @merkleRoot, @treeFormat, @totalClaims, @privateProofs, @status, @createdAt
+  )
+`);
+
+const toAllocation = (row) => ({
+  row: row.idx,
+  address: row.address,
+  subdomain: row.subdomain,
+  original: row.raw_subdomain ?? row.subdomain,
+  expiry: row.expiry,
+  leaf: row.leaf,
+  ensName: row.ens_name,
+  resolvedBlock: row.resolved_block
+});
+
+const toVersion = (row) => ({
+  version: row.version,
+  merkleRoot: row.merkle_root,
+  totalClaims: row.total_claims,
+  added: row.added,
+  removed: row.removed,
+  changed: row.changed,
+  note: row.note,
+  createdAt: row.created_at
+});
+
+const toChange = (row) => ({
+  row: row.idx,
+  change: row.change,
+  address: row.address,
+  subdomain: row.subdomain,
+  expiry: row.expiry,
+  leaf: row.leaf,
+  previous: row.prev_leaf && {
+    address: row.prev_address,
+    subdomain: row.prev_subdomain,
+    expiry: row.prev_expiry,
+    leaf: row.prev_leaf
+  },
+  // Whether the previous leaf had been claimed on-chain when it was removed or changed
+  claimed: row.claimed === null ? null : row.claimed === 1
+});
+
+const insertAllocation = db.prepare(`
+  INSERT INTO allocations (campaign_id, idx, address, subdomain, raw_subdomain, expiry, leaf, ens_name, resolved_block)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+/**
+ * Create a campaign in the 'generating' state; allocations are streamed in afterwards
+ */
+exports.createPendingCampaign = ({ parentDomain, chainId, factoryAddress, treeFormat = 'legacy', privateProofs = false }) => {
+  const campaign = {
+    id: crypto.randomUUID(),
+    parentDomain,
+    parentNode: ethers.namehash(parentDomain),
+    chainId: chainId ?? null,
+    factoryAddress: factoryAddress ? factoryAddress.toLowerCase() : null,
+    merkleRoot: '',
+    treeFormat,
+    totalClaims: 0,
+    privateProofs,
+    status: 'generating',
+    createdAt: new Date().toISOString(),
+    archivedAt: null
+  };
+  insertCampaign.run({ ...campaign, privateProofs: privateProofs ? 1 : 0 });
+  return campaign;
+};
+
+/**
+ * Store a batch of hashed records. idx is the record's row number in the upload;
+ * raw_subdomain keeps the label as uploaded when normalization changed it;
+ * ens_name / resolved_block record where an address resolved from an ENS name came from.
+ */
+const storeAllocation = (campaignId, record, leaf) => {
+  const raw = record.original !== record.subdomain ? record.original : null;
+  insertAllocation.run(
+    campaignId, record.row, record.address, record.subdomain, raw, record.expiry, leaf,
+    record.ensName ?? null, record.resolvedBlock ?? null
+  );
+};
+
+exports.insertAllocations = db.transaction((campaignId, records, leaves) => {
+  records.forEach((record, i) => storeAllocation(campaignId, record, leaves[i]));
+});
+
+/**
+ * Rows sharing an address or label with another row - the only ones that can conflict
+ */
+exports.getConflictCandidates = (campaignId) => {
+  return db.prepare(`
+    SELECT * FROM allocations
+    WHERE campaign_id = @campaignId AND (
+      address IN (
+        SELECT address FROM allocations WHERE campaign_id = @campaignId
+        GROUP BY address HAVING COUNT(*) > 1
+      )
+      OR subdomain IN (
+        SELECT subdomain FROM allocations WHERE campaign_id = @campaignId
+        GROUP BY subdomain HAVING COUNT(*) > 1
+      )
+    )
+    ORDER BY idx
+  `).all({ campaignId }).map(row => ({
+    ...toRecord(row),
+    row: row.idx,
+    original: row.raw_subdomain ?? row.subdomain
+  }));
+};
+
+/**
+ * Remove allocations by row number (conflict resolution)
+ */
+exports.deleteAllocations = db.transaction((campaignId, rows) => {
+  const remove = db.prepare('DELETE FROM allocations WHERE campaign_id = ? AND idx = ?');
+  for (const row of rows) remove.run(campaignId, row);
+});
+
+const insertVersion = db.prepare(`
+  INSERT INTO root_versions (campaign_id, version, merkle_root, total_claims, added, removed, changed, note, created_at)
+  VALUES (@campaignId, @version, @merkleRoot, @totalClaims, @added, @removed, @changed, @note, @createdAt)
+`);
+
+const insertChange = db.prepare(`
+  INSERT INTO root_changes (
+    campaign_id, version, idx, change, address, subdomain, expiry, leaf,
+    prev_address, prev_subdomain, prev_expiry, prev_leaf, claimed
+  )
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+/**
+ * Mark a generated campaign as live with its final root - version 1 of its root history
+ */
+exports.activateCampaign = db.transaction((campaignId, merkleRoot, totalClaims) => {
+  db.prepare(`
+    UPDATE campaigns SET status = 'active', merkle_root = ?, total_claims = ?
+    WHERE id = ?
+  `).run(merkleRoot, totalClaims, campaignId);
+  insertVersion.run({
+    campaignId, version: 1, merkleRoot, totalClaims,
+    added: totalClaims, removed: 0, changed: 0, note: null, createdAt: new Date().toISOString()
+  });
+  return exports.getCampaign(campaignId);
+});
+
+/**
+ * Stored allocations matching one selector: { row } (row number), { subdomain } (normalized label) or { address }
+ */
+exports.findAllocations = (campaignId, { row, subdomain, address }) => {
+  const column = row !== undefined ? 'idx' : subdomain !== undefined ? 'subdomain' : 'address';
+  return db.prepare(`SELECT * FROM allocations WHERE campaign_id = ? AND ${column} = ? ORDER BY idx`)
+    .all(campaignId, row ?? subdomain ?? address)
+    .map(toAllocation);
+};
+
+/**
+ * Row number after the campaign's last allocation - where appended rows start
+ */
+exports.getNextRow = (campaignId) => {
+  return (db.prepare('SELECT MAX(idx) FROM allocations WHERE campaign_id = ?').pluck().get(campaignId) ?? 0) + 1;
+};
+
+/**
+ * Apply a row-level diff to a campaign's allocations and drop its cached tree.
+ * added / removed hold allocations, changed holds { prev, next } pairs for the same row.
+ */
+exports.applyRowChanges = db.transaction((campaignId, { added, removed, changed }) => {
+  const remove = db.prepare('DELETE FROM allocations WHERE campaign_id = ? AND idx = ?');
+  for (const allocation of removed) remove.run(campaignId, allocation.row);
+  for (const { prev } of changed) remove.run(campaignId, prev.row);
+  for (const allocation of added) storeAllocation(campaignId, allocation, allocation.leaf);
+  for (const { next } of changed) storeAllocation(campaignId, next, next.leaf);
+  trees.delete(campaignId);
+});
+
+/**
+ * Record a new root version with its diff (see applyRowChanges) and make the root current.
+ * Removed and changed entries carry claimed: whether their old leaf was claimed on-chain.
+ */
+exports.recordVersion = db.transaction((campaignId, { merkleRoot, totalClaims, added, removed, changed, note }) => {
+  const version = db.prepare('SELECT MAX(version) FROM root_versions WHERE campaign_id = ?').pluck().get(campaignId) + 1;
+  insertVersion.run({
+    campaignId, version, merkleRoot, totalClaims,
+    added: added.length, removed: removed.length, changed: changed.length,
+    note: note ?? null, createdAt: new Date().toISOString()
+  });
+
+  const claimedFlag = (claimed) => claimed === null || claimed === undefined ? null : Number(claimed);
+  for (const a of added) {
+    insertChange.run(campaignId, version, a.row, 'added', a.address, a.subdomain, a.expiry, a.leaf,
+      null, null, null, null, null);
+  }
+  for (const a of removed) {
+    insertChange.run(campaignId, version, a.row, 'removed', null, null, null, null,
+      a.address, a.subdomain, a.expiry, a.leaf, claimedFlag(a.claimed));
+  }
+  for (const { prev, next, claimed } of changed) {
+    insertChange.run(campaignId, version, next.row, 'changed', next.address, next.subdomain, next.expiry, next.leaf,
+      prev.address, prev.subdomain, prev.expiry, prev.leaf, claimedFlag(claimed));
+  }
+
+  db.prepare('UPDATE campaigns SET merkle_root = ?, total_claims = ? WHERE id = ?').run(merkleRoot, totalClaims, campaignId);
+  return version;
+});
+
+/**
+ * Find the campaign version a root belongs to: { campaign, version, latest }, or null.
+ * key is a Merkle root from any version, or a campaign id (its current root).
+ * A root shared by several campaigns resolves to the active one, then the most recent.
+ */
+exports.findRootVersion = (key) => {
+  const row = db.prepare(`
+    SELECT v.campaign_id, v.version,
+      v.version = (SELECT MAX(version) FROM root_versions WHERE campaign_id = v.campaign_id) AS latest
+    FROM root_versions v JOIN campaigns c ON c.id = v.campaign_id
+    WHERE v.merkle_root = lower(@key)
+      OR (c.id = @key AND v.version = (SELECT MAX(version) FROM root_versions WHERE campaign_id = c.id))
+    ORDER BY c.status = 'active' DESC, c.created_at DESC, v.version DESC
+    LIMIT 1
+  `).get({ key });
+  if (!row) return null;
+  const campaign = exports.getCampaign(row.campaign_id);
+  const version = toVersion(db.prepare('SELECT * FROM root_versions WHERE campaign_id = ? AND version = ?')
+    .get(row.campaign_id, row.version));
+  return { campaign, version, latest: row.latest === 1 };
+};
+
+/**
+ * The records ({ row, address, subdomain, expiry }, in row order) a campaign held at a
+ * version: its current allocations with the diffs of every later version undone
+ */
+exports.getVersionRecords = (campaignId, version) => {
+  const records = new Map(
+    db.prepare('SELECT idx, address, subdomain, expiry FROM allocations WHERE campaign_id = ?')
+      .all(campaignId)
+      .map(row => [row.idx, { row: row.idx, ...toRecord(row) }])
+  );
+  const later = db.prepare(`
+    SELECT * FROM root_changes WHERE campaign_id = ? AND version > ?
+    ORDER BY version DESC
+  `).all(campaignId, version);
+  for (const change of later) {
+    if (change.change === 'added') {
+      records.delete(change.idx);
+    } else {
+      records.set(change.idx, {
+        row: change.idx,
+        address: change.prev_address,
+        subdomain: change.prev_subdomain,
+        expiry: change.prev_expiry
+      });
+    }
+  }
+  return [...records.values()].sort((a, b) => a.row - b.row);
+};
+
+/**
+ * A campaign's root history, oldest first
+ */
+exports.listVersions = (campaignId) => {
+  return db.prepare('SELECT * FROM root_versions WHERE campaign_id = ? ORDER BY version')
+    .all(campaignId)
+    .map(toVersion);
+};
+
+/**
+ * One root version with a page of its row changes in row order, or null
+ */
+exports.getVersion = (campaignId, version, { offset = 0, limit = 1000 } = {}) => {
+  const row = db.prepare('SELECT * FROM root_versions WHERE campaign_id = ? AND version = ?').get(campaignId, version);
+  if (!row) return null;
+  const changes = db.prepare(`
+    SELECT * FROM root_changes WHERE campaign_id = ? AND version = ?
+    ORDER BY idx LIMIT ? OFFSET ?
+  `).all(campaignId, version, limit, offset).map(toChange);
+  return { ...toVersion(row), changes };
+};
+
+exports.deleteCampaign = (campaignId) => {
+  trees.delete(campaignId);
+  db.prepare('DELETE FROM campaigns WHERE id = ?').run(campaignId);
+};
+
+/**
+ * Find a campaign by its id, Merkle root or parent node.
+ * Roots and parent nodes prefer the active campaign, then the most recent one.
+ */
+exports.getCampaign = (key) => {
+  const row = db.prepare(`
+    SELECT * FROM campaigns
+    WHERE id = @key OR merkle_root = lower(@key) OR parent_node = lower(@key)
+    ORDER BY id = @key DESC, status = 'active' DESC, created_at DESC
+    LIMIT 1
+  `).get({ key });
+  return toCampaign(row);
+};
+
+/**
+ * Find the active (or still generating) campaign for a parent node on a given chain and factory
+ */
+exports.findActiveCampaign = ({ parentNode, chainId, factoryAddress }) => {
+  const row = db.prepare(`
+    SELECT * FROM campaigns
+    WHERE status IN ('active', 'generating')
+      AND parent_node = ?
+      AND IFNULL(chain_id, 0) = IFNULL(?, 0)
+      AND IFNULL(factory_address, '') = IFNULL(?, '')
+  `).get(parentNode, chainId ?? null, factoryAddress ? factoryAddress.toLowerCase() : null);
+  return toCampaign(row);
+};
+
+exports.listCampaigns = ({ status, parentNode } = {}) => {
+  return db.prepare(`
+    SELECT * FROM campaigns
+    WHERE (@status IS NULL OR status = @status)
+      AND (@parentNode IS NULL OR parent_node = lower(@parentNode))
+    ORDER BY created_at DESC
+  `).all({ status: status ?? null, parentNode: parentNode ?? null }).map(toCampaign);
+};
+
+/**
+ * Factory addresses campaigns on a chain were created for (lowercase) - the indexer follows them
+ */
+exports.listFactoryAddresses = (chainId) => {
+  return db.prepare(`
+    SELECT DISTINCT factory_address FROM campaigns WHERE chain_id = ? AND factory_address IS NOT NULL
+  `).all(chainId).map(row => row.factory_address);
+};
+
+exports.archiveCampaign = (campaignId) => {
+  db.prepare(`
+    UPDATE campaigns SET status = 'archived', archived_at = ?
+    WHERE id = ? AND status = 'active'
+  `).run(new Date().toISOString(), campaignId);
+  return exports.getCampaign(campaignId);
+};
+
+/**
+ * Turn private proofs on or off - see campaignController.checkProofAccess
+ */
+exports.setPrivateProofs = (campaignId, privateProofs) => {
+  db.prepare('UPDATE campaigns SET private_proofs = ? WHERE id = ?').run(privateProofs ? 1 : 0, campaignId);
+  return exports.getCampaign(campaignId);
+};
+
+exports.getRecords = (campaignId, limit = -1) => {
+  return db.prepare('SELECT * FROM allocations WHERE campaign_id = ? ORDER BY idx LIMIT ?')
+    .all(campaignId, limit)
+    .map(toRecord);
+};
+
+/**
+ * All allocations (including leaf hashes) for an address
+ */
+exports.getAllocations = (campaignId, address) => {
+  return db.prepare('SELECT * FROM allocations WHERE campaign_id = ? AND address = ? ORDER BY idx')
+    .all(campaignId, address)
+    .map(row => ({ ...toRecord(row), leaf: row.leaf, ensName: row.ens_name, resolvedBlock: row.resolved_block }));
+};
+
+/**
+ * A page of allocations (with leaves) in row order, starting after row index afterIdx
+ */
+exports.getAllocationPage = (campaignId, afterIdx, limit) => {
+  return db.prepare('SELECT * FROM allocations WHERE campaign_id = ? AND idx > ? ORDER BY idx LIMIT ?')
+    .all(campaignId, afterIdx, limit)
+    .map(row => ({ ...toRecord(row), idx: row.idx, leaf: row.leaf }));
+};
+
+exports.hasLeaf = (campaignId, leaf) => {
+  return !!db.prepare('SELECT 1 FROM allocations WHERE campaign_id = ? AND leaf = ?').get(campaignId, leaf);
+};
+
+/**
+ * Read a campaign's leaves in sorted order into one flat buffer.
+ * Pages through the leaf index and yields between pages to keep the API responsive.
+ */
+const readSortedLeaves = async (campaignId) => {
+  const count = db.prepare('SELECT COUNT(*) FROM allocations WHERE campaign_id = ?').pluck().get(campaignId);
+  const leaves = Buffer.alloc(count * NODE_SIZE);
+  const page = db.prepare(`
+    SELECT leaf, idx FROM allocations
+    WHERE campaign_id = @campaignId AND (leaf > @leaf OR (leaf = @leaf AND idx > @idx))
+    ORDER BY leaf, idx LIMIT ${LEAF_PAGE_SIZE}
+  `);
+
+  let offset = 0;
+  let cursor = { leaf: '', idx: -1 };
+  while (offset < count) {
+    const rows = page.all({ campaignId, ...cursor });
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      leaves.write(row.leaf.slice(2), offset * NODE_SIZE, 'hex');
+      offset++;
+    }
+    cursor = rows[rows.length - 1];
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return leaves;
+};
+
+const cacheTree = (campaignId, tree) => {
+  trees.delete(campaignId);
+  trees.set(campaignId, tree);
+  while (trees.size > TREE_CACHE_SIZE) {
+    trees.delete(trees.keys().next().value);
+  }
+};
+
+/**
+ * Get the Merkle tree for a campaign, rebuilding it from stored leaves in a worker if needed
+ */
+exports.getTree = async (campaignId, { onProgress } = {}) => {
+  const cached = trees.get(campaignId);
+  if (cached) {
+    cacheTree(campaignId, cached); // mark as recently used
+    return cached;
+  }
+
+  const building = (async () => {
+    const format = db.prepare('SELECT tree_format FROM campaigns WHERE id = ?').pluck().get(campaignId);
+    const leaves = await readSortedLeaves(campaignId);
+    const { layers } = await pool.run('buildTree', { leaves: leaves.buffer, format }, {
+      transfer: [leaves.buffer],
+      onProgress
+    });
+    const tree = createTree(format, layers.map(layer => Buffer.from(layer)));
+    // Don't cache a tree whose allocations changed while it was being built (applyRowChanges)
+    if (trees.get(campaignId) === building) cacheTree(campaignId, tree);
+    return tree;
+  })();
+
+  // Concurrent callers share the same build
+  trees.set(campaignId, building);
+  try {
+    return await building;
+  } catch (error) {
+    trees.delete(campaignId);
+    throw error;
+  }
+};
+
+/**
+ * Drop half-generated campaigns and rebuild active trees - called once on startup
+ */
+exports.loadAll = async () => {
+  const stale = db.prepare(`DELETE FROM campaigns WHERE status = 'generating'`).run().changes;
+  if (stale > 0) {
+    console.warn(`⚠️ Removed ${stale} campaign(s) left half-generated by a previous run`);
+  }
+
+  const ids = db.prepare(`
+    SELECT id FROM campaigns WHERE status = 'active' ORDER BY created_at DESC LIMIT ?
+  `).pluck().all(TREE_CACHE_SIZE);
+  for (const id of ids) {
+    await exports.getTree(id);
+  }
+  return ids.length;
+};
@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+
+const RPC_URL = process.env.RPC_URL || process.env.SEPOLIA_RPC_URL;
+const NAME_WRAPPER = process.env.ENS_NAME_WRAPPER;
+// ENS names in allowlists are resolved through this node and registry (e.g. mainnet
+// while campaigns run on a testnet, or a local node with its own registry)
+const ENS_RPC_URL = process.env.ENS_RPC_URL || RPC_URL;
+const ENS_REGISTRY = process.env.ENS_REGISTRY || '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+// Name lookups in flight at once
+const MAX_CONCURRENT_LOOKUPS = 16;
+// Multicall3 is deployed at the same address on most chains; point this elsewhere on a local node
+const MULTICALL3 = process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+// claimed() calls per Multicall3 request
+const MULTICALL_BATCH = 500;
+
+const FACTORY_ABI = [
+  'function claimed(bytes32) external view returns (bool)'
+];
+
+const NAME_WRAPPER_ABI = [
+  'function getData(uint256 id) external view returns (address owner, uint32 fuses, uint64 expiry)'
+];
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const REGISTRY_ABI = ['function resolver(bytes32 node) external view returns (address)'];
+const RESOLVER_ABI = [
+  'function supportsInterface(bytes4 interfaceId) external view returns (bool)',
+  'function addr(bytes32 node) external view returns (address)',
+  'function resolve(bytes name, bytes data) external view returns (bytes)'
+];
+// ENSIP-10 extended resolvers answer resolve() for names below the one they're set on
+const EXTENDED_RESOLVER_INTERFACE = '0x9061b923';
+
+let provider = null;
+
+/**
+ * Shared JSON-RPC provider, or null when no RPC is configured
+ */
+exports.getProvider = () => {
+  if (!RPC_URL) return null;
+  if (!provider) {
+    provider = new ethers.JsonRpcProvider(RPC_URL);
+  }
+  return provider;
+};
+
+/**
+ * Read-only factory contract for a campaign, or null if it can't be reached
+ */
+exports.getFactory = (factoryAddress) => {
+  const rpc = exports.getProvider();
+  if (!rpc || !factoryAddress) return null;
+  return new ethers.Contract(factoryAddress, FACTORY_ABI, rpc);
+};
+
+/**
+ * Look up on-chain claimed status for a list of leaves, MULTICALL_BATCH leaves per
+ * Multicall3 request. Returns null for every leaf when the chain can't be queried
+ * (and for single calls that failed).
+ */
+exports.getClaimedStatus = async (factoryAddress, leaves) => {
+  const factory = exports.getFactory(factoryAddress);
+  if (!factory) return leaves.map(() => null);
+
+  const multicall = new ethers.Contract(MULTICALL3, MULTICALL3_ABI, exports.getProvider());
+  const claimedCall = factory.interface.getFunction('claimed');
+  try {
+    const status = [];
+    for (let i = 0; i < leaves.length; i += MULTICALL_BATCH) {
+      const calls = leaves.slice(i, i + MULTICALL_BATCH).map(leaf => ({
+        target: factoryAddress,
+        allowFailure: true,
+        callData: factory.interface.encodeFunctionData(claimedCall, [leaf])
+      }));
+      const results = await multicall.aggregate3.staticCall(calls);
+      status.push(...results.map(({ success, returnData }) => success
+        ? factory.interface.decodeFunctionResult(claimedCall, returnData)[0]
+        : null));
+    }
+    return status;
+  } catch (error) {
+    console.warn(`⚠️ Could not read claimed status: ${error.shortMessage || error.message}`);
+    return leaves.map(() => null);
+  }
+};
+
+/**
+ * NameWrapper expiry (unix seconds) of a parent node - claimSubdomain reverts for
+ * leaves that expire after it. Returns null when no RPC is configured; throws if
+ * the call fails or the parent isn't wrapped.
+ */
+exports.getParentExpiry = async (parentNode) => {
+  const rpc = exports.getProvider();
+  if (!rpc || !NAME_WRAPPER) return null;
+
+  const wrapper = new ethers.Contract(NAME_WRAPPER, NAME_WRAPPER_ABI, rpc);
+  const [owner, , expiry] = await wrapper.getData(parentNode);
+  if (owner === ethers.ZeroAddress) {
+    throw new Error('Parent domain is not wrapped in the NameWrapper');
+  }
+  return Number(expiry);
+};
+
+/**
+ * Resolver for ENS names in allowlists, pinned to the current block so every name in
+ * an upload resolves against the same state: { blockNumber, resolve(name) -> { address } | { error } }.
+ * Wildcard (ENSIP-10) resolvers are asked through resolve(), following CCIP-read (EIP-3668) for
+ * offchain and L2 names - those answers come from the gateway, not from the pinned block.
+ * Returns null when no RPC is configured.
+ */
+exports.createNameResolver = async () => {
+  if (!ENS_RPC_URL) return null;
+  const rpc = ENS_RPC_URL === RPC_URL ? exports.getProvider() : new ethers.JsonRpcProvider(ENS_RPC_URL);
+  const blockNumber = await rpc.getBlockNumber();
+  const blockTag = { blockTag: blockNumber };
+  const registry = new ethers.Contract(ENS_REGISTRY, REGISTRY_ABI, rpc);
+
+  // The name's own resolver, or else the closest parent's (ENSIP-10) - with the name it's set on
+  const findResolver = async (name) => {
+    for (let current = name; ; current = current.slice(current.indexOf('.') + 1)) {
+      const address = await registry.resolver(ethers.namehash(current), blockTag);
+      if (address !== ethers.ZeroAddress) return { resolver: new ethers.Contract(address, RESOLVER_ABI, rpc), setOn: current };
+      if (!current.includes('.')) return null;
+    }
+  };
+
+  const isExtended = (resolver) => resolver.supportsInterface(EXTENDED_RESOLVER_INTERFACE, blockTag).catch(() => false);
+
+  const lookup = async (name) => {
+    const node = ethers.namehash(name);
+    const found = await findResolver(name);
+    const extended = found && await isExtended(found.resolver);
+    // A parent's resolver only answers for its subnames when it supports wildcards
+    if (!found || (found.setOn !== name && !extended)) {
+      return { error: `${name} has no resolver` };
+    }
+
+    let address;
+    if (extended) {
+      const call = found.resolver.interface.encodeFunctionData('addr', [node]);
+      const result = await found.resolver.resolve(ethers.dnsEncode(name), call, { ...blockTag, enableCcipRead: true });
+      [address] = found.resolver.interface.decodeFunctionResult('addr', result);
+    } else {
+      address = await found.resolver.addr(node, blockTag);
+    }
+    if (address === ethers.ZeroAddress) {
+      return { error: `${name} has no ETH address set` };
+    }
+    return { address };
+  };
+
+  // Names repeat across rows - each is looked up once, a few at a time
+  const results = new Map();
+  const queue = [];
+  let active = 0;
+  const next = () => {
+    if (active >= MAX_CONCURRENT_LOOKUPS || queue.length === 0) return;
+    const { name, done } = queue.shift();
+    active++;
+    lookup(name)
+      .catch(error => ({ error: `Could not resolve ${name}: ${error.shortMessage || error.message}` }))
+      .then(result => {
+        active--;
+        done(result);
+        next();
+      });
+  };
+
+  return {
+    blockNumber,
+    resolve: (name) => {
+      if (!results.has(name)) {
+        results.set(name, new Promise(done => {
+          queue.push({ name, done });
+          next();
+        }));
+      }
+      return results.get(name);
+    }
+  };
+};
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const chain = require('./chain');
+const campaignStore = require('./campaignStore');
+const eventStore = require('./eventStore');
+const relayer = require('./relayer');
+const relayStore = require('./relayStore');
+const sessionStore = require('./sessionStore');
+const { hashLeaf } = require('../utils/merkle');
+
+// Secret the commitment nonces are encrypted with (any string - hashed into an AES-256 key).
+// Sessions are off without it; changing it strands the nonces of open sessions.
+const KEY = process.env.CLAIM_SESSION_KEY
+  ? crypto.createHash('sha256').update(process.env.CLAIM_SESSION_KEY).digest()
+  : null;
+// Seconds between passes over open sessions; 0 stops following them
+const POLL_SECONDS = parseFloat(process.env.CLAIM_SESSION_POLL_SECONDS || '15');
+// Sessions whose commitment never shows up on-chain are dropped after this long
+const COMMIT_TTL_MS = (parseFloat(process.env.CLAIM_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Revealable sessions nobody revealed stop being followed (and free their allocation) after this long
+const REVEAL_TTL_MS = (parseFloat(process.env.CLAIM_SESSION_REVEAL_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+const SESSION_ABI = [
+  'function REVEAL_DELAY() view returns (uint256)',
+  'function getCommitmentTimestamp(address committer, bytes32 commitment) view returns (uint256)',
+  'function claimed(bytes32 leaf) view returns (bool)'
+];
+
+const COMMIT_EVENT = new ethers.Interface(['event CommitmentMade(address indexed user, bytes32 indexed commitment)']);
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+const revealDelays = new Map(); // factory -> REVEAL_DELAY in seconds
+let timer = null;
+let running = false;
+
+const encryptNonce = (nonce, commitment) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+  // Bound to its commitment, so a ciphertext can't be moved to another session
+  cipher.setAAD(Buffer.from(commitment.slice(2), 'hex'));
+  const data = Buffer.concat([cipher.update(nonce.toString()), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join(':');
+};
+
+const decryptNonce = ({ nonceEnc, commitment }) => {
+  const [iv, tag, data] = nonceEnc.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, iv);
+  decipher.setAAD(Buffer.from(commitment.slice(2), 'hex'));
+  decipher.setAuthTag(tag);
+  return BigInt(Buffer.concat([decipher.update(data), decipher.final()]).toString());
+};
+
+/**
+ * Why a campaign can't have claim sessions, or null when it can
+ */
+const unavailableReason = (campaign) => {
+  if (!KEY) return 'Claim sessions are off - CLAIM_SESSION_KEY is not set';
+  if (!chain.getProvider()) return 'Claim sessions need an RPC to follow commitments';
+  if (!campaign.factoryAddress) return 'The campaign has no factory address';
+  return null;
+};
+
+/**
+ * Start a commit-reveal claim for an allocation: the backend picks and keeps the nonce and
+ * returns the session with the commitment the claimer sends to commitClaim. An allocation
+ * that already has an open session gets that one back.
+ */
+exports.createSession = (campaign, { claimer, subdomain, expiry }) => {
+  const reason = unavailableReason(campaign);
+  if (reason) throw fail('CLAIM_SESSIONS_DISABLED', reason);
+
+  const leaf = hashLeaf({ address: claimer, subdomain, expiry }, campaign.treeFormat);
+  if (!campaignStore.hasLeaf(campaign.id, leaf)) {
+    throw fail('CLAIM_NOT_FOUND', 'Claim not found in Merkle tree');
+  }
+  const open = sessionStore.findOpenSession(campaign.id, leaf);
+  if (open) return open;
+
+  const nonce = BigInt('0x' + crypto.randomBytes(32).toString('hex'));
+  // Same packing as the factory's reveal check
+  const commitment = ethers.solidityPackedKeccak256(['address', 'string', 'uint64', 'uint256'], [claimer, subdomain, expiry, nonce]);
+  const session = sessionStore.insertSession({
+    campaignId: campaign.id, claimer, subdomain, expiry, leaf, commitment, nonceEnc: encryptNonce(nonce, commitment)
+  });
+  console.log(`🔐 Claim session for ${subdomain}.${campaign.parentDomain} (${claimer})`);
+  return session;
+};
+
+/**
+ * Whether a mined transaction made the session's commitment from its claimer on the campaign's factory
+ */
+const makesCommitment = async (campaign, session, txHash) => {
+  const receipt = await chain.getProvider().getTransactionReceipt(txHash);
+  if (!receipt || receipt.status !== 1) return false;
+  return receipt.logs.some((log) => {
+    if (log.address.toLowerCase() !== campaign.factoryAddress.toLowerCase()) return false;
+    const event = COMMIT_EVENT.parseLog(log);
+    return event !== null
+      && event.args.commitment === session.commitment
+      && event.args.user.toLowerCase() === session.claimer;
+  });
+};
+
+/**
+ * Remember the commit transaction a claimer sent for a session - shown to them, and
+ * followed up right away instead of on the next pass. Only a mined commitClaim of the
+ * session's commitment by its claimer is taken (INVALID_COMMIT_TX otherwise).
+ */
+exports.recordCommit = async (campaign, session, txHash) => {
+  if (session.commitTx || ['claimed', 'expired'].includes(session.status)) return session;
+  if (!await makesCommitment(campaign, session, txHash)) {
+    throw fail('INVALID_COMMIT_TX', `${txHash} is not a mined commitClaim of this session's commitment by ${session.claimer}`);
+  }
+  const updated = sessionStore.updateSession(session.id, { commitTx: txHash });
+  if (updated.status === 'created') {
+    advance(updated).catch(error => console.error(`Claim session ${session.id}:`, error.shortMessage || error.message));
+  }
+  return updated;
+};
+
+/**
+ * A session as the API shows it, without its encrypted nonce
+ */
+const withoutNonce = ({ nonceEnc, ...session }) => session;
+
+/**
+ * A session as the API shows it. Once the claimer has to reveal it themselves - revealable, or
+ * committed and expired - it also carries the nonce and Merkle proof for claimSubdomain; by then
+ * they only reveal what was committed.
+ */
+exports.present = async (campaign, stored, { withReveal = false } = {}) => {
+  const session = withoutNonce(stored);
+  const theirTurn = session.status === 'revealable' || (session.status === 'expired' && session.committedAt);
+  if (!withReveal || !theirTurn) return session;
+  const tree = await campaignStore.getTree(campaign.id);
+  return {
+    ...session,
+    nonce: decryptNonce(stored).toString(),
+    proof: tree.getHexProof(session.leaf)
+  };
+};
+
+const getRevealDelay = async (factory) => {
+  const address = await factory.getAddress();
+  if (!revealDelays.has(address)) revealDelays.set(address, Number(await factory.REVEAL_DELAY()));
+  return revealDelays.get(address);
+};
+
+/**
+ * Ask the relayer to reveal a session's claim. When it can't, the claimer is left to reveal
+ * it themselves (status revealable).
+ */
+const reveal = async (session, campaign) => {
+  try {
+    const relay = await relayer.relayReveal(campaign, {
+      claimer: session.claimer,
+      subdomain: session.subdomain,
+      expiry: session.expiry,
+      nonce: decryptNonce(session)
+    });
+    sessionStore.updateSession(session.id, { status: 'revealing', relayId: relay.id, revealTx: relay.txHash, error: null });
+  } catch (error) {
+    if (!error.code) throw error;
+    // Not mined past the delay yet - try again on the next pass
+    if (error.details?.reason === 'RevealTooEarly') return;
+    // Without a relayer (or budget) it's the claimer's turn, and a later pass tries the relayer again
+    const unavailable = ['RELAY_DISABLED', 'RELAY_BUDGET_EXHAUSTED'].includes(error.code);
+    if (session.status === 'committed') {
+      console.log(`🔔 ${session.subdomain}.${campaign.parentDomain} is ready for ${session.claimer} to reveal`);
+    }
+    sessionStore.updateSession(session.id, { status: 'revealable', error: unavailable ? null : error.message });
+  }
+};
+
+/**
+ * Move one open session along: claimed on-chain, commitment seen, reveal due, relayed reveal failed,
+ * left unrevealed. start() runs it on every open session each CLAIM_SESSION_POLL_SECONDS.
+ */
+const advance = async (session) => {
+  const campaign = campaignStore.getCampaign(session.campaignId);
+  const factory = new ethers.Contract(campaign.factoryAddress, SESSION_ABI, chain.getProvider());
+
+  // However it got there - relayer, the claimer's own reveal, or another path
+  if (await factory.claimed(session.leaf)) {
+    const relay = session.relayId && relayStore.getRelay(campaign.id, session.relayId);
+    const [event] = eventStore.listClaims({
+      chainId: campaign.chainId, factoryAddress: campaign.factoryAddress, parentNode: campaign.parentNode,
+      claimer: session.claimer, subdomain: session.subdomain
+    }, { limit: 1 }).claims;
+    sessionStore.updateSession(session.id, {
+      status: 'claimed',
+      revealTx: relay?.status === 'confirmed' ? relay.txHash : event?.txHash ?? session.revealTx,
+      error: null
+    });
+    console.log(`✅ Claim session ${session.subdomain}.${campaign.parentDomain} claimed`);
+    return;
+  }
+
+  if (session.status === 'created') {
+    const committedAt = Number(await factory.getCommitmentTimestamp(session.claimer, session.commitment));
+    if (committedAt > 0) {
+      const delay = await getRevealDelay(factory);
+      sessionStore.updateSession(session.id, {
+        status: 'committed',
+        committedAt: new Date(committedAt * 1000).toISOString(),
+        revealableAt: new Date((committedAt + delay) * 1000).toISOString()
+      });
+    } else if (Date.now() - Date.parse(session.createdAt) > COMMIT_TTL_MS) {
+      sessionStore.updateSession(session.id, { status: 'expired', error: 'No commitment was sent in time' });
+    }
+    return;
+  }
+
+  if (session.status === 'revealing') {
+    const relay = relayStore.getRelay(campaign.id, session.relayId);
+    if (relay?.status === 'failed') {
+      sessionStore.updateSession(session.id, { status: 'revealable', error: relay.error });
+    }
+    return;
+  }
+
+  if (session.status === 'revealable' && Date.now() - Date.parse(session.revealableAt) > REVEAL_TTL_MS) {
+    sessionStore.updateSession(session.id, { status: 'expired', error: session.error ?? 'Not revealed in time' });
+    console.log(`⌛ Claim session ${session.subdomain}.${campaign.parentDomain} expired unrevealed`);
+    return;
+  }
+
+  // committed, or revealable with the relayer unavailable last time
+  if (session.status === 'revealable' && session.error) return;
+  // The factory checks the delay against block time, not ours
+  const { timestamp } = await chain.getProvider().getBlock('latest');
+  if (timestamp * 1000 >= Date.parse(session.revealableAt)) {
+    await reveal(session, campaign);
+  }
+};
+
+/**
+ * Follow open sessions every CLAIM_SESSION_POLL_SECONDS - they are stored, so a restart
+ * picks up where it left off. Does nothing without CLAIM_SESSION_KEY and an RPC.
+ */
+exports.start = () => {
+  if (!KEY || !chain.getProvider() || !(POLL_SECONDS > 0) || timer) return false;
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const session of sessionStore.listOpenSessions()) {
+        try {
+          await advance(session);
+        } catch (error) {
+          console.error(`Claim session ${session.id}:`, error.shortMessage || error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+  timer = setInterval(poll, POLL_SECONDS * 1000);
+  timer.unref();
+  poll();
+  console.log(`🔐 Following claim sessions every ${POLL_SECONDS}s`);
+  return true;
+};
+
+exports.advance = advance;
+exports.withoutNonce = withoutNonce;
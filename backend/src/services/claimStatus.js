@@ -0,0 +1,130 @@
+const chain = require('./chain');
+const campaignStore = require('./campaignStore');
+const eventStore = require('./eventStore');
+
+// How long an unclaimed read is trusted. A claimed leaf stays claimed, so it is never read again.
+const TTL_MS = (parseFloat(process.env.CLAIM_STATUS_TTL_SECONDS) || 60) * 1000;
+// Unclaimed reads of single leaves remembered at once (whole-campaign reads are kept per campaign)
+const MAX_CACHED_LEAVES = 100000;
+// Allocations read from the database per Multicall3 pass over a campaign
+const PAGE_SIZE = 5000;
+
+const claimedLeaves = new Map(); // factory -> Set of claimed leaves
+const unclaimedAt = new Map(); // `${factory}:${leaf}` -> time it was last read as unclaimed
+const summaries = new Map(); // campaignId -> { merkleRoot, claimed, unclaimed, unknown, checkedAt }
+const refreshing = new Map(); // campaignId -> summary read in progress
+
+const isFresh = (time) => time !== undefined && Date.now() - time < TTL_MS;
+
+const claimedSet = (factory) => {
+  if (!claimedLeaves.has(factory)) claimedLeaves.set(factory, new Set());
+  return claimedLeaves.get(factory);
+};
+
+const canRead = (campaign) => campaign.status !== 'generating' && chain.getFactory(campaign.factoryAddress) !== null;
+
+/**
+ * Read leaves on-chain and remember the answers: [true | false | null]
+ */
+const readLeaves = async (factory, leaves, { rememberUnclaimed }) => {
+  const status = await chain.getClaimedStatus(factory, leaves);
+  const claimed = claimedSet(factory);
+  leaves.forEach((leaf, i) => {
+    if (status[i] === true) claimed.add(leaf);
+    if (status[i] === false && rememberUnclaimed) {
+      const key = `${factory}:${leaf}`;
+      unclaimedAt.delete(key);
+      unclaimedAt.set(key, Date.now());
+      if (unclaimedAt.size > MAX_CACHED_LEAVES) unclaimedAt.delete(unclaimedAt.keys().next().value);
+    }
+  });
+  return status;
+};
+
+/**
+ * Claimed status of a campaign's allocations ({ address, subdomain, leaf }), read through the cache:
+ * [{ claimed, claimedAt, claimTx }]. claimed is null when the chain can't be read; claimedAt and
+ * claimTx come from the indexer and are null until it has seen the claim.
+ */
+exports.getStatus = async (campaign, allocations) => {
+  if (!canRead(campaign)) return allocations.map(() => ({ claimed: null, claimedAt: null, claimTx: null }));
+
+  const factory = campaign.factoryAddress;
+  const claimed = claimedSet(factory);
+  const summary = summaries.get(campaign.id);
+  // A complete pass over the current root vouches for every leaf it didn't find claimed
+  const summaryFresh = summary?.merkleRoot === campaign.merkleRoot && summary.unknown === 0 && isFresh(summary.checkedAt);
+  const known = (leaf) => claimed.has(leaf) || summaryFresh || isFresh(unclaimedAt.get(`${factory}:${leaf}`));
+
+  const stale = [...new Set(allocations.map(a => a.leaf).filter(leaf => !known(leaf)))];
+  const read = new Map();
+  if (stale.length > 0) {
+    const status = await readLeaves(factory, stale, { rememberUnclaimed: true });
+    stale.forEach((leaf, i) => read.set(leaf, status[i]));
+  }
+
+  return allocations.map(({ address, subdomain, leaf }) => {
+    const isClaimed = claimed.has(leaf) || (read.has(leaf) ? read.get(leaf) : false);
+    if (!isClaimed) return { claimed: isClaimed, claimedAt: null, claimTx: null };
+
+    const [event] = eventStore.listClaims({
+      chainId: campaign.chainId,
+      factoryAddress: factory,
+      parentNode: campaign.parentNode,
+      claimer: address,
+      subdomain
+    }, { limit: 1 }).claims;
+    return { claimed: true, claimedAt: event?.timestamp ?? null, claimTx: event?.txHash ?? null };
+  });
+};
+
+/**
+ * Count claimed allocations over a whole campaign, a page of rows at a time
+ */
+const refresh = async (campaign) => {
+  const factory = campaign.factoryAddress;
+  const claimed = claimedSet(factory);
+  const counts = { claimed: 0, unclaimed: 0, unknown: 0 };
+
+  let afterIdx = -1;
+  for (;;) {
+    const page = campaignStore.getAllocationPage(campaign.id, afterIdx, PAGE_SIZE);
+    if (page.length === 0) break;
+    afterIdx = page[page.length - 1].idx;
+
+    const toRead = page.filter(a => !claimed.has(a.leaf));
+    counts.claimed += page.length - toRead.length;
+    const status = await readLeaves(factory, toRead.map(a => a.leaf), { rememberUnclaimed: false });
+    status.forEach(s => { counts[s === null ? 'unknown' : s ? 'claimed' : 'unclaimed']++; });
+  }
+
+  const summary = { merkleRoot: campaign.merkleRoot, ...counts, checkedAt: Date.now() };
+  summaries.set(campaign.id, summary);
+  return summary;
+};
+
+/**
+ * Claimed / unclaimed allocation counts of a campaign: { claimed, unclaimed, unknown, checkedAt },
+ * or null when the chain can't be read. The first call reads every leaf; later ones answer from
+ * the last pass and start a new one in the background once it is CLAIM_STATUS_TTL_SECONDS old.
+ */
+exports.getSummary = async (campaign) => {
+  if (!canRead(campaign)) return null;
+
+  const read = () => {
+    if (!refreshing.has(campaign.id)) {
+      refreshing.set(campaign.id, refresh(campaign).finally(() => refreshing.delete(campaign.id)));
+    }
+    return refreshing.get(campaign.id);
+  };
+
+  let summary = summaries.get(campaign.id);
+  if (summary?.merkleRoot !== campaign.merkleRoot) {
+    summary = await read();
+  } else if (!isFresh(summary.checkedAt)) {
+    read().catch(error => console.warn(`⚠️ Could not refresh claimed status for ${campaign.parentDomain}: ${error.message}`));
+  }
+
+  const { claimed, unclaimed, unknown, checkedAt } = summary;
+  return { claimed, unclaimed, unknown, checkedAt: new Date(checkedAt).toISOString() };
+};
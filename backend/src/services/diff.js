@@ -0,0 +1,178 @@
+const campaignStore = require('./campaignStore');
+const chain = require('./chain');
+const rowReaders = require('./rowReaders');
+const pool = require('../workers/pool');
+const { ValidationReport } = require('./reports');
+const { validateRows, conflictIssues } = require('../utils/validation');
+const { findConflicts, resolveConflicts } = require('../utils/conflicts');
+const { createTree, NODE_SIZE } = require('../utils/merkle');
+
+const BATCH_SIZE = 5000;
+// Allocations listed per category - the summary counts all of them
+const MAX_LISTED = 1000;
+
+/**
+ * Rebuild a Merkle root from plain records. Every leaf is hashed again from its address,
+ * label and expiry - stored leaves and cached trees aren't used - and the tree is built in a worker.
+ */
+exports.computeRoot = async (records, format) => {
+  if (records.length === 0) return null;
+
+  const leaves = [];
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const rows = records.slice(i, i + BATCH_SIZE).map(({ address, subdomain, expiry }) => ({ address, subdomain, expiry }));
+    leaves.push(...(await pool.run('hashLeaves', { rows, format })).leaves);
+  }
+  leaves.sort(); // lowercase hex sorts like the bytes
+
+  const buffer = Buffer.alloc(leaves.length * NODE_SIZE);
+  leaves.forEach((leaf, i) => buffer.write(leaf.slice(2), i * NODE_SIZE, 'hex'));
+  const { layers } = await pool.run('buildTree', { leaves: buffer.buffer, format }, { transfer: [buffer.buffer] });
+  return createTree(format, layers.map(layer => Buffer.from(layer))).getHexRoot();
+};
+
+/**
+ * Validate an uploaded list like a campaign upload and return its records.
+ * Rejected rows - or conflicts under 'reject' - fail with the report attached.
+ */
+const readList = async (file, conflictPolicy) => {
+  const report = new ValidationReport();
+  const records = [];
+  const uploaded = new Map();
+  const entries = rowReaders.readRows(file.path, { fileName: file.originalname });
+  const checks = { now: Math.floor(Date.now() / 1000) };
+  for await (const { record, values } of validateRows(entries, report, { checks, createNameResolver: chain.createNameResolver })) {
+    records.push(record);
+    uploaded.set(record.row, values);
+  }
+
+  const invalidRows = report.rejectedRows;
+  const conflicts = findConflicts(records);
+  const dropped = conflictPolicy === 'reject' ? new Set() : resolveConflicts(records, conflictPolicy);
+  report.addConflicts(conflictIssues(conflicts, conflictPolicy, dropped), uploaded);
+
+  if (invalidRows > 0 || (conflicts.length > 0 && conflictPolicy === 'reject')) {
+    const error = new Error(`${file.originalname} has ${report.rejectedRows} rejected row(s) - fix them before diffing`);
+    error.details = { report: await report.finish() };
+    throw error;
+  }
+  return { records: records.filter(r => !dropped.has(r.row)), report: await report.finish() };
+};
+
+/**
+ * Compare two lists by label: labels only in `to` are added, labels only in `from` removed,
+ * and labels in both with a different address or expiry modified. A modified address
+ * means the label's ownership moved.
+ */
+const diffRecords = (from, to) => {
+  const before = new Map(from.map(record => [record.subdomain, record]));
+  const added = [];
+  const modified = [];
+  let unchanged = 0;
+
+  for (const record of to) {
+    const prev = before.get(record.subdomain);
+    if (!prev) {
+      added.push(record);
+      continue;
+    }
+    before.delete(record.subdomain);
+    const fields = ['address', 'expiry'].filter(field => prev[field] !== record[field]);
+    if (fields.length === 0) {
+      unchanged++;
+      continue;
+    }
+    modified.push({
+      subdomain: record.subdomain,
+      fields,
+      before: { row: prev.row, address: prev.address, expiry: prev.expiry },
+      after: { row: record.row, address: record.address, expiry: record.expiry }
+    });
+  }
+
+  const ownershipMoved = modified
+    .filter(m => m.fields.includes('address'))
+    .map(m => ({ subdomain: m.subdomain, from: m.before.address, to: m.after.address }));
+  return { added, removed: [...before.values()], modified, ownershipMoved, unchanged };
+};
+
+const toAllocation = ({ row, address, subdomain, expiry }) => ({ row, address, subdomain, expiry });
+
+/**
+ * Diff two allowlists before a root goes on-chain. Each side is { root } - a version found
+ * with campaignStore.findRootVersion - or { file }, an uploaded allowlist.
+ * Both roots are recomputed from the records, and root sides report whether that
+ * matches the root the backend stored.
+ * treeFormat is the leaf format for uploaded lists (default: the other side's, else legacy);
+ * conflictPolicy resolves conflicts within uploaded lists as on upload.
+ */
+exports.diffRoots = async ({ from, to }, { treeFormat, conflictPolicy = 'reject' } = {}) => {
+  const fileFormat = treeFormat || from.root?.campaign.treeFormat || to.root?.campaign.treeFormat || 'legacy';
+
+  const load = async (side, name) => {
+    if (side.root) {
+      const { campaign, version, latest } = side.root;
+      const records = campaignStore.getVersionRecords(campaign.id, version.version);
+      const computedRoot = await exports.computeRoot(records, campaign.treeFormat);
+      return {
+        records,
+        summary: {
+          source: 'root',
+          campaignId: campaign.id,
+          parentDomain: campaign.parentDomain,
+          version: version.version,
+          latest,
+          treeFormat: campaign.treeFormat,
+          merkleRoot: version.merkleRoot,
+          computedRoot,
+          verified: computedRoot === version.merkleRoot,
+          totalClaims: records.length
+        }
+      };
+    }
+
+    let list;
+    try {
+      list = await readList(side.file, conflictPolicy);
+    } catch (error) {
+      error.side = name;
+      throw error;
+    }
+    const computedRoot = await exports.computeRoot(list.records, fileFormat);
+    return {
+      records: list.records,
+      summary: {
+        source: 'file',
+        fileName: side.file.originalname,
+        treeFormat: fileFormat,
+        merkleRoot: computedRoot,
+        computedRoot,
+        verified: null, // nothing stored to check it against
+        totalClaims: list.records.length,
+        report: list.report
+      }
+    };
+  };
+
+  const before = await load(from, 'from');
+  const after = await load(to, 'to');
+  const diff = diffRecords(before.records, after.records);
+
+  return {
+    from: before.summary,
+    to: after.summary,
+    identical: before.summary.computedRoot === after.summary.computedRoot,
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      ownershipMoved: diff.ownershipMoved.length,
+      unchanged: diff.unchanged
+    },
+    added: diff.added.slice(0, MAX_LISTED).map(toAllocation),
+    removed: diff.removed.slice(0, MAX_LISTED).map(toAllocation),
+    modified: diff.modified.slice(0, MAX_LISTED),
+    ownershipMoved: diff.ownershipMoved.slice(0, MAX_LISTED),
+    truncated: [diff.added, diff.removed, diff.modified].some(list => list.length > MAX_LISTED)
+  };
+};
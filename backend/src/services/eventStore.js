@@ -0,0 +1,158 @@
+const db = require('../db');
+
+// Factory events written by the indexer, and the block hashes it checks them against.
+// Events are keyed by (chain, block, log index) so re-scanning a range is harmless.
+
+const toEvent = (row) => ({
+  chainId: row.chain_id,
+  factoryAddress: row.factory_address,
+  event: row.event,
+  blockNumber: row.block_number,
+  blockHash: row.block_hash,
+  logIndex: row.log_index,
+  txHash: row.tx_hash,
+  timestamp: new Date(row.block_time * 1000).toISOString(),
+  confirmed: row.confirmed === 1
+});
+
+const toClaim = (row) => ({
+  ...toEvent(row),
+  parentNode: row.parent_node,
+  subdomain: row.subdomain,
+  node: row.node,
+  claimer: row.account
+});
+
+// Any factory event, with the columns of its arguments
+const toFactoryEvent = (row) => ({
+  ...toEvent(row),
+  parentNode: row.parent_node,
+  node: row.node,
+  account: row.account,
+  subdomain: row.subdomain,
+  domain: row.domain,
+  commitment: row.commitment,
+  totalSubdomains: row.total_subdomains,
+  paused: row.paused === null ? null : row.paused === 1
+});
+
+const insertEvent = db.prepare(`
+  INSERT OR REPLACE INTO chain_events (
+    chain_id, factory_address, block_number, log_index, block_hash, block_time, tx_hash, event,
+    parent_node, node, account, subdomain, domain, commitment, total_subdomains, paused, confirmed
+  ) VALUES (
+    @chainId, @factoryAddress, @blockNumber, @logIndex, @blockHash, @blockTime, @txHash, @event,
+    @parentNode, @node, @account, @subdomain, @domain, @commitment, @totalSubdomains, @paused, @confirmed
+  )
+`);
+
+const insertBlock = db.prepare(`
+  INSERT OR REPLACE INTO indexer_blocks (chain_id, factory_address, block_number, block_hash) VALUES (?, ?, ?, ?)
+`);
+
+/**
+ * Store one scanned range: its events and the hash of its last block (the new cursor)
+ */
+exports.saveRange = db.transaction((chainId, factoryAddress, events, { blockNumber, blockHash }) => {
+  for (const event of events) {
+    insertEvent.run({
+      parentNode: null, node: null, account: null, subdomain: null, domain: null,
+      commitment: null, totalSubdomains: null, paused: null, confirmed: 0,
+      ...event,
+      chainId,
+      factoryAddress
+    });
+  }
+  insertBlock.run(chainId, factoryAddress, blockNumber, blockHash);
+});
+
+/**
+ * Stored block hashes for a factory, newest first - the first is the cursor
+ */
+exports.getCheckpoints = (chainId, factoryAddress) => {
+  return db.prepare(`
+    SELECT block_number AS blockNumber, block_hash AS blockHash FROM indexer_blocks
+    WHERE chain_id = ? AND factory_address = ? ORDER BY block_number DESC
+  `).all(chainId, factoryAddress);
+};
+
+/**
+ * Blocks holding a factory's unconfirmed events, oldest first: [{ blockNumber, blockHash }]
+ */
+exports.getUnconfirmedBlocks = (chainId, factoryAddress) => {
+  return db.prepare(`
+    SELECT DISTINCT block_number AS blockNumber, block_hash AS blockHash FROM chain_events
+    WHERE chain_id = ? AND factory_address = ? AND confirmed = 0 ORDER BY block_number
+  `).all(chainId, factoryAddress);
+};
+
+/**
+ * Undo everything indexed for a factory after `blockNumber` (a reorg replaced those blocks)
+ * and make `blockHash` at `blockNumber` the cursor
+ */
+exports.rewind = db.transaction((chainId, factoryAddress, { blockNumber, blockHash }) => {
+  const removed = db.prepare('DELETE FROM chain_events WHERE chain_id = ? AND factory_address = ? AND block_number > ?')
+    .run(chainId, factoryAddress, blockNumber).changes;
+  db.prepare('DELETE FROM indexer_blocks WHERE chain_id = ? AND factory_address = ? AND block_number >= ?')
+    .run(chainId, factoryAddress, blockNumber);
+  insertBlock.run(chainId, factoryAddress, blockNumber, blockHash);
+  return removed;
+});
+
+/**
+ * Mark events at or below `blockNumber` confirmed, and drop block hashes older than the newest
+ * one at or below it (kept as the anchor a reorg rolls back to) - deeper reorgs are not followed.
+ * Returns the events that became confirmed, oldest first.
+ */
+exports.confirm = db.transaction((chainId, factoryAddress, blockNumber) => {
+  const confirmed = db.prepare(`
+    SELECT * FROM chain_events WHERE chain_id = ? AND factory_address = ? AND confirmed = 0 AND block_number <= ?
+    ORDER BY block_number, log_index
+  `).all(chainId, factoryAddress, blockNumber).map(toFactoryEvent);
+  db.prepare('UPDATE chain_events SET confirmed = 1 WHERE chain_id = ? AND factory_address = ? AND confirmed = 0 AND block_number <= ?')
+    .run(chainId, factoryAddress, blockNumber);
+  db.prepare(`
+    DELETE FROM indexer_blocks WHERE chain_id = ? AND factory_address = ? AND block_number < (
+      SELECT MAX(block_number) FROM indexer_blocks WHERE chain_id = ? AND factory_address = ? AND block_number <= ?
+    )
+  `).run(chainId, factoryAddress, chainId, factoryAddress, blockNumber);
+  return confirmed;
+});
+
+/**
+ * Indexed SubdomainClaimed events, newest first. Filters: chainId, factoryAddress, parentNode,
+ * claimer, subdomain, fromBlock, toBlock, confirmed. Returns { claims, total }.
+ */
+exports.listClaims = ({ chainId, factoryAddress, parentNode, claimer, subdomain, fromBlock, toBlock, confirmed } = {}, { offset = 0, limit = 100 } = {}) => {
+  const where = ["event = 'SubdomainClaimed'"];
+  const params = [];
+  const filter = (clause, value) => {
+    if (value === undefined || value === null) return;
+    where.push(clause);
+    params.push(value);
+  };
+  filter('chain_id = ?', chainId);
+  filter('factory_address = ?', factoryAddress?.toLowerCase());
+  filter('parent_node = ?', parentNode?.toLowerCase());
+  filter('account = ?', claimer?.toLowerCase());
+  filter('subdomain = ?', subdomain);
+  filter('block_number >= ?', fromBlock);
+  filter('block_number <= ?', toBlock);
+  filter('confirmed = ?', confirmed === undefined ? undefined : Number(confirmed));
+
+  const clause = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM chain_events WHERE ${clause}`).get(...params).n;
+  const claims = db.prepare(`
+    SELECT * FROM chain_events WHERE ${clause}
+    ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset).map(toClaim);
+  return { claims, total };
+};
+
+/**
+ * Last block indexed for a factory, or null if it hasn't been
+ */
+exports.getIndexedBlock = (chainId, factoryAddress) => {
+  return db.prepare('SELECT MAX(block_number) AS n FROM indexer_blocks WHERE chain_id = ? AND factory_address = ?')
+    .get(chainId, factoryAddress.toLowerCase()).n;
+};
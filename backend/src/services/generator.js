@@ -0,0 +1,215 @@
+const fs = require('fs');
+const campaignStore = require('./campaignStore');
+const bundle = require('./bundle');
+const standardTree = require('./standardTree');
+const rowReaders = require('./rowReaders');
+const chain = require('./chain');
+const webhooks = require('./webhooks');
+const pool = require('../workers/pool');
+const { ValidationReport } = require('./reports');
+const { validateRows, conflictIssues } = require('../utils/validation');
+const { findConflicts, resolveConflicts } = require('../utils/conflicts');
+
+const BATCH_SIZE = 5000;
+// Batches waiting on workers at once - bounds memory regardless of file size
+const MAX_IN_FLIGHT = pool.POOL_SIZE * 2;
+
+/**
+ * Validate rows (resolving ENS names in the address column), then hash the valid ones
+ * in worker threads and store them, BATCH_SIZE rows at a time. Rejected rows and
+ * warnings go to the validation report.
+ */
+const hashAndStore = async (campaign, rows, validation, { clampExpiry }, report) => {
+  const inFlight = [];
+  let batch = [];
+  let totalClaims = 0;
+  let rowsHashed = 0;
+  const checks = { parentExpiry: validation.parentExpiry, clampExpiry, now: Math.floor(Date.now() / 1000) };
+
+  const submit = () => {
+    const records = batch;
+    totalClaims += records.length;
+    batch = [];
+
+    const task = pool.run('hashLeaves', { rows: records, format: campaign.treeFormat }).then(({ leaves }) => {
+      campaignStore.insertAllocations(campaign.id, records, leaves);
+      rowsHashed += records.length;
+      report({ rowsHashed });
+    });
+    task.catch(() => {}); // surfaced when awaited below
+    inFlight.push(task);
+  };
+
+  const accepted = validateRows(rows, validation, { checks, createNameResolver: chain.createNameResolver });
+  for await (const { record } of accepted) {
+    batch.push(record);
+    if (batch.length >= BATCH_SIZE) {
+      submit();
+      report({ rowsRead: validation.totalRows });
+      if (inFlight.length >= MAX_IN_FLIGHT) {
+        await inFlight.shift();
+      }
+    }
+  }
+  if (batch.length > 0) submit();
+  report({ rowsRead: validation.totalRows });
+  await Promise.all(inFlight);
+
+  return { totalClaims, skippedRows: validation.rejectedRows };
+};
+
+/**
+ * Detect rows sharing an address or label and apply the conflict policy.
+ * 'reject' fails the campaign with the validation report attached to the error;
+ * keep_first / keep_last drop the losing rows. Returns the dropped row numbers.
+ */
+const applyConflictPolicy = async (campaign, policy, validation) => {
+  const candidates = campaignStore.getConflictCandidates(campaign.id);
+  const conflicts = findConflicts(candidates);
+  if (conflicts.length === 0) {
+    return [];
+  }
+
+  const dropped = policy === 'reject' ? new Set() : resolveConflicts(candidates, policy);
+  const uploaded = new Map(candidates.map(c => [c.row, { address: c.address, subdomain: c.original, expiry: c.expiry }]));
+  validation.addConflicts(conflictIssues(conflicts, policy, dropped), uploaded);
+
+  if (policy === 'reject') {
+    const error = new Error(`Found ${conflicts.length} conflict(s) between rows - fix them or choose keep_first / keep_last`);
+    error.details = { report: await validation.finish() };
+    throw error;
+  }
+
+  campaignStore.deleteAllocations(campaign.id, [...dropped]);
+  return [...dropped];
+};
+
+/**
+ * NameWrapper expiry of the campaign's parent, or null (with a warning) without an RPC
+ */
+const readParentExpiry = async (campaign) => {
+  let parentExpiry;
+  try {
+    parentExpiry = await chain.getParentExpiry(campaign.parentNode);
+  } catch (error) {
+    throw new Error(`Could not check expiries against ${campaign.parentDomain}: ${error.shortMessage || error.message}`);
+  }
+  if (parentExpiry === null) {
+    console.warn('⚠️ No RPC_URL / ENS_NAME_WRAPPER configured - expiries not checked against the parent');
+  }
+  return parentExpiry;
+};
+
+/**
+ * Hash and store rows into a pending campaign, then build its tree in a worker and
+ * activate it. With expectedRoot set (imports), a different root fails the campaign.
+ * clampExpiry lowers expiries past the parent's NameWrapper expiry instead of rejecting them.
+ */
+const buildCampaign = async (campaign, rows, { exportBundle, expectedRoot, conflictPolicy = 'reject', clampExpiry = false }, report) => {
+  const validation = new ValidationReport({ parentExpiry: await readParentExpiry(campaign) });
+  const hashed = await hashAndStore(campaign, rows, validation, { clampExpiry }, report);
+
+  // CHECK IF WE HAVE VALID ROWS
+  if (hashed.totalClaims === 0) {
+    const error = new Error('No valid rows found in the upload');
+    error.details = { report: await validation.finish() };
+    throw error;
+  }
+  // An imported tree can only be reproduced if every value is valid and already normalized
+  const changed = validation.issues.find(i => i.severity === 'error' || i.code === 'LABEL_NORMALIZED' || i.code === 'EXPIRY_CLAMPED');
+  if (expectedRoot && changed) {
+    const error = new Error(`Dump has invalid or un-normalized values, e.g. value ${changed.row}: ${changed.message}`);
+    error.details = { report: await validation.finish() };
+    throw error;
+  }
+
+  report({ phase: 'checking', percent: 88 });
+  const dropped = await applyConflictPolicy(campaign, conflictPolicy, validation);
+  const totalClaims = hashed.totalClaims - dropped.length;
+
+  report({ phase: 'building', percent: 90 });
+  const tree = await campaignStore.getTree(campaign.id, {
+    onProgress: ({ layer, totalLayers }) => report({ layer, totalLayers })
+  });
+  const root = tree.getHexRoot();
+  if (expectedRoot && root !== expectedRoot.toLowerCase()) {
+    throw new Error(`Root mismatch: dump has ${expectedRoot}, rebuilt ${root}`);
+  }
+  const active = campaignStore.activateCampaign(campaign.id, root, totalClaims);
+
+  console.log(`✅ Generated Merkle tree for ${campaign.parentDomain}: ${totalClaims} leaves, root: ${root}`);
+  webhooks.emit(active, 'tree.generated', { version: 1, merkleRoot: root, previousRoot: null, totalClaims });
+
+  let bundleInfo;
+  if (exportBundle) {
+    report({ phase: 'bundling', percent: 95 });
+    const { manifest } = await bundle.exportBundle(active);
+    bundleInfo = { url: `/bundles/${active.id}`, shards: manifest.shards.length };
+  }
+
+  report({ phase: 'done', percent: 100 });
+  return {
+    campaignId: active.id,
+    campaign: active,
+    parentDomain: active.parentDomain,
+    merkleRoot: root,
+    treeFormat: active.treeFormat,
+    totalClaims,
+    skippedRows: hashed.skippedRows,
+    droppedRows: dropped.length,
+    conflictPolicy,
+    parentExpiry: validation.parentExpiry,
+    report: await validation.finish(),
+    bundle: bundleInfo,
+    message: `Generated Merkle tree for ${totalClaims} claims`
+  };
+};
+
+/**
+ * Generate a campaign from an uploaded allowlist (CSV, XLSX, JSON or NDJSON - see rowReaders):
+ * stream + hash rows in workers, then build the tree layer by layer in a worker. Progress goes to report().
+ */
+exports.generateCampaign = async ({ filePath, fileName, sheet, columns, parentDomain, chainId, factoryAddress, treeFormat, privateProofs, exportBundle, conflictPolicy, clampExpiry }, report) => {
+  const totalBytes = fs.statSync(filePath).size;
+  const campaign = campaignStore.createPendingCampaign({ parentDomain, chainId, factoryAddress, treeFormat, privateProofs });
+  report({ phase: 'hashing', campaignId: campaign.id, totalBytes, percent: 0 });
+
+  try {
+    const rows = rowReaders.readRows(filePath, { fileName, sheet, columns }, (bytesRead) => {
+      report({ bytesRead, percent: Math.floor((bytesRead / totalBytes) * 90) });
+    });
+    return await buildCampaign(campaign, rows, { exportBundle, conflictPolicy, clampExpiry }, report);
+  } catch (error) {
+    campaignStore.deleteCampaign(campaign.id);
+    throw error;
+  } finally {
+    // Clean up uploaded file
+    fs.unlink(filePath, () => {});
+  }
+};
+
+/**
+ * Create a standard-format campaign from an OpenZeppelin StandardMerkleTree dump.
+ * Every value is re-hashed and the tree rebuilt; the import fails unless the root matches.
+ * Conflicting values always fail the import, since dropping any would change the root.
+ */
+exports.importCampaign = async ({ filePath, parentDomain, chainId, factoryAddress, privateProofs, exportBundle }, report) => {
+  let campaign;
+  try {
+    const dump = standardTree.parseDump(await fs.promises.readFile(filePath, 'utf8'));
+    campaign = campaignStore.createPendingCampaign({ parentDomain, chainId, factoryAddress, treeFormat: 'standard', privateProofs });
+    report({ phase: 'hashing', campaignId: campaign.id, totalRows: dump.values.length, percent: 0 });
+
+    const rows = standardTree.dumpRows(dump, (rowsRead) => {
+      report({ percent: Math.floor((rowsRead / dump.values.length) * 90) });
+    });
+    return await buildCampaign(campaign, rows, { exportBundle, expectedRoot: dump.tree[0] }, report);
+  } catch (error) {
+    if (campaign) campaignStore.deleteCampaign(campaign.id);
+    throw error;
+  } finally {
+    fs.unlink(filePath, () => {});
+  }
+};
+
+exports.readParentExpiry = readParentExpiry;
@@ -0,0 +1,172 @@
+const { ethers } = require('ethers');
+const chain = require('./chain');
+const eventStore = require('./eventStore');
+const campaignStore = require('./campaignStore');
+const webhooks = require('./webhooks');
+
+// Seconds between polls; 0 turns the indexer off
+const POLL_SECONDS = parseFloat(process.env.INDEXER_POLL_SECONDS || '15');
+// Blocks on top of an event before it counts as confirmed - reorgs are followed up to this depth
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || '12');
+// First block scanned for a factory that hasn't been indexed yet (default: the head when it's first seen)
+const START_BLOCK = process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK) : null;
+// Blocks per eth_getLogs request
+const BLOCK_RANGE = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000;
+
+const EVENTS = new ethers.Interface([
+  'event ConfigInitialized(bytes32 indexed parentNode, string domain, address indexed owner, uint256 totalSubdomains)',
+  'event CommitmentMade(address indexed user, bytes32 indexed commitment)',
+  'event SubdomainClaimed(address indexed claimer, string subdomain, bytes32 indexed node, bytes32 indexed parentNode)',
+  'event ContractPaused(bool isPaused)'
+]);
+const TOPICS = [[]];
+EVENTS.forEachEvent(event => TOPICS[0].push(event.topicHash));
+
+// Stored columns for each event's arguments
+const FIELDS = {
+  ConfigInitialized: (args) => ({
+    parentNode: args.parentNode,
+    domain: args.domain,
+    account: args.owner.toLowerCase(),
+    totalSubdomains: args.totalSubdomains.toString()
+  }),
+  CommitmentMade: (args) => ({ account: args.user.toLowerCase(), commitment: args.commitment }),
+  SubdomainClaimed: (args) => ({
+    account: args.claimer.toLowerCase(),
+    subdomain: args.subdomain,
+    node: args.node,
+    parentNode: args.parentNode
+  }),
+  ContractPaused: (args) => ({ paused: args.isPaused ? 1 : 0 })
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Factories to follow on a chain: FACTORY_ADDRESS and every campaign's factory
+ */
+const getFactories = (chainId) => {
+  const factories = new Set(campaignStore.listFactoryAddresses(chainId));
+  if (process.env.FACTORY_ADDRESS) factories.add(process.env.FACTORY_ADDRESS.toLowerCase());
+  return [...factories];
+};
+
+const hashOf = async (rpc, blockNumber) => (await rpc.getBlock(blockNumber))?.hash ?? null;
+
+/**
+ * Compare stored block hashes with the chain. When a block was replaced, roll the factory
+ * back to the newest stored block that is still canonical so the range is scanned again.
+ */
+const checkReorg = async (rpc, chainId, factory, checkpoints) => {
+  const stored = [...eventStore.getUnconfirmedBlocks(chainId, factory), checkpoints[0]];
+  let replaced = null;
+  for (const block of stored) {
+    if (await hashOf(rpc, block.blockNumber) !== block.blockHash) {
+      replaced = block.blockNumber;
+      break;
+    }
+  }
+  if (replaced === null) return;
+
+  let target = null;
+  for (const checkpoint of checkpoints.filter(checkpoint => checkpoint.blockNumber < replaced)) {
+    if (await hashOf(rpc, checkpoint.blockNumber) === checkpoint.blockHash) {
+      target = checkpoint;
+      break;
+    }
+  }
+  if (!target) {
+    // Deeper than the stored hashes go - rescan from a block that should be settled
+    const blockNumber = Math.max(replaced - 1 - CONFIRMATIONS, 0);
+    console.warn(`⚠️ Reorg below the indexed checkpoints for ${factory}, rescanning from block ${blockNumber + 1}`);
+    target = { blockNumber, blockHash: await hashOf(rpc, blockNumber) };
+  }
+  const removed = eventStore.rewind(chainId, factory, target);
+  console.log(`🔀 Reorg at block ${replaced} for ${factory}: dropped ${removed} event(s), rescanning from block ${target.blockNumber + 1}`);
+};
+
+/**
+ * Read a factory's events from `fromBlock` to `toBlock` in BLOCK_RANGE chunks, saving each chunk
+ */
+const scan = async (rpc, chainId, factory, fromBlock, toBlock) => {
+  for (let from = fromBlock; from <= toBlock; from += BLOCK_RANGE) {
+    const to = Math.min(from + BLOCK_RANGE - 1, toBlock);
+    const logs = await rpc.getLogs({ address: factory, topics: TOPICS, fromBlock: from, toBlock: to });
+
+    const times = new Map();
+    for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+      times.set(blockNumber, (await rpc.getBlock(blockNumber)).timestamp);
+    }
+    const events = logs.map(log => {
+      const parsed = EVENTS.parseLog(log);
+      return {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        blockTime: times.get(log.blockNumber),
+        txHash: log.transactionHash,
+        event: parsed.name,
+        ...FIELDS[parsed.name](parsed.args)
+      };
+    });
+
+    eventStore.saveRange(chainId, factory, events, { blockNumber: to, blockHash: await hashOf(rpc, to) });
+    if (events.length > 0) {
+      console.log(`📥 Indexed ${events.length} event(s) from ${factory} in blocks ${from}-${to}`);
+    }
+  }
+};
+
+/**
+ * One pass over every factory: undo reorged blocks, scan new ones, confirm settled events.
+ * start() runs it every INDEXER_POLL_SECONDS.
+ */
+const tick = async (rpc) => {
+  const chainId = Number((await rpc.getNetwork()).chainId);
+  const head = await rpc.getBlockNumber();
+
+  for (const factory of getFactories(chainId)) {
+    let checkpoints = eventStore.getCheckpoints(chainId, factory);
+    if (checkpoints.length > 0) {
+      await checkReorg(rpc, chainId, factory, checkpoints);
+      checkpoints = eventStore.getCheckpoints(chainId, factory);
+    } else if (START_BLOCK === null) {
+      console.warn(`⚠️ Indexing ${factory} from block ${head} - set INDEXER_START_BLOCK to backfill older events`);
+    }
+
+    const fromBlock = checkpoints.length > 0 ? checkpoints[0].blockNumber + 1 : START_BLOCK ?? head;
+    await scan(rpc, chainId, factory, fromBlock, head);
+    const confirmed = eventStore.confirm(chainId, factory, head - CONFIRMATIONS);
+    webhooks.chainEvents(chainId, factory, confirmed);
+  }
+};
+
+/**
+ * Poll the configured RPC for factory events every INDEXER_POLL_SECONDS.
+ * Does nothing without an RPC or with the interval set to 0.
+ */
+exports.start = () => {
+  const rpc = chain.getProvider();
+  if (!rpc || !(POLL_SECONDS > 0) || timer) return false;
+
+  const poll = async () => {
+    // A slow pass (e.g. a long backfill) isn't overlapped by the next one
+    if (running) return;
+    running = true;
+    try {
+      await tick(rpc);
+    } catch (error) {
+      console.error('Indexer error:', error.shortMessage || error.message);
+    } finally {
+      running = false;
+    }
+  };
+  timer = setInterval(poll, POLL_SECONDS * 1000);
+  timer.unref();
+  poll();
+  console.log(`👀 Indexing factory events every ${POLL_SECONDS}s (${CONFIRMATIONS} confirmations)`);
+  return true;
+};
+
+exports.tick = tick;
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Background jobs are tracked in memory; finished jobs are dropped after JOB_TTL_MS
+const JOB_TTL_MS = 60 * 60 * 1000;
+const jobs = new Map();
+
+const toJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  details: job.details,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Start a background job. The worker receives a progress reporter
+ * and its resolved value becomes the job result.
+ */
+exports.startJob = (type, work) => {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'running',
+    progress: {},
+    result: null,
+    error: null,
+    details: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  const report = (progress) => {
+    job.progress = { ...job.progress, ...progress };
+  };
+
+  Promise.resolve()
+    .then(() => work(report))
+    .then((result) => {
+      job.status = 'completed';
+      job.result = result;
+    })
+    .catch((error) => {
+      console.error(`❌ Job ${job.id} (${type}) failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.details = error.details ?? null; // structured context, e.g. row conflicts
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+    });
+
+  return toJob(job);
+};
+
+exports.getJob = (id) => {
+  const job = jobs.get(id);
+  return job ? toJob(job) : null;
+};
@@ -0,0 +1,123 @@
+const db = require('../db');
+
+// Token buckets: a key holds up to `capacity` tokens and regains `capacity` every `windowMs`.
+// Each request takes a token and is refused when none are left, so clients can burst up to
+// the capacity and then continue at the refill rate.
+//
+// Stores keep the buckets. A store implements
+//   consume(key, { capacity, windowMs }, now) => Promise<{ allowed, remaining, resetMs, retryMs }>
+// atomically per key. MemoryStore is per process; SqliteStore shares buckets between processes
+// using the database. Other shared stores (e.g. Redis) can be plugged in with setStore.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Refill a bucket up to `now` and take a token from it.
+ * Returns the bucket to store and the result; a missing bucket starts full.
+ */
+const take = (bucket, { capacity, windowMs }, now) => {
+  const perMs = capacity / windowMs;
+  const tokens = bucket
+    ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMs)
+    : capacity;
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+
+  return {
+    bucket: { tokens: left, updatedAt: now, fullAt: now + Math.ceil((capacity - left) / perMs) },
+    result: {
+      allowed,
+      remaining: Math.floor(left),
+      resetMs: Math.ceil((capacity - left) / perMs), // until the bucket is full again
+      retryMs: allowed ? 0 : Math.ceil((1 - left) / perMs) // until the next token
+    }
+  };
+};
+
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+    // A bucket that has refilled is the same as no bucket
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, bucket] of this.buckets) {
+        if (bucket.fullAt <= now) this.buckets.delete(key);
+      }
+    }, PRUNE_INTERVAL_MS).unref();
+  }
+
+  async consume(key, limit, now = Date.now()) {
+    const { bucket, result } = take(this.buckets.get(key), limit, now);
+    this.buckets.set(key, bucket);
+    return result;
+  }
+}
+
+class SqliteStore {
+  constructor() {
+    const get = db.prepare('SELECT tokens, updated_at AS updatedAt FROM rate_limits WHERE key = ?');
+    const put = db.prepare(`
+      INSERT INTO rate_limits (key, tokens, updated_at, full_at) VALUES (@key, @tokens, @updatedAt, @fullAt)
+      ON CONFLICT (key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at, full_at = excluded.full_at
+    `);
+    // IMMEDIATE, so processes sharing the database take tokens one at a time
+    this.consumeNow = db.transaction((key, limit, now) => {
+      const { bucket, result } = take(get.get(key), limit, now);
+      put.run({ key, ...bucket });
+      return result;
+    }).immediate;
+
+    const prune = db.prepare('DELETE FROM rate_limits WHERE full_at <= ?');
+    setInterval(() => prune.run(Date.now()), PRUNE_INTERVAL_MS).unref();
+  }
+
+  async consume(key, limit, now = Date.now()) {
+    return this.consumeNow(key, limit, now);
+  }
+}
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  sqlite: () => new SqliteStore()
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) {
+      throw new Error(`RATE_LIMIT_STORE must be one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+};
+
+/**
+ * Use another bucket store - anything with the consume() above
+ */
+exports.setStore = (custom) => {
+  store = custom;
+};
+
+/**
+ * Take a token from every bucket in `buckets` ([{ key, capacity, windowMs }]).
+ * Resolves with the tightest one: a refused bucket if any (the longest wait), otherwise the fewest
+ * tokens left - { allowed, remaining, resetMs, retryMs, capacity, windowMs }.
+ */
+exports.consume = async (buckets) => {
+  const now = Date.now();
+  let tightest = null;
+  for (const { key, capacity, windowMs } of buckets) {
+    const result = { ...(await getStore().consume(key, { capacity, windowMs }, now)), capacity, windowMs };
+    const tighter = !tightest
+      || (!result.allowed && (tightest.allowed || result.retryMs > tightest.retryMs))
+      || (result.allowed && tightest.allowed && result.remaining < tightest.remaining);
+    if (tighter) tightest = result;
+  }
+  return tightest;
+};
+
+exports.MemoryStore = MemoryStore;
+exports.SqliteStore = SqliteStore;
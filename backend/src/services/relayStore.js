@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Relayer gas budgets and the claims submitted against them. Amounts are wei, kept as
+// decimal strings and added up as BigInts.
+
+const toRelay = (row) => row && {
+  id: row.id,
+  campaignId: row.campaign_id,
+  claimer: row.claimer,
+  subdomain: row.subdomain,
+  expiry: row.expiry,
+  nonce: row.nonce,
+  status: row.status,
+  txHash: row.tx_hash,
+  reservedWei: row.reserved_wei,
+  costWei: row.cost_wei,
+  error: row.error,
+  createdAt: row.created_at,
+  finishedAt: row.finished_at
+};
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * A campaign's budget: { budgetWei, spentWei, reservedWei, remainingWei }, or null if none was set.
+ * reservedWei is held by claims still waiting to be mined.
+ */
+exports.getBudget = (campaignId) => {
+  const row = db.prepare('SELECT * FROM relay_budgets WHERE campaign_id = ?').get(campaignId);
+  if (!row) return null;
+  const reserved = db.prepare("SELECT reserved_wei FROM relayed_claims WHERE campaign_id = ? AND status = 'pending'")
+    .all(campaignId)
+    .reduce((sum, { reserved_wei }) => sum + BigInt(reserved_wei), 0n);
+  const remaining = BigInt(row.budget_wei) - BigInt(row.spent_wei) - reserved;
+  return {
+    budgetWei: row.budget_wei,
+    spentWei: row.spent_wei,
+    reservedWei: reserved.toString(),
+    remainingWei: (remaining > 0n ? remaining : 0n).toString(),
+    updatedAt: row.updated_at
+  };
+};
+
+/**
+ * Set the total a campaign's relayed claims may spend (0 stops relaying). What was spent is kept.
+ */
+exports.setBudget = (campaignId, budgetWei) => {
+  db.prepare(`
+    INSERT INTO relay_budgets (campaign_id, budget_wei, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (campaign_id) DO UPDATE SET budget_wei = excluded.budget_wei, updated_at = excluded.updated_at
+  `).run(campaignId, budgetWei.toString(), new Date().toISOString());
+  return exports.getBudget(campaignId);
+};
+
+/**
+ * Record a claim about to be submitted, holding reservedWei of the budget. Throws with code
+ * RELAY_PENDING when the claimer already has a relayed claim in flight or mined, and
+ * RELAY_BUDGET_EXHAUSTED when the budget can't cover it.
+ */
+exports.reserve = db.transaction((campaignId, { claimer, subdomain, expiry, nonce, reservedWei }) => {
+  const previous = db.prepare(`
+    SELECT status FROM relayed_claims WHERE campaign_id = ? AND claimer = ? AND status IN ('pending', 'confirmed')
+  `).get(campaignId, claimer);
+  if (previous) {
+    throw fail('RELAY_PENDING', previous.status === 'pending'
+      ? 'A relayed claim for this address is already waiting to be mined'
+      : 'This address already claimed through the relayer');
+  }
+
+  const budget = exports.getBudget(campaignId);
+  if (!budget || BigInt(budget.remainingWei) < BigInt(reservedWei)) {
+    throw fail('RELAY_BUDGET_EXHAUSTED', "The campaign's relayer gas budget can't cover this claim");
+  }
+
+  const row = {
+    id: crypto.randomUUID(),
+    campaign_id: campaignId,
+    claimer,
+    subdomain,
+    expiry,
+    nonce: nonce.toString(),
+    status: 'pending',
+    reserved_wei: reservedWei.toString(),
+    created_at: new Date().toISOString()
+  };
+  db.prepare(`
+    INSERT INTO relayed_claims (id, campaign_id, claimer, subdomain, expiry, nonce, status, reserved_wei, created_at)
+    VALUES (@id, @campaign_id, @claimer, @subdomain, @expiry, @nonce, @status, @reserved_wei, @created_at)
+  `).run(row);
+  return toRelay(row);
+});
+
+exports.setTxHash = (id, txHash) => {
+  db.prepare('UPDATE relayed_claims SET tx_hash = ? WHERE id = ?').run(txHash, id);
+};
+
+/**
+ * Finish a relayed claim: confirmed or failed. costWei (gas actually paid, also for
+ * reverted transactions) is charged to the budget and the reservation released.
+ */
+exports.settle = db.transaction((id, { status, costWei = 0n, error = null }) => {
+  const relay = toRelay(db.prepare('SELECT * FROM relayed_claims WHERE id = ?').get(id));
+  if (!relay || relay.status !== 'pending') return relay;
+
+  db.prepare('UPDATE relayed_claims SET status = ?, cost_wei = ?, error = ?, finished_at = ? WHERE id = ?')
+    .run(status, costWei.toString(), error, new Date().toISOString(), id);
+  if (costWei > 0n) {
+    const { spent_wei } = db.prepare('SELECT spent_wei FROM relay_budgets WHERE campaign_id = ?').get(relay.campaignId);
+    db.prepare('UPDATE relay_budgets SET spent_wei = ? WHERE campaign_id = ?')
+      .run((BigInt(spent_wei) + costWei).toString(), relay.campaignId);
+  }
+  return toRelay(db.prepare('SELECT * FROM relayed_claims WHERE id = ?').get(id));
+});
+
+exports.getRelay = (campaignId, id) => {
+  return toRelay(db.prepare('SELECT * FROM relayed_claims WHERE campaign_id = ? AND id = ?').get(campaignId, id));
+};
+
+/**
+ * Claims still waiting to be mined, e.g. when the server restarted
+ */
+exports.listPending = () => {
+  return db.prepare("SELECT * FROM relayed_claims WHERE status = 'pending' ORDER BY created_at").all().map(toRelay);
+};
+
+/**
+ * A campaign's relayed claims, newest first: { relays, total }
+ */
+exports.listRelays = (campaignId, { status, offset = 0, limit = 100 } = {}) => {
+  const where = 'campaign_id = @campaignId AND (@status IS NULL OR status = @status)';
+  const params = { campaignId, status: status ?? null };
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM relayed_claims WHERE ${where}`).get(params).n;
+  const relays = db.prepare(`SELECT * FROM relayed_claims WHERE ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(toRelay);
+  return { relays, total };
+};
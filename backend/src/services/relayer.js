@@ -0,0 +1,272 @@
+const { ethers } = require('ethers');
+const chain = require('./chain');
+const campaignStore = require('./campaignStore');
+const relayStore = require('./relayStore');
+const { hashLeaf } = require('../utils/merkle');
+
+// Funded key that submits signed claims (claimSubdomainFor) and pays their gas
+const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
+// Extra gas allowed over the estimate, in percent - reserved from the budget, only used gas is charged
+const GAS_HEADROOM = 20;
+
+const RELAY_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function claimSubdomainFor((address claimer, bytes32 parentNode, string subdomain, uint64 expiry, uint256 nonce, uint256 deadline) intent, bytes signature, bytes32[] merkleProof)',
+  'function revealClaimFor(address claimer, bytes32 parentNode, string subdomain, uint64 expiry, uint256 nonce, bytes32[] merkleProof)',
+  'error ContractIsPaused()',
+  'error ConfigNotActive()',
+  'error AlreadyClaimed()',
+  'error SubdomainAlreadyClaimed()',
+  'error InvalidMerkleProof()',
+  'error ExpiryExceedsParent()',
+  'error InvalidSignature()',
+  'error IntentExpired()',
+  'error RevealTooEarly()',
+  'error NotCommitter()',
+  'error InvalidAccountNonce(address account, uint256 currentNonce)'
+];
+
+// EIP-712 type the claimant signs - BulkSubdomainFactory.ClaimIntent
+const CLAIM_INTENT_TYPES = {
+  ClaimIntent: [
+    { name: 'claimer', type: 'address' },
+    { name: 'parentNode', type: 'bytes32' },
+    { name: 'subdomain', type: 'string' },
+    { name: 'expiry', type: 'uint64' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// ERC-1271: contract wallets return this from isValidSignature for their own signatures
+const ERC1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const fail = (code, message, details) => Object.assign(new Error(message), { code, details });
+
+let signer = null;
+
+/**
+ * Relayer account, or null without RELAYER_PRIVATE_KEY and an RPC. The NonceManager keeps
+ * concurrent relays from reusing a transaction nonce.
+ */
+const getSigner = () => {
+  const rpc = chain.getProvider();
+  if (!rpc || !RELAYER_PRIVATE_KEY) return null;
+  if (!signer) {
+    signer = new ethers.NonceManager(new ethers.Wallet(RELAYER_PRIVATE_KEY, rpc));
+  }
+  return signer;
+};
+
+const getFactory = (campaign, runner = chain.getProvider()) => new ethers.Contract(campaign.factoryAddress, RELAY_ABI, runner);
+
+/**
+ * EIP-712 domain of a campaign's factory
+ */
+const getDomain = (campaign) => ({
+  name: 'BulkSubdomainFactory',
+  version: '1',
+  chainId: campaign.chainId,
+  verifyingContract: ethers.getAddress(campaign.factoryAddress)
+});
+
+/**
+ * Why claims for a campaign can't be relayed, or null when they can
+ */
+const unavailableReason = async (campaign) => {
+  if (!getSigner()) return 'No relayer is configured';
+  if (!campaign.factoryAddress || !campaign.chainId) return 'The campaign has no factory address';
+  const { chainId } = await chain.getProvider().getNetwork();
+  if (Number(chainId) !== campaign.chainId) return `The relayer runs on chain ${chainId}, the campaign on chain ${campaign.chainId}`;
+  if (!relayStore.getBudget(campaign.id)) return 'The campaign has no relayer gas budget';
+  return null;
+};
+
+/**
+ * What a claimant needs to sign a claim intent: { enabled, reason, relayer, budget, domain, types,
+ * nonce }. nonce is the address's next factory nonce, when an address is given.
+ */
+exports.getInfo = async (campaign, address) => {
+  const reason = await unavailableReason(campaign);
+  const info = {
+    enabled: reason === null,
+    reason,
+    relayer: getSigner() ? await getSigner().getAddress() : null,
+    budget: relayStore.getBudget(campaign.id),
+    domain: campaign.factoryAddress && campaign.chainId ? getDomain(campaign) : null,
+    types: CLAIM_INTENT_TYPES,
+    nonce: null
+  };
+  if (address && info.domain && chain.getProvider()) {
+    info.nonce = (await getFactory(campaign).nonces(address)).toString();
+  }
+  return info;
+};
+
+// The factory's custom error name for a failed call, if it has one
+const revertReason = (error) => error.revert?.name || error.shortMessage || error.message;
+
+/**
+ * Wait for a submitted claim and settle it against the budget (charging the gas it used)
+ */
+const track = async (relay) => {
+  try {
+    const receipt = await chain.getProvider().waitForTransaction(relay.txHash);
+    const costWei = receipt.gasUsed * (receipt.gasPrice ?? 0n);
+    const settled = relayStore.settle(relay.id, receipt.status === 1
+      ? { status: 'confirmed', costWei }
+      : { status: 'failed', costWei, error: 'Transaction reverted' });
+    console.log(`${receipt.status === 1 ? '⛽' : '❌'} Relayed claim ${relay.subdomain} for ${relay.claimer}: ${settled.status}, ${ethers.formatEther(costWei)} ETH`);
+  } catch (error) {
+    // Left pending - recoverPending picks it up again after a restart
+    console.error(`Could not track relayed claim ${relay.txHash}:`, error.shortMessage || error.message);
+  }
+};
+
+/**
+ * Simulate a factory call, reserve its gas from the budget and send it from the relayer account.
+ * `claim` ({ claimer, subdomain, expiry, nonce }) is what gets recorded; returns the pending relayed claim.
+ */
+const submit = async (campaign, claim, method, args) => {
+  const relayer = getSigner();
+  const factory = getFactory(campaign, relayer);
+
+  let gasLimit;
+  try {
+    // eth_call first: not every node returns the revert data of a failed gas estimate
+    await factory[method].staticCall(...args);
+    gasLimit = await factory[method].estimateGas(...args);
+  } catch (error) {
+    const reverted = revertReason(error);
+    // The factory checks the signature and deadline again - either may have changed since checkIntent
+    if (reverted === 'InvalidSignature') throw fail('INVALID_SIGNATURE', 'The claimer\'s wallet rejected the signature');
+    if (reverted === 'IntentExpired') throw fail('INTENT_EXPIRED', 'The claim intent is past its deadline - sign a new one');
+    throw fail('RELAY_REJECTED', `The factory would reject this claim: ${reverted}`, { reason: reverted });
+  }
+  gasLimit = gasLimit * BigInt(100 + GAS_HEADROOM) / 100n;
+  const fees = await chain.getProvider().getFeeData();
+  const reservedWei = gasLimit * (fees.maxFeePerGas ?? fees.gasPrice);
+
+  const relay = relayStore.reserve(campaign.id, { ...claim, reservedWei });
+  let tx;
+  try {
+    tx = await factory[method](...args, { gasLimit });
+  } catch (error) {
+    relayStore.settle(relay.id, { status: 'failed', error: revertReason(error) });
+    // The signer's nonce may be out of step after a failed send
+    relayer.reset();
+    throw error;
+  }
+  relayStore.setTxHash(relay.id, tx.hash);
+  console.log(`🛰️ Relayed claim ${claim.subdomain}.${campaign.parentDomain} for ${claim.claimer} (${method}): ${tx.hash}`);
+
+  const submitted = { ...relay, txHash: tx.hash };
+  track(submitted);
+  return submitted;
+};
+
+/**
+ * Check a campaign can relay and `claimer` owns the allocation; returns its Merkle proof
+ */
+const checkClaim = async (campaign, { claimer, subdomain, expiry }) => {
+  const reason = await unavailableReason(campaign);
+  if (reason) throw fail('RELAY_DISABLED', reason);
+
+  const leaf = hashLeaf({ address: claimer, subdomain, expiry }, campaign.treeFormat);
+  if (!campaignStore.hasLeaf(campaign.id, leaf)) {
+    throw fail('CLAIM_NOT_FOUND', 'Claim not found in Merkle tree');
+  }
+  const tree = await campaignStore.getTree(campaign.id);
+  return tree.getHexProof(leaf);
+};
+
+/**
+ * Address that signed a claim intent (lowercased), or null for a signature that can't be recovered
+ */
+const recoverSigner = (campaign, intent, signature) => {
+  try {
+    return ethers.verifyTypedData(getDomain(campaign), CLAIM_INTENT_TYPES, intent, signature).toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether `signature` is the claimer's over a claim intent, checked the way the factory does:
+ * ECDSA for accounts without code, ERC-1271 isValidSignature for contract wallets
+ */
+const isClaimerSignature = async (campaign, intent, signature) => {
+  const rpc = chain.getProvider();
+  if (await rpc.getCode(intent.claimer) === '0x') {
+    return recoverSigner(campaign, intent, signature) === intent.claimer;
+  }
+  const digest = ethers.TypedDataEncoder.hash(getDomain(campaign), CLAIM_INTENT_TYPES, intent);
+  try {
+    return await new ethers.Contract(intent.claimer, ERC1271_ABI, rpc).isValidSignature(digest, signature) === ERC1271_MAGIC_VALUE;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check a signed claim intent for a campaign: { claimer, subdomain, expiry, nonce, deadline, signature }.
+ * Returns { intent, signature, proof } for relayClaim once the claimer's signature checks out.
+ * Throws errors with a code (RELAY_DISABLED, CLAIM_NOT_FOUND, INTENT_EXPIRED, INVALID_SIGNATURE).
+ */
+exports.checkIntent = async (campaign, { claimer, subdomain, expiry, nonce, deadline, signature }) => {
+  const proof = await checkClaim(campaign, { claimer, subdomain, expiry });
+  if (deadline <= Math.floor(Date.now() / 1000)) {
+    throw fail('INTENT_EXPIRED', 'The claim intent is past its deadline - sign a new one');
+  }
+
+  const intent = { claimer, parentNode: campaign.parentNode, subdomain, expiry, nonce, deadline };
+  if (!await isClaimerSignature(campaign, intent, signature)) {
+    throw fail('INVALID_SIGNATURE', 'The signature is not from the claimer');
+  }
+  return { intent, signature, proof };
+};
+
+/**
+ * Submit a claim intent checked by checkIntent: simulates it, reserves its gas from the budget and
+ * sends it; returns the pending relayed claim. Throws errors with a code (INTENT_EXPIRED,
+ * INVALID_SIGNATURE, RELAY_REJECTED, RELAY_PENDING, RELAY_BUDGET_EXHAUSTED).
+ */
+exports.relayClaim = async (campaign, { intent, signature, proof }) => {
+  const { claimer, subdomain, expiry, nonce } = intent;
+  return submit(campaign, { claimer, subdomain, expiry, nonce }, 'claimSubdomainFor', [intent, signature, proof]);
+};
+
+/**
+ * Reveal a claim its claimer committed to (revealClaimFor), paid from the campaign's budget.
+ * `nonce` is the commitment's nonce. Throws like relayClaim - RELAY_REJECTED with reason
+ * RevealTooEarly until the commitment is REVEAL_DELAY old.
+ */
+exports.relayReveal = async (campaign, { claimer, subdomain, expiry, nonce }) => {
+  const proof = await checkClaim(campaign, { claimer, subdomain, expiry });
+  return submit(campaign, { claimer, subdomain, expiry, nonce }, 'revealClaimFor',
+    [claimer, campaign.parentNode, subdomain, expiry, nonce, proof]);
+};
+
+/**
+ * Settle relayed claims left pending by a restart. Ones that never got a transaction hash
+ * are failed - their gas reservation is released.
+ */
+exports.recoverPending = () => {
+  const pending = relayStore.listPending();
+  if (pending.length === 0) return;
+  if (!chain.getProvider()) {
+    console.warn(`⚠️ ${pending.length} relayed claim(s) are pending but no RPC is configured to check them`);
+    return;
+  }
+  for (const relay of pending) {
+    if (relay.txHash) {
+      track(relay);
+    } else {
+      relayStore.settle(relay.id, { status: 'failed', error: 'Interrupted before the transaction was sent' });
+    }
+  }
+  console.log(`🛰️ Checking ${pending.length} pending relayed claim(s)`);
+};
+
+exports.CLAIM_INTENT_TYPES = CLAIM_INTENT_TYPES;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_DIR = process.env.REPORT_DIR || path.join(__dirname, '../../data/reports');
+// Issues listed in the JSON report - the summary and the rejected-rows CSV cover the rest
+const MAX_REPORTED_ISSUES = 1000;
+// Rejected-rows CSVs are kept for download as long as finished jobs
+const REPORT_TTL_MS = 60 * 60 * 1000;
+const files = new Map();
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Collects row-level issues from validation or generation. Rows with errors are
+ * written to a rejected-rows CSV that can be downloaded from /api/reports/:id/rejected.csv
+ */
+class ValidationReport {
+  // parentExpiry: NameWrapper expiry rows were checked against, null if it wasn't read
+  constructor({ parentExpiry = null } = {}) {
+    this.id = crypto.randomUUID();
+    this.parentExpiry = parentExpiry;
+    this.issues = [];
+    this.summary = {};
+    this.totalRows = 0;
+    this.rejectedRows = 0;
+    this.warningRows = 0;
+    this.out = null;
+  }
+
+  /**
+   * Record the issues found for one row; values are the row's raw fields
+   */
+  addRow(rowNum, values, issues) {
+    this.totalRows++;
+    if (issues.length === 0) return;
+    this.addIssues(issues);
+    const errors = issues.filter(i => i.severity === 'error');
+    if (errors.length > 0) {
+      this.reject(rowNum, values, errors);
+    } else if (issues.some(i => i.severity === 'warning')) {
+      this.warningRows++;
+    }
+  }
+
+  /**
+   * Record issues found across rows (conflicts) without counting rows again
+   */
+  addIssues(issues) {
+    for (const issue of issues) {
+      const entry = this.summary[issue.code] || (this.summary[issue.code] = { severity: issue.severity, count: 0 });
+      entry.count++;
+      if (this.issues.length < MAX_REPORTED_ISSUES) this.issues.push(issue);
+    }
+  }
+
+  /**
+   * Record cross-row issues (conflicts). Rows they make errors of are rejected;
+   * records maps row number -> { address, subdomain, expiry } as uploaded.
+   */
+  addConflicts(issues, records) {
+    this.addIssues(issues);
+    const errorsByRow = new Map();
+    for (const issue of issues.filter(i => i.severity === 'error')) {
+      if (!errorsByRow.has(issue.row)) errorsByRow.set(issue.row, []);
+      errorsByRow.get(issue.row).push(issue);
+    }
+    for (const [row, errors] of errorsByRow) {
+      this.reject(row, records.get(row), errors);
+    }
+  }
+
+  /**
+   * Add a row to the rejected-rows CSV
+   */
+  reject(rowNum, { address, subdomain, expiry }, errors) {
+    this.rejectedRows++;
+    if (!this.out) {
+      fs.mkdirSync(REPORT_DIR, { recursive: true });
+      this.file = path.join(REPORT_DIR, `${this.id}.csv`);
+      this.out = fs.createWriteStream(this.file);
+      this.out.write('row,address,subdomain,expiry,codes,messages\n');
+    }
+    const line = [
+      rowNum, address, subdomain, expiry,
+      errors.map(e => e.code).join(' '),
+      errors.map(e => e.message).join('; ')
+    ].map(csvCell).join(',');
+    this.out.write(line + '\n');
+  }
+
+  /**
+   * Close the rejected-rows file and return the JSON report
+   */
+  async finish() {
+    if (this.out) {
+      await new Promise(resolve => this.out.end(resolve));
+      files.set(this.id, this.file);
+      setTimeout(() => {
+        files.delete(this.id);
+        fs.unlink(this.file, () => {});
+      }, REPORT_TTL_MS).unref();
+    }
+    return this.toJSON();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      totalRows: this.totalRows,
+      acceptedRows: this.totalRows - this.rejectedRows,
+      rejectedRows: this.rejectedRows,
+      warningRows: this.warningRows,
+      parentExpiry: this.parentExpiry,
+      summary: this.summary,
+      issues: [...this.issues].sort((a, b) => a.row - b.row),
+      truncated: Object.values(this.summary).reduce((n, s) => n + s.count, 0) > this.issues.length,
+      rejectedCsvUrl: this.out ? `/api/reports/${this.id}/rejected.csv` : null
+    };
+  }
+}
+
+exports.ValidationReport = ValidationReport;
+
+/**
+ * Path of a finished report's rejected-rows CSV, or null if it expired
+ */
+exports.getRejectedFile = (id) => files.get(id) || null;
+
+/**
+ * Remove rejected-row files left over from a previous run - called once on startup
+ */
+exports.clearReports = () => {
+  fs.rmSync(REPORT_DIR, { recursive: true, force: true });
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const csv = require('csv-parser');
+const { parser: jsonParser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const ExcelJS = require('exceljs');
+const { resolveColumns, suggestColumns } = require('../utils/columns');
+
+// Allowlist file formats by extension - anything else is read as CSV
+const FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+const DELIMITERS = [',', ';', '\t'];
+const SNIFF_BYTES = 64 * 1024;
+const BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+// Rows read to detect headers and show a sample
+const PREVIEW_ROWS = 5;
+
+exports.EXTENSIONS = Object.keys(FORMATS);
+
+exports.detectFormat = (fileName) => FORMATS[path.extname(fileName || '').toLowerCase()] || 'csv';
+
+// Excel exports often carry a BOM and capitalized or padded headers
+const cleanHeader = ({ header }) => header.replace(/^\uFEFF/, '').trim().toLowerCase();
+
+/**
+ * Guess the CSV delimiter from the header line: the candidate seen most often outside quotes
+ */
+const sniffDelimiter = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    const counts = new Map(DELIMITERS.map(d => [d, 0]));
+    let quoted = false;
+    for (const char of buffer.toString('utf8', 0, bytesRead)) {
+      if (char === '"') quoted = !quoted;
+      else if (!quoted && (char === '\n' || char === '\r')) break;
+      else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    return [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+  } finally {
+    await handle.close();
+  }
+};
+
+async function* readCsv(filePath, options, onBytes) {
+  const separator = await sniffDelimiter(filePath);
+  const file = fs.createReadStream(filePath);
+  const rows = file.pipe(csv({ separator, mapHeaders: cleanHeader }));
+  let row = 1; // header
+  for await (const values of rows) {
+    onBytes(file.bytesRead);
+    yield { row: ++row, values };
+  }
+}
+
+/**
+ * Plain text for an Excel cell: formulas give their result, dates become unix seconds
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return String(Math.floor(value.getTime() / 1000));
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return '';
+};
+
+// Read an iterable to the end without looking at its items
+const drain = async (iterable) => {
+  const iterator = iterable[Symbol.asyncIterator]();
+  while (!(await iterator.next()).done);
+};
+
+/**
+ * Stream rows from one sheet of a workbook: options.sheet is a sheet name or
+ * 1-based position, defaulting to the first sheet. The first row is the header.
+ */
+async function* readXlsx(filePath, { sheet } = {}, onBytes) {
+  const file = fs.createReadStream(filePath);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(file, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    styles: 'cache', // needed to tell dates from numbers
+    hyperlinks: 'ignore'
+  });
+
+  let found = false;
+  for await (const worksheet of workbook) {
+    const sheets = workbook.model?.sheets || [];
+    const wanted = !sheet
+      ? sheets[0]?.name ?? worksheet.name
+      : /^\d+$/.test(sheet) ? sheets[parseInt(sheet) - 1]?.name : sheet;
+
+    if (found || worksheet.name !== wanted) {
+      // Sheets have to be read through to get to the next one
+      await drain(worksheet);
+      continue;
+    }
+    found = true;
+
+    let headers = null;
+    for await (const excelRow of worksheet) {
+      onBytes(file.bytesRead);
+      // row.values is 1-based: values[1] is column A
+      const cells = excelRow.values.slice(1).map(cellText);
+      if (!headers) {
+        headers = cells.map(header => cleanHeader({ header }));
+        continue;
+      }
+      if (cells.every(cell => !cell.trim())) continue;
+      const values = {};
+      headers.forEach((header, i) => { if (header) values[header] = cells[i] ?? ''; });
+      yield { row: excelRow.number, values };
+    }
+  }
+  if (!found) {
+    throw new Error(sheet ? `Sheet "${sheet}" not found in the workbook` : 'Workbook has no sheets');
+  }
+}
+
+// JSON and NDJSON values may be numbers (expiry) - rows are strings like CSV fields
+const stringValues = (object) => {
+  const values = {};
+  for (const [key, value] of Object.entries(object)) {
+    values[key.trim().toLowerCase()] = value === null || value === undefined ? '' : String(value);
+  }
+  return values;
+};
+
+/**
+ * Where a JSON file's content starts (past a BOM) and its first non-blank character
+ */
+const peekJson = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    const start = buffer.subarray(0, 3).equals(BOM) ? 3 : 0;
+    return { start, first: buffer.toString('utf8', start, bytesRead).trimStart()[0] };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Rows from a JSON array of { address, subdomain, expiry } objects; row is the 1-based position.
+ * The array is parsed as it streams in, so only one entry is held at a time.
+ */
+async function* readJson(filePath, options, onBytes) {
+  const { start, first } = await peekJson(filePath);
+  if (first === '{') {
+    throw new Error('JSON allowlists must be an array of { address, subdomain, expiry } objects - '
+      + 'a StandardMerkleTree dump is imported with POST /api/campaigns/import');
+  }
+  if (first !== '[') {
+    throw new Error('File is not valid JSON: JSON allowlists must be an array of { address, subdomain, expiry } objects');
+  }
+
+  const file = fs.createReadStream(filePath, { start });
+  const items = pipeline(file, jsonParser(), streamArray(), () => {});
+  try {
+    for await (const { key, value: item } of items) {
+      onBytes(file.bytesRead);
+      yield item && typeof item === 'object' && !Array.isArray(item)
+        ? { row: key + 1, values: stringValues(item) }
+        : { row: key + 1, values: {}, error: 'Entry is not an object' };
+    }
+  } catch (error) {
+    throw new Error(`File is not valid JSON: ${error.message}`);
+  } finally {
+    file.destroy();
+  }
+}
+
+/**
+ * Rows from newline-delimited JSON, one object per line; row is the line number
+ */
+async function* readNdjson(filePath, options, onBytes) {
+  const file = fs.createReadStream(filePath);
+  const lines = readline.createInterface({ input: file, crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    onBytes(file.bytesRead);
+    let item;
+    try {
+      item = JSON.parse(line === 1 ? text.replace(/^\uFEFF/, '') : text);
+    } catch {
+      yield { row: line, values: {}, error: 'Line is not valid JSON' };
+      continue;
+    }
+    yield item && typeof item === 'object' && !Array.isArray(item)
+      ? { row: line, values: stringValues(item) }
+      : { row: line, values: {}, error: 'Line is not a JSON object' };
+  }
+}
+
+const READERS = { csv: readCsv, xlsx: readXlsx, json: readJson, ndjson: readNdjson };
+
+const readEntries = (filePath, { fileName, sheet }, onBytes) =>
+  READERS[exports.detectFormat(fileName)](filePath, { sheet }, onBytes);
+
+/**
+ * Stream { row, values, error? } from an allowlist file in any supported format.
+ * row is the number to report issues against (CSV/XLSX line, JSON position, NDJSON line);
+ * values holds address, subdomain and expiry as strings, read from the columns mapped
+ * to them (utils/columns - recognized header names when columns isn't given);
+ * error is set for unreadable entries.
+ */
+exports.readRows = async function* (filePath, { fileName, sheet, columns } = {}, onBytes = () => {}) {
+  let mapping = null;
+  for await (const entry of readEntries(filePath, { fileName, sheet }, onBytes)) {
+    if (entry.error) {
+      yield entry;
+      continue;
+    }
+    mapping = mapping || resolveColumns(Object.keys(entry.values), columns);
+    const values = {};
+    for (const [field, header] of Object.entries(mapping)) values[field] = entry.values[header] ?? '';
+    yield { row: entry.row, values };
+  }
+};
+
+/**
+ * Read the first rows of a file to offer a column mapping:
+ * { format, headers, suggested: { address, subdomain, expiry }, sample }
+ */
+exports.inspectColumns = async (filePath, { fileName, sheet } = {}) => {
+  const headers = [];
+  const sample = [];
+  for await (const entry of readEntries(filePath, { fileName, sheet }, () => {})) {
+    if (entry.error) continue;
+    for (const header of Object.keys(entry.values)) {
+      if (!headers.includes(header)) headers.push(header);
+    }
+    sample.push(entry.values);
+    if (sample.length >= PREVIEW_ROWS) break;
+  }
+  return { format: exports.detectFormat(fileName), headers, suggested: suggestColumns(headers), sample };
+};
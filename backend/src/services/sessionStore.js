@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Commit-reveal claims followed by the claim session service (services/claimSessions).
+// Open sessions are the ones still waiting for a commit or a reveal.
+const OPEN_STATUSES = ['created', 'committed', 'revealable', 'revealing'];
+
+const toSession = (row) => row && {
+  id: row.id,
+  campaignId: row.campaign_id,
+  claimer: row.claimer,
+  subdomain: row.subdomain,
+  expiry: row.expiry,
+  leaf: row.leaf,
+  commitment: row.commitment,
+  nonceEnc: row.nonce_enc,
+  status: row.status,
+  commitTx: row.commit_tx,
+  committedAt: row.committed_at,
+  revealableAt: row.revealable_at,
+  relayId: row.relay_id,
+  revealTx: row.reveal_tx,
+  error: row.error,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+// camelCase session fields -> columns, for update()
+const COLUMNS = {
+  status: 'status',
+  commitTx: 'commit_tx',
+  committedAt: 'committed_at',
+  revealableAt: 'revealable_at',
+  relayId: 'relay_id',
+  revealTx: 'reveal_tx',
+  error: 'error'
+};
+
+exports.insertSession = ({ campaignId, claimer, subdomain, expiry, leaf, commitment, nonceEnc }) => {
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    campaign_id: campaignId,
+    claimer,
+    subdomain,
+    expiry,
+    leaf,
+    commitment,
+    nonce_enc: nonceEnc,
+    status: 'created',
+    created_at: now,
+    updated_at: now
+  };
+  db.prepare(`
+    INSERT INTO claim_sessions (id, campaign_id, claimer, subdomain, expiry, leaf, commitment, nonce_enc, status, created_at, updated_at)
+    VALUES (@id, @campaign_id, @claimer, @subdomain, @expiry, @leaf, @commitment, @nonce_enc, @status, @created_at, @updated_at)
+  `).run(row);
+  return toSession(row);
+};
+
+/**
+ * Set some of a session's fields (see COLUMNS) and return it
+ */
+exports.updateSession = (id, fields) => {
+  const entries = Object.entries(fields).filter(([field]) => COLUMNS[field]);
+  const sets = entries.map(([field]) => `${COLUMNS[field]} = @${field}`).join(', ');
+  db.prepare(`UPDATE claim_sessions SET ${sets}, updated_at = @updatedAt WHERE id = @id`)
+    .run({ ...Object.fromEntries(entries), updatedAt: new Date().toISOString(), id });
+  return toSession(db.prepare('SELECT * FROM claim_sessions WHERE id = ?').get(id));
+};
+
+exports.getSession = (campaignId, id) => {
+  return toSession(db.prepare('SELECT * FROM claim_sessions WHERE campaign_id = ? AND id = ?').get(campaignId, id));
+};
+
+/**
+ * The open session for one allocation, if there is one
+ */
+exports.findOpenSession = (campaignId, leaf) => {
+  return toSession(db.prepare(`
+    SELECT * FROM claim_sessions
+    WHERE campaign_id = ? AND leaf = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+    ORDER BY created_at DESC
+  `).get(campaignId, leaf, ...OPEN_STATUSES));
+};
+
+exports.findByCommitment = (commitment) => {
+  return toSession(db.prepare('SELECT * FROM claim_sessions WHERE commitment = ?').get(commitment));
+};
+
+/**
+ * A claimer's sessions in a campaign, newest first
+ */
+exports.listSessions = (campaignId, claimer) => {
+  return db.prepare('SELECT * FROM claim_sessions WHERE campaign_id = ? AND claimer = ? ORDER BY created_at DESC')
+    .all(campaignId, claimer)
+    .map(toSession);
+};
+
+/**
+ * Sessions still waiting for a commit or a reveal, oldest first - across restarts
+ */
+exports.listOpenSessions = () => {
+  return db.prepare(`SELECT * FROM claim_sessions WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) ORDER BY created_at`)
+    .all(...OPEN_STATUSES)
+    .map(toSession);
+};
@@ -0,0 +1,63 @@
+const { SiweMessage, generateNonce } = require('siwe');
+const chain = require('./chain');
+
+// Nonces handed out for sign-in messages - each can be used once, within NONCE_TTL_MS
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const nonces = new Map();
+
+/**
+ * EIP-4361 domain messages must be signed for: SIWE_DOMAIN, or the host of the
+ * (first) FRONTEND_URL
+ */
+const expectedDomain = () => {
+  if (process.env.SIWE_DOMAIN) return process.env.SIWE_DOMAIN;
+  return new URL((process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim()).host;
+};
+
+/**
+ * A fresh nonce to put in a Sign-In with Ethereum message: { nonce, domain, expiresAt }
+ */
+exports.issueNonce = () => {
+  const nonce = generateNonce();
+  const expiresAt = Date.now() + NONCE_TTL_MS;
+  nonces.set(nonce, expiresAt);
+  setTimeout(() => nonces.delete(nonce), NONCE_TTL_MS).unref();
+  return { nonce, domain: expectedDomain(), expiresAt: new Date(expiresAt).toISOString() };
+};
+
+/**
+ * Verify a signed Sign-In with Ethereum (EIP-4361) message: its domain, a nonce from
+ * issueNonce (used up either way), its time window and the signature - contract wallets
+ * are checked with ERC-1271 isValidSignature through the RPC.
+ * Returns { address (lowercase), chainId, expirationTime }; throws if anything doesn't hold.
+ */
+exports.verify = async ({ message, signature }) => {
+  let siwe;
+  try {
+    siwe = new SiweMessage(message);
+  } catch (error) {
+    throw new Error(`Not a Sign-In with Ethereum message: ${error.message || error}`);
+  }
+
+  const domain = expectedDomain();
+  if (siwe.domain !== domain) {
+    throw new Error(`Message was signed for ${siwe.domain}, expected ${domain}`);
+  }
+  if (!nonces.has(siwe.nonce)) {
+    throw new Error('Unknown or expired nonce - request a new one');
+  }
+  nonces.delete(siwe.nonce);
+
+  const result = await siwe.verify(
+    { signature, domain, nonce: siwe.nonce },
+    { provider: chain.getProvider() || undefined, suppressExceptions: true }
+  );
+  if (!result.success) {
+    throw new Error(`Invalid signature: ${result.error?.type || result.error?.message || 'verification failed'}`);
+  }
+  return {
+    address: siwe.address.toLowerCase(),
+    chainId: siwe.chainId,
+    expirationTime: siwe.expirationTime || null
+  };
+};
@@ -0,0 +1,88 @@
+const { once } = require('events');
+const campaignStore = require('./campaignStore');
+const { LEAF_TYPES } = require('../utils/merkle');
+
+// OpenZeppelin @openzeppelin/merkle-tree StandardMerkleTree dump format
+const DUMP_FORMAT = 'standard-v1';
+const PAGE_SIZE = 5000;
+
+/**
+ * Parse and check a StandardMerkleTree JSON dump for our leaf encoding
+ */
+exports.parseDump = (text) => {
+  let dump;
+  try {
+    dump = JSON.parse(text);
+  } catch {
+    throw new Error('Dump is not valid JSON');
+  }
+
+  if (dump?.format !== DUMP_FORMAT) {
+    throw new Error(`Unsupported dump format: ${dump?.format} (expected ${DUMP_FORMAT})`);
+  }
+  if (JSON.stringify(dump.leafEncoding) !== JSON.stringify(LEAF_TYPES)) {
+    throw new Error(`Unsupported leafEncoding: expected ${JSON.stringify(LEAF_TYPES)}`);
+  }
+  if (!Array.isArray(dump.tree) || dump.tree.length === 0 || !Array.isArray(dump.values)) {
+    throw new Error('Dump must contain a non-empty tree and a values array');
+  }
+  return dump;
+};
+
+/**
+ * Turn dump values into raw rows for the generator, in dump order (row = 1-based value position)
+ */
+exports.dumpRows = async function* (dump, onRows) {
+  for (let i = 0; i < dump.values.length; i++) {
+    const [address, subdomain, expiry] = dump.values[i].value || [];
+    yield {
+      row: i + 1,
+      values: { address: String(address ?? ''), subdomain: String(subdomain ?? ''), expiry: String(expiry ?? '') }
+    };
+    if (i % PAGE_SIZE === 0) onRows(i);
+  }
+};
+
+/**
+ * Stream a standard-format campaign as a StandardMerkleTree JSON dump.
+ * Values keep their upload order; treeIndex points into the node array like
+ * StandardMerkleTree.of(), with repeated leaves taking consecutive slots.
+ */
+exports.writeDump = async (campaign, tree, out) => {
+  const write = async (chunk) => {
+    if (!out.write(chunk)) await once(out, 'drain');
+  };
+
+  await write(`{"format":"${DUMP_FORMAT}","leafEncoding":${JSON.stringify(LEAF_TYPES)},"tree":[`);
+  for (let start = 0; start < tree.nodeCount; start += PAGE_SIZE) {
+    const end = Math.min(start + PAGE_SIZE, tree.nodeCount);
+    const nodes = [];
+    for (let i = start; i < end; i++) nodes.push(`"${tree.nodeHex(i)}"`);
+    await write((start ? ',' : '') + nodes.join(','));
+  }
+
+  await write('],"values":[');
+  const repeats = new Map(); // leaf -> slots already handed out
+  let afterIdx = -1;
+  let first = true;
+  for (;;) {
+    const page = campaignStore.getAllocationPage(campaign.id, afterIdx, PAGE_SIZE);
+    if (page.length === 0) break;
+
+    const values = page.map(({ address, subdomain, expiry, leaf }) => {
+      let sortedIndex = tree.sortedIndexOf(leaf);
+      const used = repeats.get(leaf) || 0;
+      if (used > 0 || (sortedIndex + 1 < tree.leafCount && tree.nodeHex(tree.nodeCount - 2 - sortedIndex) === leaf)) {
+        repeats.set(leaf, used + 1);
+        sortedIndex += used;
+      }
+      const treeIndex = tree.nodeCount - 1 - sortedIndex;
+      return JSON.stringify({ value: [address, subdomain, String(expiry)], treeIndex });
+    });
+    await write((first ? '' : ',') + values.join(','));
+    first = false;
+    afterIdx = page[page.length - 1].idx;
+  }
+  await write(']}');
+  out.end();
+};
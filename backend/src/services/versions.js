@@ -0,0 +1,218 @@
+const campaignStore = require('./campaignStore');
+const bundle = require('./bundle');
+const chain = require('./chain');
+const generator = require('./generator');
+const webhooks = require('./webhooks');
+const pool = require('../workers/pool');
+const { ValidationReport } = require('./reports');
+const { validateRows, conflictIssues } = require('../utils/validation');
+const { findConflicts } = require('../utils/conflicts');
+
+const BATCH_SIZE = 5000;
+// Campaigns with a change being applied - each campaign takes one change at a time
+const updating = new Set();
+
+/**
+ * Claim a campaign for a change; false if one is already running.
+ * updateRows releases it when done.
+ */
+exports.reserve = (campaignId) => {
+  if (updating.has(campaignId)) return false;
+  updating.add(campaignId);
+  return true;
+};
+
+exports.isUpdating = (campaignId) => updating.has(campaignId);
+
+/**
+ * The stored allocation a selector points at; throws unless exactly one row matches
+ */
+const findRow = (campaignId, selector, where) => {
+  const matches = campaignStore.findAllocations(campaignId, selector);
+  if (matches.length !== 1) {
+    const [field, value] = Object.entries(selector)[0];
+    throw new Error(`${where}: ${matches.length === 0 ? 'no row' : `${matches.length} rows`} with ${field} ${value}`);
+  }
+  return matches[0];
+};
+
+// Number appended rows after the campaign's last row, so they get row numbers of their own
+async function* numberRows(entries, firstRow) {
+  let row = firstRow;
+  for await (const entry of entries) yield { ...entry, row: row++ };
+}
+
+async function* concat(...sources) {
+  for (const source of sources) yield* source;
+}
+
+const inverse = ({ added, removed, changed }) => ({
+  added: removed,
+  removed: added,
+  changed: changed.map(({ prev, next }) => ({ prev: next, next: prev }))
+});
+
+/**
+ * Apply a change set to an active campaign and record it as a new root version.
+ * changes: { rows (entries to append, as from rowReaders), remove: [selector],
+ *   edit: [{ ...selector, set: { address?, subdomain?, expiry? } }], clampExpiry, note }
+ * where a selector is { row }, { subdomain } or { address } and must match one row.
+ * Added and edited rows are validated like an upload; any error - or a conflict with
+ * another row - rejects the whole change. Removing or changing a leaf that was already
+ * claimed on-chain is allowed, with a warning.
+ */
+exports.updateRows = async (campaign, { rows, remove = [], edit = [], clampExpiry = false, note }, report) => {
+  try {
+    report({ phase: 'validating', campaignId: campaign.id, percent: 0 });
+
+    const targeted = new Set();
+    const target = (selector, where) => {
+      const allocation = findRow(campaign.id, selector, where);
+      if (targeted.has(allocation.row)) {
+        throw new Error(`${where}: row ${allocation.row} is already removed or edited by this change`);
+      }
+      targeted.add(allocation.row);
+      return allocation;
+    };
+    const removed = remove.map((selector, i) => target(selector, `remove[${i}]`));
+    const edited = new Map(edit.map(({ set, ...selector }, i) => {
+      const prev = target(selector, `edit[${i}]`);
+      return [prev.row, { prev, values: {
+        address: set.address ?? prev.address,
+        subdomain: set.subdomain ?? prev.original,
+        expiry: set.expiry ?? String(prev.expiry)
+      } }];
+    }));
+
+    // Edited rows keep their row number; appended rows are numbered after the last one
+    const validation = new ValidationReport({ parentExpiry: await generator.readParentExpiry(campaign) });
+    const checks = { parentExpiry: validation.parentExpiry, clampExpiry, now: Math.floor(Date.now() / 1000) };
+    const entries = concat(
+      [...edited.values()].map(({ prev, values }) => ({ row: prev.row, values })),
+      rows ? numberRows(rows, campaignStore.getNextRow(campaign.id)) : []
+    );
+    const records = [];
+    for await (const { record } of validateRows(entries, validation, { checks, createNameResolver: chain.createNameResolver })) {
+      const prev = edited.get(record.row)?.prev;
+      // An untouched address keeps the ENS name it was resolved from
+      if (prev && record.address === prev.address && !record.ensName) {
+        record.ensName = prev.ensName;
+        record.resolvedBlock = prev.resolvedBlock;
+      }
+      records.push(record);
+    }
+    if (validation.rejectedRows > 0) {
+      const error = new Error(`${validation.rejectedRows} row(s) failed validation - nothing was changed`);
+      error.details = { report: await validation.finish() };
+      throw error;
+    }
+
+    report({ phase: 'hashing', percent: 30 });
+    for (let i = 0; i < records.length; i += BATCH_SIZE) {
+      const batch = records.slice(i, i + BATCH_SIZE);
+      const { leaves } = await pool.run('hashLeaves', { rows: batch, format: campaign.treeFormat });
+      batch.forEach((record, j) => { record.leaf = leaves[j]; });
+    }
+
+    const diff = { added: [], removed, changed: [] };
+    for (const record of records) {
+      const prev = edited.get(record.row)?.prev;
+      if (!prev) diff.added.push(record);
+      // Edits that leave the leaf as it was aren't changes
+      else if (record.leaf !== prev.leaf || record.original !== prev.original) diff.changed.push({ prev, next: record });
+    }
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+      throw new Error('The change leaves every row as it was');
+    }
+
+    // Removing a claimed leaf doesn't revoke the subdomain, and the contract allows one
+    // claim per address - warn rather than refuse, the name is already out there
+    const old = [...diff.removed, ...diff.changed.map(c => c.prev)];
+    const claimed = await chain.getClaimedStatus(campaign.factoryAddress, old.map(a => a.leaf));
+    diff.removed.forEach((a, i) => { a.claimed = claimed[i]; });
+    diff.changed.forEach((c, i) => { c.claimed = claimed[diff.removed.length + i]; });
+    const warnings = [
+      ...diff.removed.filter(a => a.claimed).map(a => ({
+        row: a.row, change: 'removed', address: a.address, subdomain: a.subdomain, leaf: a.leaf,
+        message: `${a.subdomain}.${campaign.parentDomain} was already claimed - removing the row doesn't revoke it`
+      })),
+      ...diff.changed.filter(c => c.claimed).map(({ prev }) => ({
+        row: prev.row, change: 'changed', address: prev.address, subdomain: prev.subdomain, leaf: prev.leaf,
+        message: `${prev.subdomain}.${campaign.parentDomain} was already claimed - the recipient keeps it and can't claim the edited row`
+      }))
+    ];
+
+    report({ phase: 'checking', percent: 45 });
+    // Settle any tree build in progress before the allocations change under it
+    await campaignStore.getTree(campaign.id);
+    campaignStore.applyRowChanges(campaign.id, diff);
+
+    const touched = new Set([...diff.added, ...diff.changed.map(c => c.next)].map(r => r.row));
+    const candidates = campaignStore.getConflictCandidates(campaign.id);
+    const conflicts = findConflicts(candidates).filter(c => c.rows.some(row => touched.has(row)));
+    if (conflicts.length > 0) {
+      campaignStore.applyRowChanges(campaign.id, inverse(diff));
+      const uploaded = new Map(candidates.map(c => [c.row, { address: c.address, subdomain: c.original, expiry: c.expiry }]));
+      validation.addConflicts(conflictIssues(conflicts, 'reject'), uploaded);
+      const error = new Error(`Found ${conflicts.length} conflict(s) with existing rows - nothing was changed`);
+      error.details = { report: await validation.finish() };
+      throw error;
+    }
+
+    report({ phase: 'building', percent: 50 });
+    let tree;
+    try {
+      tree = await campaignStore.getTree(campaign.id, {
+        onProgress: ({ layer, totalLayers }) => report({ layer, totalLayers })
+      });
+    } catch (error) {
+      campaignStore.applyRowChanges(campaign.id, inverse(diff));
+      throw error;
+    }
+
+    const merkleRoot = tree.getHexRoot();
+    const totalClaims = campaign.totalClaims + diff.added.length - diff.removed.length;
+    const version = campaignStore.recordVersion(campaign.id, { merkleRoot, totalClaims, ...diff, note });
+    const updated = campaignStore.getCampaign(campaign.id);
+
+    console.log(`✅ ${campaign.parentDomain} root version ${version}: +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}, root: ${merkleRoot}`);
+    webhooks.emit(updated, 'tree.generated', {
+      version,
+      merkleRoot,
+      previousRoot: campaign.merkleRoot,
+      totalClaims,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length
+    });
+
+    // A bundle left on the old root would hand out proofs that no longer verify
+    let bundleInfo;
+    if (bundle.hasBundle(campaign.id)) {
+      report({ phase: 'bundling', percent: 95 });
+      const { manifest } = await bundle.exportBundle(updated);
+      bundleInfo = { url: `/bundles/${campaign.id}`, shards: manifest.shards.length };
+    }
+
+    report({ phase: 'done', percent: 100 });
+    return {
+      campaignId: campaign.id,
+      campaign: updated,
+      version,
+      previousRoot: campaign.merkleRoot,
+      merkleRoot,
+      totalClaims,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length,
+      // false when removed or changed leaves couldn't be checked on-chain (no RPC or factory)
+      claimedChecked: !claimed.includes(null),
+      warnings,
+      report: await validation.finish(),
+      bundle: bundleInfo,
+      message: `Root version ${version}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`
+    };
+  } finally {
+    updating.delete(campaign.id);
+  }
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Webhook subscriptions, the deliveries queued for them and every attempt at sending one
+// (see services/webhooks). A webhook's secret is only returned by createWebhook.
+
+const SECRET_PREFIX = 'whsec_';
+
+const toWebhook = (row) => row && {
+  id: row.id,
+  campaignId: row.campaign_id,
+  url: row.url,
+  events: JSON.parse(row.events),
+  secretPrefix: row.secret.slice(0, SECRET_PREFIX.length + 6),
+  description: row.description,
+  active: row.active === 1,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+};
+
+const toDelivery = (row) => row && {
+  id: row.id,
+  webhookId: row.webhook_id,
+  eventId: row.event_id,
+  event: row.event,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.next_attempt_at,
+  replayOf: row.replay_of,
+  createdAt: row.created_at,
+  deliveredAt: row.delivered_at
+};
+
+const toAttempt = (row) => ({
+  attempt: row.attempt,
+  responseStatus: row.response_status,
+  responseBody: row.response_body,
+  error: row.error,
+  durationMs: row.duration_ms,
+  attemptedAt: row.attempted_at
+});
+
+/**
+ * Subscribe a URL to events, for one campaign or (campaignId null) all of them.
+ * Returns the webhook with its signing secret - the only time it is shown.
+ */
+exports.createWebhook = ({ campaignId = null, url, events, description = null }) => {
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    campaign_id: campaignId,
+    url,
+    events: JSON.stringify(events),
+    secret: SECRET_PREFIX + crypto.randomBytes(32).toString('base64url'),
+    description,
+    active: 1,
+    created_at: now,
+    updated_at: now
+  };
+  db.prepare(`
+    INSERT INTO webhooks (id, campaign_id, url, events, secret, description, active, created_at, updated_at)
+    VALUES (@id, @campaign_id, @url, @events, @secret, @description, @active, @created_at, @updated_at)
+  `).run(row);
+  return { ...toWebhook(row), secret: row.secret };
+};
+
+exports.getWebhook = (id) => {
+  return toWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+};
+
+/**
+ * Webhooks, oldest first - all of them, or those of one campaign (plus the ones for every campaign)
+ */
+exports.listWebhooks = ({ campaignId } = {}) => {
+  return db.prepare(`
+    SELECT * FROM webhooks WHERE @campaignId IS NULL OR campaign_id = @campaignId OR campaign_id IS NULL
+    ORDER BY created_at
+  `).all({ campaignId: campaignId ?? null }).map(toWebhook);
+};
+
+/**
+ * Change a webhook's url, events, description or active flag; returns it (null if unknown)
+ */
+exports.updateWebhook = (id, { url, events, description, active }) => {
+  db.prepare(`
+    UPDATE webhooks SET
+      url = IFNULL(@url, url),
+      events = IFNULL(@events, events),
+      description = IFNULL(@description, description),
+      active = IFNULL(@active, active),
+      updated_at = @updatedAt
+    WHERE id = @id
+  `).run({
+    id,
+    url: url ?? null,
+    events: events ? JSON.stringify(events) : null,
+    description: description ?? null,
+    active: active === undefined ? null : Number(active),
+    updatedAt: new Date().toISOString()
+  });
+  return exports.getWebhook(id);
+};
+
+/**
+ * Delete a webhook with its delivery log; returns whether it existed
+ */
+exports.deleteWebhook = (id) => {
+  return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+};
+
+/**
+ * Active webhooks subscribed to an event of a campaign
+ */
+exports.findSubscribers = (campaignId, event) => {
+  return db.prepare('SELECT * FROM webhooks WHERE active = 1 AND (campaign_id = ? OR campaign_id IS NULL) ORDER BY created_at')
+    .all(campaignId)
+    .map(toWebhook)
+    .filter(webhook => webhook.events.includes(event));
+};
+
+const insertDelivery = db.prepare(`
+  INSERT INTO webhook_deliveries (id, webhook_id, event_id, event, payload, status, next_attempt_at, replay_of, created_at)
+  VALUES (@id, @webhook_id, @event_id, @event, @payload, 'pending', @created_at, @replay_of, @created_at)
+`);
+
+/**
+ * Queue an event for a webhook; payload is the JSON body to send. Due right away.
+ */
+exports.queueDelivery = (webhookId, { eventId, event, payload, replayOf = null }) => {
+  const row = {
+    id: crypto.randomUUID(),
+    webhook_id: webhookId,
+    event_id: eventId,
+    event,
+    payload,
+    replay_of: replayOf,
+    created_at: new Date().toISOString()
+  };
+  insertDelivery.run(row);
+  return exports.getDelivery(webhookId, row.id);
+};
+
+/**
+ * A delivery with the body that was sent and its attempts, oldest first
+ */
+exports.getDelivery = (webhookId, id, { withLog = false } = {}) => {
+  const row = db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND id = ?').get(webhookId, id);
+  if (!row || !withLog) return toDelivery(row);
+  return {
+    ...toDelivery(row),
+    payload: JSON.parse(row.payload),
+    log: db.prepare('SELECT * FROM webhook_attempts WHERE delivery_id = ? ORDER BY attempt').all(id).map(toAttempt)
+  };
+};
+
+/**
+ * A webhook's deliveries, newest first: { deliveries, total }
+ */
+exports.listDeliveries = (webhookId, { status, event, offset = 0, limit = 100 } = {}) => {
+  const where = 'webhook_id = @webhookId AND (@status IS NULL OR status = @status) AND (@event IS NULL OR event = @event)';
+  const params = { webhookId, status: status ?? null, event: event ?? null };
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM webhook_deliveries WHERE ${where}`).get(params).n;
+  const deliveries = db.prepare(`SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(toDelivery);
+  return { deliveries, total };
+};
+
+/**
+ * Pending deliveries of active webhooks whose next attempt is due, oldest first, with their
+ * body and the webhook's url and secret
+ */
+exports.listDueDeliveries = (limit) => {
+  return db.prepare(`
+    SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+    ORDER BY d.next_attempt_at LIMIT ?
+  `).all(new Date().toISOString(), limit).map(row => ({
+    ...toDelivery(row),
+    payload: row.payload,
+    url: row.url,
+    secret: row.secret
+  }));
+};
+
+/**
+ * Log an attempt at a delivery and move it on: delivered, failed, or pending until nextAttemptAt
+ */
+exports.recordAttempt = db.transaction((id, { status, nextAttemptAt = null, responseStatus = null, responseBody = null, error = null, durationMs }) => {
+  const { attempts } = db.prepare('SELECT attempts FROM webhook_deliveries WHERE id = ?').get(id);
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO webhook_attempts (delivery_id, attempt, response_status, response_body, error, duration_ms, attempted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, attempts + 1, responseStatus, responseBody, error, durationMs, now);
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, delivered_at = ? WHERE id = ?
+  `).run(status, attempts + 1, nextAttemptAt, status === 'delivered' ? now : null, id);
+});
+
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const campaignStore = require('./campaignStore');
+const sessionStore = require('./sessionStore');
+const webhookStore = require('./webhookStore');
+const signature = require('../utils/webhookSignature');
+const { version } = require('../../package.json');
+
+// Seconds between passes over due deliveries; 0 stops sending
+const POLL_SECONDS = parseFloat(process.env.WEBHOOK_POLL_SECONDS || '5');
+// Attempts before a delivery is given up on (it can still be replayed)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Wait before the first retry - doubled after every failed attempt, up to an hour
+const RETRY_SECONDS = parseFloat(process.env.WEBHOOK_RETRY_SECONDS) || 30;
+const MAX_RETRY_SECONDS = 60 * 60;
+// Receivers have this long to answer with a 2xx
+const TIMEOUT_SECONDS = parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+// Deliveries sent per pass, at the same time
+const BATCH_SIZE = 20;
+// Response bodies are logged up to this many characters
+const LOGGED_BODY_LENGTH = 1000;
+
+// Events a webhook can subscribe to. On-chain ones are sent once the indexer confirms them.
+const EVENTS = ['tree.generated', 'config.deployed', 'commitment.made', 'subdomain.claimed', 'contract.paused'];
+
+let timer = null;
+let running = false;
+
+const campaignSummary = (campaign) => campaign && {
+  id: campaign.id,
+  parentDomain: campaign.parentDomain,
+  parentNode: campaign.parentNode,
+  chainId: campaign.chainId,
+  factoryAddress: campaign.factoryAddress
+};
+
+/**
+ * Queue an event for every webhook subscribed to it on a campaign. `since` (ms) skips webhooks
+ * created after the event happened, so a backfilling indexer doesn't replay history to them.
+ * Returns the number of deliveries queued.
+ */
+const emit = (campaign, event, data, { since } = {}) => {
+  const webhooks = webhookStore.findSubscribers(campaign.id, event)
+    .filter(webhook => since === undefined || Date.parse(webhook.createdAt) <= since);
+  if (webhooks.length === 0) return 0;
+
+  const eventId = crypto.randomUUID();
+  const payload = JSON.stringify({
+    id: eventId,
+    event,
+    createdAt: new Date().toISOString(),
+    campaign: campaignSummary(campaign),
+    data
+  });
+  for (const webhook of webhooks) {
+    webhookStore.queueDelivery(webhook.id, { eventId, event, payload });
+  }
+  setImmediate(poll);
+  return webhooks.length;
+};
+
+exports.emit = emit;
+
+// Webhook event and campaign-independent data for each factory event
+const CHAIN_EVENTS = {
+  ConfigInitialized: (row) => ['config.deployed', {
+    parentNode: row.parentNode,
+    domain: row.domain,
+    owner: row.account,
+    totalSubdomains: row.totalSubdomains
+  }],
+  CommitmentMade: (row) => ['commitment.made', { account: row.account, commitment: row.commitment }],
+  SubdomainClaimed: (row) => ['subdomain.claimed', {
+    claimer: row.account,
+    subdomain: row.subdomain,
+    node: row.node
+  }],
+  ContractPaused: (row) => ['contract.paused', { paused: row.paused }]
+};
+
+/**
+ * Campaigns a factory event is about: the one for its parent node, the one whose claim session
+ * made a commitment, otherwise (pauses, other commitments) every active campaign on the factory
+ */
+const campaignsFor = (chainId, factoryAddress, row) => {
+  if (row.parentNode) {
+    const campaign = campaignStore.findActiveCampaign({ parentNode: row.parentNode, chainId, factoryAddress });
+    return campaign ? [campaign] : [];
+  }
+  const session = row.commitment && sessionStore.findByCommitment(row.commitment);
+  if (session) return [campaignStore.getCampaign(session.campaignId)];
+  return campaignStore.listCampaigns({ status: 'active' })
+    .filter(campaign => campaign.chainId === chainId && campaign.factoryAddress === factoryAddress);
+};
+
+/**
+ * Send webhooks for factory events the indexer just confirmed
+ */
+exports.chainEvents = (chainId, factoryAddress, rows) => {
+  for (const row of rows) {
+    const [event, data] = CHAIN_EVENTS[row.event](row);
+    for (const campaign of campaignsFor(chainId, factoryAddress, row)) {
+      emit(campaign, event, {
+        ...data,
+        ...(event === 'subdomain.claimed' && { name: `${row.subdomain}.${campaign.parentDomain}` }),
+        txHash: row.txHash,
+        blockNumber: row.blockNumber,
+        timestamp: row.timestamp
+      }, { since: Date.parse(row.timestamp) });
+    }
+  }
+};
+
+/**
+ * Send a `ping` event to one webhook, e.g. to check its receiver
+ */
+exports.ping = (webhook) => {
+  const campaign = webhook.campaignId ? campaignStore.getCampaign(webhook.campaignId) : null;
+  const eventId = crypto.randomUUID();
+  const payload = JSON.stringify({
+    id: eventId,
+    event: 'ping',
+    createdAt: new Date().toISOString(),
+    campaign: campaignSummary(campaign),
+    data: { webhookId: webhook.id }
+  });
+  const delivery = webhookStore.queueDelivery(webhook.id, { eventId, event: 'ping', payload });
+  setImmediate(poll);
+  return delivery;
+};
+
+/**
+ * Send a delivery's event to its webhook again, as a new delivery with the same event id
+ * (receivers can tell it's the same event). Null when there's no such delivery.
+ */
+exports.replay = (webhook, deliveryId) => {
+  const original = webhookStore.getDelivery(webhook.id, deliveryId, { withLog: true });
+  if (!original) return null;
+  const delivery = webhookStore.queueDelivery(webhook.id, {
+    eventId: original.eventId,
+    event: original.event,
+    payload: JSON.stringify(original.payload),
+    replayOf: original.id
+  });
+  setImmediate(poll);
+  return delivery;
+};
+
+const retryAt = (attempts) => {
+  const seconds = Math.min(RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+  return new Date(Date.now() + seconds * 1000).toISOString();
+};
+
+/**
+ * POST one delivery, signed with its webhook's secret, and log the outcome. Anything but a 2xx
+ * is retried with exponential backoff until MAX_ATTEMPTS.
+ */
+const send = async (delivery) => {
+  const started = Date.now();
+  let result;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `ens-bulk-webhooks/${version}`,
+        'X-ENSB-Event': delivery.event,
+        'X-ENSB-Delivery': delivery.id,
+        [signature.HEADER]: signature.sign(delivery.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_SECONDS * 1000)
+    });
+    const body = await response.text().catch(() => '');
+    result = {
+      ok: response.ok,
+      responseStatus: response.status,
+      responseBody: body.slice(0, LOGGED_BODY_LENGTH) || null,
+      error: response.ok ? null : `Receiver answered ${response.status}`
+    };
+  } catch (error) {
+    result = { ok: false, error: error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_SECONDS}s` : error.cause?.message || error.message };
+  }
+
+  const attempts = delivery.attempts + 1;
+  const { ok, ...logged } = result;
+  const status = ok ? 'delivered' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  webhookStore.recordAttempt(delivery.id, {
+    ...logged,
+    status,
+    nextAttemptAt: status === 'pending' ? retryAt(attempts) : null,
+    durationMs: Date.now() - started
+  });
+  if (!ok) {
+    console.warn(`⚠️ Webhook ${delivery.event} to ${delivery.url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${result.error}`);
+  }
+};
+
+const poll = async () => {
+  if (running || !timer) return;
+  running = true;
+  try {
+    let due;
+    do {
+      due = webhookStore.listDueDeliveries(BATCH_SIZE);
+      await Promise.all(due.map(send));
+    } while (due.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Webhook sender error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Send due deliveries every WEBHOOK_POLL_SECONDS - queued ones are stored, so a restart resumes
+ * them. New events are sent right away; the interval is for retries.
+ */
+exports.start = () => {
+  if (!(POLL_SECONDS > 0) || timer) return false;
+  timer = setInterval(poll, POLL_SECONDS * 1000);
+  timer.unref();
+  poll();
+  console.log(`🪝 Sending webhooks (retries every ${RETRY_SECONDS}s and up, ${MAX_ATTEMPTS} attempts)`);
+  return true;
+};
+
+exports.EVENTS = EVENTS;
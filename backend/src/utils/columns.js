@@ -0,0 +1,42 @@
+// Fields every allowlist row needs, and header names recognized for each
+// when no column mapping is given (headers are compared lowercased)
+const FIELDS = ['address', 'subdomain', 'expiry'];
+const SYNONYMS = {
+  address: ['address', 'wallet', 'wallet_address', 'walletaddress', 'eth_address', 'account', 'owner', 'recipient'],
+  subdomain: ['subdomain', 'label', 'name', 'username', 'handle', 'ens', 'ens_name'],
+  expiry: ['expiry', 'expires', 'expiration', 'expires_at', 'expiry_date', 'valid_until', 'validuntil']
+};
+
+/**
+ * Suggest a column for each field from the file's headers: { address, subdomain, expiry },
+ * with null for fields no header matched
+ */
+exports.suggestColumns = (headers) => {
+  const suggested = {};
+  for (const field of FIELDS) {
+    suggested[field] = SYNONYMS[field].find(name => headers.includes(name)) ?? null;
+  }
+  return suggested;
+};
+
+/**
+ * Header to read for each field: the mapping where given, otherwise the suggestion.
+ * Throws when a mapped header is missing or a field has no column.
+ */
+exports.resolveColumns = (headers, columns) => {
+  const suggested = exports.suggestColumns(headers);
+  const resolved = {};
+  for (const field of FIELDS) {
+    const header = columns?.[field]?.trim().toLowerCase() ?? suggested[field];
+    if (!header) {
+      throw new Error(`No ${field} column found (columns: ${headers.join(', ')}) - map one with the columns field`);
+    }
+    if (!headers.includes(header)) {
+      throw new Error(`Column "${header}" mapped to ${field} not found (columns: ${headers.join(', ')})`);
+    }
+    resolved[field] = header;
+  }
+  return resolved;
+};
+
+exports.FIELDS = FIELDS;
@@ -0,0 +1,78 @@
+// The contract allows one claim per address (hasClaimed) and one owner per label,
+// so rows that share either would strand a recipient on-chain.
+const CONFLICT_POLICIES = ['reject', 'keep_first', 'keep_last'];
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const k = key(row);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(row);
+  }
+  return [...groups.entries()].filter(([, group]) => group.length > 1);
+};
+
+const distinct = (rows, key) => new Set(rows.map(key)).size;
+
+/**
+ * Find conflicts between rows: [{ row, address, subdomain, original, expiry }]
+ * where subdomain is the normalized label and original the label as uploaded.
+ * Returns [{ type, value, rows }] with the row numbers involved, in row order.
+ */
+exports.findConflicts = (rows) => {
+  const conflicts = [];
+  const add = (type, value, group) => conflicts.push({ type, value, rows: group.map(r => r.row) });
+
+  // Same address, label and expiry - the same leaf twice
+  for (const [, group] of groupBy(rows, r => `${r.address}|${r.subdomain}|${r.expiry}`)) {
+    add('identical_rows', `${group[0].address},${group[0].subdomain},${group[0].expiry}`, group);
+  }
+  // One address with different allocations - only one of them can ever be claimed
+  for (const [address, group] of groupBy(rows, r => r.address)) {
+    if (distinct(group, r => `${r.subdomain}|${r.expiry}`) > 1) add('duplicate_address', address, group);
+  }
+  for (const [label, group] of groupBy(rows, r => r.subdomain)) {
+    // One label for different addresses - only the first claimer gets it
+    if (distinct(group, r => r.address) > 1) add('duplicate_label', label, group);
+    // Labels that only differ by case in the upload (Alice / alice) normalize to the same name
+    const originals = group.map(r => r.original ?? r.subdomain);
+    if (new Set(originals).size > 1 && new Set(originals.map(o => o.toLowerCase())).size === 1) {
+      add('case_collision', label, group);
+    }
+  }
+
+  return conflicts.sort((a, b) => a.rows[0] - b.rows[0]);
+};
+
+/**
+ * Pick the rows to drop so every address and label is used once.
+ * keep_first walks rows in order and keeps a row unless its address or label
+ * is already taken by a kept row; keep_last does the same from the end.
+ */
+exports.resolveConflicts = (rows, policy) => {
+  const ordered = [...rows].sort((a, b) => policy === 'keep_last' ? b.row - a.row : a.row - b.row);
+  const addresses = new Set();
+  const labels = new Set();
+  const dropped = new Set();
+
+  for (const row of ordered) {
+    if (addresses.has(row.address) || labels.has(row.subdomain)) {
+      dropped.add(row.row);
+    } else {
+      addresses.add(row.address);
+      labels.add(row.subdomain);
+    }
+  }
+  return dropped;
+};
+
+/**
+ * Count conflicts by type
+ */
+exports.countConflicts = (conflicts) => {
+  const counts = {};
+  for (const { type } of conflicts) counts[type] = (counts[type] || 0) + 1;
+  return counts;
+};
+
+exports.CONFLICT_POLICIES = CONFLICT_POLICIES;
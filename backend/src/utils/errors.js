@@ -0,0 +1,65 @@
+// Every error response is { error, code, requestId, details? }: `error` is a readable message,
+// `code` one of ERROR_CODES (stable - clients branch on it), `requestId` the X-Request-Id the
+// server logged the request under, and `details` structured context like a validation report.
+const ERROR_CODES = {
+  INVALID_REQUEST: 'A parameter, query field, body field or file is missing or invalid - see details.issues',
+  INVALID_JSON: 'The request body is not valid JSON',
+  FILE_TOO_LARGE: 'The upload is larger than MAX_FILE_SIZE',
+  UNSUPPORTED_FILE_TYPE: 'The upload is not an allowlist (or tree dump) format the route accepts',
+  INVALID_FILE: 'The upload could not be parsed',
+  INVALID_ALLOWLIST: 'Rows were rejected - see details.report',
+  INVALID_CHANGES: 'The row changes are malformed',
+  PARENT_EXPIRY_UNAVAILABLE: "The parent domain's NameWrapper expiry could not be read",
+  UNAUTHENTICATED: 'The route needs an API key or session',
+  FORBIDDEN: "The caller's role is too low for the route",
+  SIGN_IN_FAILED: 'The Sign-In with Ethereum message or signature was rejected',
+  NO_DASHBOARD_ACCESS: 'The wallet has no dashboard account',
+  PROOFS_PRIVATE: "The campaign's proofs are private - sign in as the claimant",
+  NOT_CLAIMANT: 'Private proofs and claim sessions are only shown to the signed-in claimant',
+  ROUTE_NOT_FOUND: 'No such route',
+  ROUTE_REMOVED: 'The route was replaced by a campaign route - see details.replacement',
+  CAMPAIGN_NOT_FOUND: 'No campaign with that id, Merkle root or parent node',
+  VERSION_NOT_FOUND: 'The campaign has no such root version',
+  ROOT_NOT_FOUND: 'No campaign version has that root',
+  CLAIM_NOT_FOUND: 'The address, label and expiry are not a leaf of the tree',
+  SESSION_NOT_FOUND: 'The campaign has no such claim session',
+  JOB_NOT_FOUND: 'No such job (finished jobs are kept for an hour)',
+  REPORT_NOT_FOUND: 'No such report (rejected-row files are kept for an hour)',
+  API_KEY_NOT_FOUND: 'No such API key',
+  ACCOUNT_NOT_FOUND: 'No such dashboard account',
+  WEBHOOK_NOT_FOUND: 'No such webhook',
+  DELIVERY_NOT_FOUND: 'The webhook has no such delivery',
+  CAMPAIGN_EXISTS: 'An active campaign already exists for the parent node - archive it first',
+  CAMPAIGN_GENERATING: 'The campaign is still being generated',
+  CAMPAIGN_NOT_ACTIVE: 'Only active campaigns can be changed',
+  CAMPAIGN_BUSY: 'Another change to the campaign is still being applied',
+  BUNDLE_NOT_ALLOWED: 'Campaigns with private proofs cannot have a public proof bundle',
+  WRONG_TREE_FORMAT: 'Only standard-format campaigns can be exported as StandardMerkleTree JSON',
+  INVALID_SIGNATURE: 'The claim intent is not signed by its claimer',
+  INTENT_EXPIRED: 'The claim intent is past its deadline',
+  RELAY_DISABLED: 'Claims of the campaign cannot be relayed - see the message',
+  RELAY_PENDING: 'The address already has a relayed claim in flight or mined',
+  RELAY_REJECTED: 'The factory would revert the claim - see details.reason',
+  RELAY_BUDGET_EXHAUSTED: "The campaign's relayer gas budget cannot cover the claim",
+  INVALID_COMMIT_TX: "The transaction did not make the claim session's commitment from its claimer",
+  CLAIM_SESSIONS_DISABLED: 'Claim sessions are off, or the campaign has no factory - see the message',
+  RATE_LIMITED: 'Too many requests - retry after the Retry-After header',
+  UPLOADS_BUSY: 'All upload slots are busy - retry after the Retry-After header',
+  INTERNAL_ERROR: 'Unexpected server error - quote the requestId when reporting it'
+};
+
+/**
+ * Send an error response in the shared envelope
+ */
+const sendError = (res, status, code, message, details) => {
+  if (!ERROR_CODES[code]) throw new Error(`Unknown error code ${code}`);
+  return res.status(status).json({
+    error: message,
+    code,
+    requestId: res.req.id,
+    ...(details !== undefined && { details })
+  });
+};
+
+exports.ERROR_CODES = ERROR_CODES;
+exports.sendError = sendError;
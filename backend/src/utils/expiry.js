@@ -0,0 +1,57 @@
+// Expiry values accepted in allowlists, all converted to the uint64 unix seconds in leaves:
+//   1893456000            unix seconds
+//   1893456000000         unix milliseconds (13+ digits)
+//   2030-01-01 / 2030-01-01T12:00:00Z   ISO-8601 (UTC unless an offset is given)
+//   365d / 12h / 52w / 2y   relative to the time of generation
+//   inherit-parent        the parent's NameWrapper expiry
+const INHERIT_PARENT = 'inherit-parent';
+const UNIT_SECONDS = { s: 1, h: 3600, d: 86400, w: 7 * 86400, y: 365 * 86400 };
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+const RELATIVE = /^(\d+)\s*([shdwy])$/i;
+
+/**
+ * Convert a raw expiry to unix seconds. Returns { expiry } or { error }.
+ * now is the reference for relative durations; parentExpiry is needed for inherit-parent.
+ */
+exports.parseExpiry = (raw, { now = Math.floor(Date.now() / 1000), parentExpiry = null } = {}) => {
+  const value = String(raw ?? '').trim();
+
+  if (value.toLowerCase() === INHERIT_PARENT) {
+    if (parentExpiry === null) {
+      return { error: `${INHERIT_PARENT} needs the parent expiry - configure RPC_URL and ENS_NAME_WRAPPER` };
+    }
+    return { expiry: parentExpiry };
+  }
+
+  let seconds;
+  if (/^\d+$/.test(value)) {
+    seconds = value.length >= 13 ? BigInt(value) / 1000n : BigInt(value);
+  } else if (RELATIVE.test(value)) {
+    const [, amount, unit] = value.match(RELATIVE);
+    seconds = BigInt(now) + BigInt(amount) * BigInt(UNIT_SECONDS[unit.toLowerCase()]);
+  } else if (ISO_DATE.test(value)) {
+    // Date.parse rolls 2029-02-30 over to March - reject days the month doesn't have
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return { error: `Invalid date: ${value}` };
+    }
+    const iso = value.replace(' ', 'T');
+    // Date-times without an offset would otherwise be read in the server's timezone
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(iso) || !iso.includes('T');
+    const ms = Date.parse(hasZone ? iso : `${iso}Z`);
+    if (isNaN(ms)) return { error: `Invalid date: ${value}` };
+    seconds = BigInt(Math.floor(ms / 1000));
+  } else {
+    return { error: 'Expiry is not a timestamp, ISO-8601 date, duration (365d) or inherit-parent' };
+  }
+
+  // Well inside uint64, and keeps the value exact as a JS number
+  if (seconds <= 0n || seconds > BigInt(Number.MAX_SAFE_INTEGER)) {
+    return { error: 'Expiry is out of range' };
+  }
+  return { expiry: Number(seconds) };
+};
+
+exports.INHERIT_PARENT = INHERIT_PARENT;
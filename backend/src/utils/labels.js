@@ -0,0 +1,24 @@
+const { ethers } = require('ethers');
+
+/**
+ * Normalize a subdomain label with ENSIP-15 (ethers uses @adraffy/ens-normalize).
+ * Returns { label } with the normalized label, or { error } with the reason it was rejected.
+ * Leaves must always be hashed from the normalized label or the name can't be resolved.
+ */
+exports.normalizeLabel = (raw) => {
+  const label = (raw ?? '').trim();
+  if (!label) {
+    return { error: 'Label is empty' };
+  }
+  if (label.includes('.')) {
+    return { error: 'Label must not contain "." - use a single label, not a full name' };
+  }
+
+  try {
+    return { label: ethers.ensNormalize(label) };
+  } catch (error) {
+    // "invalid ENS name (disallowed character: ...)" -> "disallowed character: ..."
+    const reason = (error.shortMessage || error.message).replace(/^invalid ENS name \((.*)\)$/, '$1');
+    return { error: `Label is not ENSIP-15 normalizable: ${reason}` };
+  }
+};
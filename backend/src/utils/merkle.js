@@ -0,0 +1,251 @@
+const { ethers } = require('ethers');
+
+const NODE_SIZE = 32;
+const LEAF_TYPES = ['address', 'string', 'uint64'];
+
+/**
+ * Tree formats a campaign can use:
+ * - legacy: keccak256(abi.encodePacked(user, subdomain, expiry)) leaves, odd nodes promoted (merkletreejs)
+ * - standard: keccak256(bytes.concat(keccak256(abi.encode(user, subdomain, expiry)))) leaves
+ *   in OpenZeppelin's StandardMerkleTree layout, so off-the-shelf tooling produces the same root
+ */
+const TREE_FORMATS = {
+  legacy: { leafEncoding: 'keccak256(abi.encodePacked(address,string,uint64))' },
+  standard: { leafEncoding: 'keccak256(bytes.concat(keccak256(abi.encode(address,string,uint64))))' }
+};
+
+/**
+ * Hash a claim record into a leaf
+ * Must match the contract's leaf for the config's format (see TREE_FORMATS)
+ */
+exports.hashLeaf = ({ address, subdomain, expiry }, format = 'legacy') => {
+  if (format === 'standard') {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(LEAF_TYPES, [address, subdomain, expiry]);
+    return ethers.keccak256(ethers.keccak256(encoded));
+  }
+  return ethers.solidityPackedKeccak256(LEAF_TYPES, [address, subdomain, expiry]);
+};
+
+const hashPair = (a, b) => {
+  // Sorted pairs, as OpenZeppelin's MerkleProof expects
+  const pair = Buffer.compare(a, b) <= 0 ? Buffer.concat([a, b]) : Buffer.concat([b, a]);
+  return Buffer.from(ethers.keccak256(pair).slice(2), 'hex');
+};
+
+/**
+ * Hash one layer into the next. An odd last node is promoted unchanged,
+ * which keeps roots identical to merkletreejs with sortLeaves + sortPairs.
+ */
+exports.buildNextLayer = (layer) => {
+  const count = layer.length / NODE_SIZE;
+  const next = Buffer.alloc(Math.ceil(count / 2) * NODE_SIZE);
+
+  for (let i = 0; i < count; i += 2) {
+    const left = layer.subarray(i * NODE_SIZE, (i + 1) * NODE_SIZE);
+    const node = i + 1 < count
+      ? hashPair(left, layer.subarray((i + 1) * NODE_SIZE, (i + 2) * NODE_SIZE))
+      : left;
+    node.copy(next, (i / 2) * NODE_SIZE);
+  }
+  return next;
+};
+
+/**
+ * Build every layer from a buffer of sorted 32-byte leaves
+ */
+exports.buildLayers = (sortedLeaves, onLayer) => {
+  const layers = [sortedLeaves];
+  while (layers[layers.length - 1].length > NODE_SIZE) {
+    layers.push(exports.buildNextLayer(layers[layers.length - 1]));
+    onLayer && onLayer(layers.length - 1);
+  }
+  return layers;
+};
+
+/**
+ * Merkle tree over sorted leaves, stored as one flat buffer per layer
+ * so a million-leaf tree stays around 64MB.
+ */
+class MerkleTree {
+  constructor(layers) {
+    this.layers = layers.map(layer => Buffer.from(layer.buffer, layer.byteOffset, layer.byteLength));
+  }
+
+  /**
+   * Build a tree from leaf hashes in any order (small trees, tests, tooling)
+   */
+  static fromLeaves(leaves) {
+    const sorted = leaves
+      .map(leaf => Buffer.from(leaf.slice(2), 'hex'))
+      .sort(Buffer.compare);
+    return new MerkleTree(exports.buildLayers(Buffer.concat(sorted)));
+  }
+
+  get leafCount() {
+    return this.layers[0].length / NODE_SIZE;
+  }
+
+  getHexRoot() {
+    const top = this.layers[this.layers.length - 1];
+    return top.length ? '0x' + top.subarray(0, NODE_SIZE).toString('hex') : '0x';
+  }
+
+  /**
+   * Binary search for a leaf, returns its index or -1
+   */
+  indexOf(leaf) {
+    const target = Buffer.from(leaf.slice(2), 'hex');
+    const leaves = this.layers[0];
+    let low = 0;
+    let high = this.leafCount - 1;
+    while (low <= high) {
+      const mid = (low + high) >>> 1;
+      const cmp = Buffer.compare(leaves.subarray(mid * NODE_SIZE, (mid + 1) * NODE_SIZE), target);
+      if (cmp === 0) return mid;
+      if (cmp < 0) low = mid + 1;
+      else high = mid - 1;
+    }
+    return -1;
+  }
+
+  getHexProof(leaf) {
+    let index = this.indexOf(leaf);
+    if (index === -1) return [];
+
+    const proof = [];
+    for (let i = 0; i < this.layers.length - 1; i++) {
+      const layer = this.layers[i];
+      const pairIndex = index % 2 ? index - 1 : index + 1;
+      if (pairIndex < layer.length / NODE_SIZE) {
+        proof.push('0x' + layer.subarray(pairIndex * NODE_SIZE, (pairIndex + 1) * NODE_SIZE).toString('hex'));
+      }
+      index = index >>> 1;
+    }
+    return proof;
+  }
+}
+
+/**
+ * OpenZeppelin StandardMerkleTree layout: a complete binary tree stored as one flat
+ * array of 2n-1 nodes (root at 0, children of i at 2i+1 and 2i+2), with the sorted
+ * leaves at the end in reverse order. Dumps from @openzeppelin/merkle-tree index into it.
+ */
+class StandardMerkleTree {
+  constructor(nodes) {
+    this.nodes = Buffer.from(nodes.buffer, nodes.byteOffset, nodes.byteLength);
+  }
+
+  /**
+   * Build the node array from a buffer of sorted 32-byte leaves
+   */
+  static buildNodes(sortedLeaves, onLayer) {
+    const leafCount = sortedLeaves.length / NODE_SIZE;
+    const nodeCount = 2 * leafCount - 1;
+    const nodes = Buffer.alloc(nodeCount * NODE_SIZE);
+    for (let i = 0; i < leafCount; i++) {
+      sortedLeaves.copy(nodes, (nodeCount - 1 - i) * NODE_SIZE, i * NODE_SIZE, (i + 1) * NODE_SIZE);
+    }
+
+    const node = (i) => nodes.subarray(i * NODE_SIZE, (i + 1) * NODE_SIZE);
+    let layer = 0;
+    for (let i = nodeCount - leafCount - 1; i >= 0; i--) {
+      hashPair(node(2 * i + 1), node(2 * i + 2)).copy(nodes, i * NODE_SIZE);
+      // i + 1 is a power of two at the start of each level
+      if ((i & (i + 1)) === 0) onLayer && onLayer(++layer);
+    }
+    return nodes;
+  }
+
+  static fromLeaves(leaves) {
+    const sorted = leaves
+      .map(leaf => Buffer.from(leaf.slice(2), 'hex'))
+      .sort(Buffer.compare);
+    return new StandardMerkleTree(StandardMerkleTree.buildNodes(Buffer.concat(sorted)));
+  }
+
+  get nodeCount() {
+    return this.nodes.length / NODE_SIZE;
+  }
+
+  get leafCount() {
+    return (this.nodeCount + 1) / 2;
+  }
+
+  nodeHex(i) {
+    return '0x' + this.nodes.subarray(i * NODE_SIZE, (i + 1) * NODE_SIZE).toString('hex');
+  }
+
+  getHexRoot() {
+    return this.nodes.length ? this.nodeHex(0) : '0x';
+  }
+
+  /**
+   * Position of a leaf in sorted order (the first one if it repeats), or -1
+   */
+  sortedIndexOf(leaf) {
+    const target = Buffer.from(leaf.slice(2), 'hex');
+    let low = 0;
+    let high = this.leafCount;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (Buffer.compare(this.nodes.subarray(...this.leafRange(mid)), target) < 0) low = mid + 1;
+      else high = mid;
+    }
+    if (low === this.leafCount || !this.nodes.subarray(...this.leafRange(low)).equals(target)) return -1;
+    return low;
+  }
+
+  leafRange(sortedIndex) {
+    const treeIndex = this.nodeCount - 1 - sortedIndex;
+    return [treeIndex * NODE_SIZE, (treeIndex + 1) * NODE_SIZE];
+  }
+
+  /**
+   * Index of a leaf in the node array (a StandardMerkleTree dump's treeIndex), or -1
+   */
+  indexOf(leaf) {
+    const sortedIndex = this.sortedIndexOf(leaf);
+    return sortedIndex === -1 ? -1 : this.nodeCount - 1 - sortedIndex;
+  }
+
+  getHexProof(leaf) {
+    let index = this.indexOf(leaf);
+    if (index === -1) return [];
+
+    const proof = [];
+    while (index > 0) {
+      proof.push(this.nodeHex(index % 2 ? index + 1 : index - 1));
+      index = (index - 1) >>> 1;
+    }
+    return proof;
+  }
+}
+
+exports.NODE_SIZE = NODE_SIZE;
+exports.LEAF_TYPES = LEAF_TYPES;
+exports.TREE_FORMATS = TREE_FORMATS;
+exports.MerkleTree = MerkleTree;
+exports.StandardMerkleTree = StandardMerkleTree;
+
+/**
+ * Build the buffers backing a tree from sorted leaves (run in a worker for large trees)
+ */
+exports.buildTreeBuffers = (format, sortedLeaves, onLayer) => {
+  return format === 'standard'
+    ? [StandardMerkleTree.buildNodes(sortedLeaves, onLayer)]
+    : exports.buildLayers(sortedLeaves, onLayer);
+};
+
+/**
+ * Wrap buffers from buildTreeBuffers in the tree class for the format
+ */
+exports.createTree = (format, buffers) => {
+  return format === 'standard' ? new StandardMerkleTree(buffers[0]) : new MerkleTree(buffers);
+};
+
+/**
+ * Build the Merkle tree for a list of leaves
+ */
+exports.buildTree = (leaves, format = 'legacy') => {
+  return format === 'standard' ? StandardMerkleTree.fromLeaves(leaves) : MerkleTree.fromLeaves(leaves);
+};
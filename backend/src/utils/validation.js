@@ -0,0 +1,236 @@
+const { ethers } = require('ethers');
+const { normalizeLabel } = require('./labels');
+const { parseExpiry } = require('./expiry');
+
+// Row-level issue codes and their default severity. Errors reject the row,
+// warnings are reported but the row is still used, info only records what happened.
+const SEVERITY = {
+  MALFORMED_ROW: 'error',
+  MISSING_FIELD: 'error',
+  INVALID_ADDRESS: 'error',
+  ADDRESS_CHECKSUM: 'warning',
+  ENS_RESOLVED: 'info',
+  ENS_UNRESOLVED: 'error',
+  INVALID_LABEL: 'error',
+  LABEL_NORMALIZED: 'warning',
+  INVALID_EXPIRY: 'error',
+  EXPIRY_PAST: 'error',
+  EXPIRY_EXCEEDS_PARENT: 'error',
+  EXPIRY_CLAMPED: 'warning',
+  // Conflicts are errors under 'reject' and warnings under keep_first / keep_last
+  DUPLICATE_ADDRESS: 'error',
+  DUPLICATE_LABEL: 'error',
+  IDENTICAL_ROWS: 'error',
+  CASE_COLLISION: 'error',
+  ROW_DROPPED: 'error'
+};
+
+const FIELDS = ['address', 'subdomain', 'expiry'];
+// ENS names waiting on resolution are resolved this many at a time
+const NAME_BATCH_SIZE = 500;
+
+const isoDate = (seconds) => new Date(seconds * 1000).toISOString();
+
+const issue = (row, code, field, value, message, fix, severity = SEVERITY[code]) => ({
+  row, code, severity, field, value: value ?? '', message, fix
+});
+
+/**
+ * Validate one raw row. Returns { record, issues }, where record is the cleaned
+ * claim record (normalized label, lowercased address) or null if the row has errors.
+ * With parentExpiry set, expiries past it are errors - or clamped to it with clampExpiry.
+ * An ENS name in the address column leaves record.address null and sets record.ensName;
+ * validateRows resolves those.
+ */
+exports.validateRow = (row, rowNum, { parentExpiry = null, clampExpiry = false, now = Math.floor(Date.now() / 1000) } = {}) => {
+  const issues = [];
+
+  for (const field of FIELDS) {
+    if (!row[field] || !String(row[field]).trim()) {
+      issues.push(issue(rowNum, 'MISSING_FIELD', field, row[field], `Missing ${field}`, `Fill in the ${field} column`));
+    }
+  }
+
+  const rawAddress = row.address?.trim();
+  let address = rawAddress?.toLowerCase();
+  let ensName = null;
+  if (rawAddress && !rawAddress.startsWith('0x') && rawAddress.includes('.')) {
+    try {
+      ensName = ethers.ensNormalize(rawAddress);
+      address = null;
+    } catch (error) {
+      issues.push(issue(rowNum, 'INVALID_ADDRESS', 'address', row.address,
+        `Not a valid ENS name: ${error.shortMessage || error.message}`, 'Use a 0x address or a normalized ENS name'));
+    }
+  } else if (rawAddress) {
+    if (!ethers.isAddress(address)) {
+      issues.push(issue(rowNum, 'INVALID_ADDRESS', 'address', row.address,
+        'Not an Ethereum address', 'Use a 0x-prefixed address with 40 hex characters'));
+    } else if (!ethers.isAddress(rawAddress)) {
+      issues.push(issue(rowNum, 'ADDRESS_CHECKSUM', 'address', row.address,
+        'Mixed-case address fails its EIP-55 checksum', 'Double-check the address - it is stored lowercased'));
+    }
+  }
+
+  let label;
+  if (row.subdomain?.trim()) {
+    const result = normalizeLabel(row.subdomain);
+    label = result.label;
+    if (result.error) {
+      issues.push(issue(rowNum, 'INVALID_LABEL', 'subdomain', row.subdomain, result.error,
+        row.subdomain.includes('.')
+          ? 'Use just the label, without the parent domain'
+          : 'Use letters, digits, hyphens or valid emoji'));
+    } else if (label !== row.subdomain.trim()) {
+      issues.push(issue(rowNum, 'LABEL_NORMALIZED', 'subdomain', row.subdomain,
+        `Normalized to "${label}" (ENSIP-15)`, `Use "${label}" in the CSV`));
+    }
+  }
+
+  let expiry;
+  const parsed = row.expiry?.trim() ? parseExpiry(row.expiry, { now, parentExpiry }) : {};
+  if (parsed.error) {
+    issues.push(issue(rowNum, 'INVALID_EXPIRY', 'expiry', row.expiry, parsed.error,
+      'Use unix seconds or milliseconds, an ISO-8601 date, a duration like 365d, or inherit-parent'));
+  } else if (parsed.expiry) {
+    expiry = parsed.expiry;
+    // claimSubdomain reverts with ExpiryExceedsParent for these
+    if (parentExpiry !== null && expiry > parentExpiry) {
+      if (clampExpiry) {
+        issues.push(issue(rowNum, 'EXPIRY_CLAMPED', 'expiry', row.expiry,
+          `Clamped to the parent expiry ${isoDate(parentExpiry)}`, `Use ${parentExpiry} in the CSV`));
+        expiry = parentExpiry;
+      } else {
+        issues.push(issue(rowNum, 'EXPIRY_EXCEEDS_PARENT', 'expiry', row.expiry,
+          `Expiry ${isoDate(expiry)} is after the parent expiry ${isoDate(parentExpiry)} - the claim would revert`,
+          `Use an expiry up to ${parentExpiry}, or clamp expiries to the parent`));
+      }
+    }
+    if (expiry <= now) {
+      issues.push(issue(rowNum, 'EXPIRY_PAST', 'expiry', row.expiry,
+        `Expiry ${isoDate(expiry)} is in the past`,
+        parentExpiry !== null && parentExpiry <= now ? 'Renew the parent domain first' : 'Use a future timestamp'));
+    }
+  }
+
+  if (issues.some(i => i.severity === 'error')) {
+    return { record: null, issues };
+  }
+  return {
+    record: { address, ensName, subdomain: label, original: row.subdomain.trim(), expiry, row: rowNum },
+    issues
+  };
+};
+
+/**
+ * Validate one entry from services/rowReaders: { row, values, error? }.
+ * Entries the reader couldn't turn into values (bad JSON lines) are rejected as malformed.
+ */
+exports.validateEntry = ({ row, values, error }, checks) => {
+  if (error) {
+    return {
+      record: null,
+      issues: [issue(row, 'MALFORMED_ROW', 'row', '', error, 'Make the entry an object with address, subdomain and expiry')]
+    };
+  }
+  return exports.validateRow(values, row, checks);
+};
+
+/**
+ * Resolve the ENS names left in records by validateRow: resolved records get the address
+ * and block, the rest are rejected. items: [{ record, issues }], updated in place.
+ */
+const resolveNames = async (items, resolver) => {
+  await Promise.all(items.map(async (item) => {
+    const { record } = item;
+    const result = resolver
+      ? await resolver.resolve(record.ensName)
+      : { error: 'ENS names need an RPC - set ENS_RPC_URL or RPC_URL' };
+    if (result.error) {
+      item.issues.push(issue(record.row, 'ENS_UNRESOLVED', 'address', record.ensName, result.error,
+        'Set an ETH address on the name, or use the hex address'));
+      item.record = null;
+    } else {
+      item.issues.push(issue(record.row, 'ENS_RESOLVED', 'address', record.ensName,
+        `Resolved to ${result.address} at block ${resolver.blockNumber}`, ''));
+      record.address = result.address.toLowerCase();
+      record.resolvedBlock = resolver.blockNumber;
+    }
+  }));
+};
+
+/**
+ * Validate entries from services/rowReaders into the report and yield
+ * { record, values } for every accepted row. ENS names in the address column are
+ * resolved in batches; createNameResolver is only called once a name shows up.
+ */
+exports.validateRows = async function* (entries, report, { checks, createNameResolver }) {
+  let resolver;
+  let pending = [];
+
+  const accept = (item) => {
+    report.addRow(item.entry.row, item.entry.values, item.issues);
+    return item.record && { record: item.record, values: item.entry.values };
+  };
+  const flushNames = async () => {
+    if (resolver === undefined) resolver = await createNameResolver();
+    await resolveNames(pending, resolver);
+    const accepted = pending.map(accept).filter(Boolean);
+    pending = [];
+    return accepted;
+  };
+
+  for await (const entry of entries) {
+    const item = { entry, ...exports.validateEntry(entry, checks) };
+    if (item.record?.ensName) {
+      pending.push(item);
+      if (pending.length >= NAME_BATCH_SIZE) yield* await flushNames();
+    } else {
+      const accepted = accept(item);
+      if (accepted) yield accepted;
+    }
+  }
+  if (pending.length > 0) yield* await flushNames();
+};
+
+const CONFLICT_DETAILS = {
+  identical_rows: { field: 'row', what: 'Same row repeated', fix: 'Remove the repeated row' },
+  duplicate_address: {
+    field: 'address',
+    what: 'Address has more than one allocation',
+    fix: 'Give the address one allocation - the contract allows one claim per address'
+  },
+  duplicate_label: {
+    field: 'subdomain',
+    what: 'Label assigned to more than one address',
+    fix: 'Assign the label to a single address'
+  },
+  case_collision: {
+    field: 'subdomain',
+    what: 'Labels differ only by case and are the same ENS name',
+    fix: 'Keep one spelling of the label'
+  }
+};
+
+/**
+ * Turn conflicts (see utils/conflicts) into row-level issues. dropped holds the
+ * rows removed by a keep policy; with 'reject' every conflicting row is an error.
+ */
+exports.conflictIssues = (conflicts, policy, dropped = new Set()) => {
+  const issues = [];
+  for (const { type, value, rows } of conflicts) {
+    const { field, what, fix } = CONFLICT_DETAILS[type];
+    for (const row of rows) {
+      const others = rows.filter(r => r !== row).join(', ');
+      issues.push(issue(row, type.toUpperCase(), field, value, `${what} (also row${rows.length > 2 ? 's' : ''} ${others})`, fix,
+        policy === 'reject' ? 'error' : 'warning'));
+    }
+  }
+  for (const row of dropped) {
+    issues.push(issue(row, 'ROW_DROPPED', 'row', '', `Dropped by the ${policy} conflict policy`,
+      'Resolve the conflict in the CSV to keep this row'));
+  }
+  return issues;
+};
+
+exports.SEVERITY = SEVERITY;
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Webhook deliveries carry X-ENSB-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the webhook's secret. Signing the timestamp lets receivers refuse old deliveries
+// someone captured and sends again.
+
+const HEADER = 'X-ENSB-Signature';
+
+/**
+ * Signature header value for a body sent at `timestamp` (unix seconds)
+ */
+exports.sign = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Check a signature header against the raw body. Returns null when it is valid, otherwise why not.
+ * Deliveries signed more than toleranceSeconds ago are refused.
+ */
+exports.verify = (secret, body, header, { toleranceSeconds = 300 } = {}) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return 'Malformed signature header';
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return 'Signature timestamp is too old';
+
+  const expected = Buffer.from(exports.sign(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'Signature does not match';
+  return null;
+};
+
+exports.HEADER = HEADER;
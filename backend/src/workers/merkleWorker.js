@@ -0,0 +1,35 @@
+const { parentPort } = require('worker_threads');
+const { hashLeaf, buildTreeBuffers } = require('../utils/merkle');
+
+// Tasks run off the main thread so large campaigns don't block the API
+const tasks = {
+  // rows: [{ address, subdomain, expiry }] -> leaf hashes in the same order
+  hashLeaves: ({ rows, format }) => ({ leaves: rows.map(row => hashLeaf(row, format)) }),
+
+  // leaves: ArrayBuffer of sorted 32-byte leaves -> the buffers backing the tree
+  buildTree: ({ leaves, format }, progress) => {
+    const totalLayers = Math.ceil(Math.log2(Math.max(leaves.byteLength / 32, 1))) + 1;
+    const layers = buildTreeBuffers(format, Buffer.from(leaves), layer => progress({ layer, totalLayers }));
+    // Buffers normally own their ArrayBuffer; copy only if one is a view into a larger one
+    const buffers = layers.map(layer =>
+      layer.byteOffset === 0 && layer.byteLength === layer.buffer.byteLength
+        ? layer.buffer
+        : new Uint8Array(layer).buffer
+    );
+    return { result: { layers: buffers }, transfer: buffers };
+  }
+};
+
+parentPort.on('message', ({ type, payload }) => {
+  try {
+    const progress = (data) => parentPort.postMessage({ progress: data });
+    const output = tasks[type](payload, progress);
+    if (output.transfer) {
+      parentPort.postMessage({ result: output.result }, output.transfer);
+    } else {
+      parentPort.postMessage({ result: output });
+    }
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,75 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'merkleWorker.js');
+const POOL_SIZE = parseInt(process.env.HASH_WORKERS) || Math.max(1, os.cpus().length - 1);
+
+/**
+ * Minimal fixed-size worker pool: one task per worker, FIFO queue
+ */
+class WorkerPool {
+  constructor(file, size) {
+    this.file = file;
+    this.size = size;
+    this.idle = [];
+    this.workers = 0;
+    this.queue = [];
+  }
+
+  run(type, payload, { transfer = [], onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type, payload, transfer, onProgress, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.queue.length === 0) return;
+
+    let worker = this.idle.pop();
+    if (!worker) {
+      if (this.workers >= this.size) return;
+      worker = this.spawn();
+    }
+
+    const task = this.queue.shift();
+    worker.task = task;
+    worker.ref();
+    worker.postMessage({ type: task.type, payload: task.payload }, task.transfer);
+  }
+
+  spawn() {
+    const worker = new Worker(this.file);
+    this.workers++;
+
+    worker.on('message', (message) => {
+      const { task } = worker;
+      if (message.progress) {
+        task.onProgress && task.onProgress(message.progress);
+        return;
+      }
+      worker.task = null;
+      worker.unref();
+      this.idle.push(worker);
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message.result);
+      }
+      this.next();
+    });
+
+    worker.on('error', (error) => {
+      // A crashed worker is replaced on demand by the next task
+      this.workers--;
+      worker.task && worker.task.reject(error);
+      this.next();
+    });
+
+    return worker;
+  }
+}
+
+module.exports = new WorkerPool(WORKER_FILE, POOL_SIZE);
+module.exports.POOL_SIZE = POOL_SIZE;
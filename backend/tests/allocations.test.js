@@ -0,0 +1,54 @@
+const request = require('supertest');
+const { generate, verifyProof, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+const carol = wallet('carol').address;
+
+describe('allocation lookup', () => {
+  let campaign;
+
+  beforeAll(async () => {
+    campaign = await generate([
+      { address: alice, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob, subdomain: 'bob', expiry: EXPIRY + 1 }
+    ]);
+  });
+
+  test('finds the label and expiry of an address, with a proof', async () => {
+    const res = await request(app).get(`/api/campaigns/${campaign.campaignId}/allocations/${alice}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ address: alice.toLowerCase(), merkleRoot: campaign.merkleRoot, parentDomain: 'test.eth' });
+    expect(res.body.allocations).toHaveLength(1);
+    const [allocation] = res.body.allocations;
+    expect(allocation).toMatchObject({ subdomain: 'alice', expiry: EXPIRY });
+    expect(verifyProof(allocation.leaf, allocation.proof, campaign.merkleRoot)).toBe(true);
+    // No RPC in tests: the claimed status is unknown rather than false
+    expect(allocation.claimed).toBeNull();
+  });
+
+  test('matches the address in any case', async () => {
+    const lower = await request(app).get(`/api/campaigns/${campaign.campaignId}/allocations/${bob.toLowerCase()}`);
+    const checksummed = await request(app).get(`/api/campaigns/${campaign.campaignId}/allocations/${bob}`);
+
+    expect(lower.body.allocations).toMatchObject([{ subdomain: 'bob', expiry: EXPIRY + 1 }]);
+    expect(checksummed.body.allocations).toEqual(lower.body.allocations);
+  });
+
+  test('returns no allocations for an address that has none', async () => {
+    const res = await request(app).get(`/api/campaigns/${campaign.campaignId}/allocations/${carol}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.allocations).toEqual([]);
+  });
+
+  test('rejects malformed addresses', async () => {
+    const res = await request(app).get(`/api/campaigns/${campaign.campaignId}/allocations/0x1234`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_REQUEST');
+  });
+});
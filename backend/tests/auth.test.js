@@ -0,0 +1,126 @@
+const request = require('supertest');
+const db = require('../src/db');
+const auth = require('../src/services/auth');
+const { apiKey, signIn, siweMessage, writeCsv, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const csv = () => writeCsv([`${wallet('alice').address},alice,${EXPIRY}`]);
+
+describe('role checks', () => {
+  let viewer, operator, admin;
+
+  beforeAll(() => {
+    viewer = apiKey('viewer');
+    operator = apiKey('operator');
+    admin = apiKey('admin');
+  });
+
+  test('refuse anonymous callers before the upload reaches the disk', async () => {
+    const res = await request(app).post('/api/merkle/validate').attach('file', csv(), 'list.csv');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('UNAUTHENTICATED');
+  });
+
+  test.each([
+    ['viewer', 'post', '/api/merkle/validate'],
+    ['operator', 'post', '/api/campaigns'],
+    ['admin', 'get', '/api/auth/keys']
+  ])('%s routes refuse lower roles (%s %s)', async (role, method, path) => {
+    const keys = { viewer, operator, admin };
+    for (const [name, key] of Object.entries(keys)) {
+      const res = await request(app)[method](path).set('Authorization', key);
+      if (auth.hasRole(name, role)) {
+        expect([401, 403]).not.toContain(res.status);
+      } else {
+        expect(res.status).toBe(403);
+        expect(res.body).toMatchObject({ code: 'FORBIDDEN', error: `Requires the ${role} role (signed in as ${name})` });
+      }
+    }
+  });
+
+  test('accept the key as X-API-Key too', async () => {
+    const res = await request(app).get('/api/auth/me').set('X-API-Key', viewer.slice('Bearer '.length));
+
+    expect(res.status).toBe(200);
+    expect(res.body.auth).toMatchObject({ type: 'apiKey', role: 'viewer' });
+  });
+});
+
+describe('API keys', () => {
+  test('are stored hashed, shown once, and stop working when revoked', async () => {
+    const admin = apiKey('admin');
+
+    const created = await request(app).post('/api/auth/keys').set('Authorization', admin).send({ name: 'ci', role: 'operator' });
+    expect(created.status).toBe(201);
+    const { id, key } = created.body;
+    expect(key).toMatch(/^ensb_/);
+    const stored = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    expect(JSON.stringify(stored)).not.toContain(key);
+
+    const listed = await request(app).get('/api/auth/keys').set('Authorization', admin);
+    expect(listed.body.keys.find(k => k.id === id)).toMatchObject({ name: 'ci', role: 'operator', revokedAt: null });
+    expect(JSON.stringify(listed.body)).not.toContain(key);
+
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${key}`).expect(200);
+    await request(app).delete(`/api/auth/keys/${id}`).set('Authorization', admin).expect(200);
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${key}`).expect(401);
+  });
+});
+
+describe('dashboard sign-in', () => {
+  test('gives wallets with an account a session with their role', async () => {
+    const signer = wallet('dashboard operator');
+    auth.setAccount(signer.address, 'operator');
+
+    const res = await signIn(app, signer);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ address: signer.address.toLowerCase(), role: 'operator' });
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.body.auth).toMatchObject({ type: 'session', role: 'operator' });
+
+    // Role changes and removals apply to live sessions
+    auth.setAccount(signer.address, 'viewer');
+    await request(app).post('/api/campaigns').set('Authorization', `Bearer ${res.body.token}`).expect(403);
+    auth.removeAccount(signer.address);
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`).expect(401);
+  });
+
+  test('refuses wallets without an account, reused nonces and bad signatures', async () => {
+    const res = await signIn(app, wallet('stranger'));
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('NO_DASHBOARD_ACCESS');
+
+    const signer = wallet('replayed');
+    auth.setAccount(signer.address, 'viewer');
+    const message = await siweMessage(app, signer.address);
+    const forged = await request(app).post('/api/auth/siwe').send({ message, signature: await wallet('other').signMessage(message) });
+    expect(forged.status).toBe(401);
+    expect(forged.body).toMatchObject({ code: 'SIGN_IN_FAILED', error: expect.stringMatching(/Invalid signature/) });
+
+    const replayed = await request(app).post('/api/auth/siwe').send({ message, signature: await signer.signMessage(message) });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.error).toMatch(/Unknown or expired nonce/);
+  });
+
+  test('ends the session on logout', async () => {
+    const signer = wallet('leaving');
+    auth.setAccount(signer.address, 'viewer');
+    const { token } = (await signIn(app, signer)).body;
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(401);
+  });
+});
+
+describe('CORS', () => {
+  test('only allows the dashboard origin', async () => {
+    const allowed = await request(app).get('/api/auth/nonce').set('Origin', 'http://localhost:3000');
+    expect(allowed.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+
+    const other = await request(app).get('/api/auth/nonce').set('Origin', 'https://evil.example');
+    expect(other.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
@@ -0,0 +1,62 @@
+const request = require('supertest');
+const { apiKey, generate, verifyProof, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const rows = Array.from({ length: 300 }, (_, i) => ({
+  address: wallet(`holder ${i}`).address,
+  subdomain: `holder${i}`,
+  expiry: EXPIRY
+}));
+
+describe('static proof bundles', () => {
+  let operator;
+
+  beforeAll(() => {
+    operator = apiKey('operator');
+  });
+
+  test('exports a manifest and address-sharded proofs that verify against the root', async () => {
+    const { campaignId, merkleRoot } = await generate(rows, { parentDomain: 'bundle.eth' });
+
+    const exported = await request(app).post(`/api/campaigns/${campaignId}/bundle`).set('Authorization', operator);
+    expect(exported.status).toBe(200);
+    expect(exported.body.url).toBe(`/bundles/${campaignId}`);
+
+    const manifest = (await request(app).get(`/bundles/${campaignId}/manifest.json`)).body;
+    expect(manifest).toMatchObject({ campaignId, merkleRoot, parentDomain: 'bundle.eth', totalClaims: 300, treeFormat: 'legacy' });
+    expect(manifest.shards.length).toBeGreaterThan(1);
+
+    let found = 0;
+    for (const key of manifest.shards) {
+      const shard = (await request(app).get(`/bundles/${campaignId}/proofs/${key}.json`)).body;
+      for (const [address, allocations] of Object.entries(shard)) {
+        expect(address.slice(2, 2 + manifest.shardPrefixLength)).toBe(key);
+        for (const allocation of allocations) {
+          expect(verifyProof(allocation.leaf, allocation.proof, merkleRoot)).toBe(true);
+          found++;
+        }
+      }
+    }
+    expect(found).toBe(300);
+
+    const index = (await request(app).get('/bundles/index.json')).body;
+    expect(index.campaigns.map(campaign => campaign.id)).toContain(campaignId);
+  });
+
+  test('removes the bundle when proofs become private, and refuses to export it again', async () => {
+    const { campaignId } = await generate(rows.slice(0, 3), { parentDomain: 'private-bundle.eth' });
+    await request(app).post(`/api/campaigns/${campaignId}/bundle`).set('Authorization', operator).expect(200);
+
+    const privacy = await request(app)
+      .post(`/api/campaigns/${campaignId}/privacy`)
+      .set('Authorization', operator)
+      .send({ privateProofs: true });
+    expect(privacy.body.removedBundle).toBe(true);
+    await request(app).get(`/bundles/${campaignId}/manifest.json`).expect(404);
+
+    const again = await request(app).post(`/api/campaigns/${campaignId}/bundle`).set('Authorization', operator);
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('BUNDLE_NOT_ALLOWED');
+  });
+});
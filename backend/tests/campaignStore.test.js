@@ -0,0 +1,68 @@
+const { ethers } = require('ethers');
+const { generate, wallet, EXPIRY } = require('./helpers');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+
+describe('campaign storage', () => {
+  let campaignStore;
+
+  beforeEach(() => {
+    campaignStore = require('../src/services/campaignStore');
+  });
+
+  test('keeps campaigns, allocations and roots across a restart', async () => {
+    const result = await generate([
+      { address: alice, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob, subdomain: 'bob', expiry: EXPIRY }
+    ]);
+
+    // A restart: fresh modules over the same database file
+    jest.resetModules();
+    const restarted = require('../src/services/campaignStore');
+
+    expect(await restarted.loadAll()).toBe(1);
+    const campaign = restarted.getCampaign(result.campaignId);
+    expect(campaign).toMatchObject({
+      parentDomain: 'test.eth',
+      parentNode: ethers.namehash('test.eth'),
+      merkleRoot: result.merkleRoot,
+      totalClaims: 2,
+      status: 'active'
+    });
+
+    const tree = await restarted.getTree(campaign.id);
+    expect(tree.getHexRoot()).toBe(result.merkleRoot);
+    expect(restarted.getRecords(campaign.id)).toEqual([
+      { address: alice.toLowerCase(), subdomain: 'alice', expiry: EXPIRY },
+      { address: bob.toLowerCase(), subdomain: 'bob', expiry: EXPIRY }
+    ]);
+  });
+
+  test('finds a campaign by id, Merkle root or parent node', async () => {
+    const { campaignId, merkleRoot } = await generate([{ address: alice, subdomain: 'alice', expiry: EXPIRY }], {
+      parentDomain: 'lookup.eth'
+    });
+
+    for (const key of [campaignId, merkleRoot, ethers.namehash('lookup.eth')]) {
+      expect(campaignStore.getCampaign(key).id).toBe(campaignId);
+    }
+    expect(campaignStore.getCampaign(ethers.ZeroHash)).toBeFalsy();
+  });
+
+  test('drops campaigns left half-generated by a previous run', async () => {
+    const pending = campaignStore.createPendingCampaign({ parentDomain: 'pending.eth' });
+
+    await campaignStore.loadAll();
+
+    expect(campaignStore.getCampaign(pending.id)).toBeFalsy();
+  });
+
+  test('removes a campaign that fails to generate', async () => {
+    await expect(generate([{ address: 'not-an-address', subdomain: 'x', expiry: EXPIRY }], {
+      parentDomain: 'failed.eth'
+    })).rejects.toThrow('No valid rows');
+
+    expect(campaignStore.listCampaigns({ parentNode: ethers.namehash('failed.eth') })).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { apiKey, writeCsv, waitForJob, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+const factoryAddress = wallet('factory').address;
+
+describe('campaign API', () => {
+  let operator;
+  let admin;
+
+  const createCampaign = async (parentDomain) => {
+    const res = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', operator)
+      .field('parentDomain', parentDomain)
+      .field('chainId', '31337')
+      .field('factoryAddress', factoryAddress)
+      .attach('file', writeCsv([
+        { address: alice, subdomain: 'alice', expiry: EXPIRY },
+        { address: bob, subdomain: 'bob', expiry: EXPIRY }
+      ]), 'list.csv');
+    expect(res.status).toBe(202);
+    return waitForJob(app, res.body.jobId, operator);
+  };
+
+  beforeAll(() => {
+    operator = apiKey('operator');
+    admin = apiKey('admin');
+  });
+
+  test('creates a campaign and serves it by id, root and parent node', async () => {
+    const job = await createCampaign('api.eth');
+    expect(job.status).toBe('completed');
+    const { campaignId, merkleRoot } = job.result;
+
+    for (const key of [campaignId, merkleRoot, ethers.namehash('api.eth')]) {
+      const res = await request(app).get(`/api/campaigns/${key}`);
+      expect(res.status).toBe(200);
+      expect(res.body.campaign).toMatchObject({
+        id: campaignId,
+        parentDomain: 'api.eth',
+        chainId: 31337,
+        factoryAddress: factoryAddress.toLowerCase(),
+        merkleRoot,
+        totalClaims: 2,
+        status: 'active'
+      });
+    }
+
+    const list = await request(app).get('/api/campaigns').query({ parentNode: ethers.namehash('api.eth') });
+    expect(list.body.campaigns.map(campaign => campaign.id)).toEqual([campaignId]);
+  });
+
+  test('allows one active campaign per parent node until it is archived', async () => {
+    const { result } = await createCampaign('once.eth');
+
+    const again = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', operator)
+      .field('parentDomain', 'once.eth')
+      .field('chainId', '31337')
+      .field('factoryAddress', factoryAddress)
+      .attach('file', writeCsv([{ address: alice, subdomain: 'alice', expiry: EXPIRY }]), 'list.csv');
+    expect(again.status).toBe(409);
+    expect(again.body).toMatchObject({ code: 'CAMPAIGN_EXISTS', details: { campaignId: result.campaignId } });
+
+    const archived = await request(app).post(`/api/campaigns/${result.campaignId}/archive`).set('Authorization', admin);
+    expect(archived.status).toBe(200);
+    expect(archived.body.campaign.status).toBe('archived');
+
+    const replacement = await createCampaign('once.eth');
+    expect(replacement.status).toBe('completed');
+    const current = await request(app).get(`/api/campaigns/${ethers.namehash('once.eth')}`);
+    expect(current.body.campaign.id).toBe(replacement.result.campaignId);
+  });
+
+  test('serves proofs and stats for a campaign', async () => {
+    const { result } = await createCampaign('proofs.eth');
+
+    const proof = await request(app).get(`/api/campaigns/${result.campaignId}/proof/${alice}/alice/${EXPIRY}`);
+    expect(proof.status).toBe(200);
+    expect(proof.body).toMatchObject({ merkleRoot: result.merkleRoot, subdomain: 'alice', expiry: EXPIRY });
+    expect(proof.body.proof).toHaveLength(1);
+
+    const stats = await request(app).get(`/api/campaigns/${result.campaignId}/stats`);
+    expect(stats.status).toBe(200);
+    expect(stats.body).toMatchObject({ merkleRoot: result.merkleRoot, totalClaims: 2 });
+  });
+
+  test('answers 404 for unknown campaigns', async () => {
+    const res = await request(app).get(`/api/campaigns/${ethers.ZeroHash}`);
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('CAMPAIGN_NOT_FOUND');
+  });
+
+  test('answers 410 with the replacement on the single-tree routes', async () => {
+    const routes = [
+      [request(app).post('/api/merkle/generate'), 'POST /api/campaigns'],
+      [request(app).get(`/api/merkle/proof/${alice}/alice/${EXPIRY}`), 'GET /api/campaigns/:id/proof/:address/:subdomain/:expiry'],
+      [request(app).get('/api/merkle/stats'), 'GET /api/campaigns/:id/stats']
+    ];
+    for (const [req, replacement] of routes) {
+      const res = await req;
+      expect(res.status).toBe(410);
+      expect(res.body).toMatchObject({ code: 'ROUTE_REMOVED', details: { replacement } });
+    }
+  });
+});
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const chain = require('../src/services/chain');
+const campaignStore = require('../src/services/campaignStore');
+const eventStore = require('../src/services/eventStore');
+const { generate, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+const carol = wallet('carol').address;
+
+// A factory per campaign keeps the per-factory caches apart
+const createCampaign = (factoryAddress, parentDomain) => generate([
+  { address: alice, subdomain: 'alice', expiry: EXPIRY },
+  { address: bob, subdomain: 'bob', expiry: EXPIRY },
+  { address: carol, subdomain: 'carol', expiry: EXPIRY }
+], { parentDomain, chainId: 1, factoryAddress });
+
+const leafOf = (campaignId, address) => campaignStore.getAllocations(campaignId, address.toLowerCase())[0].leaf;
+
+// Pretend there's an RPC with the given leaves claimed on every factory
+const mockChain = (claimed) => {
+  jest.spyOn(chain, 'getFactory').mockReturnValue({});
+  return jest.spyOn(chain, 'getClaimedStatus').mockImplementation(async (factory, leaves) => leaves.map(leaf => claimed.has(leaf)));
+};
+
+describe('claimed status', () => {
+  const factoryAddress = '0x' + 'c1'.repeat(20);
+  let campaignId;
+  let claimedLeaves;
+
+  beforeAll(async () => {
+    ({ campaignId } = await createCampaign(factoryAddress, 'status.eth'));
+    claimedLeaves = new Set([leafOf(campaignId, alice)]);
+
+    // The indexer has seen alice's claim
+    eventStore.saveRange(1, factoryAddress, [{
+      blockNumber: 100, logIndex: 0, blockHash: ethers.id('block 100'), blockTime: 1700000000, txHash: ethers.id('alice claim'),
+      event: 'SubdomainClaimed', account: alice.toLowerCase(), subdomain: 'alice', parentNode: ethers.namehash('status.eth'), confirmed: 1
+    }], { blockNumber: 100, blockHash: ethers.id('block 100') });
+  });
+
+  const proof = (address, label) => request(app).get(`/api/campaigns/${campaignId}/proof/${address}/${label}/${EXPIRY}`);
+
+  test('is added to proofs, with the claim transaction once it is indexed', async () => {
+    const read = mockChain(claimedLeaves);
+
+    const claimed = await proof(alice, 'alice');
+    expect(claimed.body).toMatchObject({ claimed: true, claimedAt: '2023-11-14T22:13:20.000Z', claimTx: ethers.id('alice claim') });
+
+    const unclaimed = await proof(bob, 'bob');
+    expect(unclaimed.body).toMatchObject({ claimed: false, claimedAt: null, claimTx: null });
+    expect(read).toHaveBeenCalledTimes(2);
+
+    // Both answers are cached: claimed leaves for good, unclaimed ones for the TTL
+    await proof(alice, 'alice');
+    await proof(bob, 'bob');
+    expect(read).toHaveBeenCalledTimes(2);
+  });
+
+  test('is counted over the whole campaign in the stats', async () => {
+    const read = mockChain(claimedLeaves);
+
+    const res = await request(app).get(`/api/campaigns/${campaignId}/stats`);
+
+    expect(res.body.claimStatus).toEqual({ claimed: 1, unclaimed: 2, unknown: 0, checkedAt: expect.any(String) });
+    // alice is known to be claimed, so only the other two are read
+    expect(read).toHaveBeenCalledTimes(1);
+    expect(read.mock.calls[0][1]).toHaveLength(2);
+
+    // A fresh summary vouches for carol without another read
+    await proof(carol, 'carol').expect(200);
+    expect(read).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('claimed status without the chain', () => {
+  test('is null without an RPC', async () => {
+    const { campaignId } = await createCampaign('0x' + 'c2'.repeat(20), 'offline.eth');
+    const read = jest.spyOn(chain, 'getClaimedStatus');
+
+    const proof = await request(app).get(`/api/campaigns/${campaignId}/proof/${alice}/alice/${EXPIRY}`);
+    expect(proof.body).toMatchObject({ claimed: null, claimedAt: null, claimTx: null });
+
+    const stats = await request(app).get(`/api/campaigns/${campaignId}/stats`);
+    expect(stats.body.claimStatus).toBeNull();
+    expect(read).not.toHaveBeenCalled();
+  });
+
+  test('counts leaves the chain could not answer for as unknown', async () => {
+    const { campaignId } = await createCampaign('0x' + 'c3'.repeat(20), 'failing.eth');
+    jest.spyOn(chain, 'getFactory').mockReturnValue({});
+    jest.spyOn(chain, 'getClaimedStatus').mockImplementation(async (factory, leaves) => leaves.map(() => null));
+
+    const stats = await request(app).get(`/api/campaigns/${campaignId}/stats`);
+
+    expect(stats.body.claimStatus).toMatchObject({ claimed: 0, unclaimed: 0, unknown: 3 });
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { generate, scratchPath, verifyProof, wallet, writeCsv, EXPIRY } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ens-bulk.js');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+const carol = wallet('carol').address;
+
+const rows = [
+  { address: alice, subdomain: 'alice', expiry: EXPIRY },
+  { address: bob, subdomain: 'bob', expiry: EXPIRY },
+  { address: carol, subdomain: 'carol', expiry: EXPIRY }
+];
+
+// Run the CLI offline (setup.js blanks the RPC variables): { status, json, stdout, stderr }
+const cli = (...args) => {
+  // Jest gives each test file its own process.env - pass it on explicitly
+  const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60 * 1000, env: process.env });
+  let json = null;
+  try {
+    json = JSON.parse(result.stdout);
+  } catch {
+    // Not a --json run, or it failed
+  }
+  return { status: result.status, json, stdout: result.stdout, stderr: result.stderr };
+};
+
+describe('ens-bulk CLI', () => {
+  let list;
+  let out;
+
+  beforeAll(() => {
+    list = writeCsv([...rows, '0x1234,broken,1893456000']);
+    out = scratchPath('cli-bundle');
+  });
+
+  test('generates the same root as the API, with a bundle and a report', async () => {
+    const res = cli('generate', list, '--parent', 'test.eth', '--out', out, '--json');
+
+    expect(res.status).toBe(0);
+    expect(res.json).toMatchObject({ parentDomain: 'test.eth', treeFormat: 'legacy', totalClaims: 3, skippedRows: 1 });
+
+    const { merkleRoot } = await generate(rows);
+    expect(res.json.merkleRoot).toBe(merkleRoot);
+
+    expect(JSON.parse(fs.readFileSync(path.join(out, 'manifest.json'), 'utf8'))).toMatchObject({ merkleRoot, totalClaims: 3 });
+    const report = JSON.parse(fs.readFileSync(path.join(out, 'report.json'), 'utf8'));
+    expect(report).toMatchObject({ totalRows: 4, rejectedRows: 1 });
+    expect(fs.readFileSync(path.join(out, 'rejected.csv'), 'utf8')).toMatch(/0x1234,broken/);
+    // Rejected rows were written under the caller's REPORT_DIR (the scratch directory here) before moving to --out
+    expect(fs.existsSync(process.env.REPORT_DIR)).toBe(true);
+  });
+
+  test('verifies a list against its bundle and fails on another root', () => {
+    const matching = cli('verify', list, '--bundle', out, '--json');
+    expect(matching.status).toBe(0);
+    expect(matching.json).toMatchObject({ matches: true, totalClaims: 3 });
+
+    const other = cli('verify', writeCsv(rows.slice(0, 2)), '--bundle', out, '--json');
+    expect(other.status).toBe(1);
+    expect(other.json).toMatchObject({ matches: false, expectedRoot: matching.json.merkleRoot });
+  });
+
+  test('looks up proofs that verify against the root, from a bundle or the list', () => {
+    const fromBundle = cli('proof', out, '--address', carol);
+    expect(fromBundle.status).toBe(0);
+    const { merkleRoot, allocations } = JSON.parse(fromBundle.stdout);
+    expect(allocations).toMatchObject([{ subdomain: 'carol', expiry: EXPIRY }]);
+    expect(verifyProof(allocations[0].leaf, allocations[0].proof, merkleRoot)).toBe(true);
+
+    const fromList = cli('proof', list, '--address', carol, '--subdomain', 'carol');
+    expect(JSON.parse(fromList.stdout)).toEqual({ address: carol.toLowerCase(), merkleRoot, allocations });
+
+    // Labels are matched normalized, like the leaves were hashed
+    const mixedCase = cli('proof', out, '--address', carol, '--subdomain', 'Carol');
+    expect(JSON.parse(mixedCase.stdout).allocations).toEqual(allocations);
+
+    const none = cli('proof', out, '--address', carol, '--subdomain', 'alice');
+    expect(none.status).toBe(1);
+    expect(none.stderr).toMatch(/No allocation for/);
+  });
+
+  test('exits with an error for bad input', () => {
+    const missing = cli('generate', list);
+    expect(missing.status).toBe(1);
+    expect(missing.stderr).toMatch(/--parent is required/);
+
+    const noChain = cli('status', '--bundle', out, '--factory', '0x' + 'ab'.repeat(20));
+    expect(noChain.status).toBe(1);
+    expect(noChain.stderr).toMatch(/No RPC/);
+
+    const unknown = cli('frobnicate');
+    expect(unknown.status).toBe(1);
+    expect(unknown.stderr).toMatch(/^Usage: ens-bulk/);
+  });
+
+  test('warns against keys on the command line', () => {
+    const key = wallet('deployer').privateKey;
+    const args = ['deploy-config', '--bundle', out, '--factory', wallet('factory').address];
+
+    const res = cli(...args, '--private-key', key);
+    expect(res.stderr).toMatch(/--private-key shows the key in the process list/);
+
+    const fromEnv = spawnSync(process.execPath, [CLI, ...args], {
+      encoding: 'utf8', timeout: 60 * 1000, env: { ...process.env, ENS_BULK_PRIVATE_KEY: key }
+    });
+    expect(fromEnv.stderr).not.toMatch(/--private-key/);
+  });
+});
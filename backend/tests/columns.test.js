@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { parseExpiry } = require('../src/utils/expiry');
+const { suggestColumns, resolveColumns } = require('../src/utils/columns');
+const { apiKey, writeCsv, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const NOW = 1700000000;
+const alice = wallet('alice').address.toLowerCase();
+
+describe('expiry formats', () => {
+  test.each([
+    ['unix seconds', '1893456000', EXPIRY],
+    ['unix milliseconds', '1893456000000', EXPIRY],
+    ['an ISO-8601 date', '2030-01-01', EXPIRY],
+    ['an ISO-8601 date-time in UTC', '2030-01-01T00:00:00Z', EXPIRY],
+    ['a date-time without an offset, as UTC', '2030-01-01 12:00', EXPIRY + 12 * 3600],
+    ['a date-time with an offset', '2030-01-01T02:00:00+02:00', EXPIRY],
+    ['days from now', '365d', NOW + 365 * 86400],
+    ['years from now', '2Y', NOW + 2 * 365 * 86400],
+    ['inherit-parent', 'Inherit-Parent', EXPIRY - 1]
+  ])('reads %s', (_, raw, expiry) => {
+    expect(parseExpiry(raw, { now: NOW, parentExpiry: EXPIRY - 1 })).toEqual({ expiry });
+  });
+
+  test.each([
+    ['a day the month does not have', '2029-02-30', /Invalid date/],
+    ['an unknown format', 'next year', /not a timestamp/],
+    ['zero', '0', /out of range/],
+    ['inherit-parent without a parent expiry', 'inherit-parent', /needs the parent expiry/]
+  ])('rejects %s', (_, raw, error) => {
+    expect(parseExpiry(raw, { now: NOW }).error).toMatch(error);
+  });
+});
+
+describe('column mapping', () => {
+  test('suggests columns from recognized header names', () => {
+    expect(suggestColumns(['wallet', 'name', 'valid_until', 'notes'])).toEqual({
+      address: 'wallet', subdomain: 'name', expiry: 'valid_until'
+    });
+    expect(suggestColumns(['email'])).toEqual({ address: null, subdomain: null, expiry: null });
+  });
+
+  test('prefers the given mapping, and names the columns when one is missing', () => {
+    const headers = ['wallet', 'handle', 'until'];
+
+    expect(resolveColumns(headers, { expiry: ' Until ' })).toEqual({ address: 'wallet', subdomain: 'handle', expiry: 'until' });
+    expect(() => resolveColumns(headers)).toThrow('No expiry column found (columns: wallet, handle, until)');
+    expect(() => resolveColumns(headers, { expiry: 'ends' })).toThrow('Column "ends" mapped to expiry not found');
+  });
+});
+
+describe('uploads with other headers', () => {
+  let viewer;
+
+  beforeAll(() => {
+    viewer = apiKey('viewer');
+  });
+
+  test('detect the headers and suggest a mapping with a sample', async () => {
+    const res = await request(app)
+      .post('/api/merkle/columns')
+      .set('Authorization', viewer)
+      .attach('file', writeCsv([`${alice},alice,2030-01-01`], { header: 'Wallet,Handle,Ends' }), 'list.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      format: 'csv',
+      headers: ['wallet', 'handle', 'ends'],
+      suggested: { address: 'wallet', subdomain: 'handle', expiry: null },
+      sample: [{ wallet: alice, handle: 'alice', ends: '2030-01-01' }]
+    });
+  });
+
+  test('validate with the mapping the admin chose', async () => {
+    const file = () => writeCsv([`${alice},alice,2030-01-01`], { header: 'Wallet,Handle,Ends' });
+
+    const unmapped = await request(app).post('/api/merkle/validate').set('Authorization', viewer).attach('file', file(), 'list.csv');
+    expect(unmapped.status).toBe(400);
+    expect(unmapped.body).toMatchObject({ code: 'INVALID_FILE', error: expect.stringMatching(/No expiry column/) });
+
+    const mapped = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .field('columns', JSON.stringify({ expiry: 'ends' }))
+      .attach('file', file(), 'list.csv');
+    expect(mapped.status).toBe(200);
+    expect(mapped.body.report).toMatchObject({ totalRows: 1, acceptedRows: 1 });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { findConflicts, resolveConflicts } = require('../src/utils/conflicts');
+const { apiKey, generate, writeCsv, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address.toLowerCase();
+const bob = wallet('bob').address.toLowerCase();
+const carol = wallet('carol').address.toLowerCase();
+
+const row = (row, address, subdomain, original = subdomain) => ({ row, address, subdomain, original, expiry: EXPIRY });
+
+describe('conflict detection', () => {
+  test('finds repeated rows, shared addresses, shared labels and case collisions', () => {
+    const conflicts = findConflicts([
+      row(2, alice, 'alice'),
+      row(3, alice, 'alice'),
+      row(4, bob, 'bob'),
+      row(5, bob, 'robert'),
+      row(6, carol, 'shared'),
+      row(7, bob, 'shared'),
+      row(8, carol, 'carol', 'Carol'),
+      row(9, carol, 'carol', 'CAROL')
+    ]);
+
+    expect(conflicts).toEqual(expect.arrayContaining([
+      { type: 'identical_rows', value: `${alice},alice,${EXPIRY}`, rows: [2, 3] },
+      { type: 'duplicate_address', value: bob, rows: [4, 5, 7] },
+      { type: 'duplicate_label', value: 'shared', rows: [6, 7] },
+      { type: 'case_collision', value: 'carol', rows: [8, 9] }
+    ]));
+  });
+
+  test('keeps the first or the last row of each address and label', () => {
+    const rows = [row(2, alice, 'name'), row(3, bob, 'name'), row(4, alice, 'other')];
+
+    expect([...resolveConflicts(rows, 'keep_first')]).toEqual([3, 4]);
+    expect([...resolveConflicts(rows, 'keep_last')]).toEqual([2]);
+  });
+});
+
+describe('conflict policies', () => {
+  const lines = [`${alice},name,${EXPIRY}`, `${bob},name,${EXPIRY}`, `${carol},carol,${EXPIRY}`];
+  let viewer;
+
+  beforeAll(() => {
+    viewer = apiKey('viewer');
+  });
+
+  test('reject fails validation with the conflicting rows', async () => {
+    const res = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .attach('file', writeCsv(lines), 'list.csv');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_ALLOWLIST');
+    expect(res.body.details.report.issues).toMatchObject([
+      { row: 2, code: 'DUPLICATE_LABEL', severity: 'error' },
+      { row: 3, code: 'DUPLICATE_LABEL', severity: 'error' }
+    ]);
+  });
+
+  test('keep_first passes validation and reports the dropped row', async () => {
+    const res = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .field('conflictPolicy', 'keep_first')
+      .attach('file', writeCsv(lines), 'list.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.valid).toBe(true);
+    expect(res.body.report.summary).toMatchObject({
+      DUPLICATE_LABEL: { severity: 'warning', count: 2 },
+      ROW_DROPPED: { severity: 'error', count: 1 }
+    });
+  });
+
+  test('generation applies the policy', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(generate(lines, { parentDomain: 'reject.eth' })).rejects.toMatchObject({
+      message: expect.stringMatching(/1 conflict/),
+      details: { report: expect.objectContaining({ rejectedRows: 2 }) }
+    });
+
+    const kept = await generate(lines, { parentDomain: 'keep.eth', conflictPolicy: 'keep_last' });
+    expect(kept).toMatchObject({ totalClaims: 2, droppedRows: 1 });
+    const records = require('../src/services/campaignStore').getRecords(kept.campaignId);
+    expect(records.map(record => record.address)).toEqual([bob, carol]);
+  });
+});
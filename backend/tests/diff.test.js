@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const campaignStore = require('../src/services/campaignStore');
+const { apiKey, generate, writeCsv, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const [alice, bob, carol, dave] = ['alice', 'bob', 'carol', 'dave'].map(name => wallet(name).address.toLowerCase());
+
+const before = [
+  { address: alice, subdomain: 'alice', expiry: EXPIRY },
+  { address: bob, subdomain: 'bob', expiry: EXPIRY },
+  { address: carol, subdomain: 'carol', expiry: EXPIRY }
+];
+// bob's label moves to dave, carol's expiry changes, alice is removed, erin is added
+const after = [
+  { address: dave, subdomain: 'bob', expiry: EXPIRY },
+  { address: carol, subdomain: 'carol', expiry: EXPIRY + 1 },
+  { address: alice, subdomain: 'erin', expiry: EXPIRY }
+];
+
+describe('root diffs', () => {
+  let viewer;
+
+  beforeAll(() => {
+    viewer = apiKey('viewer');
+  });
+
+  test('list added, removed and modified allocations and moved labels, with both roots recomputed', async () => {
+    const from = await generate(before, { parentDomain: 'diff-from.eth' });
+    const to = await generate(after, { parentDomain: 'diff-to.eth' });
+
+    const res = await request(app)
+      .post('/api/merkle/diff')
+      .set('Authorization', viewer)
+      .field('from', from.merkleRoot)
+      .field('to', to.campaignId);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      from: { source: 'root', campaignId: from.campaignId, version: 1, merkleRoot: from.merkleRoot, computedRoot: from.merkleRoot, verified: true },
+      to: { source: 'root', campaignId: to.campaignId, merkleRoot: to.merkleRoot, verified: true },
+      identical: false,
+      summary: { added: 1, removed: 1, modified: 2, ownershipMoved: 1, unchanged: 0 },
+      added: [{ address: alice, subdomain: 'erin' }],
+      removed: [{ address: alice, subdomain: 'alice' }],
+      ownershipMoved: [{ subdomain: 'bob', from: bob, to: dave }],
+      truncated: false
+    });
+    expect(res.body.modified).toMatchObject([
+      { subdomain: 'bob', fields: ['address'] },
+      { subdomain: 'carol', fields: ['expiry'], before: { expiry: EXPIRY }, after: { expiry: EXPIRY + 1 } }
+    ]);
+  });
+
+  test('diff a stored root against an uploaded list, and find them identical', async () => {
+    const from = await generate(before, { parentDomain: 'diff-upload.eth' });
+
+    const res = await request(app)
+      .post('/api/merkle/diff')
+      .set('Authorization', viewer)
+      .field('from', from.campaignId)
+      .attach('toFile', writeCsv([...before].reverse()), 'list.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.to).toMatchObject({ source: 'file', fileName: 'list.csv', computedRoot: from.merkleRoot, verified: null });
+    expect(res.body).toMatchObject({ identical: true, summary: { added: 0, removed: 0, modified: 0, unchanged: 3 } });
+  });
+
+  test("flag a stored root that its records don't reproduce", async () => {
+    const from = await generate(before, { parentDomain: 'diff-tampered.eth' });
+    jest.spyOn(campaignStore, 'getVersionRecords').mockReturnValue(after);
+
+    const res = await request(app)
+      .post('/api/merkle/diff')
+      .set('Authorization', viewer)
+      .field('from', from.campaignId)
+      .field('to', from.campaignId);
+
+    expect(res.body.from).toMatchObject({ merkleRoot: from.merkleRoot, verified: false });
+    expect(res.body.from.computedRoot).not.toBe(from.merkleRoot);
+  });
+
+  test('reject unknown roots, missing sides and invalid uploaded lists', async () => {
+    const unknown = await request(app).post('/api/merkle/diff').set('Authorization', viewer)
+      .field('from', ethers.ZeroHash).attach('toFile', writeCsv(before), 'list.csv');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('ROOT_NOT_FOUND');
+
+    const missing = await request(app).post('/api/merkle/diff').set('Authorization', viewer).attach('toFile', writeCsv(before), 'list.csv');
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toMatch(/Give from as a root or campaign id, or upload fromFile/);
+
+    const invalid = await request(app).post('/api/merkle/diff').set('Authorization', viewer)
+      .attach('fromFile', writeCsv(before), 'good.csv')
+      .attach('toFile', writeCsv([`not-an-address,x,${EXPIRY}`]), 'bad.csv');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toMatchObject({ code: 'INVALID_ALLOWLIST', details: { side: 'to', report: { rejectedRows: 1 } } });
+  });
+});
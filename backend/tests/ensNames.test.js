@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+
+// Read when the chain service loads - names resolve through the (faked) RPC node
+process.env.RPC_URL = 'http://ens.test';
+
+const chain = require('../src/services/chain');
+const campaignStore = require('../src/services/campaignStore');
+const { ValidationReport } = require('../src/services/reports');
+const { validateRow, validateRows } = require('../src/utils/validation');
+const { generate, wallet, EXPIRY } = require('./helpers');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+const BLOCK = 19000000;
+
+// Stands in for chain.createNameResolver - alice.eth and bob.eth resolve, nothing else does
+const fakeResolver = () => {
+  const names = { 'alice.eth': alice, 'bob.eth': bob };
+  return {
+    blockNumber: BLOCK,
+    resolve: jest.fn(async (name) => names[name] ? { address: names[name] } : { error: `${name} has no resolver` })
+  };
+};
+
+const entries = async function* (rows) {
+  let row = 1;
+  for (const values of rows) yield { row: ++row, values };
+};
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('ENS names in the address column', () => {
+  test('are normalized and left for resolution', () => {
+    const { record, issues } = validateRow({ address: 'Alice.ETH', subdomain: 'alice', expiry: String(EXPIRY) }, 2);
+
+    expect(issues).toEqual([]);
+    expect(record).toMatchObject({ address: null, ensName: 'alice.eth' });
+  });
+
+  test('resolve to addresses at one block, and unresolved names are reported', async () => {
+    const resolver = fakeResolver();
+    const createNameResolver = jest.fn(async () => resolver);
+    const report = new ValidationReport();
+
+    const accepted = await collect(validateRows(entries([
+      { address: 'alice.eth', subdomain: 'alice', expiry: String(EXPIRY) },
+      { address: bob, subdomain: 'bob', expiry: String(EXPIRY) },
+      { address: 'nobody.eth', subdomain: 'nobody', expiry: String(EXPIRY) },
+      { address: 'alice.eth', subdomain: 'alice2', expiry: String(EXPIRY) }
+    ]), report, { checks: {}, createNameResolver }));
+
+    expect(createNameResolver).toHaveBeenCalledTimes(1);
+    expect(accepted.map(({ record }) => [record.row, record.address, record.ensName, record.resolvedBlock])).toEqual([
+      [3, bob.toLowerCase(), null, undefined],
+      [2, alice.toLowerCase(), 'alice.eth', BLOCK],
+      [5, alice.toLowerCase(), 'alice.eth', BLOCK]
+    ]);
+    const { issues, rejectedRows } = await report.finish();
+    expect(rejectedRows).toBe(1);
+    expect(issues).toMatchObject([
+      { row: 2, code: 'ENS_RESOLVED', severity: 'info', value: 'alice.eth' },
+      { row: 4, code: 'ENS_UNRESOLVED', severity: 'error', message: 'nobody.eth has no resolver' },
+      { row: 5, code: 'ENS_RESOLVED' }
+    ]);
+  });
+
+  test('are only resolved when a row has one', async () => {
+    const createNameResolver = jest.fn();
+
+    await collect(validateRows(entries([{ address: bob, subdomain: 'bob', expiry: String(EXPIRY) }]), new ValidationReport(), {
+      checks: {}, createNameResolver
+    }));
+
+    expect(createNameResolver).not.toHaveBeenCalled();
+  });
+
+  test('are rejected without an RPC to resolve them on', async () => {
+    jest.spyOn(chain, 'createNameResolver').mockResolvedValue(null);
+
+    const result = await generate([`alice.eth,alice,${EXPIRY}`, `${bob},bob,${EXPIRY}`], { parentDomain: 'no-rpc.eth' });
+
+    expect(result).toMatchObject({ totalClaims: 1, skippedRows: 1 });
+    expect(result.report.issues).toMatchObject([{ row: 2, code: 'ENS_UNRESOLVED', message: expect.stringMatching(/ENS_RPC_URL/) }]);
+  });
+
+  test('keep the name and block an allocation was resolved from', async () => {
+    jest.spyOn(chain, 'createNameResolver').mockResolvedValue(fakeResolver());
+
+    const { campaignId } = await generate([`alice.eth,alice,${EXPIRY}`, `${bob},bob,${EXPIRY}`], { parentDomain: 'resolved.eth' });
+
+    expect(campaignStore.getAllocations(campaignId, alice.toLowerCase())).toMatchObject([
+      { subdomain: 'alice', ensName: 'alice.eth', resolvedBlock: BLOCK }
+    ]);
+    expect(campaignStore.getAllocations(campaignId, bob.toLowerCase())).toMatchObject([{ ensName: null, resolvedBlock: null }]);
+  });
+});
+
+describe('ENS name lookups', () => {
+  const REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+  const PUBLIC_RESOLVER = '0x' + '11'.repeat(20);
+  const WILDCARD_RESOLVER = '0x' + '22'.repeat(20);
+  const ABI = new ethers.Interface([
+    'function resolver(bytes32 node) view returns (address)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function addr(bytes32 node) view returns (address)',
+    'function resolve(bytes name, bytes data) view returns (bytes)'
+  ]);
+
+  /**
+   * A node where alice.eth has a plain resolver, wildcard.eth an ENSIP-10 one that answers
+   * for every subname with bob, and plain.eth only a plain resolver
+   */
+  const createRpc = (calls) => {
+    const resolvers = {
+      [ethers.namehash('alice.eth')]: PUBLIC_RESOLVER,
+      [ethers.namehash('plain.eth')]: PUBLIC_RESOLVER,
+      [ethers.namehash('wildcard.eth')]: WILDCARD_RESOLVER
+    };
+    const answer = (to, call) => {
+      if (to === REGISTRY) return [resolvers[call.args[0]] ?? ethers.ZeroAddress];
+      if (call.name === 'supportsInterface') return [to === WILDCARD_RESOLVER.toLowerCase() && call.args[0] === '0x9061b923'];
+      if (call.name === 'addr') return [call.args[0] === ethers.namehash('alice.eth') ? alice : ethers.ZeroAddress];
+      // resolve(name, addr(node)) - the wildcard resolver answers bob for any name under it
+      const [node] = ABI.decodeFunctionData('addr', call.args[1]);
+      expect([call.args[0], node]).toEqual([ethers.dnsEncode('sub.wildcard.eth'), ethers.namehash('sub.wildcard.eth')]);
+      return [ABI.encodeFunctionResult('addr', [bob])];
+    };
+    return {
+      getBlockNumber: async () => BLOCK,
+      call: async ({ to, data, blockTag, enableCcipRead }) => {
+        const call = ABI.parseTransaction({ data });
+        calls.push({ name: call.name, blockTag, enableCcipRead });
+        const target = ethers.getAddress(to) === REGISTRY ? REGISTRY : to.toLowerCase();
+        return ABI.encodeFunctionResult(call.name, answer(target, call));
+      }
+    };
+  };
+
+  test('read addr() from the name\'s own resolver at the pinned block', async () => {
+    const calls = [];
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc(calls));
+
+    const resolver = await chain.createNameResolver();
+
+    expect(await resolver.resolve('alice.eth')).toEqual({ address: alice });
+    expect(calls.every(({ blockTag }) => blockTag === BLOCK)).toBe(true);
+  });
+
+  test('ask a parent\'s wildcard resolver through resolve(), with CCIP-read', async () => {
+    const calls = [];
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc(calls));
+
+    const resolver = await chain.createNameResolver();
+
+    expect(await resolver.resolve('sub.wildcard.eth')).toEqual({ address: bob });
+    expect(calls.find(({ name }) => name === 'resolve')).toMatchObject({ blockTag: BLOCK, enableCcipRead: true });
+  });
+
+  test("don't take a parent's plain resolver for its subnames", async () => {
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc([]));
+
+    const resolver = await chain.createNameResolver();
+
+    expect(await resolver.resolve('sub.plain.eth')).toEqual({ error: 'sub.plain.eth has no resolver' });
+    expect(await resolver.resolve('nobody.eth')).toEqual({ error: 'nobody.eth has no resolver' });
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+exports.EXPIRY = 1893456000; // 2030-01-01
+
+// The running test file's scratch directory (see setup.js)
+exports.scratchPath = (...parts) => path.join(path.dirname(process.env.DATABASE_PATH), ...parts);
+
+// Same wallet for the same name in every test, e.g. wallet('alice')
+exports.wallet = (name) => new ethers.Wallet(ethers.id(name));
+
+/**
+ * Write an allowlist CSV into the scratch directory: rows are { address, subdomain, expiry }
+ * objects or ready-made lines. Returns its path.
+ */
+exports.writeCsv = (rows, { header = 'address,subdomain,expiry', name = `${crypto.randomUUID()}.csv` } = {}) => {
+  const filePath = exports.scratchPath(name);
+  const lines = rows.map(row => typeof row === 'string' ? row : `${row.address},${row.subdomain},${row.expiry}`);
+  fs.writeFileSync(filePath, [header, ...lines].join('\n') + '\n');
+  return filePath;
+};
+
+/**
+ * Generate a campaign from rows the way an upload does (the CSV is written, then consumed)
+ */
+exports.generate = (rows, options = {}) => {
+  const generator = require('../src/services/generator');
+  return generator.generateCampaign({
+    filePath: exports.writeCsv(rows),
+    fileName: 'list.csv',
+    parentDomain: 'test.eth',
+    ...options
+  }, () => {});
+};
+
+// A fresh API key with a role, for the Authorization header
+exports.apiKey = (role) => {
+  const auth = require('../src/services/auth');
+  return `Bearer ${auth.createApiKey({ name: `test ${role}`, role }).key}`;
+};
+
+/**
+ * Poll a background job through the API until it's no longer running
+ */
+exports.waitForJob = async (app, jobId, authorization) => {
+  const request = require('supertest');
+  for (;;) {
+    const res = await request(app).get(`/api/jobs/${jobId}`).set('Authorization', authorization);
+    if (res.body.job?.status !== 'running') return res.body.job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+// OpenZeppelin's MerkleProof.verify: hash sorted pairs from the leaf up to the root
+exports.verifyProof = (leaf, proof, root) => {
+  const computed = proof.reduce((node, sibling) => {
+    const [a, b] = [node.toLowerCase(), sibling.toLowerCase()].sort();
+    return ethers.keccak256(ethers.concat([a, b]));
+  }, leaf);
+  return computed === root.toLowerCase();
+};
+
+// An EIP-4361 message for an address, with a fresh nonce from the API
+exports.siweMessage = async (app, address) => {
+  const request = require('supertest');
+  const { SiweMessage } = require('siwe');
+  const { nonce, domain } = (await request(app).get('/api/auth/nonce')).body;
+  return new SiweMessage({
+    domain,
+    address,
+    statement: 'Sign in to the ENS subdomain dashboard',
+    uri: `http://${domain}`,
+    version: '1',
+    chainId: 1,
+    nonce
+  }).prepareMessage();
+};
+
+/**
+ * Sign in with Ethereum through the API as a wallet: path is '/api/auth/siwe' (dashboard)
+ * or '/api/auth/claimant'. Returns the response.
+ */
+exports.signIn = async (app, signer, path = '/api/auth/siwe') => {
+  const request = require('supertest');
+  const message = await exports.siweMessage(app, signer.address);
+  return request(app).post(path).send({ message, signature: await signer.signMessage(message) });
+};
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Read when the indexer loads
+const FACTORY = '0x' + 'fa'.repeat(20);
+process.env.FACTORY_ADDRESS = FACTORY;
+process.env.INDEXER_START_BLOCK = '1';
+process.env.INDEXER_CONFIRMATIONS = '2';
+
+const indexer = require('../src/services/indexer');
+const eventStore = require('../src/services/eventStore');
+const { wallet } = require('./helpers');
+
+const app = require('../src/app');
+
+const CHAIN_ID = 31337;
+const PARENT_NODE = ethers.namehash('indexed.eth');
+const EVENTS = new ethers.Interface([
+  'event SubdomainClaimed(address indexed claimer, string subdomain, bytes32 indexed node, bytes32 indexed parentNode)',
+  'event ContractPaused(bool isPaused)'
+]);
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+
+/**
+ * Enough of a JSON-RPC provider for the indexer: blocks are numbered from 0 with a hash
+ * that includes the fork name, so replacing blocks from some height simulates a reorg
+ */
+class FakeChain {
+  constructor(chainId = CHAIN_ID) {
+    this.chainId = chainId;
+    this.head = 0;
+    this.forks = []; // [{ from, name }] - blocks from `from` on belong to the latest fork
+    this.logs = [];
+  }
+
+  hash(blockNumber) {
+    const fork = this.forks.filter(f => f.from <= blockNumber).pop()?.name ?? 'main';
+    return ethers.id(`${fork}:${blockNumber}`);
+  }
+
+  mine(count = 1) {
+    this.head += count;
+  }
+
+  // Replace every block from `from` on, dropping the logs in them
+  reorg(from, name) {
+    this.forks.push({ from, name });
+    this.logs = this.logs.filter(log => log.blockNumber < from);
+  }
+
+  emit(blockNumber, name, args) {
+    const { data, topics } = EVENTS.encodeEventLog(name, args);
+    const index = this.logs.length;
+    this.logs.push({ blockNumber, data, topics, index, transactionHash: ethers.id(`tx ${index}`) });
+  }
+
+  async getNetwork() {
+    return { chainId: BigInt(this.chainId) };
+  }
+
+  async getBlockNumber() {
+    return this.head;
+  }
+
+  async getBlock(blockNumber) {
+    return blockNumber > this.head ? null : { hash: this.hash(blockNumber), timestamp: 1700000000 + blockNumber * 12 };
+  }
+
+  async getLogs({ address, fromBlock, toBlock }) {
+    return this.logs
+      .filter(log => address === FACTORY && log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .map(log => ({ ...log, blockHash: this.hash(log.blockNumber) }));
+  }
+}
+
+const claim = (claimer, subdomain) => [claimer, subdomain, ethers.namehash(`${subdomain}.indexed.eth`), PARENT_NODE];
+const claims = () => eventStore.listClaims({ chainId: CHAIN_ID }).claims;
+
+describe('event indexer', () => {
+  test('indexes claims, confirms them at depth, and rolls back a reorg', async () => {
+    const rpc = new FakeChain();
+    rpc.mine(5);
+    rpc.emit(4, 'SubdomainClaimed', claim(alice, 'alice'));
+    rpc.emit(5, 'ContractPaused', [true]);
+
+    await indexer.tick(rpc);
+    expect(claims()).toMatchObject([
+      { blockNumber: 4, subdomain: 'alice', claimer: alice.toLowerCase(), parentNode: PARENT_NODE, confirmed: false }
+    ]);
+    expect(eventStore.getIndexedBlock(CHAIN_ID, FACTORY)).toBe(5);
+
+    // Blocks 4 and up are replaced: alice's claim is gone and bob's lands in block 6 instead
+    rpc.reorg(4, 'fork');
+    rpc.mine(1);
+    rpc.emit(6, 'SubdomainClaimed', claim(bob, 'bob'));
+
+    await indexer.tick(rpc);
+    expect(claims()).toMatchObject([{ blockNumber: 6, subdomain: 'bob', blockHash: rpc.hash(6), confirmed: false }]);
+
+    rpc.mine(2);
+    await indexer.tick(rpc);
+    expect(claims()).toMatchObject([{ subdomain: 'bob', confirmed: true }]);
+  });
+
+  test('rolls back to the newest checkpoint still on the chain', async () => {
+    const rpc = new FakeChain(CHAIN_ID + 1);
+    const warn = jest.spyOn(console, 'warn');
+    rpc.mine(5);
+    await indexer.tick(rpc);
+    rpc.mine(3);
+    rpc.emit(7, 'SubdomainClaimed', claim(alice, 'orphaned'));
+    await indexer.tick(rpc);
+    expect(eventStore.getCheckpoints(CHAIN_ID + 1, FACTORY).map(c => c.blockNumber)).toEqual([8, 5]);
+
+    rpc.reorg(7, 'fork');
+    rpc.mine(1);
+    await indexer.tick(rpc);
+
+    expect(eventStore.listClaims({ chainId: CHAIN_ID + 1 }).claims).toEqual([]);
+    expect(eventStore.getCheckpoints(CHAIN_ID + 1, FACTORY)).toEqual([
+      { blockNumber: 9, blockHash: rpc.hash(9) },
+      { blockNumber: 5, blockHash: rpc.hash(5) }
+    ]);
+    // Block 5 was still canonical - no rescan from below the checkpoints
+    expect(warn).not.toHaveBeenCalledWith(expect.stringMatching(/below the indexed checkpoints/));
+  });
+});
+
+describe('claim listings', () => {
+  beforeAll(() => {
+    const events = [
+      ['alice', alice, 10, 1],
+      ['bob', bob, 11, 1],
+      ['carol', bob, 12, 0]
+    ].map(([subdomain, claimer, blockNumber, confirmed]) => ({
+      blockNumber, logIndex: 0, blockHash: ethers.id(`block ${blockNumber}`), blockTime: 1700000000, txHash: ethers.ZeroHash,
+      event: 'SubdomainClaimed', account: claimer.toLowerCase(), subdomain, parentNode: PARENT_NODE, confirmed
+    }));
+    eventStore.saveRange(1, FACTORY, events, { blockNumber: 12, blockHash: ethers.id('block 12') });
+  });
+
+  test('filter and page through claims, newest first', async () => {
+    const all = await request(app).get('/api/claims').query({ chainId: 1, limit: 2 });
+    expect(all.body).toMatchObject({ total: 3, offset: 0, nextOffset: 2 });
+    expect(all.body.claims.map(c => c.subdomain)).toEqual(['carol', 'bob']);
+
+    const next = await request(app).get('/api/claims').query({ chainId: 1, limit: 2, offset: 2 });
+    expect(next.body).toMatchObject({ total: 3, nextOffset: null, claims: [{ subdomain: 'alice' }] });
+
+    const filtered = await request(app).get('/api/claims').query({ chainId: 1, claimer: bob, confirmed: true });
+    expect(filtered.body.claims.map(c => c.subdomain)).toEqual(['bob']);
+
+    const range = await request(app).get('/api/claims').query({ chainId: 1, fromBlock: 11, toBlock: 10 });
+    expect(range.status).toBe(400);
+  });
+});
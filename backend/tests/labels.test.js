@@ -0,0 +1,53 @@
+const request = require('supertest');
+const { normalizeLabel } = require('../src/utils/labels');
+const { validateRow } = require('../src/utils/validation');
+const { hashLeaf } = require('../src/utils/merkle');
+const { generate, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address;
+
+describe('ENSIP-15 label normalization', () => {
+  test.each([
+    ['Alice', 'alice'],
+    ['  bob  ', 'bob'],
+    ['ＡＢＣ', 'abc'],
+    ['🚀', '🚀']
+  ])('normalizes %j to %j', (raw, label) => {
+    expect(normalizeLabel(raw)).toEqual({ label });
+  });
+
+  test.each([
+    ['', /empty/],
+    ['alice.eth', /must not contain "\."/],
+    ['a b', /disallowed character/],
+    ['a_b', /underscore/]
+  ])('rejects %j', (raw, error) => {
+    expect(normalizeLabel(raw).error).toMatch(error);
+  });
+
+  test('warns about labels it normalized and rejects the ones it cannot', () => {
+    const normalized = validateRow({ address: alice, subdomain: 'Alice', expiry: String(EXPIRY) }, 2);
+    expect(normalized.record).toMatchObject({ subdomain: 'alice', original: 'Alice' });
+    expect(normalized.issues).toMatchObject([{ code: 'LABEL_NORMALIZED', severity: 'warning', row: 2 }]);
+
+    const invalid = validateRow({ address: alice, subdomain: 'alice.eth', expiry: String(EXPIRY) }, 3);
+    expect(invalid.record).toBeNull();
+    expect(invalid.issues).toMatchObject([{ code: 'INVALID_LABEL', severity: 'error', fix: 'Use just the label, without the parent domain' }]);
+  });
+
+  test('hashes the normalized label, and normalizes labels in proof lookups too', async () => {
+    const { campaignId, report } = await generate([{ address: alice, subdomain: 'Alice', expiry: EXPIRY }], {
+      parentDomain: 'labels.eth'
+    });
+    expect(report.summary).toMatchObject({ LABEL_NORMALIZED: { count: 1 } });
+    const leaf = hashLeaf({ address: alice.toLowerCase(), subdomain: 'alice', expiry: EXPIRY });
+
+    for (const label of ['alice', 'Alice']) {
+      const res = await request(app).get(`/api/campaigns/${campaignId}/proof/${alice}/${label}/${EXPIRY}`);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ subdomain: 'alice', leaf });
+    }
+  });
+});
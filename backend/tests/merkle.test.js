@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+const { MerkleTree: MerkleTreeJs } = require('merkletreejs');
+const { hashLeaf, buildTree } = require('../src/utils/merkle');
+const pool = require('../src/workers/pool');
+const generator = require('../src/services/generator');
+const campaignStore = require('../src/services/campaignStore');
+const { generate, writeCsv, verifyProof, wallet, EXPIRY } = require('./helpers');
+
+const keccak = (data) => Buffer.from(ethers.keccak256(data).slice(2), 'hex');
+
+const records = (count) => Array.from({ length: count }, (_, i) => ({
+  address: '0x' + (i + 1).toString(16).padStart(40, '0'),
+  subdomain: `holder${i}`,
+  expiry: EXPIRY + i
+}));
+
+describe('legacy Merkle trees', () => {
+  test('hash leaves like abi.encodePacked(address, string, uint64) in the contract', () => {
+    const record = { address: wallet('alice').address.toLowerCase(), subdomain: 'alice', expiry: EXPIRY };
+    const expiry = Buffer.alloc(8);
+    expiry.writeBigUInt64BE(BigInt(EXPIRY));
+    const packed = Buffer.concat([Buffer.from(record.address.slice(2), 'hex'), Buffer.from('alice'), expiry]);
+
+    expect(hashLeaf(record)).toBe(ethers.keccak256(packed));
+  });
+
+  test.each([1, 2, 3, 5, 64, 257])('match merkletreejs roots and proofs for %i leaves', (count) => {
+    const leaves = records(count).map(record => hashLeaf(record));
+    const tree = buildTree(leaves);
+    const reference = new MerkleTreeJs(leaves, keccak, { sortLeaves: true, sortPairs: true });
+
+    expect(tree.getHexRoot()).toBe(reference.getHexRoot());
+    for (const leaf of leaves) {
+      expect(tree.getHexProof(leaf)).toEqual(reference.getHexProof(leaf));
+      expect(verifyProof(leaf, tree.getHexProof(leaf), tree.getHexRoot())).toBe(true);
+    }
+  });
+
+  test('give no proof for a leaf that is not in the tree', () => {
+    const tree = buildTree(records(4).map(record => hashLeaf(record)));
+
+    expect(tree.getHexProof(ethers.ZeroHash)).toEqual([]);
+  });
+});
+
+describe('worker-thread generation', () => {
+  test('builds the same tree in a worker as in-process, reporting each layer', async () => {
+    const leaves = records(100).map(record => hashLeaf(record));
+    // Its own ArrayBuffer, as campaignStore reads them - small Buffers share a pool
+    const sorted = Uint8Array.from(Buffer.concat(leaves.map(leaf => Buffer.from(leaf.slice(2), 'hex')).sort(Buffer.compare)));
+    const progress = [];
+
+    const { layers } = await pool.run('buildTree', { leaves: sorted.buffer, format: 'legacy' }, {
+      onProgress: ({ layer }) => progress.push(layer)
+    });
+
+    expect('0x' + Buffer.from(layers[layers.length - 1]).toString('hex')).toBe(buildTree(leaves).getHexRoot());
+    expect(progress).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('streams a list larger than one hashing batch into the same root', async () => {
+    const rows = records(12000);
+    const phases = new Set();
+
+    const result = await generator.generateCampaign({
+      filePath: writeCsv(rows),
+      fileName: 'large.csv',
+      parentDomain: 'large.eth'
+    }, (progress) => progress.phase && phases.add(progress.phase));
+
+    expect(result.totalClaims).toBe(12000);
+    expect(result.merkleRoot).toBe(buildTree(rows.map(record => hashLeaf(record))).getHexRoot());
+    expect([...phases]).toEqual(['hashing', 'checking', 'building', 'done']);
+  }, 60000);
+
+  test('generates a campaign with rows hashed in upload order', async () => {
+    const rows = records(3);
+    const { campaignId } = await generate(rows, { parentDomain: 'order.eth' });
+
+    expect(campaignStore.getRecords(campaignId)).toEqual(rows);
+  });
+});
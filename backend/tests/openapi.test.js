@@ -0,0 +1,107 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { ERROR_CODES } = require('../src/utils/errors');
+const { apiKey, wallet } = require('./helpers');
+
+const app = require('../src/app');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+describe('OpenAPI document', () => {
+  let document;
+
+  beforeAll(async () => {
+    document = (await request(app).get('/api/openapi.json').expect(200)).body;
+  });
+
+  test('describes every route with its parameters, role and error codes', () => {
+    expect(document.openapi).toBe('3.0.3');
+
+    const proof = document.paths['/api/campaigns/{id}/proof/{address}/{subdomain}/{expiry}'].get;
+    expect(proof.parameters.map(p => [p.name, p.in, p.required])).toEqual([
+      ['id', 'path', true], ['address', 'path', true], ['subdomain', 'path', true], ['expiry', 'path', true]
+    ]);
+    expect(proof.responses[400].description).toMatch(/^INVALID_REQUEST/);
+
+    const archive = document.paths['/api/campaigns/{id}/archive'].post;
+    expect(archive.security).toEqual([{ bearer: [] }, { apiKey: [] }]);
+    expect(archive.description).toMatch(/Requires the admin role/);
+    expect(Object.keys(archive.responses)).toEqual(expect.arrayContaining(['401', '403', '429', '500']));
+
+    const validate = document.paths['/api/merkle/validate'].post;
+    expect(validate.requestBody.content['multipart/form-data'].schema).toMatchObject({
+      properties: { file: { type: 'string', format: 'binary' } },
+      required: ['file']
+    });
+  });
+
+  test('only uses documented error codes and existing schemas', () => {
+    const refs = new Set();
+    for (const operations of Object.values(document.paths)) {
+      for (const method of Object.keys(operations)) {
+        expect(METHODS).toContain(method);
+        for (const [status, response] of Object.entries(operations[method].responses)) {
+          if (Number(status) >= 400) {
+            for (const line of response.description.split('\n\n')) {
+              expect(Object.keys(ERROR_CODES)).toContain(line.split(' - ')[0]);
+            }
+          }
+          const ref = response.content?.['application/json']?.schema.$ref;
+          if (ref) refs.add(ref.split('/').pop());
+        }
+      }
+    }
+    expect(Object.keys(document.components.schemas)).toEqual(expect.arrayContaining([...refs]));
+  });
+
+  test('is served with Swagger UI', async () => {
+    const res = await request(app).get('/api/docs/');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toMatch(/swagger-ui/i);
+  });
+});
+
+describe('request validation and errors', () => {
+  const proofPath = (expiry) => `/api/campaigns/${ethers.ZeroHash}/proof/${wallet('alice').address}/alice/${expiry}`;
+
+  test('answers 400 INVALID_REQUEST with every issue', async () => {
+    const res = await request(app).get(`/api/campaigns/${ethers.ZeroHash}/proof/0x1234/alice/soon`);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_REQUEST', requestId: expect.any(String) });
+    expect(res.body.details.issues.map(issue => [issue.in, issue.path])).toEqual([['params', 'address'], ['params', 'expiry']]);
+  });
+
+  test('lets valid requests through to the handler', async () => {
+    const res = await request(app).get(proofPath('1893456000'));
+
+    // Got past validation to the campaign lookup
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('CAMPAIGN_NOT_FOUND');
+  });
+
+  test('echoes the caller\'s request id, or makes one', async () => {
+    const given = await request(app).get(proofPath('soon')).set('X-Request-Id', 'trace-123');
+    expect(given.headers['x-request-id']).toBe('trace-123');
+    expect(given.body.requestId).toBe('trace-123');
+
+    const made = await request(app).get(proofPath('soon')).set('X-Request-Id', 'not a valid id!');
+    expect(made.body.requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(made.headers['x-request-id']).toBe(made.body.requestId);
+  });
+
+  test('uses the same envelope for unknown routes and malformed JSON', async () => {
+    const missing = await request(app).get('/api/nothing-here');
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ error: 'No route for GET /api/nothing-here', code: 'ROUTE_NOT_FOUND', requestId: expect.any(String) });
+
+    const malformed = await request(app)
+      .post('/api/auth/keys')
+      .set('Authorization', apiKey('admin'))
+      .set('Content-Type', 'application/json')
+      .send('{ "name": ');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.code).toBe('INVALID_JSON');
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const chain = require('../src/services/chain');
+const campaignStore = require('../src/services/campaignStore');
+const { validateRow } = require('../src/utils/validation');
+const { apiKey, generate, writeCsv, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const PARENT_EXPIRY = EXPIRY - 1000;
+const NOW = 1700000000;
+
+const alice = wallet('alice').address.toLowerCase();
+const bob = wallet('bob').address.toLowerCase();
+const lines = [`${alice},alice,${PARENT_EXPIRY}`, `${bob},bob,${EXPIRY}`];
+
+describe('expiry checks against the parent', () => {
+  test('reject expiries past the parent expiry, or clamp them to it', () => {
+    const row = { address: alice, subdomain: 'alice', expiry: String(EXPIRY) };
+
+    const rejected = validateRow(row, 2, { parentExpiry: PARENT_EXPIRY, now: NOW });
+    expect(rejected.record).toBeNull();
+    expect(rejected.issues).toMatchObject([{ code: 'EXPIRY_EXCEEDS_PARENT', severity: 'error', field: 'expiry' }]);
+
+    const clamped = validateRow(row, 2, { parentExpiry: PARENT_EXPIRY, clampExpiry: true, now: NOW });
+    expect(clamped.record.expiry).toBe(PARENT_EXPIRY);
+    expect(clamped.issues).toMatchObject([{ code: 'EXPIRY_CLAMPED', severity: 'warning' }]);
+
+    expect(validateRow({ ...row, expiry: String(PARENT_EXPIRY) }, 2, { parentExpiry: PARENT_EXPIRY, now: NOW }).issues).toEqual([]);
+  });
+
+  test('reject past expiries, pointing at the parent when it has expired', () => {
+    const row = { address: alice, subdomain: 'alice', expiry: String(NOW - 1) };
+
+    expect(validateRow(row, 2, { now: NOW }).issues).toMatchObject([{ code: 'EXPIRY_PAST', fix: 'Use a future timestamp' }]);
+    expect(validateRow(row, 2, { parentExpiry: NOW - 1, now: NOW }).issues)
+      .toMatchObject([{ code: 'EXPIRY_PAST', fix: 'Renew the parent domain first' }]);
+  });
+});
+
+describe('parent expiry in validation and generation', () => {
+  let viewer;
+
+  beforeAll(() => {
+    viewer = apiKey('viewer');
+  });
+
+  test('validation reads the parent expiry when a parent domain is given', async () => {
+    const getParentExpiry = jest.spyOn(chain, 'getParentExpiry').mockResolvedValue(PARENT_EXPIRY);
+
+    const res = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .field('parentDomain', 'parent.eth')
+      .attach('file', writeCsv(lines), 'list.csv');
+
+    expect(getParentExpiry).toHaveBeenCalledWith(ethers.namehash('parent.eth'));
+    expect(res.status).toBe(400);
+    expect(res.body.details.report).toMatchObject({
+      parentExpiry: PARENT_EXPIRY,
+      issues: [{ row: 3, code: 'EXPIRY_EXCEEDS_PARENT' }]
+    });
+
+    const clamped = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .field('parentDomain', 'parent.eth')
+      .field('clampExpiry', 'true')
+      .attach('file', writeCsv(lines), 'list.csv');
+    expect(clamped.status).toBe(200);
+    expect(clamped.body.report.summary).toEqual({ EXPIRY_CLAMPED: { severity: 'warning', count: 1 } });
+  });
+
+  test('validation fails when the parent expiry cannot be read', async () => {
+    jest.spyOn(chain, 'getParentExpiry').mockRejectedValue(new Error('Parent domain is not wrapped in the NameWrapper'));
+
+    const res = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .field('parentDomain', 'unwrapped.eth')
+      .attach('file', writeCsv(lines), 'list.csv');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PARENT_EXPIRY_UNAVAILABLE');
+    expect(res.body.error).toMatch(/not wrapped/);
+  });
+
+  test('generation clamps to the parent expiry or skips the rows past it', async () => {
+    jest.spyOn(chain, 'getParentExpiry').mockResolvedValue(PARENT_EXPIRY);
+
+    const skipped = await generate(lines, { parentDomain: 'skip-parent.eth' });
+    expect(skipped).toMatchObject({ totalClaims: 1, skippedRows: 1, parentExpiry: PARENT_EXPIRY });
+
+    const clamped = await generate(lines, { parentDomain: 'clamp-parent.eth', clampExpiry: true });
+    expect(clamped).toMatchObject({ totalClaims: 2, skippedRows: 0 });
+    expect(campaignStore.getRecords(clamped.campaignId).map(record => record.expiry)).toEqual([PARENT_EXPIRY, PARENT_EXPIRY]);
+  });
+});
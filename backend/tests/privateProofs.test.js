@@ -0,0 +1,83 @@
+const request = require('supertest');
+const { apiKey, generate, signIn, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice');
+const bob = wallet('bob');
+
+describe('private proofs', () => {
+  let campaignId;
+  let operator;
+
+  beforeAll(async () => {
+    operator = apiKey('operator');
+    ({ campaignId } = await generate([
+      { address: alice.address, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob.address, subdomain: 'bob', expiry: EXPIRY }
+    ], { parentDomain: 'private.eth', privateProofs: true }));
+  });
+
+  const proofPath = (signer, label) => `/api/campaigns/${campaignId}/proof/${signer.address}/${label}/${EXPIRY}`;
+
+  test('need a signed-in claimant', async () => {
+    for (const path of [proofPath(alice, 'alice'), `/api/campaigns/${campaignId}/allocations/${alice.address}`]) {
+      const res = await request(app).get(path);
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('PROOFS_PRIVATE');
+    }
+  });
+
+  test("are handed to the claimant for their own address, and nobody else's", async () => {
+    const session = await signIn(app, alice, '/api/auth/claimant');
+    expect(session.status).toBe(200);
+    const authorization = `Bearer ${session.body.token}`;
+
+    const own = await request(app).get(proofPath(alice, 'alice')).set('Authorization', authorization);
+    expect(own.status).toBe(200);
+    expect(own.body.proof).toHaveLength(1);
+
+    const allocations = await request(app)
+      .get(`/api/campaigns/${campaignId}/allocations/${alice.address}`)
+      .set('Authorization', authorization);
+    expect(allocations.body.allocations).toMatchObject([{ subdomain: 'alice' }]);
+
+    const other = await request(app).get(proofPath(bob, 'bob')).set('Authorization', authorization);
+    expect(other.status).toBe(403);
+    expect(other.body.code).toBe('NOT_CLAIMANT');
+
+    // A claimant session carries no role
+    await request(app).post('/api/merkle/validate').set('Authorization', authorization).expect(403);
+  });
+
+  test('are readable by viewers and up, and the tree export is too', async () => {
+    const viewer = apiKey('viewer');
+
+    await request(app).get(proofPath(bob, 'bob')).set('Authorization', viewer).expect(200);
+    await request(app).get(`/api/campaigns/${campaignId}/tree`).expect(401);
+  });
+
+  test('become public again when privacy is turned off', async () => {
+    const setPrivacy = (privateProofs) => request(app)
+      .post(`/api/campaigns/${campaignId}/privacy`)
+      .set('Authorization', operator)
+      .send({ privateProofs })
+      .expect(200);
+
+    await setPrivacy(false);
+    await request(app).get(proofPath(bob, 'bob')).expect(200);
+    await setPrivacy(true);
+    await request(app).get(proofPath(bob, 'bob')).expect(401);
+  });
+});
+
+describe('proof misses', () => {
+  test("don't list the address's other allocations", async () => {
+    const { campaignId } = await generate([{ address: alice.address, subdomain: 'alice', expiry: EXPIRY }], { parentDomain: 'public.eth' });
+
+    const res = await request(app).get(`/api/campaigns/${campaignId}/proof/${alice.address}/wrong/${EXPIRY}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Claim not found in Merkle tree', code: 'CLAIM_NOT_FOUND', requestId: expect.any(String) });
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { wallet } = require('./helpers');
+
+// Read when the middleware loads
+process.env.RATE_LIMIT_SIGN_IN = '3';
+process.env.RATE_LIMIT_PROOFS_PER_ADDRESS = '2';
+process.env.RATE_LIMIT_RELAY = '0';
+
+const { MemoryStore, SqliteStore } = require('../src/services/rateLimit');
+const { LIMITS } = require('../src/middleware/rateLimit');
+const auth = require('../src/services/auth');
+
+const app = require('../src/app');
+
+const limit = { capacity: 3, windowMs: 60 * 1000 };
+
+describe('token buckets', () => {
+  test.each([
+    ['memory', () => new MemoryStore()],
+    ['sqlite', () => new SqliteStore()]
+  ])('allow a burst up to the capacity, then refill over the window (%s store)', async (_, createStore) => {
+    const store = createStore();
+    const key = `test:${Math.random()}`;
+    const now = 1000000;
+
+    const burst = [];
+    for (let i = 0; i < 4; i++) burst.push(await store.consume(key, limit, now));
+    expect(burst.map(r => [r.allowed, r.remaining])).toEqual([[true, 2], [true, 1], [true, 0], [false, 0]]);
+    expect(burst[3].retryMs).toBe(20000);
+    expect(burst[3].resetMs).toBe(60000);
+
+    // One token back every windowMs / capacity
+    expect(await store.consume(key, limit, now + 19999)).toMatchObject({ allowed: false });
+    expect(await store.consume(key, limit, now + 20000)).toMatchObject({ allowed: true, remaining: 0 });
+  });
+});
+
+describe('rate limited routes', () => {
+  test('answer 429 with Retry-After once the bucket is empty', async () => {
+    expect(LIMITS.signIn.capacity).toBe(3);
+
+    const responses = [];
+    for (let i = 0; i < 4; i++) responses.push(await request(app).get('/api/auth/nonce'));
+
+    expect(responses.map(res => res.status)).toEqual([200, 200, 200, 429]);
+    expect(responses.map(res => res.headers['ratelimit-remaining'])).toEqual(['2', '1', '0', '0']);
+    expect(responses[0].headers).toMatchObject({ 'ratelimit-limit': '3', 'ratelimit-policy': '3;w=60' });
+
+    const limited = responses[3];
+    expect(limited.headers['retry-after']).toBe('20');
+    expect(limited.body).toMatchObject({
+      code: 'RATE_LIMITED',
+      error: 'Too many requests - try again in 20s',
+      details: { retryAfter: 20 }
+    });
+  });
+
+  test('limit proof lookups per signed-in address, not per looked-up address', async () => {
+    const alice = wallet('alice');
+    const lookup = (who, authorization) => {
+      const req = request(app).get(`/api/campaigns/${ethers.ZeroHash}/allocations/${who}`);
+      return authorization ? req.set('Authorization', authorization) : req;
+    };
+
+    // Anonymous lookups of alice's address from anywhere don't spend her bucket
+    for (let i = 0; i < 3; i++) expect((await lookup(alice.address)).status).toBe(404);
+
+    // Sign-ins are limited here too
+    const authorization = `Bearer ${auth.createSession(alice.address, { scope: 'claimant' }).token}`;
+    expect((await lookup(alice.address, authorization)).status).toBe(404);
+    const second = await lookup(ethers.Wallet.createRandom().address, authorization);
+    expect(second.status).toBe(404);
+    // The tighter bucket's headers are sent
+    expect(second.headers).toMatchObject({ 'ratelimit-limit': '2', 'ratelimit-remaining': '0' });
+    expect((await lookup(alice.address, authorization)).status).toBe(429);
+  });
+
+  test('skip limits set to 0', async () => {
+    expect(LIMITS.relay.capacity).toBe(0);
+
+    // Past the default of 10 per minute - the per-claimer bucket only applies to signed intents
+    for (let i = 0; i < 12; i++) {
+      const res = await request(app).post(`/api/campaigns/${ethers.ZeroHash}/relay`).send({});
+      expect(res.status).not.toBe(429);
+      expect(res.headers['ratelimit-limit']).not.toBe('0');
+    }
+  });
+});
@@ -0,0 +1,202 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Read when the relayer and the rate limits load - one relayed claim per claimer per minute,
+// and no limit per IP (every test here posts from the same one)
+const RELAYER = new ethers.Wallet(ethers.id('relayer'));
+process.env.RELAYER_PRIVATE_KEY = RELAYER.privateKey;
+process.env.RATE_LIMIT_RELAY = '0';
+process.env.RATE_LIMIT_RELAY_PER_ADDRESS = '1';
+
+const chain = require('../src/services/chain');
+const relayer = require('../src/services/relayer');
+const relayStore = require('../src/services/relayStore');
+const { apiKey, generate, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const CHAIN_ID = 11155111;
+const FACTORY = '0x' + 'fc'.repeat(20);
+
+const alice = wallet('alice');
+const bob = wallet('bob');
+const ERC1271 = new ethers.Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+
+// Just what the relayer asks of the node before it simulates a claim - every claimer is an EOA
+const rpc = {
+  getNetwork: async () => ({ chainId: BigInt(CHAIN_ID) }),
+  getCode: async () => '0x'
+};
+
+describe('relayed claims', () => {
+  let campaign;
+  let intent;
+
+  beforeAll(async () => {
+    const { campaignId } = await generate([
+      { address: alice.address, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob.address, subdomain: 'bob', expiry: EXPIRY }
+    ], { parentDomain: 'relay.eth', chainId: CHAIN_ID, factoryAddress: FACTORY });
+    campaign = { id: campaignId, path: `/api/campaigns/${campaignId}/relay` };
+
+    intent = {
+      claimer: alice.address,
+      parentNode: ethers.namehash('relay.eth'),
+      subdomain: 'alice',
+      expiry: EXPIRY,
+      nonce: '0',
+      deadline: Math.floor(Date.now() / 1000) + 3600
+    };
+  });
+
+  beforeEach(() => {
+    jest.spyOn(chain, 'getProvider').mockReturnValue(rpc);
+  });
+
+  const sign = (signer, message = intent) => signer.signTypedData({
+    name: 'BulkSubdomainFactory',
+    version: '1',
+    chainId: CHAIN_ID,
+    verifyingContract: ethers.getAddress(FACTORY)
+  }, relayer.CLAIM_INTENT_TYPES, message);
+
+  const relay = (body) => request(app).post(campaign.path).send({ ...intent, parentNode: undefined, ...body });
+
+  test('are disabled until the campaign has a gas budget', async () => {
+    const info = await request(app).get(campaign.path);
+    expect(info.body).toMatchObject({
+      enabled: false,
+      reason: 'The campaign has no relayer gas budget',
+      relayer: RELAYER.address,
+      domain: { name: 'BulkSubdomainFactory', chainId: CHAIN_ID, verifyingContract: ethers.getAddress(FACTORY) },
+      types: relayer.CLAIM_INTENT_TYPES
+    });
+
+    const res = await relay({ signature: await sign(alice) });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('RELAY_DISABLED');
+
+    const budget = await request(app).put(`${campaign.path}/budget`).set('Authorization', apiKey('admin')).send({ budget: '0.05' });
+    expect(budget.body.budget).toMatchObject({ budgetWei: '50000000000000000', remainingWei: '50000000000000000' });
+    expect((await request(app).get(campaign.path)).body.enabled).toBe(true);
+  });
+
+  test("reject a signature that isn't the claimer's", async () => {
+    const res = await relay({ signature: await sign(bob) });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_SIGNATURE', error: 'The signature is not from the claimer' });
+  });
+
+  test('reject a signature over different intent fields', async () => {
+    const res = await relay({ signature: await sign(alice, { ...intent, deadline: intent.deadline + 1 }) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SIGNATURE');
+  });
+
+  test("reject a signature that can't be recovered", async () => {
+    const res = await relay({ signature: '0x' + '00'.repeat(65) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SIGNATURE');
+  });
+
+  test('need a signature of whole hex bytes, up to a limit', async () => {
+    for (const [signature, message] of [['0x', /hex bytes/], ['0x' + 'a'.repeat(131), /hex bytes/], ['0x' + 'ab'.repeat(4097), /at most 4096 bytes/]]) {
+      const res = await relay({ signature });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_REQUEST');
+      expect(res.body.details.issues).toMatchObject([{ path: 'signature', message: expect.stringMatching(message) }]);
+    }
+  });
+
+  test('relay ERC-1271 signatures from contract wallets, longer than 65 bytes', async () => {
+    const safe = '0x' + '5a'.repeat(20);
+    const { campaignId } = await generate([{ address: safe, subdomain: 'safe', expiry: EXPIRY }], {
+      parentDomain: 'wallets.eth', chainId: CHAIN_ID, factoryAddress: FACTORY
+    });
+    relayStore.setBudget(campaignId, ethers.parseEther('0.05'));
+    const safeIntent = { ...intent, claimer: safe, parentNode: ethers.namehash('wallets.eth'), subdomain: 'safe' };
+    // A Safe's signature is its owners' signatures back to back
+    const signature = ethers.concat([await sign(alice, safeIntent), await sign(bob, safeIntent)]);
+    const digest = ethers.TypedDataEncoder.hash({
+      name: 'BulkSubdomainFactory', version: '1', chainId: CHAIN_ID, verifyingContract: ethers.getAddress(FACTORY)
+    }, relayer.CLAIM_INTENT_TYPES, safeIntent);
+    jest.spyOn(chain, 'getProvider').mockReturnValue({
+      ...rpc,
+      getCode: async () => '0x6080',
+      call: async ({ data }) => {
+        const [hash, signed] = ERC1271.decodeFunctionData('isValidSignature', data);
+        const valid = hash === digest && signed === signature;
+        return ERC1271.encodeFunctionResult('isValidSignature', [valid ? '0x1626ba7e' : '0xffffffff']);
+      }
+    });
+    const relayClaim = jest.spyOn(relayer, 'relayClaim').mockResolvedValue({ status: 'pending' });
+
+    const res = await request(app).post(`/api/campaigns/${campaignId}/relay`)
+      .send({ ...safeIntent, parentNode: undefined, signature });
+
+    expect(res.status).toBe(202);
+    expect(relayClaim).toHaveBeenCalledWith(expect.objectContaining({ id: campaignId }), expect.objectContaining({ signature }));
+  });
+
+  test('reject expired intents and allocations outside the tree', async () => {
+    const expired = { ...intent, deadline: 1000 };
+    const late = await relay({ deadline: 1000, signature: await sign(alice, expired) });
+    expect(late.status).toBe(400);
+    expect(late.body.code).toBe('INTENT_EXPIRED');
+
+    const missing = await relay({ subdomain: 'bob', signature: await sign(alice, { ...intent, subdomain: 'bob' }) });
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('CLAIM_NOT_FOUND');
+  });
+
+  test('answer 400 for a claimer that is not an address string', async () => {
+    for (const claimer of [42, { address: alice.address }]) {
+      const res = await relay({ claimer, signature: await sign(alice) });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_REQUEST');
+    }
+  });
+
+  test("only spend the claimer's bucket once the claimer signed the intent", async () => {
+    // Anyone posting for alice without her signature is turned away before her bucket
+    for (let i = 0; i < 3; i++) {
+      expect((await relay({ signature: await sign(bob) })).status).toBe(400);
+    }
+
+    // Her own intent goes through to the simulation (this node can't run it), then her bucket is empty
+    const signed = await relay({ signature: await sign(alice) });
+    expect(signed.status).toBe(409);
+    expect(signed.body.code).toBe('RELAY_REJECTED');
+    const limited = await relay({ signature: await sign(alice) });
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('RATE_LIMITED');
+  });
+});
+
+describe('relayer gas budgets', () => {
+  const claim = (claimer, reservedWei) => ({ claimer, subdomain: 'x', expiry: EXPIRY, nonce: 0, reservedWei });
+
+  test('hold reserved gas until a claim settles, charging only what it used', async () => {
+    const { campaignId } = await generate([{ address: alice.address, subdomain: 'alice', expiry: EXPIRY }], { parentDomain: 'budget.eth' });
+    relayStore.setBudget(campaignId, 1000n);
+
+    const first = relayStore.reserve(campaignId, claim('0xa', 600n));
+    expect(relayStore.getBudget(campaignId)).toMatchObject({ reservedWei: '600', remainingWei: '400' });
+    expect(() => relayStore.reserve(campaignId, claim('0xb', 500n))).toThrow(expect.objectContaining({ code: 'RELAY_BUDGET_EXHAUSTED' }));
+    // One relayed claim per address, in flight or mined
+    expect(() => relayStore.reserve(campaignId, claim('0xa', 1n))).toThrow(expect.objectContaining({ code: 'RELAY_PENDING' }));
+
+    relayStore.settle(first.id, { status: 'confirmed', costWei: 250n });
+    expect(relayStore.getBudget(campaignId)).toMatchObject({ spentWei: '250', reservedWei: '0', remainingWei: '750' });
+    expect(() => relayStore.reserve(campaignId, claim('0xa', 1n))).toThrow(/already claimed through the relayer/);
+
+    // A failed claim releases its reservation, so the address can try again
+    const failed = relayStore.reserve(campaignId, claim('0xb', 500n));
+    relayStore.settle(failed.id, { status: 'failed', error: 'Transaction reverted' });
+    expect(relayStore.getBudget(campaignId).remainingWei).toBe('750');
+    expect(relayStore.reserve(campaignId, claim('0xb', 500n)).status).toBe('pending');
+  });
+});
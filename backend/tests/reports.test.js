@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { ValidationReport } = require('../src/services/reports');
+const { apiKey, generate, writeCsv, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address;
+const bob = wallet('bob').address;
+
+// Mixed case with every letter's case flipped - fails EIP-55
+const badChecksum = (address) => '0x' + address.slice(2).replace(/[a-f]/gi, c => c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase());
+
+// Row numbers count the header as row 1, like a spreadsheet
+const lines = [
+  `${alice.toLowerCase()},alice,${EXPIRY}`,
+  `0x1234,bob,${EXPIRY}`,
+  `${bob.toLowerCase()},,${EXPIRY}`,
+  `${badChecksum(wallet('carol').address)},carol,${EXPIRY}`,
+  `${wallet('dave').address.toLowerCase()},dave,soon`,
+  `${wallet('erin').address.toLowerCase()},erin,1000000000`
+];
+
+describe('validation reports', () => {
+  let viewer;
+
+  beforeAll(() => {
+    viewer = apiKey('viewer');
+  });
+
+  test('report each issue with its row, field, value and fix, summarized by code', async () => {
+    const res = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .attach('file', writeCsv(lines), 'list.csv');
+
+    expect(res.status).toBe(400);
+    const { report } = res.body.details;
+    expect(report).toMatchObject({ totalRows: 6, acceptedRows: 2, rejectedRows: 4, warningRows: 1, truncated: false });
+    expect(report.summary).toEqual({
+      INVALID_ADDRESS: { severity: 'error', count: 1 },
+      MISSING_FIELD: { severity: 'error', count: 1 },
+      ADDRESS_CHECKSUM: { severity: 'warning', count: 1 },
+      INVALID_EXPIRY: { severity: 'error', count: 1 },
+      EXPIRY_PAST: { severity: 'error', count: 1 }
+    });
+    expect(report.issues).toMatchObject([
+      { row: 3, code: 'INVALID_ADDRESS', field: 'address', value: '0x1234', fix: expect.any(String) },
+      { row: 4, code: 'MISSING_FIELD', field: 'subdomain', value: '' },
+      { row: 5, code: 'ADDRESS_CHECKSUM', severity: 'warning', field: 'address' },
+      { row: 6, code: 'INVALID_EXPIRY', field: 'expiry', value: 'soon' },
+      { row: 7, code: 'EXPIRY_PAST', field: 'expiry', value: '1000000000' }
+    ]);
+    expect(report.rejectedCsvUrl).toBe(`/api/reports/${report.id}/rejected.csv`);
+  });
+
+  test('offer the rejected rows as a CSV download', async () => {
+    const validated = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', viewer)
+      .attach('file', writeCsv(lines), 'list.csv');
+
+    const res = await request(app).get(validated.body.details.report.rejectedCsvUrl).set('Authorization', viewer);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const [header, ...rows] = res.text.trim().split('\n');
+    expect(header).toBe('row,address,subdomain,expiry,codes,messages');
+    expect(rows.map(row => row.split(',').slice(0, 5))).toEqual([
+      ['3', '0x1234', 'bob', String(EXPIRY), 'INVALID_ADDRESS'],
+      ['4', bob.toLowerCase(), '', String(EXPIRY), 'MISSING_FIELD'],
+      ['6', wallet('dave').address.toLowerCase(), 'dave', 'soon', 'INVALID_EXPIRY'],
+      ['7', wallet('erin').address.toLowerCase(), 'erin', '1000000000', 'EXPIRY_PAST']
+    ]);
+  });
+
+  test('quote CSV cells that need it', async () => {
+    const report = new ValidationReport();
+    report.addRow(2, { address: 'a,b', subdomain: 'say "hi"', expiry: '' }, [
+      { row: 2, code: 'INVALID_ADDRESS', severity: 'error', message: 'Bad' }
+    ]);
+    const { rejectedCsvUrl } = await report.finish();
+
+    const res = await request(app).get(rejectedCsvUrl).set('Authorization', viewer);
+    expect(res.text.trim().split('\n')[1]).toBe('2,"a,b","say ""hi""",,INVALID_ADDRESS,Bad');
+  });
+
+  test('has no download for a report without rejected rows, and 404s unknown reports', async () => {
+    const report = new ValidationReport();
+    report.addRow(2, {}, []);
+    expect(await report.finish()).toMatchObject({ totalRows: 1, rejectedRows: 0, rejectedCsvUrl: null });
+
+    const res = await request(app).get(`/api/reports/${crypto.randomUUID()}/rejected.csv`).set('Authorization', viewer);
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('REPORT_NOT_FOUND');
+  });
+
+  test('generation skips invalid rows and reports them in the same format', async () => {
+    const result = await generate(lines, { parentDomain: 'report.eth' });
+
+    expect(result).toMatchObject({ totalClaims: 2, skippedRows: 4 });
+    expect(result.report).toMatchObject({ totalRows: 6, rejectedRows: 4, rejectedCsvUrl: expect.any(String) });
+    expect(result.report.issues.map(issue => issue.row)).toEqual([3, 4, 5, 6, 7]);
+  });
+});
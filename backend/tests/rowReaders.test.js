@@ -0,0 +1,162 @@
+const fs = require('fs');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { readRows } = require('../src/services/rowReaders');
+const generator = require('../src/services/generator');
+const { apiKey, generate, scratchPath, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address.toLowerCase();
+const bob = wallet('bob').address.toLowerCase();
+
+const readAll = async (filePath, options) => {
+  const entries = [];
+  for await (const entry of readRows(filePath, options)) entries.push(entry);
+  return entries;
+};
+
+const writeFile = (name, text) => {
+  const filePath = scratchPath(name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+};
+
+const writeWorkbook = async (name, sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  for (const [sheetName, rows] of Object.entries(sheets)) {
+    workbook.addWorksheet(sheetName).addRows(rows);
+  }
+  const filePath = scratchPath(name);
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+};
+
+const expected = [
+  { row: 2, values: { address: alice, subdomain: 'alice', expiry: String(EXPIRY) } },
+  { row: 3, values: { address: bob, subdomain: 'bob', expiry: String(EXPIRY) } }
+];
+
+describe('CSV allowlists', () => {
+  test.each([
+    ['commas', ','],
+    ['semicolons', ';'],
+    ['tabs', '\t']
+  ])('are read with %s as the delimiter', async (_, delimiter) => {
+    const text = ['address,subdomain,expiry', `${alice},alice,${EXPIRY}`, `${bob},bob,${EXPIRY}`]
+      .map(line => line.replace(/,/g, delimiter)).join('\n');
+
+    expect(await readAll(writeFile('list.csv', text), { fileName: 'list.csv' })).toEqual(expected);
+  });
+
+  test('are read with a BOM, padded headers and quoted fields', async () => {
+    const text = `\uFEFF Address ;Subdomain; Expiry\r\n"${alice}";"alice";${EXPIRY}\r\n${bob};"b;o""b";${EXPIRY}\r\n`;
+
+    expect(await readAll(writeFile('excel.csv', text), { fileName: 'excel.csv' })).toEqual([
+      expected[0],
+      { row: 3, values: { address: bob, subdomain: 'b;o"b', expiry: String(EXPIRY) } }
+    ]);
+  });
+});
+
+describe('XLSX allowlists', () => {
+  test('are read from the first sheet, or the one chosen by name or position', async () => {
+    const filePath = await writeWorkbook('list.xlsx', {
+      Claims: [['address', 'subdomain', 'expiry'], [alice, 'alice', EXPIRY], [], [bob, 'bob', EXPIRY]],
+      Other: [['address', 'subdomain', 'expiry'], [bob, 'other', EXPIRY]]
+    });
+
+    expect(await readAll(filePath, { fileName: 'list.xlsx' })).toEqual([expected[0], { ...expected[1], row: 4 }]);
+    const other = [{ row: 2, values: { address: bob, subdomain: 'other', expiry: String(EXPIRY) } }];
+    expect(await readAll(filePath, { fileName: 'list.xlsx', sheet: 'Other' })).toEqual(other);
+    expect(await readAll(filePath, { fileName: 'list.xlsx', sheet: '2' })).toEqual(other);
+    await expect(readAll(filePath, { fileName: 'list.xlsx', sheet: 'Missing' })).rejects.toThrow('Sheet "Missing" not found');
+  });
+
+  test('turn date cells into unix seconds', async () => {
+    const filePath = await writeWorkbook('dates.xlsx', {
+      Sheet1: [['address', 'subdomain', 'expiry'], [alice, 'alice', new Date(EXPIRY * 1000)]]
+    });
+
+    expect(await readAll(filePath, { fileName: 'dates.xlsx' })).toEqual([expected[0]]);
+  });
+});
+
+describe('JSON allowlists', () => {
+  test('are read from an array of objects, numbered by position', async () => {
+    const filePath = writeFile('list.json', JSON.stringify([
+      { address: alice, subdomain: 'alice', expiry: EXPIRY },
+      'not an object',
+      { Address: bob, subdomain: 'bob', expiry: String(EXPIRY) }
+    ]));
+
+    expect(await readAll(filePath, { fileName: 'list.json' })).toEqual([
+      { row: 1, values: expected[0].values },
+      { row: 2, values: {}, error: 'Entry is not an object' },
+      { row: 3, values: expected[1].values }
+    ]);
+  });
+
+  test('point tree dumps at the import route', async () => {
+    const filePath = writeFile('dump.json', JSON.stringify({ format: 'standard-v1', tree: [], values: [] }));
+
+    await expect(readAll(filePath, { fileName: 'dump.json' })).rejects.toThrow(/POST \/api\/campaigns\/import/);
+  });
+
+  test('are streamed: entries are read before the rest of the file is parsed', async () => {
+    // Larger than one read chunk, and broken at the very end
+    const entries = Array.from({ length: 3000 }, (_, i) => ({ address: alice, subdomain: `alice${i}`, expiry: EXPIRY }));
+    const filePath = writeFile('broken.json', '\uFEFF' + JSON.stringify(entries).slice(0, -1) + ',{ broken');
+
+    const rows = [];
+    const read = (async () => {
+      for await (const entry of readRows(filePath, { fileName: 'broken.json' })) rows.push(entry);
+    })();
+
+    await expect(read).rejects.toThrow(/^File is not valid JSON/);
+    expect(rows.length).toBeGreaterThan(0);
+    expect(rows[0]).toEqual({ row: 1, values: { ...expected[0].values, subdomain: 'alice0' } });
+  });
+
+  test('are read from NDJSON, numbered by line', async () => {
+    const filePath = writeFile('list.ndjson', [
+      JSON.stringify({ address: alice, subdomain: 'alice', expiry: EXPIRY }),
+      '',
+      '{ broken',
+      JSON.stringify({ address: bob, subdomain: 'bob', expiry: EXPIRY })
+    ].join('\n'));
+
+    expect(await readAll(filePath, { fileName: 'list.ndjson' })).toEqual([
+      { row: 1, values: expected[0].values },
+      { row: 3, values: {}, error: 'Line is not valid JSON' },
+      { row: 4, values: expected[1].values }
+    ]);
+  });
+});
+
+describe('allowlist uploads', () => {
+  test('generate the same root from every format', async () => {
+    const rows = [{ address: alice, subdomain: 'alice', expiry: EXPIRY }, { address: bob, subdomain: 'bob', expiry: EXPIRY }];
+    const csv = await generate(rows, { parentDomain: 'csv.eth' });
+    const files = {
+      'list.xlsx': await writeWorkbook('upload.xlsx', { Sheet1: [['address', 'subdomain', 'expiry'], ...rows.map(Object.values)] }),
+      'list.json': writeFile('upload.json', JSON.stringify(rows)),
+      'list.ndjson': writeFile('upload.ndjson', rows.map(row => JSON.stringify(row)).join('\n'))
+    };
+
+    for (const [fileName, filePath] of Object.entries(files)) {
+      const result = await generator.generateCampaign({ filePath, fileName, parentDomain: `${fileName.replace('.', '-')}.eth` }, () => {});
+      expect(result.merkleRoot).toBe(csv.merkleRoot);
+    }
+  });
+
+  test('refuse other file types', async () => {
+    const res = await request(app)
+      .post('/api/merkle/validate')
+      .set('Authorization', apiKey('viewer'))
+      .attach('file', writeFile('list.pdf', 'x'), 'list.pdf');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_FILE_TYPE');
+  });
+});
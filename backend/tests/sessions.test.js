@@ -0,0 +1,200 @@
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Read when the session service loads
+process.env.CLAIM_SESSION_KEY = 'test session key';
+
+const chain = require('../src/services/chain');
+const claimSessions = require('../src/services/claimSessions');
+const sessionStore = require('../src/services/sessionStore');
+const { apiKey, generate, signIn, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const FACTORY = '0x' + 'f5'.repeat(20);
+const COMMITTED_AT = 1700000000;
+const REVEAL_DELAY = 60;
+
+const FACTORY_ABI = new ethers.Interface([
+  'function REVEAL_DELAY() view returns (uint256)',
+  'function getCommitmentTimestamp(address committer, bytes32 commitment) view returns (uint256)',
+  'function claimed(bytes32 leaf) view returns (bool)',
+  'event CommitmentMade(address indexed user, bytes32 indexed commitment)'
+]);
+
+const alice = wallet('alice');
+const bob = wallet('bob');
+
+/**
+ * Enough of a node for the session service: commit transactions by hash, and a factory
+ * where every commitment was made at COMMITTED_AT and nothing is claimed yet
+ */
+const createRpc = (receipts) => ({
+  getTransactionReceipt: async (txHash) => receipts[txHash] ?? null,
+  call: async ({ data }) => {
+    const call = FACTORY_ABI.parseTransaction({ data });
+    const result = { REVEAL_DELAY, getCommitmentTimestamp: COMMITTED_AT, claimed: false }[call.name];
+    return FACTORY_ABI.encodeFunctionResult(call.name, [result]);
+  }
+});
+
+const commitReceipt = (user, commitment, address = FACTORY) => ({
+  status: 1,
+  logs: [{ address, ...FACTORY_ABI.encodeEventLog('CommitmentMade', [user, commitment]) }]
+});
+
+describe('claim sessions', () => {
+  let campaignId;
+  let sessionsPath;
+  // Claimant sessions by address
+  const signedIn = {};
+
+  beforeAll(async () => {
+    ({ campaignId } = await generate([
+      { address: alice.address, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob.address, subdomain: 'bob', expiry: EXPIRY }
+    ], { parentDomain: 'sessions.eth', chainId: 1, factoryAddress: FACTORY }));
+    sessionsPath = `/api/campaigns/${campaignId}/sessions`;
+    for (const signer of [alice, bob]) {
+      signedIn[signer.address] = `Bearer ${(await signIn(app, signer, '/api/auth/claimant')).body.token}`;
+    }
+  });
+
+  const withAuth = (req, authorization) => (authorization ? req.set('Authorization', authorization) : req);
+  const create = (signer, subdomain, authorization = signedIn[signer.address]) => withAuth(
+    request(app).post(sessionsPath).send({ claimer: signer.address, subdomain, expiry: EXPIRY }), authorization);
+  const read = (id, authorization = signedIn[alice.address]) => withAuth(request(app).get(`${sessionsPath}/${id}`), authorization);
+
+  test('are off without an RPC to follow commitments', async () => {
+    const res = await create(alice, 'alice');
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('CLAIM_SESSIONS_DISABLED');
+  });
+
+  test('keep the nonce, and are resumed for the same allocation', async () => {
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc({}));
+
+    const first = await create(alice, 'alice');
+    expect(first.status).toBe(201);
+    expect(first.body.session).toMatchObject({ claimer: alice.address.toLowerCase(), subdomain: 'alice', status: 'created' });
+    expect(first.body.session).not.toHaveProperty('nonceEnc');
+    expect(first.body.session).not.toHaveProperty('nonce');
+
+    const again = await create(alice, 'alice');
+    expect(again.body.session.id).toBe(first.body.session.id);
+
+    const missing = await create(alice, 'bob');
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('CLAIM_NOT_FOUND');
+  });
+
+  test("only take a mined commit of the session's commitment by its claimer", async () => {
+    const receipts = {};
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc(receipts));
+    const { session } = (await create(bob, 'bob')).body;
+    Object.assign(receipts, {
+      [ethers.id('other user')]: commitReceipt(alice.address, session.commitment),
+      [ethers.id('other factory')]: commitReceipt(bob.address, session.commitment, '0x' + '99'.repeat(20)),
+      [ethers.id('other commitment')]: commitReceipt(bob.address, ethers.id('something else')),
+      [ethers.id('reverted')]: { ...commitReceipt(bob.address, session.commitment), status: 0 },
+      [ethers.id('commit')]: commitReceipt(bob.address, session.commitment)
+    });
+    const commit = (name) => request(app).post(`${sessionsPath}/${session.id}/commit`).send({ txHash: ethers.id(name) });
+
+    for (const name of ['other user', 'other factory', 'other commitment', 'reverted', 'not mined']) {
+      const res = await commit(name);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_COMMIT_TX');
+    }
+
+    const res = await commit('commit');
+    expect(res.status).toBe(200);
+    expect(res.body.session.commitTx).toBe(ethers.id('commit'));
+
+    // Followed up right away: the commitment is on-chain, so the reveal time is known
+    let followed;
+    for (let i = 0; i < 20 && followed?.status !== 'committed'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      followed = sessionStore.getSession(campaignId, session.id);
+    }
+    expect(followed).toMatchObject({
+      status: 'committed',
+      committedAt: new Date(COMMITTED_AT * 1000).toISOString(),
+      revealableAt: new Date((COMMITTED_AT + REVEAL_DELAY) * 1000).toISOString()
+    });
+  });
+
+  test('hand the claimer the nonce and proof once they have to reveal', async () => {
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc({}));
+    const { session } = (await create(alice, 'alice')).body;
+
+    sessionStore.updateSession(session.id, { status: 'revealable' });
+    const res = await read(session.id);
+
+    expect(res.body.session.proof).toHaveLength(1);
+    // The stored nonce is the one committed to
+    const commitment = ethers.solidityPackedKeccak256(
+      ['address', 'string', 'uint64', 'uint256'],
+      [alice.address.toLowerCase(), 'alice', EXPIRY, res.body.session.nonce]
+    );
+    expect(commitment).toBe(session.commitment);
+  });
+
+  test('are only started and read by the signed-in claimant and viewers', async () => {
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc({}));
+    const { session } = (await create(alice, 'alice')).body;
+
+    expect((await create(alice, 'alice', null)).body.code).toBe('UNAUTHENTICATED');
+    // Nobody else gets the claimer's open session back
+    const other = await create(alice, 'alice', signedIn[bob.address]);
+    expect(other.status).toBe(403);
+    expect(other.body.code).toBe('NOT_CLAIMANT');
+    expect(other.body).not.toHaveProperty('session');
+
+    expect((await read(session.id, null)).body.code).toBe('UNAUTHENTICATED');
+    const peek = await read(session.id, signedIn[bob.address]);
+    expect(peek.status).toBe(403);
+    expect(peek.body).not.toHaveProperty('session');
+
+    expect((await read(session.id, apiKey('viewer'))).status).toBe(200);
+  });
+
+  test('are only listed for the signed-in claimant and viewers', async () => {
+    const list = (authorization) => withAuth(request(app).get(sessionsPath).query({ claimer: alice.address }), authorization);
+
+    expect((await list()).body.code).toBe('UNAUTHENTICATED');
+
+    const other = await list(signedIn[bob.address]);
+    expect(other.status).toBe(403);
+    expect(other.body.code).toBe('NOT_CLAIMANT');
+
+    const own = await list(signedIn[alice.address]);
+    expect(own.status).toBe(200);
+    expect(own.body.sessions).toMatchObject([{ subdomain: 'alice', status: 'revealable' }]);
+    // Listing never carries the nonce
+    expect(own.body.sessions[0]).not.toHaveProperty('nonce');
+
+    expect((await list(apiKey('viewer'))).status).toBe(200);
+  });
+
+  test('stop following revealable sessions nobody revealed, and free the allocation', async () => {
+    jest.spyOn(chain, 'getProvider').mockReturnValue(createRpc({}));
+    const { session } = (await create(alice, 'alice')).body;
+    const left = sessionStore.updateSession(session.id, {
+      status: 'revealable',
+      committedAt: new Date(COMMITTED_AT * 1000).toISOString(),
+      revealableAt: new Date((COMMITTED_AT + REVEAL_DELAY) * 1000).toISOString(),
+      error: 'The factory would reject this claim: ContractIsPaused'
+    });
+
+    await claimSessions.advance(left);
+    expect(sessionStore.getSession(campaignId, session.id)).toMatchObject({ status: 'expired', error: left.error });
+
+    // The claimer can still reveal the commitment themselves, and start over
+    const expired = await read(session.id);
+    expect(expired.body.session).toMatchObject({ status: 'expired', nonce: expect.any(String) });
+    const again = await create(alice, 'alice');
+    expect(again.body.session.id).not.toBe(session.id);
+  });
+});
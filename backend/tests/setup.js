@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file gets its own database and file directories, and never talks to a chain
+// (values already set here aren't overridden by a developer's .env)
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ens-bulk-test-'));
+
+Object.assign(process.env, {
+  DATABASE_PATH: path.join(scratch, 'ens-bulk.db'),
+  BUNDLE_DIR: path.join(scratch, 'bundles'),
+  REPORT_DIR: path.join(scratch, 'reports'),
+  UPLOAD_DIR: path.join(scratch, 'uploads'),
+  HASH_WORKERS: '1',
+  RPC_URL: '',
+  SEPOLIA_RPC_URL: '',
+  ENS_RPC_URL: '',
+  RELAYER_PRIVATE_KEY: '',
+  CLAIM_SESSION_KEY: '',
+  ADMIN_ADDRESSES: '',
+  RATE_LIMIT_STORE: 'memory',
+  DOTENV_CONFIG_QUIET: 'true'
+});
+
+// Progress lines from generation, the indexer and the relayer - errors still show
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { hashLeaf, StandardMerkleTree } = require('../src/utils/merkle');
+const { apiKey, generate, scratchPath, waitForJob, verifyProof, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const abi = ethers.AbiCoder.defaultAbiCoder();
+
+const records = (count) => Array.from({ length: count }, (_, i) => ({
+  address: '0x' + (i + 1).toString(16).padStart(40, '0'),
+  subdomain: `holder${i}`,
+  expiry: EXPIRY
+}));
+
+describe('StandardMerkleTree format', () => {
+  test('reproduces the root of the @openzeppelin/merkle-tree README example', () => {
+    const values = [
+      ['0x1111111111111111111111111111111111111111', '5000000000000000000'],
+      ['0x2222222222222222222222222222222222222222', '2500000000000000000']
+    ];
+    const leaves = values.map(value => ethers.keccak256(ethers.keccak256(abi.encode(['address', 'uint256'], value))));
+
+    expect(StandardMerkleTree.fromLeaves(leaves).getHexRoot())
+      .toBe('0xd4dee0beab2d53f2cc83e567171bd2820e49898130a22622b10ead383e90bd77');
+  });
+
+  test('hashes leaves as keccak256(bytes.concat(keccak256(abi.encode(address, string, uint64))))', () => {
+    const record = records(1)[0];
+    const inner = ethers.keccak256(abi.encode(['address', 'string', 'uint64'], [record.address, record.subdomain, record.expiry]));
+
+    expect(hashLeaf(record, 'standard')).toBe(ethers.keccak256(inner));
+    expect(hashLeaf(record, 'standard')).not.toBe(hashLeaf(record, 'legacy'));
+  });
+
+  test.each([1, 2, 5, 33])('gives proofs that verify for %i leaves', (count) => {
+    const leaves = records(count).map(record => hashLeaf(record, 'standard'));
+    const tree = StandardMerkleTree.fromLeaves(leaves);
+
+    expect(tree.nodeCount).toBe(2 * count - 1);
+    for (const leaf of leaves) {
+      expect(verifyProof(leaf, tree.getHexProof(leaf), tree.getHexRoot())).toBe(true);
+    }
+  });
+});
+
+describe('StandardMerkleTree dumps', () => {
+  let operator;
+
+  beforeAll(() => {
+    operator = apiKey('operator');
+  });
+
+  test('exports a dump that imports back into the same root', async () => {
+    const rows = records(5);
+    const { campaignId, merkleRoot } = await generate(rows, { parentDomain: 'standard.eth', treeFormat: 'standard' });
+
+    const exported = await request(app).get(`/api/campaigns/${campaignId}/tree`);
+    expect(exported.status).toBe(200);
+    const dump = JSON.parse(exported.text);
+    expect(dump).toMatchObject({ format: 'standard-v1', leafEncoding: ['address', 'string', 'uint64'] });
+    expect(dump.tree[0]).toBe(merkleRoot);
+    expect(dump.values.map(({ value }) => value)).toEqual(rows.map(r => [r.address, r.subdomain, String(r.expiry)]));
+    for (const { value, treeIndex } of dump.values) {
+      const [address, subdomain, expiry] = value;
+      expect(dump.tree[treeIndex]).toBe(hashLeaf({ address, subdomain, expiry }, 'standard'));
+    }
+
+    const dumpPath = scratchPath('dump.json');
+    fs.writeFileSync(dumpPath, exported.text);
+    const imported = await request(app)
+      .post('/api/campaigns/import')
+      .set('Authorization', operator)
+      .field('parentDomain', 'imported.eth')
+      .attach('file', dumpPath, 'dump.json');
+    expect(imported.status).toBe(202);
+
+    const job = await waitForJob(app, imported.body.jobId, operator);
+    expect(job.status).toBe('completed');
+    expect(job.result).toMatchObject({ merkleRoot, treeFormat: 'standard', totalClaims: 5 });
+  });
+
+  test('fails an import whose tree does not match its values', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const rows = records(3);
+    const { campaignId } = await generate(rows, { parentDomain: 'tampered.eth', treeFormat: 'standard' });
+    const dump = JSON.parse((await request(app).get(`/api/campaigns/${campaignId}/tree`)).text);
+    dump.tree[0] = ethers.ZeroHash;
+
+    const dumpPath = scratchPath('tampered.json');
+    fs.writeFileSync(dumpPath, JSON.stringify(dump));
+    const imported = await request(app)
+      .post('/api/campaigns/import')
+      .set('Authorization', operator)
+      .field('parentDomain', 'tampered-import.eth')
+      .attach('file', dumpPath, 'dump.json');
+
+    const job = await waitForJob(app, imported.body.jobId, operator);
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/Root mismatch/);
+  });
+
+  test('only exports standard-format trees', async () => {
+    const { campaignId } = await generate(records(2), { parentDomain: 'legacy-dump.eth' });
+
+    const res = await request(app).get(`/api/campaigns/${campaignId}/tree`);
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('WRONG_TREE_FORMAT');
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const chain = require('../src/services/chain');
+const campaignStore = require('../src/services/campaignStore');
+const { buildTree, hashLeaf } = require('../src/utils/merkle');
+const { apiKey, generate, waitForJob, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const [alice, bob, carol, dave] = ['alice', 'bob', 'carol', 'dave'].map(name => wallet(name).address.toLowerCase());
+
+// Root of the campaign's current rows, computed independently of the stored tree
+const rootOf = (records) => buildTree(records.map(record => hashLeaf(record))).getHexRoot();
+
+describe('root versions', () => {
+  let operator;
+
+  beforeAll(() => {
+    operator = apiKey('operator');
+  });
+
+  const update = async (campaignId, body) => {
+    const res = await request(app).post(`/api/campaigns/${campaignId}/versions`).set('Authorization', operator).send(body);
+    expect(res.status).toBe(202);
+    return waitForJob(app, res.body.jobId, operator);
+  };
+
+  test('append, remove and edit rows, each change a new version with its diff', async () => {
+    const { campaignId, merkleRoot } = await generate([
+      { address: alice, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob, subdomain: 'bob', expiry: EXPIRY }
+    ], { parentDomain: 'versions.eth' });
+
+    const added = await update(campaignId, { add: [{ address: carol, subdomain: 'carol', expiry: EXPIRY }], note: 'Late registrant' });
+    expect(added.status).toBe('completed');
+    expect(added.result).toMatchObject({ version: 2, previousRoot: merkleRoot, totalClaims: 3, added: 1, removed: 0, changed: 0 });
+
+    const changed = await update(campaignId, {
+      remove: [{ subdomain: 'bob' }],
+      edit: [{ row: 2, set: { address: dave } }]
+    });
+    expect(changed.result).toMatchObject({ version: 3, previousRoot: added.result.merkleRoot, totalClaims: 2, removed: 1, changed: 1 });
+
+    const records = campaignStore.getRecords(campaignId);
+    expect(records.map(r => [r.address, r.subdomain])).toEqual([[dave, 'alice'], [carol, 'carol']]);
+    expect(changed.result.merkleRoot).toBe(rootOf(records));
+    expect(campaignStore.getCampaign(campaignId).merkleRoot).toBe(changed.result.merkleRoot);
+
+    const history = await request(app).get(`/api/campaigns/${campaignId}/versions`).set('Authorization', operator);
+    expect(history.body.versions.map(v => [v.version, v.merkleRoot, v.note])).toEqual([
+      [1, merkleRoot, null],
+      [2, added.result.merkleRoot, 'Late registrant'],
+      [3, changed.result.merkleRoot, null]
+    ]);
+
+    const diff = await request(app).get(`/api/campaigns/${campaignId}/versions/3`).set('Authorization', operator);
+    expect(diff.body.changes).toMatchObject([
+      { row: 2, change: 'changed', address: dave, subdomain: 'alice', previous: { address: alice, subdomain: 'alice' }, claimed: null },
+      { row: 3, change: 'removed', address: null, previous: { address: bob, subdomain: 'bob' }, claimed: null }
+    ]);
+    expect(diff.body.nextOffset).toBeNull();
+
+    // Earlier versions' rows can still be rebuilt, and give their root back
+    expect(rootOf(campaignStore.getVersionRecords(campaignId, 1))).toBe(merkleRoot);
+    expect(rootOf(campaignStore.getVersionRecords(campaignId, 2))).toBe(added.result.merkleRoot);
+  });
+
+  test('warn when a removed or changed row was already claimed', async () => {
+    const { campaignId } = await generate([
+      { address: alice, subdomain: 'alice', expiry: EXPIRY },
+      { address: bob, subdomain: 'bob', expiry: EXPIRY }
+    ], { parentDomain: 'claimed-versions.eth' });
+    jest.spyOn(chain, 'getClaimedStatus').mockImplementation(async (factory, leaves) => leaves.map(() => true));
+
+    const job = await update(campaignId, { remove: [{ address: alice }] });
+
+    expect(job.result).toMatchObject({ claimedChecked: true, warnings: [{ row: 2, change: 'removed', subdomain: 'alice' }] });
+    expect(job.result.warnings[0].message).toMatch(/already claimed/);
+    const diff = await request(app).get(`/api/campaigns/${campaignId}/versions/2`).set('Authorization', operator);
+    expect(diff.body.changes).toMatchObject([{ change: 'removed', claimed: true }]);
+  });
+
+  test('reject the whole change on an invalid row or a conflict with existing rows', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { campaignId, merkleRoot } = await generate([{ address: alice, subdomain: 'alice', expiry: EXPIRY }], {
+      parentDomain: 'rejected-versions.eth'
+    });
+
+    const invalid = await update(campaignId, {
+      add: [{ address: bob, subdomain: 'bob', expiry: EXPIRY }, { address: 'nope', subdomain: 'x', expiry: EXPIRY }]
+    });
+    expect(invalid).toMatchObject({ status: 'failed', error: expect.stringMatching(/nothing was changed/) });
+
+    const conflict = await update(campaignId, { add: [{ address: bob, subdomain: 'alice', expiry: EXPIRY }] });
+    expect(conflict).toMatchObject({ status: 'failed', error: expect.stringMatching(/conflict/) });
+
+    expect(campaignStore.getCampaign(campaignId)).toMatchObject({ merkleRoot, totalClaims: 1 });
+    expect(campaignStore.listVersions(campaignId)).toHaveLength(1);
+  });
+
+  test('refuse empty change sets', async () => {
+    const { campaignId } = await generate([{ address: alice, subdomain: 'alice', expiry: EXPIRY }], { parentDomain: 'empty-versions.eth' });
+
+    const res = await request(app).post(`/api/campaigns/${campaignId}/versions`).set('Authorization', operator).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CHANGES');
+  });
+});
@@ -0,0 +1,131 @@
+const http = require('http');
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+// Read when the sender loads - only new events are sent during a test, retries wait
+process.env.WEBHOOK_POLL_SECONDS = '3600';
+
+const signature = require('../src/utils/webhookSignature');
+const webhooks = require('../src/services/webhooks');
+const { apiKey, generate, wallet, EXPIRY } = require('./helpers');
+
+const app = require('../src/app');
+
+const alice = wallet('alice').address;
+
+describe('webhook signatures', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ event: 'ping' });
+
+  test('verify with the secret and the exact body', () => {
+    const header = signature.sign(secret, body);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(signature.verify(secret, body, header)).toBeNull();
+    expect(signature.verify('whsec_other', body, header)).toBe('Signature does not match');
+    expect(signature.verify(secret, body + ' ', header)).toBe('Signature does not match');
+  });
+
+  test('refuse old and malformed headers', () => {
+    const old = signature.sign(secret, body, Math.floor(Date.now() / 1000) - 301);
+
+    expect(signature.verify(secret, body, old)).toBe('Signature timestamp is too old');
+    expect(signature.verify(secret, body, old, { toleranceSeconds: 600 })).toBeNull();
+    expect(signature.verify(secret, body, 'v1=abc')).toBe('Malformed signature header');
+    expect(signature.verify(secret, body, undefined)).toBe('Malformed signature header');
+    expect(signature.verify(secret, body, `t=${Math.floor(Date.now() / 1000)},v1=00`)).toBe('Signature does not match');
+  });
+});
+
+describe('webhook deliveries', () => {
+  let server;
+  let url;
+  const received = [];
+  const answers = []; // status codes to answer with, in order - 200 once they run out
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = answers.shift() ?? 200;
+        res.end(res.statusCode === 200 ? 'ok' : 'busy');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+    webhooks.start();
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const waitForDeliveries = async (count) => {
+    for (let i = 0; i < 200 && received.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(received).toHaveLength(count);
+  };
+
+  test('are signed, logged, retried later and replayable', async () => {
+    const admin = apiKey('admin');
+    const created = await request(app).post('/api/webhooks').set('Authorization', admin)
+      .send({ url, events: ['tree.generated', 'subdomain.claimed'] });
+    expect(created.status).toBe(201);
+    const { id, secret } = created.body.webhook;
+    expect(secret).toMatch(/^whsec_/);
+
+    // The receiver is busy the first time
+    answers.push(503);
+    const { campaignId } = await generate([{ address: alice, subdomain: 'alice', expiry: EXPIRY }], { parentDomain: 'hooks.eth' });
+    await waitForDeliveries(1);
+
+    const [first] = received;
+    expect(first.headers['x-ensb-event']).toBe('tree.generated');
+    expect(signature.verify(secret, first.body, first.headers['x-ensb-signature'])).toBeNull();
+    const payload = JSON.parse(first.body);
+    expect(payload).toMatchObject({ event: 'tree.generated', campaign: { id: campaignId, parentDomain: 'hooks.eth' }, data: { version: 1 } });
+
+    const deliveryPath = `/api/webhooks/${id}/deliveries/${first.headers['x-ensb-delivery']}`;
+    const failed = (await request(app).get(deliveryPath).set('Authorization', admin)).body.delivery;
+    expect(failed).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      log: [{ attempt: 1, responseStatus: 503, responseBody: 'busy', error: 'Receiver answered 503' }]
+    });
+    // The first retry waits WEBHOOK_RETRY_SECONDS (30s by default)
+    expect(Date.parse(failed.nextAttemptAt) - Date.now()).toBeGreaterThan(25 * 1000);
+
+    // Replayed as a new delivery of the same event
+    const replayed = await request(app).post(`${deliveryPath}/replay`).set('Authorization', admin);
+    expect(replayed.status).toBe(202);
+    expect(replayed.body.delivery).toMatchObject({ eventId: payload.id, replayOf: failed.id, status: 'pending' });
+    await waitForDeliveries(2);
+    expect(JSON.parse(received[1].body).id).toBe(payload.id);
+    expect(signature.verify(secret, received[1].body, received[1].headers['x-ensb-signature'])).toBeNull();
+  });
+
+  test('are sent for claims the indexer confirms', async () => {
+    const before = received.length;
+    const { campaignId } = await generate([{ address: alice, subdomain: 'alice', expiry: EXPIRY }], {
+      parentDomain: 'claims.eth', chainId: 1, factoryAddress: '0x' + 'ab'.repeat(20)
+    });
+    await request(app).post('/api/webhooks').set('Authorization', apiKey('admin'))
+      .send({ url, campaign: campaignId, events: ['subdomain.claimed'] })
+      .expect(201);
+
+    webhooks.chainEvents(1, '0x' + 'ab'.repeat(20), [{
+      event: 'SubdomainClaimed', account: alice.toLowerCase(), subdomain: 'alice', node: ethers.namehash('alice.claims.eth'),
+      parentNode: ethers.namehash('claims.eth'), txHash: ethers.id('claim'), blockNumber: 7, timestamp: new Date().toISOString()
+    }]);
+    // The first test's webhook covers every campaign (so it also got claims.eth's tree.generated),
+    // this one only claims.eth
+    await waitForDeliveries(before + 3);
+
+    const claims = received.slice(before).map(({ body }) => JSON.parse(body)).filter(({ event }) => event !== 'tree.generated');
+    expect(claims).toMatchObject([
+      { event: 'subdomain.claimed', data: { name: 'alice.claims.eth', claimer: alice.toLowerCase(), txHash: ethers.id('claim') } },
+      { event: 'subdomain.claimed', data: { name: 'alice.claims.eth' } }
+    ]);
+  });
+});
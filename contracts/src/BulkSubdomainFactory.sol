@@ -4,6 +4,10 @@ pragma solidity ^0.8.21;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
 
 interface INameWrapper {
     function setSubnodeRecord(
@@ -24,8 +28,9 @@ interface IENSRegistry {
 /// @title BulkSubdomainFactory - Professional ENS subdomain distribution system
 /// @author ENS Community
 /// @notice Enables efficient bulk distribution of ENS subdomains with Merkle-proof based access control
-/// @dev Implements commit-reveal scheme to prevent MEV extraction and front-running attacks
-contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
+/// @dev Implements commit-reveal scheme to prevent MEV extraction and front-running attacks,
+///      and EIP-712 claim intents that a relayer submits on the claimant's behalf
+contract BulkSubdomainFactory is Ownable, ReentrancyGuard, EIP712, Nonces {
     
     // =============================================================
     //                          CUSTOM ERRORS
@@ -60,11 +65,29 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     
     /// @dev Thrown when invalid parameters are provided
     error InvalidParameters();
+    
+    /// @dev Thrown when a claim intent's signature is not the claimer's
+    error InvalidSignature();
+    
+    /// @dev Thrown when a commitment revealed for a claimer was not made by them
+    error NotCommitter();
+    
+    /// @dev Thrown when a claim intent is submitted after its deadline
+    error IntentExpired();
+    
+    /// @dev Thrown when committing a commitment that is already pending
+    error CommitmentExists();
 
     // =============================================================
     //                            STRUCTS
     // =============================================================
     
+    /// @notice Leaf encoding a configuration's Merkle tree was built with
+    /// @dev Legacy: keccak256(abi.encodePacked(user, subdomain, expiry))
+    ///      Standard: keccak256(bytes.concat(keccak256(abi.encode(user, subdomain, expiry)))),
+    ///      as produced by OpenZeppelin's StandardMerkleTree
+    enum LeafFormat { Legacy, Standard }
+    
     /// @notice Configuration for bulk subdomain distribution
     /// @dev Packed struct to optimize storage (fits in 4 slots)
     struct Config {
@@ -77,6 +100,17 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         uint64 totalSubdomains;     // Slot N: Total allowed subdomains (8 bytes) 
         uint64 claimedCount;        // Slot N+1: Number claimed (8 bytes)
     }
+    
+    /// @notice Claim signed by the claimant (EIP-712) for a relayer to submit
+    /// @dev nonce must equal nonces(claimer); the intent can't be used after deadline
+    struct ClaimIntent {
+        address claimer;
+        bytes32 parentNode;
+        string subdomain;
+        uint64 expiry;
+        uint256 nonce;
+        uint256 deadline;
+    }
 
     // =============================================================
     //                        STATE VARIABLES
@@ -98,6 +132,11 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     /// @dev Prevents front-running while maintaining reasonable UX
     uint256 public constant REVEAL_DELAY = 10 minutes;
     
+    /// @notice EIP-712 type hash of ClaimIntent
+    bytes32 public constant CLAIM_INTENT_TYPEHASH = keccak256(
+        "ClaimIntent(address claimer,bytes32 parentNode,string subdomain,uint64 expiry,uint256 nonce,uint256 deadline)"
+    );
+    
     /// @notice Emergency pause state
     bool public paused;
     
@@ -105,6 +144,10 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     /// @dev parentNode => Config struct
     mapping(bytes32 => Config) public configs;
     
+    /// @notice Leaf encoding used to verify claims for each configuration
+    /// @dev parentNode => LeafFormat (defaults to Legacy)
+    mapping(bytes32 => LeafFormat) public leafFormats;
+    
     /// @notice Claimed subdomains tracking
     /// @dev Merkle leaf hash => claimed status
     mapping(bytes32 => bool) public claimed;
@@ -113,9 +156,9 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     /// @dev user address => claimed status  
     mapping(address => bool) public hasClaimed;
     
-    /// @notice Commit-reveal commitments
-    /// @dev commitment hash => block timestamp
-    mapping(bytes32 => uint256) public commitments;
+    /// @notice Commit-reveal commitments, kept per committer so a copied hash can't take a claimer's commitment
+    /// @dev committing address => commitment hash => block timestamp
+    mapping(address => mapping(bytes32 => uint256)) public commitments;
 
     // =============================================================
     //                            EVENTS
@@ -145,6 +188,11 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         uint256 totalSubdomains
     );
     
+    /// @notice Emitted when a configuration uses a non-default leaf encoding
+    /// @param parentNode The parent domain node hash
+    /// @param format Leaf encoding for the configuration's Merkle tree
+    event LeafFormatSet(bytes32 indexed parentNode, LeafFormat format);
+    
     /// @notice Emitted when contract pause state changes
     /// @param isPaused New pause state
     event ContractPaused(bool isPaused);
@@ -157,6 +205,12 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     /// @param user Address making the commitment
     /// @param commitment The commitment hash
     event CommitmentMade(address indexed user, bytes32 indexed commitment);
+    
+    /// @notice Emitted when a signed claim intent is submitted by a relayer
+    /// @param claimer Address the subdomain was claimed for
+    /// @param relayer Address that submitted (and paid for) the transaction
+    /// @param nonce The claimer's nonce the intent used
+    event ClaimRelayed(address indexed claimer, address indexed relayer, uint256 nonce);
 
     // =============================================================
     //                          MODIFIERS
@@ -196,7 +250,7 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     constructor(
         address _nameWrapper, 
         address _defaultResolver
-    ) Ownable(msg.sender) {
+    ) Ownable(msg.sender) EIP712("BulkSubdomainFactory", "1") {
         if (_nameWrapper == address(0)) {
             revert InvalidParameters();
         }
@@ -251,7 +305,7 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     /// @param merkleRoot Merkle root for access control
     /// @param fuses Default fuse settings for subdomains
     /// @param totalSubdomains Maximum number of subdomains allowed
-    /// @dev Creates new configuration - parent domain owner authorization required
+    /// @dev Creates new configuration with legacy (abi.encodePacked) leaves
     function initializeConfig(
         bytes32 parentNode,
         string calldata domain,
@@ -259,6 +313,37 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         uint32 fuses,
         uint256 totalSubdomains
     ) external {
+        _initializeConfig(parentNode, domain, merkleRoot, fuses, totalSubdomains, LeafFormat.Legacy);
+    }
+    
+    /// @notice Initialize configuration with an explicit leaf encoding
+    /// @param parentNode The parent domain node hash
+    /// @param domain The parent domain string (for display purposes)
+    /// @param merkleRoot Merkle root for access control
+    /// @param fuses Default fuse settings for subdomains
+    /// @param totalSubdomains Maximum number of subdomains allowed
+    /// @param leafFormat Leaf encoding the Merkle tree was built with
+    /// @dev Use LeafFormat.Standard for roots from OpenZeppelin's StandardMerkleTree
+    function initializeConfigWithFormat(
+        bytes32 parentNode,
+        string calldata domain,
+        bytes32 merkleRoot,
+        uint32 fuses,
+        uint256 totalSubdomains,
+        LeafFormat leafFormat
+    ) external {
+        _initializeConfig(parentNode, domain, merkleRoot, fuses, totalSubdomains, leafFormat);
+    }
+    
+    /// @dev Creates new configuration - parent domain owner authorization required
+    function _initializeConfig(
+        bytes32 parentNode,
+        string calldata domain,
+        bytes32 merkleRoot,
+        uint32 fuses,
+        uint256 totalSubdomains,
+        LeafFormat leafFormat
+    ) internal {
         // For demo mode, ownership check is commented out
         // require(nameWrapper.ownerOf(uint256(parentNode)) == msg.sender, "Not parent owner");
         
@@ -280,8 +365,12 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
             totalSubdomains: uint64(totalSubdomains),
             claimedCount: 0
         });
+        leafFormats[parentNode] = leafFormat;
         
         emit ConfigInitialized(parentNode, domain, msg.sender, totalSubdomains);
+        if (leafFormat != LeafFormat.Legacy) {
+            emit LeafFormatSet(parentNode, leafFormat);
+        }
     }
 
     // =============================================================
@@ -293,8 +382,10 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
     /// @dev First step of commit-reveal scheme
     function commitClaim(bytes32 commitment) external whenNotPaused {
         if (commitment == bytes32(0)) revert InvalidParameters();
+        // Re-committing a pending commitment would restart its delay
+        if (commitments[msg.sender][commitment] != 0) revert CommitmentExists();
         
-        commitments[commitment] = block.timestamp;
+        commitments[msg.sender][commitment] = block.timestamp;
         emit CommitmentMade(msg.sender, commitment);
     }
 
@@ -317,27 +408,98 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         onlyActiveConfig(parentNode)
         /* onlyAuthorized(parentNode) - Commented for demo */
     {
+        _useCommitment(msg.sender, keccak256(abi.encodePacked(msg.sender, subdomain, expiry, nonce)));
+        _claim(parentNode, msg.sender, subdomain, expiry, merkleProof);
+    }
+    
+    /// @notice Reveal phase on behalf of a claimer who committed earlier
+    /// @param claimer Address that made the commitment and receives the subdomain
+    /// @param parentNode Parent domain node hash
+    /// @param subdomain Subdomain label to claim
+    /// @param expiry Expiration timestamp for the subdomain
+    /// @param nonce Random nonce used in commitment
+    /// @param merkleProof Merkle proof demonstrating the claimer's eligibility
+    /// @dev Lets a relayer finish a claim the user only had to commit to. The commitment must
+    ///      have been made by the claimer, so nobody can pick which allocation they receive.
+    function revealClaimFor(
+        address claimer,
+        bytes32 parentNode,
+        string calldata subdomain,
+        uint64 expiry,
+        uint256 nonce,
+        bytes32[] calldata merkleProof
+    ) external
+        nonReentrant
+        whenNotPaused
+        onlyActiveConfig(parentNode)
+    {
+        bytes32 commitment = keccak256(abi.encodePacked(claimer, subdomain, expiry, nonce));
+        if (commitments[claimer][commitment] == 0) revert NotCommitter();
+        _useCommitment(claimer, commitment);
+        _claim(parentNode, claimer, subdomain, expiry, merkleProof);
+    }
+    
+    /// @notice Gasless claim: submit a claim intent signed by the claimer
+    /// @param intent The signed claim (claimer, parentNode, subdomain, expiry, nonce, deadline)
+    /// @param signature Claimer's EIP-712 signature - ECDSA for EOAs, ERC-1271 for contract wallets
+    /// @param merkleProof Merkle proof demonstrating the claimer's eligibility
+    /// @dev Anyone may submit; the subdomain always goes to intent.claimer. No commit-reveal is
+    ///      needed: the signature binds the claim to the claimer, so there is nothing to front-run.
+    ///      The nonce is consumed, so an intent can't be replayed, and a claimer can cancel
+    ///      outstanding intents with invalidateNonce().
+    function claimSubdomainFor(
+        ClaimIntent calldata intent,
+        bytes calldata signature,
+        bytes32[] calldata merkleProof
+    ) external
+        nonReentrant
+        whenNotPaused
+        onlyActiveConfig(intent.parentNode)
+    {
+        if (block.timestamp > intent.deadline) revert IntentExpired();
+        if (!_isValidSignature(intent.claimer, hashClaimIntent(intent), signature)) {
+            revert InvalidSignature();
+        }
+        _useCheckedNonce(intent.claimer, intent.nonce);
+        
+        _claim(intent.parentNode, intent.claimer, intent.subdomain, intent.expiry, merkleProof);
+        emit ClaimRelayed(intent.claimer, msg.sender, intent.nonce);
+    }
+    
+    /// @notice Cancel every signed claim intent using the caller's current nonce
+    /// @return nonce The nonce that was invalidated
+    function invalidateNonce() external returns (uint256 nonce) {
+        return _useNonce(msg.sender);
+    }
+    
+    /// @dev Check a commitment is past the reveal delay and clear it to prevent replay
+    function _useCommitment(address committer, bytes32 commitment) internal {
+        uint256 commitTime = commitments[committer][commitment];
+        if (commitTime == 0 || commitTime + REVEAL_DELAY > block.timestamp) {
+            revert RevealTooEarly();
+        }
+        delete commitments[committer][commitment];
+    }
+    
+    /// @dev Verify eligibility and create the subdomain for claimer
+    function _claim(
+        bytes32 parentNode,
+        address claimer,
+        string calldata subdomain,
+        uint64 expiry,
+        bytes32[] calldata merkleProof
+    ) internal {
         Config storage cfg = configs[parentNode];
         
         // Validate user hasn't already claimed
-        if (hasClaimed[msg.sender]) revert AlreadyClaimed();
+        if (hasClaimed[claimer]) revert AlreadyClaimed();
         
         // Validate subdomain expiry doesn't exceed parent domain expiry
         (, , uint64 parentExpiry) = nameWrapper.getData(uint256(parentNode));
         if (expiry > parentExpiry) revert ExpiryExceedsParent();
         
-        // Validate commit-reveal timing
-        bytes32 commitment = keccak256(abi.encodePacked(msg.sender, subdomain, expiry, nonce));
-        uint256 commitTime = commitments[commitment];
-        if (commitTime == 0 || commitTime + REVEAL_DELAY > block.timestamp) {
-            revert RevealTooEarly();
-        }
-        
-        // Clear commitment to prevent replay
-        delete commitments[commitment];
-        
         // Validate Merkle proof
-        bytes32 leaf = keccak256(abi.encodePacked(msg.sender, subdomain, expiry));
+        bytes32 leaf = computeLeaf(parentNode, claimer, subdomain, expiry);
         if (claimed[leaf]) revert SubdomainAlreadyClaimed();
         if (!MerkleProof.verify(merkleProof, cfg.merkleRoot, leaf)) {
             revert InvalidMerkleProof();
@@ -345,21 +507,38 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         
         // Update state before external call (reentrancy protection)
         claimed[leaf] = true;
-        hasClaimed[msg.sender] = true;
+        hasClaimed[claimer] = true;
         cfg.claimedCount++;
         
         // Create subdomain via NameWrapper
         bytes32 node = nameWrapper.setSubnodeRecord(
             parentNode,
             subdomain,
-            msg.sender,
+            claimer,
             defaultResolver,
             defaultTTL,
             cfg.defaultFuses,
             expiry
         );
         
-        emit SubdomainClaimed(msg.sender, subdomain, node, parentNode);
+        emit SubdomainClaimed(claimer, subdomain, node, parentNode);
+    }
+    
+    /// @dev ECDSA for accounts without code, ERC-1271 isValidSignature for contract wallets
+    function _isValidSignature(
+        address signer,
+        bytes32 digest,
+        bytes calldata signature
+    ) internal view returns (bool) {
+        if (signer.code.length == 0) {
+            (address recovered, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(digest, signature);
+            return recoverError == ECDSA.RecoverError.NoError && recovered == signer;
+        }
+        (bool success, bytes memory result) = signer.staticcall(
+            abi.encodeCall(IERC1271.isValidSignature, (digest, signature))
+        );
+        return success && result.length >= 32 &&
+            abi.decode(result, (bytes32)) == bytes32(IERC1271.isValidSignature.selector);
     }
 
     // =============================================================
@@ -390,7 +569,41 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         );
     }
     
+    /// @notice Compute the Merkle leaf for a claim using the configuration's leaf encoding
+    /// @param parentNode Parent domain node hash
+    /// @param user User address
+    /// @param subdomain Subdomain label
+    /// @param expiry Expiration timestamp
+    /// @return leaf Leaf hash (also the key into `claimed`)
+    function computeLeaf(
+        bytes32 parentNode,
+        address user,
+        string calldata subdomain,
+        uint64 expiry
+    ) public view returns (bytes32 leaf) {
+        if (leafFormats[parentNode] == LeafFormat.Standard) {
+            return keccak256(bytes.concat(keccak256(abi.encode(user, subdomain, expiry))));
+        }
+        return keccak256(abi.encodePacked(user, subdomain, expiry));
+    }
+    
+    /// @notice EIP-712 digest a claimer signs for a claim intent
+    /// @param intent The claim intent
+    /// @return digest Typed data hash under this contract's domain ("BulkSubdomainFactory", "1")
+    function hashClaimIntent(ClaimIntent calldata intent) public view returns (bytes32 digest) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            CLAIM_INTENT_TYPEHASH,
+            intent.claimer,
+            intent.parentNode,
+            keccak256(bytes(intent.subdomain)),
+            intent.expiry,
+            intent.nonce,
+            intent.deadline
+        )));
+    }
+    
     /// @notice Check if a specific leaf has been claimed
+    /// @dev Legacy leaf encoding - for standard configs use claimed(computeLeaf(...))
     /// @param user User address
     /// @param subdomain Subdomain label
     /// @param expiry Expiration timestamp
@@ -418,22 +631,24 @@ contract BulkSubdomainFactory is Ownable, ReentrancyGuard {
         uint64 expiry,
         bytes32[] calldata merkleProof
     ) external view returns (bool valid) {
-        bytes32 leaf = keccak256(abi.encodePacked(user, subdomain, expiry));
+        bytes32 leaf = computeLeaf(parentNode, user, subdomain, expiry);
         return MerkleProof.verify(merkleProof, configs[parentNode].merkleRoot, leaf);
     }
     
     /// @notice Get commitment timestamp
+    /// @param committer Address that made the commitment
     /// @param commitment Commitment hash
     /// @return timestamp Block timestamp when commitment was made
-    function getCommitmentTimestamp(bytes32 commitment) external view returns (uint256 timestamp) {
-        return commitments[commitment];
+    function getCommitmentTimestamp(address committer, bytes32 commitment) external view returns (uint256 timestamp) {
+        return commitments[committer][commitment];
     }
     
     /// @notice Check if reveal period is active for a commitment
+    /// @param committer Address that made the commitment
     /// @param commitment Commitment hash  
     /// @return canReveal True if commitment can be revealed now
-    function canRevealCommitment(bytes32 commitment) external view returns (bool canReveal) {
-        uint256 commitTime = commitments[commitment];
+    function canRevealCommitment(address committer, bytes32 commitment) external view returns (bool canReveal) {
+        uint256 commitTime = commitments[committer][commitment];
         return commitTime != 0 && commitTime + REVEAL_DELAY <= block.timestamp;
     }
 }
\ No newline at end of file
@@ -54,6 +54,19 @@ contract MockNameWrapper {
     }
 }
 
+// Contract wallet that accepts its owner's ECDSA signatures (ERC-1271)
+contract MockSmartWallet {
+    address public immutable walletOwner;
+    
+    constructor(address owner_) {
+        walletOwner = owner_;
+    }
+    
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        return ECDSA.recover(hash, signature) == walletOwner ? this.isValidSignature.selector : bytes4(0xffffffff);
+    }
+}
+
 // Individual subdomain creation contract for comparison
 contract IndividualSubdomainFactory {
     INameWrapper public immutable nameWrapper;
@@ -227,12 +240,12 @@ contract BulkSubdomainFactoryTest is Test {
         uint256 commitGas = gasStart - gasleft();
         
         // Verify commitment
-        assertTrue(factory.getCommitmentTimestamp(commitment) > 0);
-        assertFalse(factory.canRevealCommitment(commitment));
+        assertTrue(factory.getCommitmentTimestamp(user, commitment) > 0);
+        assertFalse(factory.canRevealCommitment(user, commitment));
         
         // Step 2: Wait for reveal period
         vm.warp(block.timestamp + 11 minutes);
-        assertTrue(factory.canRevealCommitment(commitment));
+        assertTrue(factory.canRevealCommitment(user, commitment));
         
         // Step 3: Reveal (would need actual merkle proof in real scenario)
         vm.expectRevert(); // Will revert due to invalid proof, but that's expected
@@ -444,7 +457,7 @@ contract BulkSubdomainFactoryTest is Test {
         
         // Test after delay
         vm.warp(block.timestamp + 11 minutes);
-        assertTrue(factory.canRevealCommitment(commitment));
+        assertTrue(factory.canRevealCommitment(user, commitment));
         
         console.log("Time-based operation tests passed");
     }
@@ -467,6 +480,282 @@ contract BulkSubdomainFactoryTest is Test {
         console.log("Full function coverage tested");
     }
 
+    // ====================== LEAF FORMAT TESTS ======================
+    
+    function _standardLeaf(address user, string memory subdomain, uint64 exp) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(user, subdomain, exp))));
+    }
+    
+    function _hashPair(bytes32 a, bytes32 b) internal pure returns (bytes32) {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
+    
+    function testLegacyFormatIsDefault() public view {
+        assertEq(uint8(factory.leafFormats(parentNode)), uint8(BulkSubdomainFactory.LeafFormat.Legacy));
+        assertEq(
+            factory.computeLeaf(parentNode, users[0], subdomains[0], expiry),
+            keccak256(abi.encodePacked(users[0], subdomains[0], expiry))
+        );
+    }
+    
+    function testStandardFormatClaim() public {
+        bytes32 node = bytes32(uint256(0x5555));
+        nameWrapper.setExpiry(uint256(node), uint64(block.timestamp + 365 days));
+        
+        // Two-leaf StandardMerkleTree: root = hashPair(leaf0, leaf1), proof(leaf0) = [leaf1]
+        bytes32 leaf0 = _standardLeaf(users[0], subdomains[0], expiry);
+        bytes32 leaf1 = _standardLeaf(users[1], subdomains[1], expiry);
+        bytes32 root = _hashPair(leaf0, leaf1);
+        bytes32[] memory proof = new bytes32[](1);
+        proof[0] = leaf1;
+        
+        vm.prank(owner);
+        factory.initializeConfigWithFormat(node, "standard.eth", root, 0, 2, BulkSubdomainFactory.LeafFormat.Standard);
+        
+        assertEq(uint8(factory.leafFormats(node)), uint8(BulkSubdomainFactory.LeafFormat.Standard));
+        assertEq(factory.computeLeaf(node, users[0], subdomains[0], expiry), leaf0);
+        assertTrue(factory.verifyMerkleProof(node, users[0], subdomains[0], expiry, proof));
+        
+        // The same root under a legacy config rejects the proof
+        bytes32 legacyNode = bytes32(uint256(0x6666));
+        vm.prank(owner);
+        factory.initializeConfig(legacyNode, "legacy.eth", root, 0, 2);
+        assertFalse(factory.verifyMerkleProof(legacyNode, users[0], subdomains[0], expiry, proof));
+        
+        // Full commit-reveal claim against the standard root
+        uint256 nonce = 42;
+        vm.startPrank(users[0]);
+        factory.commitClaim(keccak256(abi.encodePacked(users[0], subdomains[0], expiry, nonce)));
+        vm.warp(block.timestamp + 11 minutes);
+        factory.claimSubdomain(node, subdomains[0], expiry, nonce, proof);
+        vm.stopPrank();
+        
+        assertTrue(factory.claimed(leaf0));
+        (, uint256 claimedTotal, , , ) = factory.getConfigStats(node);
+        assertEq(claimedTotal, 1);
+    }
+
+    // ====================== RELAYED CLAIM TESTS ======================
+    
+    uint256 internal constant CLAIMER_KEY = 0xA11CE;
+    address internal relayer = address(0x7e1a);
+    bytes32 internal relayNode = bytes32(uint256(0x7777));
+    
+    event ClaimRelayed(address indexed claimer, address indexed relayer, uint256 nonce);
+    
+    /// @dev Two-leaf legacy config for `claimer` (and users[1]); returns the claimer's proof
+    function _setupRelayConfig(address claimer) internal returns (bytes32[] memory proof) {
+        nameWrapper.setExpiry(uint256(relayNode), uint64(block.timestamp + 365 days));
+        bytes32 leaf0 = keccak256(abi.encodePacked(claimer, "relayed", expiry));
+        bytes32 leaf1 = keccak256(abi.encodePacked(users[1], subdomains[1], expiry));
+        vm.prank(owner);
+        factory.initializeConfig(relayNode, "relay.eth", _hashPair(leaf0, leaf1), 0, 2);
+        proof = new bytes32[](1);
+        proof[0] = leaf1;
+    }
+    
+    function _intent(address claimer, uint256 nonce) internal view returns (BulkSubdomainFactory.ClaimIntent memory) {
+        return BulkSubdomainFactory.ClaimIntent({
+            claimer: claimer,
+            parentNode: relayNode,
+            subdomain: "relayed",
+            expiry: expiry,
+            nonce: nonce,
+            deadline: block.timestamp + 1 hours
+        });
+    }
+    
+    function _sign(uint256 key, BulkSubdomainFactory.ClaimIntent memory intent) internal view returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(key, factory.hashClaimIntent(intent));
+        return abi.encodePacked(r, s, v);
+    }
+    
+    function testRelayedClaim() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        BulkSubdomainFactory.ClaimIntent memory intent = _intent(claimer, 0);
+        bytes memory signature = _sign(CLAIMER_KEY, intent);
+        
+        vm.expectEmit(true, true, false, true);
+        emit ClaimRelayed(claimer, relayer, 0);
+        vm.prank(relayer);
+        factory.claimSubdomainFor(intent, signature, proof);
+        
+        // The subdomain goes to the claimer, not the relayer
+        bytes32 node = keccak256(abi.encodePacked(relayNode, keccak256(bytes("relayed"))));
+        assertEq(nameWrapper.ownerOf(uint256(node)), claimer);
+        assertTrue(factory.hasClaimed(claimer));
+        assertFalse(factory.hasClaimed(relayer));
+        assertEq(factory.nonces(claimer), 1);
+        
+        // Replaying the same intent fails on the used nonce
+        vm.expectRevert(abi.encodeWithSelector(Nonces.InvalidAccountNonce.selector, claimer, 1));
+        vm.prank(relayer);
+        factory.claimSubdomainFor(intent, signature, proof);
+    }
+    
+    function testRelayedClaimRejectsOtherSigner() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        BulkSubdomainFactory.ClaimIntent memory intent = _intent(claimer, 0);
+        bytes memory otherSignature = _sign(0xB0B, intent);
+        
+        vm.expectRevert(BulkSubdomainFactory.InvalidSignature.selector);
+        vm.prank(relayer);
+        factory.claimSubdomainFor(intent, otherSignature, proof);
+        
+        // A signature over different fields doesn't carry over
+        bytes memory signature = _sign(CLAIMER_KEY, intent);
+        intent.expiry = expiry - 1;
+        vm.expectRevert(BulkSubdomainFactory.InvalidSignature.selector);
+        factory.claimSubdomainFor(intent, signature, proof);
+    }
+    
+    function testRelayedClaimDeadlineAndNonce() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        BulkSubdomainFactory.ClaimIntent memory intent = _intent(claimer, 0);
+        bytes memory signature = _sign(CLAIMER_KEY, intent);
+        
+        vm.warp(intent.deadline + 1);
+        vm.expectRevert(BulkSubdomainFactory.IntentExpired.selector);
+        factory.claimSubdomainFor(intent, signature, proof);
+        
+        // The claimer cancels an outstanding intent by using up its nonce
+        vm.warp(intent.deadline - 1);
+        vm.prank(claimer);
+        assertEq(factory.invalidateNonce(), 0);
+        vm.expectRevert(abi.encodeWithSelector(Nonces.InvalidAccountNonce.selector, claimer, 1));
+        factory.claimSubdomainFor(intent, signature, proof);
+        
+        // Paused contracts refuse relayed claims too
+        intent = _intent(claimer, 1);
+        signature = _sign(CLAIMER_KEY, intent);
+        vm.prank(owner);
+        factory.pause();
+        vm.expectRevert(BulkSubdomainFactory.ContractIsPaused.selector);
+        factory.claimSubdomainFor(intent, signature, proof);
+    }
+    
+    function testRelayedClaimSmartWallet() public {
+        MockSmartWallet wallet = new MockSmartWallet(vm.addr(CLAIMER_KEY));
+        bytes32[] memory proof = _setupRelayConfig(address(wallet));
+        BulkSubdomainFactory.ClaimIntent memory intent = _intent(address(wallet), 0);
+        bytes memory otherSignature = _sign(0xB0B, intent);
+        bytes memory signature = _sign(CLAIMER_KEY, intent);
+        
+        vm.expectRevert(BulkSubdomainFactory.InvalidSignature.selector);
+        vm.prank(relayer);
+        factory.claimSubdomainFor(intent, otherSignature, proof);
+        
+        vm.prank(relayer);
+        factory.claimSubdomainFor(intent, signature, proof);
+        assertTrue(factory.hasClaimed(address(wallet)));
+        assertTrue(factory.claimed(keccak256(abi.encodePacked(address(wallet), "relayed", expiry))));
+    }
+    
+    function testRelayedClaimWrongProof() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        _setupRelayConfig(claimer);
+        BulkSubdomainFactory.ClaimIntent memory intent = _intent(claimer, 0);
+        bytes memory signature = _sign(CLAIMER_KEY, intent);
+        
+        vm.expectRevert(BulkSubdomainFactory.InvalidMerkleProof.selector);
+        vm.prank(relayer);
+        factory.claimSubdomainFor(intent, signature, new bytes32[](0));
+        // A failed claim doesn't use the nonce
+        assertEq(factory.nonces(claimer), 0);
+    }
+
+    // ====================== RELAYED REVEAL TESTS ======================
+    
+    function testRevealClaimFor() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        uint256 nonce = 42;
+        bytes32 commitment = keccak256(abi.encodePacked(claimer, "relayed", expiry, nonce));
+        
+        vm.prank(claimer);
+        factory.commitClaim(commitment);
+        assertTrue(factory.getCommitmentTimestamp(claimer, commitment) > 0);
+        
+        vm.expectRevert(BulkSubdomainFactory.RevealTooEarly.selector);
+        vm.prank(relayer);
+        factory.revealClaimFor(claimer, relayNode, "relayed", expiry, nonce, proof);
+        
+        vm.warp(block.timestamp + 11 minutes);
+        vm.prank(relayer);
+        factory.revealClaimFor(claimer, relayNode, "relayed", expiry, nonce, proof);
+        
+        bytes32 node = keccak256(abi.encodePacked(relayNode, keccak256(bytes("relayed"))));
+        assertEq(nameWrapper.ownerOf(uint256(node)), claimer);
+        assertFalse(factory.hasClaimed(relayer));
+        // The commitment is used up
+        assertEq(factory.getCommitmentTimestamp(claimer, commitment), 0);
+    }
+    
+    function testRevealClaimForRejectsOtherCommitter() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        uint256 nonce = 42;
+        
+        // Someone else commits to the claimer's allocation - they can't force it on the claimer
+        vm.prank(relayer);
+        factory.commitClaim(keccak256(abi.encodePacked(claimer, "relayed", expiry, nonce)));
+        vm.warp(block.timestamp + 11 minutes);
+        
+        vm.expectRevert(BulkSubdomainFactory.NotCommitter.selector);
+        vm.prank(relayer);
+        factory.revealClaimFor(claimer, relayNode, "relayed", expiry, nonce, proof);
+        assertFalse(factory.hasClaimed(claimer));
+    }
+
+    function testCommitmentCannotBeTakenOver() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        uint256 nonce = 42;
+        bytes32 commitment = keccak256(abi.encodePacked(claimer, "relayed", expiry, nonce));
+        
+        vm.prank(claimer);
+        factory.commitClaim(commitment);
+        uint256 committedAt = factory.getCommitmentTimestamp(claimer, commitment);
+        
+        // The claimer can't restart their own delay by committing again
+        vm.warp(block.timestamp + 5 minutes);
+        vm.expectRevert(BulkSubdomainFactory.CommitmentExists.selector);
+        vm.prank(claimer);
+        factory.commitClaim(commitment);
+        assertEq(factory.getCommitmentTimestamp(claimer, commitment), committedAt);
+        
+        // Someone copying the pending commitment only commits it for themselves
+        vm.prank(relayer);
+        factory.commitClaim(commitment);
+        assertEq(factory.getCommitmentTimestamp(claimer, commitment), committedAt);
+        
+        vm.warp(committedAt + 11 minutes);
+        vm.prank(relayer);
+        factory.revealClaimFor(claimer, relayNode, "relayed", expiry, nonce, proof);
+        assertTrue(factory.hasClaimed(claimer));
+    }
+
+    function testCommitmentCannotBeFrontRun() public {
+        address claimer = vm.addr(CLAIMER_KEY);
+        bytes32[] memory proof = _setupRelayConfig(claimer);
+        uint256 nonce = 42;
+        bytes32 commitment = keccak256(abi.encodePacked(claimer, "relayed", expiry, nonce));
+        
+        // A copy of the hash seen in the mempool lands first - the claimer can still commit it
+        vm.prank(relayer);
+        factory.commitClaim(commitment);
+        vm.prank(claimer);
+        factory.commitClaim(commitment);
+        
+        vm.warp(block.timestamp + 11 minutes);
+        vm.prank(relayer);
+        factory.revealClaimFor(claimer, relayNode, "relayed", expiry, nonce, proof);
+        assertTrue(factory.hasClaimed(claimer));
+    }
+
     // ====================== UTILITY FUNCTIONS ======================
     
     function testUtilityFunctions() public view {
@@ -0,0 +1,111 @@
+import axios from "axios";
+import { ethers } from "ethers";
+
+const base = process.env.REACT_APP_BACKEND_API || "http://localhost:3001";
+
+// Dashboard session token from Sign-In with Ethereum
+const TOKEN_KEY = "ens-bulk.session";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+const setToken = (token) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+};
+
+// Claimant sessions (private proofs) are kept per address
+const claimantKey = (address) => `ens-bulk.claimant.${address.toLowerCase()}`;
+
+// Send the session with every backend request - never to bundle hosts or RPCs.
+// Requests that already carry a claimant session keep it.
+axios.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token && config.url?.startsWith(base) && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// An expired or revoked session is dropped so the dashboard asks to sign in again
+axios.interceptors.response.use(undefined, (error) => {
+  const token = getToken();
+  if (error.response?.status === 401 && token && error.config?.headers?.Authorization === `Bearer ${token}`) {
+    setToken(null);
+  }
+  return Promise.reject(error);
+});
+
+// EIP-4361 message for the backend's nonce and domain
+const buildMessage = ({ domain, address, chainId, nonce, statement }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  "",
+  statement,
+  "",
+  `URI: ${window.location.origin}`,
+  "Version: 1",
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`,
+].join("\n");
+
+// Sign a fresh message with the wallet and post it to a sign-in endpoint
+const signInWith = async (path, signer, statement) => {
+  const { data: { nonce, domain } } = await axios.get(`${base}/api/auth/nonce`);
+  const address = ethers.getAddress(await signer.getAddress());
+  const { chainId } = await signer.provider.getNetwork();
+  const message = buildMessage({ domain, address, chainId: Number(chainId), nonce, statement });
+  const signature = await signer.signMessage(message);
+
+  const { data } = await axios.post(`${base}${path}`, { message, signature });
+  return data;
+};
+
+// Sign in with the connected wallet; resolves with { address, role, expiresAt }.
+// The wallet must have been given a role by an admin (or ADMIN_ADDRESSES).
+export const signIn = async (signer) => {
+  const data = await signInWith("/api/auth/siwe", signer, "Sign in to the ENS Bulk Factory dashboard.");
+  setToken(data.token);
+  return { address: data.address, role: data.role, expiresAt: data.expiresAt };
+};
+
+// Prove the connected wallet's address to read its proofs in a private campaign
+export const signInClaimant = async (signer) => {
+  const data = await signInWith("/api/auth/claimant", signer, "Sign in to see your ENS subdomain allocations.");
+  localStorage.setItem(claimantKey(data.address), data.token);
+  return { address: data.address, expiresAt: data.expiresAt };
+};
+
+// Authorization header for an address's claimant session, if it has one
+export const claimantHeaders = (address) => {
+  const token = localStorage.getItem(claimantKey(address));
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+export const clearClaimant = (address) => localStorage.removeItem(claimantKey(address));
+
+// The signed-in caller, or null without a (valid) session
+export const getMe = async () => {
+  if (!getToken()) return null;
+  try {
+    const { data } = await axios.get(`${base}/api/auth/me`);
+    return data.auth;
+  } catch (error) {
+    if (error.response?.status === 401) return null;
+    throw error;
+  }
+};
+
+export const signOut = async () => {
+  try {
+    await axios.post(`${base}/api/auth/logout`);
+  } finally {
+    setToken(null);
+  }
+};
+
+const ROLES = ["viewer", "operator", "admin"];
+
+// Whether a session's role covers `required`
+export const hasRole = (session, required) =>
+  !!session && ROLES.indexOf(session.role) >= ROLES.indexOf(required);
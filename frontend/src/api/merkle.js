@@ -1,30 +1,158 @@
 import axios from "axios";
+import { claimantHeaders, clearClaimant } from "./auth"; // also adds the session to backend requests
 
 const base = process.env.REACT_APP_BACKEND_API || "http://localhost:3001";
 
-export const uploadCSV = (file) => {
+// Static proof bundle host, used when the backend API is unreachable
+const bundleBase = process.env.REACT_APP_PROOF_BUNDLE_URL;
+
+const isUnavailable = (error) => !error.response || error.response.status >= 500;
+
+const shardKey = (address, prefixLength) => address.toLowerCase().slice(2, 2 + prefixLength);
+
+// Same response shape as the allocations endpoint, read from a static bundle
+const getAllocationsFromBundle = async (campaignId, address) => {
+  const campaignBase = `${bundleBase}/${campaignId}`;
+  const { data: manifest } = await axios.get(`${campaignBase}/manifest.json`);
+  const key = shardKey(address, manifest.shardPrefixLength);
+
+  let shard = {};
+  if (manifest.shards.includes(key)) {
+    shard = (await axios.get(`${campaignBase}/proofs/${key}.json`)).data;
+  }
+
+  return {
+    success: true,
+    address: address.toLowerCase(),
+    campaignId: manifest.campaignId,
+    parentDomain: manifest.parentDomain,
+    merkleRoot: manifest.merkleRoot,
+    // Claimed status isn't known offline - the claim flow checks the contract
+    allocations: (shard[address.toLowerCase()] || []).map(a => ({ ...a, claimed: null })),
+  };
+};
+
+const JOB_POLL_INTERVAL = 1000;
+
+export const getJob = async (jobId) => {
+  const response = await axios.get(`${base}/api/jobs/${jobId}`);
+  return response.data.job;
+};
+
+// Poll a background job until it finishes; onProgress receives job.progress
+const waitForJob = async (jobId, onProgress) => {
+  for (;;) {
+    const job = await getJob(jobId);
+    onProgress && onProgress(job.progress);
+    if (job.status === "completed") return job.result;
+    if (job.status === "failed") throw Object.assign(new Error(job.error), { details: job.details });
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+  }
+};
+
+// Allowlist formats accepted by the backend (see backend services/rowReaders)
+export const ALLOWLIST_EXTENSIONS = [".csv", ".tsv", ".txt", ".xlsx", ".json", ".ndjson", ".jsonl"];
+
+// .json files are either allowlists (arrays) or StandardMerkleTree dumps (objects)
+export const isTreeDump = async (file) => {
+  if (!file.name.toLowerCase().endsWith(".json")) return false;
+  const head = await file.slice(0, 1024).text();
+  return head.replace(/^\uFEFF/, "").trimStart().startsWith("{");
+};
+
+// Reads an allowlist's headers: { format, headers, suggested: { address, subdomain, expiry }, sample }
+export const detectColumns = async (file, { sheet } = {}) => {
   const form = new FormData();
   form.append("file", file);
-  return axios
-    .post(`${base}/api/merkle/generate`, form, {
+  if (sheet) form.append("sheet", sheet);
+  const { data } = await axios.post(`${base}/api/merkle/columns`, form, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return data;
+};
+
+// Validates an allowlist without creating a campaign. Resolves with { valid, totalRows, report, message }
+// - a CSV with rejected rows comes back as a 400 INVALID_ALLOWLIST carrying the report in details.
+// With parentDomain, expiries are also checked against the parent's NameWrapper expiry.
+export const validateCSV = async (file, { conflictPolicy, parentDomain, clampExpiry, sheet, columns } = {}) => {
+  const form = new FormData();
+  form.append("file", file);
+  if (sheet) form.append("sheet", sheet);
+  if (columns) form.append("columns", JSON.stringify(columns));
+  if (conflictPolicy) form.append("conflictPolicy", conflictPolicy);
+  if (parentDomain) form.append("parentDomain", parentDomain);
+  if (clampExpiry) form.append("clampExpiry", "true");
+  try {
+    const { data } = await axios.post(`${base}/api/merkle/validate`, form, {
       headers: { "Content-Type": "multipart/form-data" },
-      timeout: 60000, // 60 second timeout for large files
-    })
-    .then((r) => {
-      console.log('✅ Upload response:', r.data);
-      return r.data;
-    })
-    .catch((error) => {
-      console.error('❌ Upload error:', error.response?.data || error.message);
-      throw error;
+      timeout: 600000,
     });
+    return data;
+  } catch (error) {
+    const data = error.response?.data;
+    if (data?.code === "INVALID_ALLOWLIST") return { ...data.details, message: data.error };
+    throw error;
+  }
 };
 
-export const getProof = async (address, subdomain, expiry) => {
+// Download a report's rejected-rows CSV (reports return its path relative to the API).
+// Fetched with the session rather than linked, since reports need the viewer role.
+export const downloadReport = async (path) => {
+  const { data } = await axios.get(`${base}${path}`, { responseType: "blob" });
+  const url = URL.createObjectURL(data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = path.split("/").pop();
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Creates a new campaign for parentDomain from the uploaded allowlist (CSV, XLSX, JSON or NDJSON).
+// The tree is generated in the background; resolves with the finished campaign.
+// A StandardMerkleTree .json dump is imported instead.
+export const uploadCSV = async (
+  file,
+  { parentDomain, chainId, factoryAddress, treeFormat, conflictPolicy, clampExpiry, sheet, columns, exportBundle, privateProofs },
+  onProgress
+) => {
+  const isDump = await isTreeDump(file);
+  const form = new FormData();
+  form.append("file", file);
+  if (sheet && !isDump) form.append("sheet", sheet);
+  if (columns && !isDump) form.append("columns", JSON.stringify(columns));
+  form.append("parentDomain", parentDomain);
+  if (chainId) form.append("chainId", chainId);
+  if (factoryAddress) form.append("factoryAddress", factoryAddress);
+  if (treeFormat && !isDump) form.append("treeFormat", treeFormat);
+  if (conflictPolicy && !isDump) form.append("conflictPolicy", conflictPolicy);
+  if (clampExpiry && !isDump) form.append("clampExpiry", "true");
+  if (exportBundle) form.append("exportBundle", "true");
+  if (privateProofs) form.append("privateProofs", "true");
   try {
-    console.log(`🔍 Requesting proof for: ${address}, ${subdomain}, ${expiry}`);
+    const { data } = await axios.post(`${base}/api/campaigns${isDump ? "/import" : ""}`, form, {
+      headers: { "Content-Type": "multipart/form-data" },
+      timeout: 600000, // 10 minutes to upload large files
+    });
+    console.log('⏳ Upload accepted, generating:', data);
+    const result = await waitForJob(data.jobId, onProgress);
+    console.log('✅ Upload response:', result);
+    return result;
+  } catch (error) {
+    console.error('❌ Upload error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// StandardMerkleTree JSON download for a standard-format campaign
+export const treeDumpUrl = (campaignId) => `${base}/api/campaigns/${campaignId}/tree`;
+
+// campaignId may be the campaign id, its Merkle root or its parent node
+export const getProof = async (campaignId, address, subdomain, expiry) => {
+  try {
+    console.log(`🔍 Requesting proof for: ${address}, ${subdomain}, ${expiry} (campaign ${campaignId})`);
     const response = await axios.get(
-      `${base}/api/merkle/proof/${address}/${subdomain}/${expiry}`
+      `${base}/api/campaigns/${campaignId}/proof/${address}/${subdomain}/${expiry}`,
+      { headers: claimantHeaders(address) }
     );
     console.log('✅ Proof response:', response.data);
     return response.data;
@@ -34,8 +162,142 @@ export const getProof = async (address, subdomain, expiry) => {
   }
 };
 
-// ADD THIS NEW FUNCTION FOR DEBUGGING
-export const getStats = async () => {
-  const response = await axios.get(`${base}/api/stats`);
+// Every allocation (label, expiry, leaf, proof, claimed) for an address in a campaign.
+// Private campaigns answer 401 until the address signs in (signInClaimant).
+export const getAllocations = async (campaignId, address) => {
+  try {
+    const response = await axios.get(
+      `${base}/api/campaigns/${campaignId}/allocations/${address}`,
+      { headers: claimantHeaders(address) }
+    );
+    console.log('✅ Allocations response:', response.data);
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 401) clearClaimant(address);
+    if (bundleBase && isUnavailable(error)) {
+      console.log('📦 Backend unavailable, reading allocations from proof bundle');
+      return getAllocationsFromBundle(campaignId, address);
+    }
+    console.error('❌ Allocations error:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+export const getStats = async (campaignId) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}/stats`);
+  return response.data;
+};
+
+export const listCampaigns = async (status) => {
+  try {
+    const response = await axios.get(`${base}/api/campaigns`, {
+      params: status ? { status } : {},
+    });
+    return response.data.campaigns;
+  } catch (error) {
+    if (bundleBase && isUnavailable(error)) {
+      console.log('📦 Backend unavailable, listing campaigns from proof bundle index');
+      const { data } = await axios.get(`${bundleBase}/index.json`);
+      return data.campaigns.filter(c => !status || c.status === status);
+    }
+    throw error;
+  }
+};
+
+export const getCampaign = async (campaignId) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}`);
+  return response.data.campaign;
+};
+
+// On-chain claims of a campaign read by the backend's indexer, newest first.
+// Filters: claimer, subdomain, fromBlock, toBlock, confirmed, offset, limit.
+// Resolves with { claims, total, nextOffset, indexedBlock }.
+export const getCampaignClaims = async (campaignId, filters = {}) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}/claims`, { params: filters });
   return response.data;
 };
+
+// Relayer status of a campaign and what to sign for a gasless claim:
+// { enabled, reason, relayer, budget, domain, types, nonce } - nonce is the address's next factory nonce.
+export const getRelayInfo = async (campaignId, address) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}/relay`, { params: address ? { address } : {} });
+  return response.data;
+};
+
+// Hands a signed claim intent to the relayer, which sends it and pays the gas.
+// Resolves with the relayed claim ({ id, status, txHash, ... }) once the transaction is sent.
+export const relayClaim = async (campaignId, { claimer, subdomain, expiry, nonce, deadline, signature }) => {
+  const response = await axios.post(`${base}/api/campaigns/${campaignId}/relay`, {
+    claimer, subdomain, expiry, nonce, deadline, signature,
+  });
+  return response.data.relay;
+};
+
+// Starts (or resumes) a commit-reveal claim the backend follows: it keeps the nonce and
+// reveals once REVEAL_DELAY has passed. Resolves with the session - send session.commitment
+// to commitClaim. Rejects with code CLAIM_SESSIONS_DISABLED when the backend can't.
+export const startClaimSession = async (campaignId, { claimer, subdomain, expiry }) => {
+  const response = await axios.post(
+    `${base}/api/campaigns/${campaignId}/sessions`,
+    { claimer, subdomain, expiry },
+    { headers: claimantHeaders(claimer) }
+  );
+  return response.data.session;
+};
+
+export const recordSessionCommit = async (campaignId, sessionId, txHash) => {
+  const response = await axios.post(`${base}/api/campaigns/${campaignId}/sessions/${sessionId}/commit`, { txHash });
+  return response.data.session;
+};
+
+// A claim session - revealable ones carry the nonce and proof for claimSubdomain
+export const getClaimSession = async (campaignId, sessionId, claimer) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}/sessions/${sessionId}`, {
+    headers: claimantHeaders(claimer),
+  });
+  return response.data.session;
+};
+
+// A claimer's claim sessions, newest first
+export const listClaimSessions = async (campaignId, claimer) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}/sessions`, {
+    params: { claimer },
+    headers: claimantHeaders(claimer),
+  });
+  return response.data.sessions;
+};
+
+// Root history of a campaign, oldest first: [{ version, merkleRoot, totalClaims, added, removed, changed, note, createdAt }]
+export const listVersions = async (campaignId) => {
+  const response = await axios.get(`${base}/api/campaigns/${campaignId}/versions`);
+  return response.data.versions;
+};
+
+// Diffs two allowlists; each side is a root (or campaign id) or an allowlist File.
+// Resolves with { from, to, summary, added, removed, modified, ownershipMoved } - both roots
+// recomputed from the records. An uploaded list with rejected rows resolves with
+// { error, side, report } instead.
+export const diffRoots = async (from, to, { treeFormat } = {}) => {
+  const form = new FormData();
+  for (const [name, side] of [["from", from], ["to", to]]) {
+    if (side instanceof File) form.append(`${name}File`, side);
+    else form.append(name, side);
+  }
+  if (treeFormat) form.append("treeFormat", treeFormat);
+  try {
+    const { data } = await axios.post(`${base}/api/merkle/diff`, form, {
+      headers: { "Content-Type": "multipart/form-data" },
+      timeout: 600000,
+    });
+    return data;
+  } catch (error) {
+    const data = error.response?.data;
+    if (data?.code === "INVALID_ALLOWLIST") return { error: data.error, ...data.details };
+    throw error;
+  }
+};
+
+export const archiveCampaign = async (campaignId) => {
+  const response = await axios.post(`${base}/api/campaigns/${campaignId}/archive`);
+  return response.data.campaign;
+};
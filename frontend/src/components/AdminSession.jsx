@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+
+// Sign-In with Ethereum for the admin panel - creating and changing campaigns
+// needs an operator or admin session
+export default function AdminSession({ session, signer, onSignIn, onSignOut }) {
+  const [signing, setSigning] = useState(false);
+
+  const handleSignIn = async () => {
+    if (!signer) {
+      toast.error('Connect your wallet first');
+      return;
+    }
+    setSigning(true);
+    try {
+      const me = await onSignIn(signer);
+      toast.success(`Signed in as ${me.role}`);
+    } catch (e) {
+      console.error('Sign-in error:', e);
+      toast.error('Sign-in failed: ' + (e.response?.data?.error || e.shortMessage || e.message));
+    }
+    setSigning(false);
+  };
+
+  if (session) {
+    return (
+      <div className="flex items-center justify-between text-sm">
+        <p className="text-gray-700">
+          Signed in as <span className="font-mono">{session.address.slice(0, 6)}…{session.address.slice(-4)}</span>
+          {' '}· <span className="font-medium">{session.role}</span>
+        </p>
+        <button onClick={onSignOut} className="text-gray-500 hover:text-gray-700 text-xs underline">
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <button
+        onClick={handleSignIn}
+        disabled={signing}
+        className="w-full bg-gray-900 hover:bg-gray-800 disabled:bg-gray-400 text-white text-sm px-4 py-2 rounded font-medium transition-colors">
+        {signing ? 'Waiting for signature…' : 'Sign in with Ethereum'}
+      </button>
+      <p className="text-xs text-gray-500 mt-1">
+        Admins manage campaigns after signing a message with an authorized wallet
+      </p>
+    </div>
+  );
+}
@@ -1,18 +1,39 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
 import { useWallet } from '../hooks/useWallet';
 import { useFactoryContract } from '../contracts';
-import { getProof } from '../api/merkle';
+import {
+  getAllocations, getCampaignClaims, getRelayInfo, relayClaim,
+  startClaimSession, recordSessionCommit, getClaimSession, listClaimSessions
+} from '../api/merkle';
+import { signInClaimant } from '../api/auth';
 import { namehash } from '../utils/namehash';
+import { normalizeLabel } from '../utils/labels';
 
-export default function ClaimSubdomain({ parentDomain }) {
-  const { signer } = useWallet();
+// Helper function to normalize address
+const normalizeAddress = (addr) => {
+  try {
+    return ethers.getAddress(addr.toLowerCase());
+  } catch {
+    return addr;
+  }
+};
+
+export default function ClaimSubdomain({ parentDomain, campaignId }) {
+  const { signer, address } = useWallet();
   const contract = useFactoryContract(signer);
   
-  const [manualAddress, setManualAddress] = useState('');
+  // Allocations for the connected wallet, loaded from the backend
+  const [allocations, setAllocations] = useState([]);
+  const [merkleRoot, setMerkleRoot] = useState(null);
+  const [loadingAllocations, setLoadingAllocations] = useState(false);
+  // Private campaigns only show allocations after signing in with Ethereum
+  const [needsSignIn, setNeedsSignIn] = useState(false);
+  const [signingIn, setSigningIn] = useState(false);
+  const [signInCount, setSignInCount] = useState(0);
   const [subdomain, setSubdomain] = useState('');
-  const [expiry, setExpiry] = useState('1735689600');
+  const [expiry, setExpiry] = useState('');
   const [loading, setLoading] = useState(false);
   const [proof, setProof] = useState(null);
   const [committed, setCommitted] = useState(false);
@@ -23,21 +44,16 @@ export default function ClaimSubdomain({ parentDomain }) {
   const [revealTimer, setRevealTimer] = useState(null);
   const [canRevealNow, setCanRevealNow] = useState(false);
   const [proofValidation, setProofValidation] = useState({ isValid: false, checked: false });
+  // Backend relayer for gasless claims (null until loaded or when the backend is unreachable)
+  const [relayInfo, setRelayInfo] = useState(null);
+  // Backend claim session holding the commit-reveal nonce (null: the nonce lives in this tab)
+  const [session, setSession] = useState(null);
   
   // DEBUG STATE
   const [debugInfo, setDebugInfo] = useState(null);
 
-  // Helper function to normalize address
-  const normalizeAddress = (addr) => {
-    try {
-      return ethers.getAddress(addr.toLowerCase());
-    } catch {
-      return addr;
-    }
-  };
-
   // DEBUG: Check Merkle roots
-  const debugMerkleRoots = async (proofData) => {
+  const debugMerkleRoots = useCallback(async (proofData) => {
     if (!contract) return;
     
     try {
@@ -68,47 +84,32 @@ export default function ClaimSubdomain({ parentDomain }) {
       console.error("Debug error:", e);
       return false;
     }
-  };
+  }, [contract, parentDomain]);
 
   // Enhanced contract interaction functions
-const checkIfLeafClaimed = async (address, subdomain, expiry) => {
-  if (!contract) return false;
-  try {
-    // Always use strict formatting: address (checksum), subdomain (trimmed + lowercase), expiry (number)
-    const normalizedAddress = ethers.getAddress(address.toLowerCase());
-    const formattedSubdomain = subdomain.trim().toLowerCase();
-    const formattedExpiry = Number(expiry);
-
-    return await contract.isLeafClaimed(normalizedAddress, formattedSubdomain, formattedExpiry);
-  } catch (e) {
-    console.error('Error checking leaf claim status:', e);
-    // Fallback for old contract - just return false
-    return false;
-  }
-};
-
-
-  const verifyMerkleProof = async (address, subdomain, expiry, merkleProof) => {
+  const checkIfLeafClaimed = useCallback(async (address, subdomain, expiry, leaf) => {
     if (!contract) return false;
     try {
-      const parentNode = namehash(parentDomain);
-      const result = await contract.verifyMerkleProof(
-        parentNode, address, subdomain, expiry, merkleProof
-      );
-      console.log("🔍 On-chain proof verification:", result);
-      return result;
+      // The backend's leaf already uses the campaign's tree format
+      if (leaf) return await contract.claimed(leaf);
+
+      // Always use strict formatting: address (checksum), subdomain (ENSIP-15 normalized), expiry (number)
+      const normalizedAddress = ethers.getAddress(address.toLowerCase());
+      const formattedSubdomain = normalizeLabel(subdomain).label ?? subdomain;
+      const formattedExpiry = Number(expiry);
+
+      return await contract.isLeafClaimed(normalizedAddress, formattedSubdomain, formattedExpiry);
     } catch (e) {
-      console.error('Error verifying proof:', e);
-      // For demo purposes, return true if we can't verify
-      console.log("⚠️ Proof verification failed, allowing for demo");
-      return true;
+      console.error('Error checking leaf claim status:', e);
+      // Fallback for old contract - just return false
+      return false;
     }
-  };
+  }, [contract]);
 
   const checkCanReveal = async (commitment) => {
-    if (!contract || !commitment) return false;
+    if (!contract || !address || !commitment) return false;
     try {
-      return await contract.canRevealCommitment(commitment);
+      return await contract.canRevealCommitment(address, commitment);
     } catch (e) {
       console.error('Error checking reveal status:', e);
       // Fallback - assume can reveal after 10 minutes
@@ -116,21 +117,54 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
     }
   };
 
-  // Load claimed domains from localStorage on mount
-  useEffect(() => {
-    const savedClaims = localStorage.getItem(`claimed_${parentDomain}`);
-    if (savedClaims) {
-      try {
-        setClaimedDomains(JSON.parse(savedClaims));
-      } catch (e) {
-        console.error('Error loading saved claims:', e);
-      }
+  // Toast, plus a browser notification when the tab isn't in front
+  const notify = useCallback((message) => {
+    toast.success(message, { duration: 8000, icon: '🔔' });
+    if (document.hidden && window.Notification?.permission === 'granted') {
+      new Notification('ENS subdomain claim', { body: message });
     }
-  }, [parentDomain]);
+  }, []);
 
-  // Real-time reveal status checking
+  // Show a claim right away - the indexer lists it once its block is read
+  const saveClaimedDomain = useCallback((domain) => {
+    setClaimedDomains(prev => prev.some(claim => claim.txHash === domain.txHash) ? prev : [...prev, domain]);
+  }, []);
+
+  const resetClaimState = useCallback(() => {
+    setProof(null);
+    setSession(null);
+    setProofValidation({ isValid: false, checked: false });
+    setCommitted(false);
+    setCanRevealNow(false);
+    setDebugInfo(null);
+  }, []);
+
+  // Earlier claims by the connected wallet, from the backend's event indexer
+  useEffect(() => {
+    setClaimedDomains([]);
+    if (!campaignId || !address) return;
+    let cancelled = false;
+    getCampaignClaims(campaignId, { claimer: address })
+      .then(({ claims }) => {
+        if (cancelled) return;
+        // Oldest first, like claims made in this session are appended
+        setClaimedDomains(claims.reverse().map(claim => ({
+          fullDomain: `${claim.subdomain}.${parentDomain}`,
+          subdomain: claim.subdomain,
+          txHash: claim.txHash,
+          blockNumber: claim.blockNumber,
+          timestamp: claim.timestamp,
+          owner: normalizeAddress(claim.claimer),
+          confirmed: claim.confirmed
+        })));
+      })
+      .catch(e => console.error('Error loading earlier claims:', e));
+    return () => { cancelled = true; };
+  }, [campaignId, address, parentDomain]);
+
+  // Real-time reveal status checking (claim sessions are followed by the backend instead)
   useEffect(() => {
-    if (committed && proof?.commitment && !canRevealNow) {
+    if (committed && !session && proof?.commitment && !canRevealNow) {
       const checkRevealStatus = async () => {
         const canReveal = await checkCanReveal(proof.commitment);
         if (canReveal) {
@@ -160,82 +194,164 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
     return () => {
       if (revealTimer) clearInterval(revealTimer);
     };
-  }, [committed, proof?.commitment, canRevealNow, contract]);
+  }, [committed, session, proof?.commitment, canRevealNow, contract]);
 
-  // Save claimed domains to localStorage
-  const saveClaimedDomain = (domain) => {
-    const newClaims = [...claimedDomains, domain];
-    setClaimedDomains(newClaims);
-    localStorage.setItem(`claimed_${parentDomain}`, JSON.stringify(newClaims));
-  };
+  // Follow the backend's claim session until it's revealed, or it's the user's turn to reveal
+  const sessionId = session?.id;
+  const sessionStatus = session?.status;
+  useEffect(() => {
+    if (!['committed', 'revealable', 'revealing'].includes(sessionStatus)) return;
+    let cancelled = false;
+
+    const checkSession = async () => {
+      let next;
+      try {
+        next = await getClaimSession(campaignId, sessionId, address);
+      } catch (e) {
+        console.error('Error checking claim session:', e);
+        return;
+      }
+      if (cancelled || next.status === sessionStatus) return;
+      setSession(next);
+
+      if (next.status === 'revealable') {
+        setProof(prev => prev && { ...prev, nonce: next.nonce, proof: next.proof, commitment: next.commitment });
+        setCanRevealNow(true);
+        notify(`${next.subdomain}.${parentDomain} is ready - reveal it to finish your claim`);
+      } else if (next.status === 'claimed') {
+        const fullDomain = `${next.subdomain}.${parentDomain}`;
+        const claimData = {
+          fullDomain,
+          subdomain: next.subdomain,
+          txHash: next.revealTx,
+          timestamp: next.updatedAt,
+          owner: next.claimer,
+          relayed: true
+        };
+        saveClaimedDomain(claimData);
+        setSuccessfulClaim(claimData);
+        setAllocations(prev => prev.map(a => a.leaf === next.leaf ? { ...a, claimed: true } : a));
+        setSubdomain('');
+        setExpiry('');
+        resetClaimState();
+        notify(`🎉 ${fullDomain} has been claimed for you!`);
+      }
+    };
 
-  // Step 1: Get Merkle proof with enhanced validation
-  const handleGetProof = async () => {
-    if (!manualAddress || !subdomain || !expiry) {
-      return toast.error('Please fill all fields');
+    const timer = setInterval(checkSession, 15000);
+    checkSession();
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [sessionId, sessionStatus, campaignId, address, parentDomain, notify, saveClaimedDomain, resetClaimState]);
+
+  // Step 1: Pick an allocation and validate its proof against the contract
+  const selectAllocation = useCallback(async (allocation, root) => {
+    const normalizedAddress = normalizeAddress(address);
+    const fullDomain = `${allocation.subdomain}.${parentDomain}`;
+
+    resetClaimState();
+    setSubdomain(allocation.subdomain);
+    setExpiry(String(allocation.expiry));
+
+    // Backend reports null when it can't reach the chain - ask the contract directly
+    const isClaimedOnChain = allocation.claimed ??
+      await checkIfLeafClaimed(normalizedAddress, allocation.subdomain, allocation.expiry, allocation.leaf);
+    if (isClaimedOnChain) {
+      toast.error(`${fullDomain} has already been claimed on-chain!`);
+      return;
     }
 
-    if (!ethers.isAddress(manualAddress)) {
-      return toast.error('Invalid Ethereum address format');
+    const proofData = { ...allocation, merkleRoot: root, normalizedAddress };
+
+    // DEBUG: Check Merkle roots
+    const rootsMatch = await debugMerkleRoots(proofData);
+
+    // The backend's proof is built from its root, so it verifies whenever the contract holds that root
+    if (!rootsMatch) {
+      console.log("⚠️ Merkle roots don't match, but continuing for demo...");
     }
 
-    // Check if already claimed locally
-    const fullDomain = `${subdomain}.${parentDomain}`;
-    const alreadyClaimedLocally = claimedDomains.some(d => d.fullDomain === fullDomain);
-    
-    if (alreadyClaimedLocally) {
-      toast.error(`${fullDomain} has already been claimed in this session!`);
+    setProof(proofData);
+    setProofValidation({ isValid: true, checked: true });
+  }, [address, parentDomain, resetClaimState, checkIfLeafClaimed, debugMerkleRoots]);
+
+  // Load allocations whenever the wallet or campaign changes
+  useEffect(() => {
+    if (!address || !campaignId) {
+      setAllocations([]);
       return;
     }
 
-    setLoading(true);
-    setProofValidation({ isValid: false, checked: false });
-    setDebugInfo(null);
-    
-    try {
-      const normalizedAddress = normalizeAddress(manualAddress);
-      
-      // Check if already claimed on-chain
-      const isClaimedOnChain = await checkIfLeafClaimed(normalizedAddress, subdomain, expiry);
-      if (isClaimedOnChain) {
-        toast.error(`${fullDomain} has already been claimed on-chain!`);
-        setLoading(false);
-        return;
+    let cancelled = false;
+    const loadAllocations = async () => {
+      setLoadingAllocations(true);
+      setNeedsSignIn(false);
+      resetClaimState();
+      setSubdomain('');
+      setExpiry('');
+      try {
+        const data = await getAllocations(campaignId, address);
+        if (cancelled) return;
+        setAllocations(data.allocations);
+        setMerkleRoot(data.merkleRoot);
+
+        // Pick up a claim session left open (e.g. the tab was closed after committing),
+        // otherwise auto-select the first allocation not already claimed
+        const sessions = await listClaimSessions(campaignId, address).catch(() => []);
+        if (cancelled) return;
+        const open = sessions.find(s => ['created', 'committed', 'revealable', 'revealing'].includes(s.status)
+          && data.allocations.some(a => a.leaf === s.leaf && !a.claimed));
+        const next = open ? data.allocations.find(a => a.leaf === open.leaf) : data.allocations.find(a => !a.claimed);
+        if (next) {
+          await selectAllocation(next, data.merkleRoot);
+        }
+        if (open && !cancelled) {
+          setSession(open);
+          setProof(prev => prev && { ...prev, commitment: open.commitment });
+          setCommitted(open.status !== 'created');
+          if (open.status !== 'created') toast('Resumed your pending claim', { icon: '🔐' });
+        }
+      } catch (e) {
+        if (cancelled) return;
+        setAllocations([]);
+        if (e.response?.status === 401) {
+          setNeedsSignIn(true);
+        } else {
+          console.error('Allocation lookup error:', e);
+          toast.error('Failed to load your allocations');
+        }
       }
+      if (!cancelled) setLoadingAllocations(false);
+    };
 
-      // Get proof from API
-      console.log("📡 Getting proof for:", { normalizedAddress, subdomain, expiry });
-      const proofData = await getProof(normalizedAddress, subdomain, expiry);
-      console.log("📡 Received proof data:", proofData);
-      
-      // DEBUG: Check Merkle roots
-      const rootsMatch = await debugMerkleRoots(proofData);
-      
-      if (!rootsMatch) {
-        console.log("⚠️ Merkle roots don't match, but continuing for demo...");
-      }
-      
-      // Verify proof on-chain before proceeding
-      const isValidProof = await verifyMerkleProof(
-        normalizedAddress, subdomain, expiry, proofData.proof
-      );
-      
-      if (!isValidProof && rootsMatch) {
-        toast.error('Generated proof is invalid - please check eligibility');
-        setProofValidation({ isValid: false, checked: true });
-        setLoading(false);
-        return;
-      }
-      
-      setProof({ ...proofData, normalizedAddress });
-      setProofValidation({ isValid: true, checked: true });
-      toast.success('Proof generated! Now commit your claim.');
+    loadAllocations();
+    return () => { cancelled = true; };
+  }, [address, campaignId, signInCount, resetClaimState, selectAllocation]);
+
+  // Whether the campaign's relayer can send a claim for this wallet
+  useEffect(() => {
+    setRelayInfo(null);
+    if (!address || !campaignId) return;
+    let cancelled = false;
+    getRelayInfo(campaignId, address)
+      .then(info => { if (!cancelled) setRelayInfo(info); })
+      .catch(e => console.log('Relayer status unavailable:', e.message));
+    return () => { cancelled = true; };
+  }, [address, campaignId]);
+
+  const handleClaimantSignIn = async () => {
+    if (!signer) return;
+    setSigningIn(true);
+    try {
+      await signInClaimant(signer);
+      setSignInCount(count => count + 1);
     } catch (e) {
-      console.error('Proof generation error:', e);
-      setProofValidation({ isValid: false, checked: true });
-      toast.error('Failed to get proof. Check if the address/subdomain is in CSV.');
+      console.error('Claimant sign-in error:', e);
+      toast.error('Sign-in failed: ' + (e.response?.data?.error || e.shortMessage || e.message));
     }
-    setLoading(false);
+    setSigningIn(false);
   };
 
   // Step 2: Commit claim with enhanced error handling
@@ -244,17 +360,39 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
 
     setLoading(true);
     try {
-      const nonce = Math.floor(Math.random() * 1000000);
-      const normalizedAddress = proof.normalizedAddress || normalizeAddress(manualAddress);
-      
-      const commitment = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ['address', 'string', 'uint64', 'uint256'],
-          [normalizedAddress, subdomain, parseInt(expiry), nonce]
-        )
+      const normalizedAddress = proof.normalizedAddress || normalizeAddress(address);
+
+      // The backend keeps the nonce and finishes the claim, so closing the tab loses nothing.
+      // Sessions are only for the signed-in claimant - without a sign-in the nonce stays in this tab
+      let claimSession = null;
+      try {
+        claimSession = await startClaimSession(campaignId, {
+          claimer: normalizedAddress,
+          subdomain,
+          expiry: parseInt(expiry)
+        });
+      } catch (e) {
+        if (e.response?.data?.code !== 'CLAIM_SESSIONS_DISABLED' && e.response?.status !== 401) throw e;
+      }
+
+      // The allocation's open session was already committed (e.g. from another tab) - follow it
+      if (claimSession && claimSession.status !== 'created') {
+        setSession(claimSession);
+        setProof({ ...proof, commitment: claimSession.commitment, normalizedAddress });
+        setCommitted(true);
+        toast('Resumed your pending claim', { icon: '🔐' });
+        setLoading(false);
+        return;
+      }
+
+      // Without a session the nonce only lives in this tab
+      const nonce = claimSession ? null : ethers.toBigInt(ethers.randomBytes(32));
+      const commitment = claimSession?.commitment ?? ethers.solidityPackedKeccak256(
+        ['address', 'string', 'uint64', 'uint256'],
+        [normalizedAddress, subdomain, parseInt(expiry), nonce]
       );
 
-      console.log("📝 Committing with:", { normalizedAddress, subdomain, expiry, nonce, commitment });
+      console.log("📝 Committing with:", { normalizedAddress, subdomain, expiry, session: claimSession?.id, commitment });
 
       const tx = await contract.commitClaim(commitment);
       
@@ -265,10 +403,18 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
       setProof({ ...proof, nonce, commitment, normalizedAddress });
       setCommitted(true);
       setCanRevealNow(false);
-      
-      toast.success('Commitment submitted! Checking reveal status...', {
-        duration: 4000,
-      });
+
+      if (claimSession) {
+        setSession(await recordSessionCommit(campaignId, claimSession.id, tx.hash));
+        window.Notification?.requestPermission?.();
+        toast.success('Commitment submitted! Your claim is finished for you after the reveal delay - you can close this page.', {
+          duration: 6000,
+        });
+      } else {
+        toast.success('Commitment submitted! Checking reveal status...', {
+          duration: 4000,
+        });
+      }
     } catch (e) {
       toast.dismiss('commit-tx');
       console.error('Commit error:', e);
@@ -278,6 +424,8 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
         toast.error('Contract is currently paused');
       } else if (e.message.includes('InvalidParameters')) {
         toast.error('Invalid parameters provided');
+      } else if (e.message.includes('CommitmentExists')) {
+        toast.error('This commitment was already made - reload the page to pick up your pending claim');
       } else {
         toast.error('Commit failed: ' + (e.message || e));
       }
@@ -353,8 +501,9 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
       setSuccessfulClaim(claimData);
       
       // Reset form
+      setAllocations(prev => prev.map(a => a.leaf === proof.leaf ? { ...a, claimed: true } : a));
       setSubdomain('');
-      setManualAddress('');
+      setExpiry('');
       setProof(null);
       setCommitted(false);
       setCanRevealNow(false);
@@ -396,30 +545,56 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
     setLoading(false);
   };
 
-  const handleAddressChange = (e) => {
-    const inputAddr = e.target.value;
-    setManualAddress(inputAddr);
-    // Reset proof validation when address changes
-    if (proof) {
-      setProof(null);
-      setProofValidation({ isValid: false, checked: false });
-      setCommitted(false);
-      setCanRevealNow(false);
-      setDebugInfo(null);
-    }
-  };
+  // Gasless claim: sign an EIP-712 claim intent and let the backend relayer send it
+  const handleRelayClaim = async () => {
+    if (!proof || !signer || !relayInfo?.enabled) return;
 
-  const handleSubdomainChange = (e) => {
-    const inputSubdomain = e.target.value.toLowerCase();
-    setSubdomain(inputSubdomain);
-    // Reset proof when subdomain changes
-    if (proof) {
-      setProof(null);
-      setProofValidation({ isValid: false, checked: false });
-      setCommitted(false);
-      setCanRevealNow(false);
-      setDebugInfo(null);
+    setLoading(true);
+    try {
+      const intent = {
+        claimer: ethers.getAddress(proof.normalizedAddress),
+        parentNode: namehash(parentDomain),
+        subdomain,
+        expiry: parseInt(expiry),
+        nonce: relayInfo.nonce,
+        // The relayer has half an hour to get it mined
+        deadline: Math.floor(Date.now() / 1000) + 30 * 60
+      };
+      const signature = await signer.signTypedData(relayInfo.domain, relayInfo.types, intent);
+
+      const relay = await relayClaim(campaignId, { ...intent, signature });
+      toast.loading('Relayed transaction pending...', { id: 'relay-tx' });
+      const receipt = await signer.provider.waitForTransaction(relay.txHash);
+      toast.dismiss('relay-tx');
+      if (receipt.status !== 1) throw new Error('The relayed transaction reverted');
+
+      const fullDomain = `${subdomain}.${parentDomain}`;
+      const claimData = {
+        fullDomain,
+        subdomain,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        timestamp: new Date().toISOString(),
+        owner: proof.normalizedAddress,
+        gasUsed: receipt.gasUsed.toString(),
+        relayed: true
+      };
+      saveClaimedDomain(claimData);
+      setSuccessfulClaim(claimData);
+      setAllocations(prev => prev.map(a => a.leaf === proof.leaf ? { ...a, claimed: true } : a));
+      setSubdomain('');
+      setExpiry('');
+      resetClaimState();
+      // The intent used up this nonce
+      setRelayInfo(await getRelayInfo(campaignId, address));
+
+      toast.success(`🎉 Successfully claimed ${fullDomain} - gas paid by the relayer!`, { duration: 6000 });
+    } catch (e) {
+      toast.dismiss('relay-tx');
+      console.error('Relayed claim error:', e);
+      toast.error('Gasless claim failed: ' + (e.response?.data?.error || e.shortMessage || e.message));
     }
+    setLoading(false);
   };
 
   if (!signer) {
@@ -528,95 +703,95 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
         </p>
       </div>
       
-      <div className="space-y-6">
-        <div>
-          <label className="block text-gray-700 font-medium mb-2">Ethereum Address</label>
-          <input 
-            value={manualAddress}
-            onChange={handleAddressChange}
-            placeholder="0x742d35cc6634c0532925a3b8d00ecf0a0a8df9b4"
-            className="w-full px-4 py-3 border border-gray-200 rounded-xl text-gray-900 focus:border-blue-500 focus:ring-2 focus:ring-blue-100 focus:outline-none transition-all"
-          />
-          <p className="text-sm text-gray-500 mt-2">
-            Enter address from CSV (case doesn't matter)
-          </p>
-          {manualAddress && ethers.isAddress(manualAddress) && (
-            <p className="text-sm text-green-600 mt-2 flex items-center gap-2">
-              <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-              Valid address: {normalizeAddress(manualAddress)}
+      <div className="space-y-3">
+        <label className="block text-gray-700 font-medium">Your allocations</label>
+        {!campaignId ? (
+          <p className="text-sm text-gray-500">Select a campaign to see your allocations.</p>
+        ) : needsSignIn ? (
+          <div>
+            <p className="text-sm text-gray-600 mb-2">
+              Allocations in this campaign are private. Sign a message to prove you own {normalizeAddress(address)}.
             </p>
-          )}
-        </div>
-        
-        <div>
-          <label className="block text-gray-700 font-medium mb-2">Choose your subdomain</label>
-          <div className="flex rounded-xl border border-gray-200 overflow-hidden focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-100">
-            <input
-              value={subdomain}
-              onChange={handleSubdomainChange}
-              placeholder="alice"
-              className="flex-1 px-4 py-3 text-gray-900 focus:outline-none"
-            />
-            <span className="px-4 py-3 bg-gray-50 text-gray-600 font-medium border-l border-gray-200">
-              .{parentDomain}
-            </span>
+            <button
+              onClick={handleClaimantSignIn}
+              disabled={signingIn}
+              className="w-full bg-gray-900 hover:bg-gray-800 disabled:bg-gray-400 text-white text-sm px-4 py-2 rounded-xl font-medium transition-colors">
+              {signingIn ? 'Waiting for signature…' : 'Sign in with Ethereum'}
+            </button>
           </div>
-        </div>
-        
-        <div>
-          <label className="block text-gray-700 font-medium mb-2">Expiry timestamp</label>
-          <input
-            value={expiry}
-            onChange={e => setExpiry(e.target.value)}
-            placeholder="1735689600"
-            className="w-full px-4 py-3 border border-gray-200 rounded-xl text-gray-900 focus:border-blue-500 focus:ring-2 focus:ring-blue-100 focus:outline-none transition-all"
-          />
-          <p className="text-sm text-gray-500 mt-2">
-            Unix timestamp (current: {new Date(expiry * 1000).toLocaleDateString()})
+        ) : loadingAllocations ? (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <div className="w-4 h-4 border-2 border-gray-400 border-t-transparent rounded-full animate-spin"></div>
+            Looking up allocations for {normalizeAddress(address)}...
+          </div>
+        ) : allocations.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No subdomains are allocated to {normalizeAddress(address)} in this campaign.
           </p>
-        </div>
+        ) : (
+          allocations.map(allocation => {
+            const isSelected = proof?.leaf === allocation.leaf;
+            return (
+              <button
+                key={allocation.leaf}
+                onClick={() => selectAllocation(allocation, merkleRoot)}
+                disabled={loading || committed || allocation.claimed}
+                className={`w-full flex justify-between items-center px-4 py-3 rounded-xl border text-left transition-colors ${
+                  isSelected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'
+                } disabled:opacity-60`}
+              >
+                <span className="font-medium text-gray-900">{allocation.subdomain}.{parentDomain}</span>
+                <span className="text-xs text-gray-500">
+                  {allocation.claimed
+                    ? `Claimed${allocation.claimedAt ? ` ${new Date(allocation.claimedAt).toLocaleDateString()}` : ''}`
+                    : `Expires ${new Date(allocation.expiry * 1000).toLocaleDateString()}`}
+                </span>
+              </button>
+            );
+          })
+        )}
       </div>
 
       <div className="space-y-3">
-        {!proof && (
+        {proof && !committed && (
           <button
-            onClick={handleGetProof}
-            disabled={loading || !ethers.isAddress(manualAddress) || !subdomain.trim()}
-            className="w-full bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white font-medium px-6 py-3 rounded-xl transition-colors duration-200 flex items-center justify-center gap-2"
+            onClick={handleCommit}
+            disabled={loading}
+            className="w-full bg-yellow-500 hover:bg-yellow-600 disabled:bg-gray-300 text-white font-medium px-6 py-3 rounded-xl transition-colors duration-200 flex items-center justify-center gap-2"
           >
             {loading ? (
               <>
                 <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                Validating & Getting Proof...
+                Committing...
               </>
             ) : (
               <>
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
                 </svg>
-                Get & Verify Merkle Proof
+                Commit Claim
               </>
             )}
           </button>
         )}
 
-        {proof && !committed && (
+        {proof && !committed && relayInfo?.enabled && (
           <button
-            onClick={handleCommit}
+            onClick={handleRelayClaim}
             disabled={loading}
-            className="w-full bg-yellow-500 hover:bg-yellow-600 disabled:bg-gray-300 text-white font-medium px-6 py-3 rounded-xl transition-colors duration-200 flex items-center justify-center gap-2"
+            className="w-full bg-purple-500 hover:bg-purple-600 disabled:bg-gray-300 text-white font-medium px-6 py-3 rounded-xl transition-colors duration-200 flex items-center justify-center gap-2"
           >
             {loading ? (
               <>
                 <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                Committing...
+                Claiming...
               </>
             ) : (
               <>
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                 </svg>
-                Commit Claim
+                Claim without gas
               </>
             )}
           </button>
@@ -671,16 +846,25 @@ const checkIfLeafClaimed = async (address, subdomain, expiry) => {
               )}
             </div>
             <div className="text-gray-600">
-              For: {proof.normalizedAddress || normalizeAddress(manualAddress)}
+              For: {proof.normalizedAddress || normalizeAddress(address)}
             </div>
             {committed && (
               <div className={`flex items-center gap-2 ${canRevealNow ? 'text-green-700' : 'text-yellow-700'}`}>
                 <span className={`w-2 h-2 rounded-full ${canRevealNow ? 'bg-green-500' : 'bg-yellow-500 animate-pulse'}`}></span>
                 <span className="font-medium">
-                  {canRevealNow ? 'Ready to reveal!' : 'Committed - checking reveal status...'}
+                  {canRevealNow
+                    ? 'Ready to reveal!'
+                    : session?.status === 'revealing'
+                      ? 'The relayer is revealing your claim...'
+                      : session?.revealableAt
+                        ? `Committed - revealed for you after ${new Date(session.revealableAt).toLocaleTimeString()}`
+                        : 'Committed - checking reveal status...'}
                 </span>
               </div>
             )}
+            {session?.error && (
+              <div className="text-xs text-red-600">Relayer: {session.error}</div>
+            )}
           </div>
         </div>
       )}
@@ -2,7 +2,7 @@ import React, { useState } from "react";
 import { namehash } from "../utils/namehash";
 import toast from "react-hot-toast";
 import { useWallet } from "../hooks/useWallet";
-import { useFactoryContract } from "../contracts";
+import { useFactoryContract, LEAF_FORMATS } from "../contracts";
 
 // Sepolia network config
 const SEPOLIA_CHAIN_ID = 11155111;
@@ -18,7 +18,7 @@ const SEPOLIA_CONFIG = {
   blockExplorerUrls: ['https://sepolia.etherscan.io/'],
 };
 
-export default function DeployConfig({ merkleRoot, claimCount, parentDomain }) {
+export default function DeployConfig({ merkleRoot, claimCount, parentDomain, treeFormat = 'legacy' }) {
   const { signer, chain } = useWallet();
   const contract = useFactoryContract(signer);
   const [deploying, setDeploying] = useState(false);
@@ -61,13 +61,12 @@ export default function DeployConfig({ merkleRoot, claimCount, parentDomain }) {
 
     try {
       const parentNode = namehash(parentDomain);
-      const tx = await contract.initializeConfig(
-        parentNode,
-        parentDomain,
-        merkleRoot,
-        0,
-        claimCount
-      );
+      // Standard trees need the contract to verify double-hashed abi.encode leaves
+      const tx = treeFormat === 'legacy'
+        ? await contract.initializeConfig(parentNode, parentDomain, merkleRoot, 0, claimCount)
+        : await contract.initializeConfigWithFormat(
+            parentNode, parentDomain, merkleRoot, 0, claimCount, LEAF_FORMATS[treeFormat]
+          );
       
       setTxHash(tx.hash);
       toast.loading('Transaction pending...', { id: 'deploy-tx' });
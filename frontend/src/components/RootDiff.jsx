@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { listVersions, diffRoots, ALLOWLIST_EXTENSIONS } from '../api/merkle';
+import ValidationReport from './ValidationReport';
+import toast from 'react-hot-toast';
+
+const OTHER_ROOT = 'other';
+const UPLOAD = 'upload';
+
+const short = (hex) => hex ? `${hex.slice(0, 10)}…${hex.slice(-8)}` : '—';
+const date = (expiry) => new Date(expiry * 1000).toLocaleDateString();
+
+// One side of the diff: a version of this campaign, any other root, or an uploaded list
+function SideInput({ label, versions, side, onChange }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 text-sm"
+        value={side.choice}
+        onChange={e => onChange({ choice: e.target.value, root: '', file: null })}
+      >
+        {versions.map(v => (
+          <option key={v.version} value={v.merkleRoot}>
+            Version {v.version} · {short(v.merkleRoot)}{v.note ? ` · ${v.note}` : ''}
+          </option>
+        ))}
+        <option value={OTHER_ROOT}>Other root…</option>
+        <option value={UPLOAD}>Upload list…</option>
+      </select>
+      {side.choice === OTHER_ROOT && (
+        <input
+          className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-md text-gray-900 text-xs font-mono"
+          placeholder="0x… Merkle root or campaign id"
+          value={side.root}
+          onChange={e => onChange({ ...side, root: e.target.value.trim() })}
+        />
+      )}
+      {side.choice === UPLOAD && (
+        <input
+          type="file"
+          accept={ALLOWLIST_EXTENSIONS.join(',')}
+          className="w-full mt-2 text-xs"
+          onChange={e => onChange({ ...side, file: e.target.files[0] || null })}
+        />
+      )}
+    </div>
+  );
+}
+
+const sideValue = (side) =>
+  side.choice === UPLOAD ? side.file : side.choice === OTHER_ROOT ? side.root : side.choice;
+
+// Reported and recomputed root for one side
+function RootCheck({ title, side }) {
+  return (
+    <div className="p-3 bg-gray-50 rounded border text-xs">
+      <p className="font-medium text-gray-700">
+        {title}: {side.source === 'root' ? `${side.parentDomain} version ${side.version}` : side.fileName}
+        {' '}· {side.totalClaims.toLocaleString()} claims · {side.treeFormat}
+      </p>
+      <p className="mt-1 font-mono break-all text-gray-800">{side.merkleRoot}</p>
+      {side.verified === null ? (
+        <p className="mt-1 text-gray-500">Root computed from the uploaded list</p>
+      ) : side.verified ? (
+        <p className="mt-1 text-green-700">✅ Recomputed from the records - matches the stored root</p>
+      ) : (
+        <p className="mt-1 text-red-700 break-all">❌ Records hash to {side.computedRoot} - not the stored root</p>
+      )}
+    </div>
+  );
+}
+
+function Table({ title, columns, rows, render }) {
+  if (rows.length === 0) return null;
+  return (
+    <div className="mt-4">
+      <p className="text-sm font-medium text-gray-800">{title}</p>
+      <div className="mt-1 max-h-64 overflow-auto border border-gray-200 rounded bg-white">
+        <table className="w-full text-xs text-left">
+          <thead className="bg-gray-100 text-gray-600 sticky top-0">
+            <tr>{columns.map(c => <th key={c} className="px-2 py-1">{c}</th>)}</tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={i} className="border-t border-gray-100 align-top">
+                {render(row).map((cell, j) => <td key={j} className="px-2 py-1 font-mono break-all">{cell}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Review what changes between two roots (or lists) before a new root goes on-chain
+export default function RootDiff({ campaign }) {
+  const [versions, setVersions] = useState([]);
+  const [from, setFrom] = useState({ choice: UPLOAD, root: '', file: null });
+  const [to, setTo] = useState({ choice: UPLOAD, root: '', file: null });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Default to the previous version against the current one
+  useEffect(() => {
+    setResult(null);
+    listVersions(campaign.id).then(list => {
+      setVersions(list);
+      const current = list[list.length - 1];
+      const previous = list[list.length - 2] || current;
+      setFrom({ choice: previous?.merkleRoot || UPLOAD, root: '', file: null });
+      setTo({ choice: current?.merkleRoot || UPLOAD, root: '', file: null });
+    }).catch(e => console.error('Failed to load versions:', e));
+  }, [campaign.id, campaign.merkleRoot]);
+
+  const compare = async () => {
+    const [fromValue, toValue] = [sideValue(from), sideValue(to)];
+    if (!fromValue || !toValue) {
+      toast.error('Pick a root or upload a list for both sides');
+      return;
+    }
+    setLoading(true);
+    setResult(null);
+    try {
+      const data = await diffRoots(fromValue, toValue, { treeFormat: campaign.treeFormat });
+      setResult(data);
+      if (data.error) toast.error(data.error);
+    } catch (e) {
+      console.error('Diff error:', e);
+      toast.error('Diff failed: ' + (e.response?.data?.error || e.message));
+    }
+    setLoading(false);
+  };
+
+  const summary = result?.summary;
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 gap-3">
+        <SideInput label="From" versions={versions} side={from} onChange={setFrom} />
+        <SideInput label="To" versions={versions} side={to} onChange={setTo} />
+      </div>
+      <button
+        onClick={compare}
+        disabled={loading}
+        className="w-full mt-4 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm px-4 py-2 rounded font-medium transition-colors">
+        {loading ? 'Comparing…' : 'Compare'}
+      </button>
+
+      {result?.report && <ValidationReport report={result.report} />}
+
+      {summary && (
+        <div className="mt-4 space-y-3">
+          <RootCheck title="From" side={result.from} />
+          <RootCheck title="To" side={result.to} />
+
+          <div className="flex flex-wrap gap-2 text-xs">
+            <span className="px-2 py-0.5 rounded bg-green-50 text-green-700">+{summary.added} added</span>
+            <span className="px-2 py-0.5 rounded bg-red-50 text-red-700">−{summary.removed} removed</span>
+            <span className="px-2 py-0.5 rounded bg-yellow-50 text-yellow-800">~{summary.modified} modified</span>
+            <span className="px-2 py-0.5 rounded bg-purple-50 text-purple-700">{summary.ownershipMoved} ownership moved</span>
+            <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700">{summary.unchanged} unchanged</span>
+          </div>
+          {result.identical && <p className="text-sm text-gray-600">Both roots are identical.</p>}
+
+          <Table title="Ownership moved" columns={['Label', 'From', 'To']} rows={result.ownershipMoved}
+            render={m => [m.subdomain, m.from, m.to]} />
+          <Table title="Added" columns={['Label', 'Address', 'Expiry']} rows={result.added}
+            render={a => [a.subdomain, a.address, date(a.expiry)]} />
+          <Table title="Removed" columns={['Label', 'Address', 'Expiry']} rows={result.removed}
+            render={a => [a.subdomain, a.address, date(a.expiry)]} />
+          <Table title="Modified" columns={['Label', 'Changed', 'Before', 'After']} rows={result.modified}
+            render={m => [
+              m.subdomain,
+              m.fields.join(', '),
+              `${short(m.before.address)} · ${date(m.before.expiry)}`,
+              `${short(m.after.address)} · ${date(m.after.expiry)}`
+            ]} />
+          {result.truncated && (
+            <p className="text-xs text-gray-500">Lists are cut at 1000 entries - the counts above cover everything.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,55 +1,187 @@
 import React, { useState } from 'react';
-import { uploadCSV } from '../api/merkle';
+import { uploadCSV, validateCSV, detectColumns, isTreeDump, ALLOWLIST_EXTENSIONS } from '../api/merkle';
+import { address as factoryAddress } from '../contracts';
+import ValidationReport from './ValidationReport';
 import toast from 'react-hot-toast';
 
-export default function UploadCSV({ onRoot }) {
+const FIELDS = ['address', 'subdomain', 'expiry'];
+
+export default function UploadCSV({ parentDomain, onRoot }) {
   const [loading, setLoading] = useState(false);
   const [root, setRoot] = useState(null);
   const [fileInfo, setFileInfo] = useState(null);
+  const [exportBundle, setExportBundle] = useState(false);
+  const [privateProofs, setPrivateProofs] = useState(false);
+  const [treeFormat, setTreeFormat] = useState('legacy');
+  const [progress, setProgress] = useState(null);
+  const [conflictPolicy, setConflictPolicy] = useState('reject');
+  const [clampExpiry, setClampExpiry] = useState(false);
+  const [file, setFile] = useState(null);
+  const [isDump, setIsDump] = useState(false);
+  const [sheet, setSheet] = useState('');
+  // Column mapping: the file's headers, a few sample rows and the header chosen per field
+  const [headers, setHeaders] = useState(null);
+  const [sample, setSample] = useState([]);
+  const [columns, setColumns] = useState({});
+  // Result of the validation step ({ valid, report }); generation replaces the report
+  const [validation, setValidation] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const isWorkbook = file?.name.toLowerCase().endsWith('.xlsx');
+  const isMapped = (mapping) => FIELDS.every(field => mapping[field]);
+
+  // Step 1: validate the allowlist and show the row-level report before anything is generated.
+  // options override the current settings (state updates aren't visible until the next render)
+  const validate = async (selected, options = {}) => {
+    setLoading(true);
+    setValidation(null);
+    try {
+      const result = await validateCSV(selected, {
+        parentDomain: parentDomain?.trim(), sheet, conflictPolicy, clampExpiry, columns, ...options
+      });
+      setValidation(result);
+      setReport(result.report);
+      if (result.valid) {
+        toast.success(`Allowlist is valid (${result.report.acceptedRows} rows)`);
+      } else {
+        toast.error(result.message);
+      }
+    } catch (e) {
+      console.error('Validation error:', e);
+      toast.error('Validation failed: ' + (e.response?.data?.error || e.message));
+      setReport(null);
+    }
+    setLoading(false);
+  };
+
+  // Read the headers, pre-select recognized columns and validate once every field is mapped
+  const inspect = async (selected, sheetName = sheet) => {
+    setLoading(true);
+    try {
+      const info = await detectColumns(selected, { sheet: sheetName });
+      setHeaders(info.headers);
+      setSample(info.sample);
+      setColumns(info.suggested);
+      setLoading(false);
+      if (isMapped(info.suggested)) {
+        await validate(selected, { sheet: sheetName, columns: info.suggested });
+      } else {
+        toast('Choose which columns hold the address, subdomain and expiry.');
+      }
+    } catch (e) {
+      console.error('Column detection error:', e);
+      toast.error('Could not read the file: ' + (e.response?.data?.error || e.message));
+      setFile(null);
+      setFileInfo(null);
+      setLoading(false);
+    }
+  };
 
   const handleFile = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+    const selected = e.target.files[0];
+    e.target.value = ''; // allow re-selecting the same file after fixing it
+    if (!selected) return;
     
     // Basic validation
-    if (!file.name.endsWith('.csv')) {
-      toast.error('Please upload a CSV file.');
+    if (!ALLOWLIST_EXTENSIONS.some(ext => selected.name.toLowerCase().endsWith(ext))) {
+      toast.error('Please upload a CSV, XLSX, JSON or NDJSON allowlist, or a StandardMerkleTree JSON dump.');
       return;
     }
     
-    if (file.size > 10 * 1024 * 1024) { // 10MB limit
-      toast.error('File too large. Maximum size is 10MB.');
+    if (selected.size > 100 * 1024 * 1024) { // 100MB limit
+      toast.error('File too large. Maximum size is 100MB.');
       return;
     }
-    
-    setLoading(true); 
+
+    const dump = await isTreeDump(selected);
+    setFile(selected);
+    setIsDump(dump);
     setRoot(null);
+    setValidation(null);
+    setReport(null);
+    setHeaders(null);
     setFileInfo({
-      name: file.name,
-      size: (file.size / 1024).toFixed(1) + ' KB'
+      name: selected.name,
+      size: (selected.size / 1024).toFixed(1) + ' KB'
     });
-    
+
+    // Dumps are checked against their own root while importing
+    if (dump) {
+      await generate(selected, true);
+    } else {
+      await inspect(selected);
+    }
+  };
+
+  const canRevalidate = file && !isDump && !root && isMapped(columns);
+
+  // Conflicts and expiries past the parent are errors or warnings depending on these - re-check
+  const handlePolicy = (policy) => {
+    setConflictPolicy(policy);
+    if (canRevalidate) validate(file, { conflictPolicy: policy });
+  };
+
+  const handleClamp = (clamp) => {
+    setClampExpiry(clamp);
+    if (canRevalidate) validate(file, { clampExpiry: clamp });
+  };
+
+  const handleColumn = (field, header) => {
+    const next = { ...columns, [field]: header || null };
+    setColumns(next);
+    setValidation(null);
+    if (file && !root && isMapped(next)) validate(file, { columns: next });
+  };
+
+  // XLSX: read another sheet (name or 1-based number) once the field is left
+  const handleSheet = () => {
+    if (file && isWorkbook && !root) inspect(file);
+  };
+
+  // Step 2: generate the tree (or import a dump) in the background
+  const generate = async (selected = file, dump = isDump) => {
+    if (!parentDomain || !parentDomain.trim()) {
+      toast.error('Enter a parent domain first.');
+      return;
+    }
+
+    setLoading(true); 
+    setRoot(null);
     try {
-      const resp = await uploadCSV(file);
+      const resp = await uploadCSV(
+        selected,
+        { parentDomain: parentDomain.trim(), factoryAddress, treeFormat, conflictPolicy, clampExpiry, sheet, columns, exportBundle, privateProofs },
+        setProgress
+      );
       setRoot(resp.merkleRoot);
-      setFileInfo(prev => ({ ...prev, entries: resp.totalClaims }));
-      onRoot && onRoot(resp.merkleRoot, resp.totalClaims);
+      setReport(resp.report);
+      setFileInfo(prev => ({ ...prev, entries: resp.totalClaims, bundleUrl: resp.bundle?.url }));
+      onRoot && onRoot(resp.merkleRoot, resp.totalClaims, resp.campaignId);
       toast.success(`Root generated successfully! (${resp.totalClaims} entries)`);
     } catch (e) {
       console.error('Upload error:', e);
-      toast.error('CSV upload failed. Check format.');
-      setFileInfo(null);
+      if (e.details?.report) {
+        setReport(e.details.report);
+        toast.error(e.message);
+      } else if (e.response?.status === 409) {
+        toast.error(e.response.data.error);
+      } else if (dump) {
+        toast.error('Tree import failed: ' + (e.response?.data?.error || e.message));
+      } else {
+        toast.error('Upload failed: ' + (e.response?.data?.error || 'check the file format.'));
+      }
     }
+    setProgress(null);
     setLoading(false);
   };
 
   return (
     <div>
-      <label className="block mb-3 text-gray-700 font-medium">Upload CSV File</label>
+      <label className="block mb-3 text-gray-700 font-medium">Upload Allowlist</label>
       <div className="border-2 border-dashed border-gray-200 rounded-xl p-6 text-center hover:border-blue-300 transition-colors">
         <input
           type="file"
-          accept=".csv"
+          accept={ALLOWLIST_EXTENSIONS.join(',')}
           onChange={handleFile}
           disabled={loading}
           className="hidden"
@@ -62,12 +194,139 @@ export default function UploadCSV({ onRoot }) {
             </svg>
           </div>
           <p className="text-gray-700 font-medium">
-            {loading ? 'Processing...' : 'Click to upload CSV'}
+            {loading ? 'Processing...' : file ? 'Choose another file' : 'Click to upload an allowlist'}
+          </p>
+          <p className="text-gray-500 text-sm mt-1">
+            CSV (comma, semicolon or tab), XLSX, JSON array or NDJSON with address, subdomain, expiry columns -
+            or a StandardMerkleTree .json dump (max 100MB)
           </p>
-          <p className="text-gray-500 text-sm mt-1">Supports .csv files (max 10MB)</p>
         </label>
       </div>
       
+      {isWorkbook && (
+        <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+          Sheet
+          <input
+            value={sheet}
+            onChange={e => setSheet(e.target.value)}
+            onBlur={handleSheet}
+            disabled={loading}
+            placeholder="first sheet"
+            className="border border-gray-200 rounded px-2 py-1"
+          />
+        </label>
+      )}
+
+      {/* Column mapping */}
+      {headers && !isDump && (
+        <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+          <p className="font-medium text-gray-800 mb-2">Columns</p>
+          <div className="grid grid-cols-3 gap-2">
+            {FIELDS.map(field => (
+              <label key={field} className="text-xs text-gray-600">
+                <span className="capitalize">{field}</span>
+                <select
+                  value={columns[field] || ''}
+                  onChange={e => handleColumn(field, e.target.value)}
+                  disabled={loading || !!root}
+                  className={`mt-1 w-full border rounded px-2 py-1 ${columns[field] ? 'border-gray-200' : 'border-red-300'}`}
+                >
+                  <option value="">- choose -</option>
+                  {headers.map(header => <option key={header} value={header}>{header}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          {sample.length > 0 && isMapped(columns) && (
+            <table className="w-full mt-2 text-xs text-left font-mono text-gray-600">
+              <tbody>
+                {sample.slice(0, 3).map((row, i) => (
+                  <tr key={i}>
+                    {FIELDS.map(field => <td key={field} className="pr-2 truncate max-w-0">{row[columns[field]]}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="mt-2 text-xs text-gray-500">
+            Expiry may be unix seconds or milliseconds, an ISO-8601 date, a duration like 365d, or inherit-parent.
+          </p>
+        </div>
+      )}
+
+      {/* Generation progress */}
+      {progress && (
+        <div className="mt-4">
+          <div className="flex justify-between text-xs text-gray-600 mb-1">
+            <span className="capitalize">{progress.phase}</span>
+            <span>
+              {progress.rowsHashed ? `${progress.rowsHashed.toLocaleString()} rows · ` : ''}
+              {progress.percent ?? 0}%
+            </span>
+          </div>
+          <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div className="h-2 bg-blue-500 transition-all" style={{ width: `${progress.percent ?? 0}%` }} />
+          </div>
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+        Tree format
+        <select
+          value={treeFormat}
+          onChange={e => setTreeFormat(e.target.value)}
+          disabled={loading}
+          className="border border-gray-200 rounded px-2 py-1"
+        >
+          <option value="legacy">Legacy (abi.encodePacked leaves)</option>
+          <option value="standard">OpenZeppelin StandardMerkleTree</option>
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+        Duplicate addresses / labels
+        <select
+          value={conflictPolicy}
+          onChange={e => handlePolicy(e.target.value)}
+          disabled={loading}
+          className="border border-gray-200 rounded px-2 py-1"
+        >
+          <option value="reject">Reject the upload</option>
+          <option value="keep_first">Keep the first row</option>
+          <option value="keep_last">Keep the last row</option>
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={clampExpiry}
+          onChange={e => handleClamp(e.target.checked)}
+          disabled={loading}
+        />
+        Clamp expiries to the parent domain's expiry (otherwise those rows are rejected)
+      </label>
+
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={exportBundle}
+          onChange={e => setExportBundle(e.target.checked)}
+          disabled={loading || privateProofs}
+        />
+        Also export a static proof bundle (claims keep working without the API)
+      </label>
+
+      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={privateProofs}
+          onChange={e => { setPrivateProofs(e.target.checked); if (e.target.checked) setExportBundle(false); }}
+          disabled={loading}
+        />
+        Private proofs (claimants sign in with their wallet to see their own allocations)
+      </label>
+      
       {/* File info display */}
       {fileInfo && (
         <div className="mt-4 p-3 bg-gray-50 rounded-lg">
@@ -75,10 +334,31 @@ export default function UploadCSV({ onRoot }) {
             <div><strong>File:</strong> {fileInfo.name}</div>
             <div><strong>Size:</strong> {fileInfo.size}</div>
             {fileInfo.entries && <div><strong>Entries:</strong> {fileInfo.entries}</div>}
+            {fileInfo.bundleUrl && <div><strong>Proof bundle:</strong> {fileInfo.bundleUrl}</div>}
           </div>
         </div>
       )}
       
+      {/* Row-level validation / generation report */}
+      {report && <ValidationReport report={report} />}
+
+      {validation && !root && (
+        <div className="mt-4">
+          {!validation.valid && (
+            <p className="text-xs text-gray-600 mb-2">
+              Rejected rows are skipped when generating; conflicts fail the upload unless a keep policy is chosen.
+            </p>
+          )}
+          <button
+            onClick={() => generate()}
+            disabled={loading || !parentDomain?.trim()}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-sm font-medium py-2 rounded-lg"
+          >
+            {validation.valid ? 'Generate Merkle tree' : `Generate anyway (${validation.report.rejectedRows} row(s) rejected)`}
+          </button>
+        </div>
+      )}
+
       {root && (
         <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
           <p className="text-green-800 text-sm font-medium mb-2">✅ Merkle root generated!</p>
@@ -0,0 +1,80 @@
+import React from 'react';
+import { downloadReport } from '../api/merkle';
+import toast from 'react-hot-toast';
+
+const SEVERITY_STYLES = {
+  error: 'text-red-700 bg-red-50',
+  warning: 'text-yellow-800 bg-yellow-50',
+  info: 'text-blue-700 bg-blue-50',
+};
+
+// Row-level validation report: counts per issue code, the issue table and a
+// download link for the rejected rows
+export default function ValidationReport({ report }) {
+  const codes = Object.entries(report.summary);
+
+  return (
+    <div className="mt-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+      <p className="font-medium text-gray-800">
+        {report.totalRows.toLocaleString()} rows · {report.acceptedRows.toLocaleString()} accepted ·{' '}
+        <span className={report.rejectedRows ? 'text-red-700' : ''}>{report.rejectedRows.toLocaleString()} rejected</span> ·{' '}
+        {report.warningRows.toLocaleString()} with warnings
+      </p>
+      <p className="text-xs text-gray-500 mt-1">
+        {report.parentExpiry !== null
+          ? `Expiries checked against the parent expiry ${new Date(report.parentExpiry * 1000).toLocaleString()}`
+          : 'Expiries were not checked against the parent (no parent domain or RPC)'}
+      </p>
+
+      {codes.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {codes.map(([code, { severity, count }]) => (
+            <span key={code} className={`px-2 py-0.5 rounded text-xs font-mono ${SEVERITY_STYLES[severity]}`}>
+              {code} × {count}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {report.issues.length > 0 && (
+        <div className="mt-3 max-h-64 overflow-auto border border-gray-200 rounded bg-white">
+          <table className="w-full text-xs text-left">
+            <thead className="bg-gray-100 text-gray-600 sticky top-0">
+              <tr>
+                <th className="px-2 py-1">Row</th>
+                <th className="px-2 py-1">Code</th>
+                <th className="px-2 py-1">Field</th>
+                <th className="px-2 py-1">Value</th>
+                <th className="px-2 py-1">Problem</th>
+                <th className="px-2 py-1">Fix</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.issues.map((issue, i) => (
+                <tr key={i} className="border-t border-gray-100 align-top">
+                  <td className="px-2 py-1">{issue.row}</td>
+                  <td className={`px-2 py-1 font-mono ${SEVERITY_STYLES[issue.severity]}`}>{issue.code}</td>
+                  <td className="px-2 py-1">{issue.field}</td>
+                  <td className="px-2 py-1 font-mono break-all">{issue.value}</td>
+                  <td className="px-2 py-1">{issue.message}</td>
+                  <td className="px-2 py-1 text-gray-500">{issue.fix}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {report.truncated && (
+        <p className="mt-1 text-xs text-gray-500">Showing the first {report.issues.length} issues.</p>
+      )}
+
+      {report.rejectedCsvUrl && (
+        <button
+          onClick={() => downloadReport(report.rejectedCsvUrl).catch(() => toast.error('Download failed - the report may have expired'))}
+          className="inline-block mt-2 text-blue-600 underline text-xs">
+          Download rejected rows (CSV)
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,17 @@
+import { useMemo } from 'react';
 import { ethers } from 'ethers';
 
 const ABI = [
   // Main functions
   "function initializeConfig(bytes32 parentNode, string calldata domain, bytes32 merkleRoot, uint32 fuses, uint256 totalSubdomains) external",
+  "function initializeConfigWithFormat(bytes32 parentNode, string calldata domain, bytes32 merkleRoot, uint32 fuses, uint256 totalSubdomains, uint8 leafFormat) external",
   "function commitClaim(bytes32 commitment) external",
   "function claimSubdomain(bytes32 parentNode, string calldata subdomain, uint64 expiry, uint256 nonce, bytes32[] calldata merkleProof) external",
   
   // View functions
   "function getConfigStats(bytes32 parentNode) external view returns (uint256 total, uint256 claimed, string memory domain, address owner, bool active)",
+  "function computeLeaf(bytes32 parentNode, address user, string calldata subdomain, uint64 expiry) external view returns (bytes32)",
+  "function verifyMerkleProof(bytes32 parentNode, address user, string calldata subdomain, uint64 expiry, bytes32[] calldata merkleProof) external view returns (bool)",
   
   // Admin functions
   "function setDefaultResolver(address resolver) external",
@@ -22,8 +26,10 @@ const ABI = [
   "function paused() external view returns (bool)",
   "function configs(bytes32) external view returns (bytes32 merkleRoot, bytes32 parentNode, string memory parentDomain, address parentOwner, uint32 defaultFuses, bool active, uint256 totalSubdomains, uint256 claimedCount)",
   "function claimed(bytes32) external view returns (bool)",
+  "function leafFormats(bytes32) external view returns (uint8)",
   "function hasClaimed(address) external view returns (bool)",
-  "function commitments(bytes32) external view returns (uint256)",
+  "function commitments(address, bytes32) external view returns (uint256)",
+  "function canRevealCommitment(address committer, bytes32 commitment) external view returns (bool)",
   
   // Events
   "event SubdomainClaimed(address indexed claimer, string subdomain, bytes32 indexed node)",
@@ -32,9 +38,15 @@ const ABI = [
   "event DefaultResolverSet(address resolver)"
 ];
 
+// BulkSubdomainFactory.LeafFormat
+export const LEAF_FORMATS = { legacy: 0, standard: 1 };
+
 export const address = process.env.REACT_APP_FACTORY_ADDRESS;
 
+// One contract per signer, so effects depending on it don't rerun on every render
 export function useFactoryContract(signer) {
-  if (!signer) return null;
-  return new ethers.Contract(process.env.REACT_APP_FACTORY_ADDRESS, ABI, signer);
+  return useMemo(
+    () => signer ? new ethers.Contract(process.env.REACT_APP_FACTORY_ADDRESS, ABI, signer) : null,
+    [signer]
+  );
 }
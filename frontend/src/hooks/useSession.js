@@ -0,0 +1,28 @@
+import { useCallback, useEffect, useState } from "react";
+import { getMe, signIn as siweSignIn, signOut as endSession } from "../api/auth";
+
+// Dashboard session from Sign-In with Ethereum: { address, role, expiresAt } or null
+export function useSession() {
+  const [session, setSession] = useState(null);
+
+  // Pick up a session stored by an earlier visit
+  useEffect(() => {
+    getMe().then(setSession).catch(error => console.log("Session check failed:", error));
+  }, []);
+
+  const signIn = useCallback(async (signer) => {
+    const me = await siweSignIn(signer);
+    setSession(me);
+    return me;
+  }, []);
+
+  const signOut = useCallback(async () => {
+    try {
+      await endSession();
+    } finally {
+      setSession(null);
+    }
+  }, []);
+
+  return { session, signIn, signOut };
+}
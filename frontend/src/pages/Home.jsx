@@ -1,12 +1,20 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import WalletButton from "../components/WalletButton";
 import UploadCSV from "../components/UploadCSV";
 import DeployConfig from "../components/DeployConfig";
 import ClaimSubdomain from "../components/ClaimSubdomain";
+import RootDiff from "../components/RootDiff";
+import AdminSession from "../components/AdminSession";
 import { useFactoryContract } from '../contracts';
 import { useWallet } from '../hooks/useWallet';
+import { useSession } from '../hooks/useSession';
+import { hasRole } from '../api/auth';
+import { listCampaigns, archiveCampaign, treeDumpUrl } from '../api/merkle';
+import { normalizeName } from '../utils/labels';
 import toast from 'react-hot-toast';
 
+const NEW_CAMPAIGN = "new";
+
 
 // --- PauseBanner Component ---
 function PauseBanner({ contract }) {
@@ -31,13 +39,57 @@ function PauseBanner({ contract }) {
 
 
 export default function Home() {
-  const [root, setRoot] = useState(null);
-  const [count, setCount] = useState(null);
-  const [parentDomain, setParentDomain] = useState("demo.eth");
+  const [campaigns, setCampaigns] = useState([]);
+  const [campaignId, setCampaignId] = useState(NEW_CAMPAIGN);
+  const [newParentDomain, setNewParentDomain] = useState("");
+
+  const normalizedParent = normalizeName(newParentDomain);
+
+  const campaign = campaigns.find(c => c.id === campaignId);
+  const parentDomain = campaign ? campaign.parentDomain : newParentDomain;
+  const root = campaign?.merkleRoot;
+  const count = campaign?.totalClaims;
+
+  const refreshCampaigns = useCallback(async () => {
+    try {
+      const list = await listCampaigns('active');
+      setCampaigns(list);
+      return list;
+    } catch (e) {
+      console.error('Failed to load campaigns:', e);
+      return [];
+    }
+  }, []);
+
+  // Load active campaigns and pick the most recent one
+  useEffect(() => {
+    refreshCampaigns().then(list => {
+      if (list.length > 0) setCampaignId(list[0].id);
+    });
+  }, [refreshCampaigns]);
+
+  const handleCampaignCreated = async (merkleRoot, total, id) => {
+    await refreshCampaigns();
+    setCampaignId(id);
+    setNewParentDomain("");
+  };
+
+  const handleArchive = async () => {
+    if (!campaign) return;
+    try {
+      await archiveCampaign(campaign.id);
+      toast.success(`Campaign for ${campaign.parentDomain} archived`);
+      await refreshCampaigns();
+      setCampaignId(NEW_CAMPAIGN);
+    } catch (e) {
+      toast.error('Archive failed');
+    }
+  };
 
 
   const { signer } = useWallet();
   const contract = useFactoryContract(signer);
+  const { session, signIn, signOut } = useSession();
 
 
   const handlePause = async () => {
@@ -124,22 +176,64 @@ export default function Home() {
               </div>
               
               <div className="px-6 py-6">
-                {/* Parent Domain Input */}
+                {/* Admin Sign-In */}
                 <div className="mb-6">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Parent ENS Domain</label>
-                  <input
+                  <AdminSession session={session} signer={signer} onSignIn={signIn} onSignOut={signOut} />
+                </div>
+
+                {/* Campaign Picker */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Campaign</label>
+                  <select
                     className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 focus:outline-none"
-                    value={parentDomain}
-                    onChange={e => setParentDomain(e.target.value)}
-                    placeholder="demo.eth"
-                  />
+                    value={campaignId}
+                    onChange={e => setCampaignId(e.target.value)}
+                  >
+                    {campaigns.map(c => (
+                      <option key={c.id} value={c.id}>
+                        {c.parentDomain} ({c.totalClaims} claims)
+                      </option>
+                    ))}
+                    <option value={NEW_CAMPAIGN}>+ New campaign</option>
+                  </select>
                   <p className="text-xs text-gray-500 mt-1">
-                    Enter the parent domain for subdomain minting
+                    Each campaign distributes subdomains of one parent domain
                   </p>
                 </div>
-                
-                {/* CSV Upload */}
-                <UploadCSV onRoot={(merkleRoot, total) => { setRoot(merkleRoot); setCount(total); }} />
+
+                {campaignId === NEW_CAMPAIGN && !hasRole(session, 'operator') && (
+                  <p className="text-sm text-gray-600">Sign in with an operator or admin wallet to create campaigns.</p>
+                )}
+
+                {campaignId === NEW_CAMPAIGN && hasRole(session, 'operator') && (
+                  <>
+                    {/* Parent Domain Input */}
+                    <div className="mb-6">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Parent ENS Domain</label>
+                      <input
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 focus:outline-none"
+                        value={newParentDomain}
+                        onChange={e => setNewParentDomain(e.target.value)}
+                        placeholder="yourdomain.eth"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        Enter the parent domain for subdomain minting
+                      </p>
+                      {newParentDomain.trim() && (
+                        normalizedParent.error ? (
+                          <p className="text-xs text-red-600 mt-1">⚠️ {normalizedParent.error}</p>
+                        ) : normalizedParent.name !== newParentDomain.trim() && (
+                          <p className="text-xs text-gray-600 mt-1">
+                            Normalized: <span className="font-mono">{normalizedParent.name}</span>
+                          </p>
+                        )
+                      )}
+                    </div>
+
+                    {/* CSV Upload */}
+                    <UploadCSV parentDomain={normalizedParent.name} onRoot={handleCampaignCreated} />
+                  </>
+                )}
               </div>
             </div>
 
@@ -176,13 +270,24 @@ export default function Home() {
                         <div className="text-lg font-semibold text-gray-900">{parentDomain}</div>
                       </div>
                     </div>
+
+                    {campaign.treeFormat === 'standard' && (
+                      <div className="mt-4 text-sm text-gray-600">
+                        OpenZeppelin StandardMerkleTree format ·{' '}
+                        <a href={treeDumpUrl(campaign.id)} className="text-blue-600 hover:text-blue-800 font-medium">
+                          Download tree JSON
+                        </a>
+                      </div>
+                    )}
                   </div>
                   
                   <div className="mt-6">
                     <DeployConfig
+                      key={campaign.id}
                       merkleRoot={root}
                       claimCount={count}
                       parentDomain={parentDomain}
+                      treeFormat={campaign.treeFormat}
                     />
                   </div>
                   
@@ -198,6 +303,34 @@ export default function Home() {
                       Unpause Contract
                     </button>
                   </div>
+
+                  {hasRole(session, 'admin') && (
+                    <button
+                      onClick={handleArchive}
+                      className="w-full mt-3 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm px-4 py-2 rounded font-medium transition-colors">
+                      Archive Campaign
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+
+            {/* Root Diff Card */}
+            {campaign && hasRole(session, 'viewer') && (
+              <div className="bg-white rounded-lg border border-gray-200">
+                <div className="px-6 py-4 border-b border-gray-100">
+                  <div className="flex items-center">
+                    <span className="text-lg">🔀</span>
+                    <div className="ml-3">
+                      <h3 className="text-lg font-semibold text-gray-900">Review Root Changes</h3>
+                      <p className="text-sm text-gray-600">Compare two roots or lists before pushing one on-chain</p>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="px-6 py-6">
+                  <RootDiff campaign={campaign} />
                 </div>
               </div>
             )}
@@ -219,7 +352,7 @@ export default function Home() {
               </div>
               
               <div className="px-6 py-6">
-                <ClaimSubdomain parentDomain={parentDomain} />
+                <ClaimSubdomain parentDomain={parentDomain} campaignId={campaign?.id} />
               </div>
             </div>
 
@@ -241,8 +374,8 @@ export default function Home() {
                   <div className="flex items-start gap-3">
                     <div className="w-6 h-6 bg-blue-600 text-white rounded-full flex items-center justify-center text-xs font-medium flex-shrink-0">1</div>
                     <div>
-                      <p className="text-sm font-medium text-gray-900">Upload CSV</p>
-                      <p className="text-xs text-gray-600 mt-1">Upload CSV with addresses, subdomains, expiry</p>
+                      <p className="text-sm font-medium text-gray-900">Upload Allowlist</p>
+                      <p className="text-xs text-gray-600 mt-1">CSV, XLSX, JSON or NDJSON with addresses, subdomains, expiry</p>
                     </div>
                   </div>
                   <div className="flex items-start gap-3">
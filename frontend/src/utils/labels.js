@@ -0,0 +1,26 @@
+import { ethers } from 'ethers';
+
+// ENSIP-15 normalize a subdomain label - mirrors backend/src/utils/labels.js.
+// Returns { label } or { error } with the reason it can't be used.
+export function normalizeLabel(raw) {
+  const label = (raw ?? '').trim();
+  if (!label) return { error: 'Label is empty' };
+  if (label.includes('.')) {
+    return { error: 'Label must not contain "." - use a single label, not a full name' };
+  }
+  try {
+    return { label: ethers.ensNormalize(label) };
+  } catch (e) {
+    const reason = (e.shortMessage || e.message).replace(/^invalid ENS name \((.*)\)$/, '$1');
+    return { error: `Label is not ENSIP-15 normalizable: ${reason}` };
+  }
+}
+
+// ENSIP-15 normalize a full name, or { error } if it isn't valid
+export function normalizeName(raw) {
+  try {
+    return { name: ethers.ensNormalize((raw ?? '').trim()) };
+  } catch (e) {
+    return { error: e.shortMessage || e.message };
+  }
+}
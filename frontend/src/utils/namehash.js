@@ -3,7 +3,8 @@ import { ethers } from 'ethers';
 export function namehash(name) {
   let node = '0x' + '00'.repeat(32);
   if (name) {
-    const labels = name.toLowerCase().split('.');
+    // ENSIP-15 normalization (throws on names that can't be normalized)
+    const labels = ethers.ensNormalize(name).split('.');
     for (let i = labels.length - 1; i >= 0; i--) {
       node = ethers.keccak256(
         ethers.concat([